@@ -7,5 +7,8 @@ module.exports = {
   DB_PASS: process.env.DB_PASS || 'asdfghjkl',
   DB_NAME: process.env.DB_NAME || 'clockin_mysql',
   DB_CONNECTION_LIMIT: process.env.DB_CONNECTION_LIMIT || 10,
-  DB_QUEUE_LIMIT: process.env.DB_QUEUE_LIMIT || 0
+  DB_QUEUE_LIMIT: process.env.DB_QUEUE_LIMIT || 0,
+  SESSION_SECRET: process.env.SESSION_SECRET,                           // Required, no default (see utils/token.js)
+  ACCESS_TOKEN_TTL: Number(process.env.ACCESS_TOKEN_TTL || 900),       // 15 minutes (seconds)
+  REFRESH_TOKEN_TTL: Number(process.env.REFRESH_TOKEN_TTL || 604800)   // 7 days (seconds)
 };
@@ -0,0 +1,82 @@
+/**
+ * Notification Controller
+ * Manager notifications, e.g. shifts closed by the auto-close monitor
+ * (see utils/notifications.js)
+ */
+
+const db = require('../config/db');
+const { getSessionScope, sendAccessError } = require('../utils/accessHelper');
+
+/**
+ * List notifications for the caller's business (and venue, for venue-scoped roles)
+ * @route GET /api/system-admin/notifications
+ * @query {string} include_read - 'true' to include dismissed notifications (latest 50)
+ */
+const getNotifications = async (req, res) => {
+  try {
+    // Business (and venue, for venue-scoped roles) comes from the session only
+    const scope = getSessionScope(req);
+    const includeRead = req.query.include_read === 'true';
+
+    const [rows] = await db.execute(`
+      SELECT
+        n.id,
+        n.venue_code,
+        v.venue_name,
+        n.kind,
+        n.title,
+        n.message,
+        n.shift_ids,
+        n.read_at,
+        n.created_at
+      FROM notifications n
+      JOIN venues v ON v.venue_code = n.venue_code
+      WHERE ${scope.conditions.join(' AND ')}
+        ${includeRead ? '' : 'AND n.read_at IS NULL'}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT 50
+    `, scope.params);
+
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (error) {
+    if (sendAccessError(res, error)) return;
+    console.error('Error fetching notifications:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Dismiss a notification
+ * @route POST /api/system-admin/notifications/:id/read
+ * @param {number} id - Notification ID
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const scope = getSessionScope(req);
+
+    // Notifications of other venues or businesses are reported as not found
+    const [result] = await db.execute(`
+      UPDATE notifications n
+      JOIN venues v ON v.venue_code = n.venue_code
+      SET n.read_at = NOW(), n.read_by = ?
+      WHERE n.id = ?
+        AND n.read_at IS NULL
+        AND ${scope.conditions.join(' AND ')}
+    `, [req.userContext.user_id || null, req.params.id, ...scope.params]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, error: 'Notification not found or already dismissed' });
+    }
+
+    res.json({ success: true, message: 'Notification dismissed' });
+  } catch (error) {
+    if (sendAccessError(res, error)) return;
+    console.error('Error dismissing notification:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead
+};
@@ -0,0 +1,253 @@
+const db = require('../config/db');
+const { getSessionScope, sendAccessError } = require('../utils/accessHelper');
+const { validatePayRule } = require('../utils/payCalculator');
+
+// Stored per rule; JSON columns are stringified on insert
+const RULE_FIELDS = [
+  'name', 'kind', 'day_types', 'start_time', 'end_time', 'employment_types', 'multiplier', 'amount', 'min_hours'
+];
+
+/**
+ * Insert the rules of a rule set
+ * @param {Object} conn - Connection with an open transaction
+ * @param {number} ruleSetId - pay_rule_sets.id
+ * @param {Array} rules - Validated rule definitions
+ */
+const insertRules = async (conn, ruleSetId, rules) => {
+  for (const rule of rules) {
+    const values = RULE_FIELDS.map(field => {
+      const value = rule[field] === undefined ? null : rule[field];
+      return (field === 'day_types' || field === 'employment_types') && value !== null
+        ? JSON.stringify(value)
+        : value;
+    });
+
+    await conn.execute(
+      `INSERT INTO pay_rules (rule_set_id, ${RULE_FIELDS.join(', ')}) VALUES (?, ${RULE_FIELDS.map(() => '?').join(', ')})`,
+      [ruleSetId, ...values]
+    );
+  }
+};
+
+/**
+ * Check the venue of a rule set belongs to the business
+ * @returns {Promise<boolean>}
+ */
+const venueInBusiness = async (conn, venueCode, businessCode) => {
+  const [rows] = await conn.execute(
+    'SELECT venue_code FROM venues WHERE venue_code = ? AND business_code = ? LIMIT 1',
+    [venueCode, businessCode]
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Validate a rule set request body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateRuleSet = ({ name, rules }, partial = false) => {
+  if ((!partial || name !== undefined) && (!name || !String(name).trim())) {
+    return 'name is required';
+  }
+  if (!partial || rules !== undefined) {
+    if (!Array.isArray(rules)) return 'rules must be a list';
+    for (const rule of rules) {
+      const error = validatePayRule(rule);
+      if (error) return error;
+    }
+  }
+  return null;
+};
+
+/**
+ * List pay rule sets and their rules for the session business
+ *
+ * @route GET /api/system-admin/pay-rules
+ */
+const getPayRuleSets = async (req, res) => {
+  try {
+    const scope = getSessionScope(req);
+
+    const [sets] = await db.execute(`
+      SELECT rs.id, rs.name, rs.venue_code, rs.is_active, rs.created_at, rs.updated_at, v.venue_name
+      FROM pay_rule_sets rs
+      LEFT JOIN venues v ON v.venue_code = rs.venue_code
+      WHERE rs.business_code = ?
+      ORDER BY rs.is_active DESC, rs.name ASC
+    `, [scope.business_code]);
+
+    const [rules] = sets.length > 0
+      ? await db.query('SELECT * FROM pay_rules WHERE rule_set_id IN (?) ORDER BY id ASC', [sets.map(s => s.id)])
+      : [[]];
+
+    const data = sets.map(set => ({
+      ...set,
+      rules: rules.filter(rule => rule.rule_set_id === set.id)
+    }));
+
+    res.json({ success: true, data });
+  } catch (error) {
+    if (sendAccessError(res, error)) return;
+    console.error('Error fetching pay rule sets:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Create a pay rule set with its rules
+ *
+ * @route POST /api/system-admin/pay-rules
+ * @body {string} name - Rule set name
+ * @body {string} venue_code - Optional, limit to one venue (default: every venue)
+ * @body {Array} rules - [{ name, kind, day_types, start_time, end_time, employment_types, multiplier, amount, min_hours }]
+ */
+const createPayRuleSet = async (req, res) => {
+  let connection;
+  try {
+    const { name, venue_code = null, rules } = req.body;
+    const scope = getSessionScope(req);
+
+    const invalid = validateRuleSet({ name, rules });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    if (venue_code && !(await venueInBusiness(connection, venue_code, scope.business_code))) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, error: 'Venue not found in your business' });
+    }
+
+    const [result] = await connection.execute(
+      'INSERT INTO pay_rule_sets (business_code, venue_code, name, created_by) VALUES (?, ?, ?, ?)',
+      [scope.business_code, venue_code, String(name).trim(), req.userContext.user_id || null]
+    );
+    await insertRules(connection, result.insertId, rules);
+
+    await connection.commit();
+
+    console.log(`[PAY RULES] ✅ Created rule set ${result.insertId} "${name}" (${rules.length} rules) for ${scope.business_code}`);
+    res.status(201).json({ success: true, data: { id: result.insertId } });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (sendAccessError(res, error)) return;
+    console.error('Error creating pay rule set:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Update a pay rule set
+ * Only fields sent are changed; sending rules replaces all of the set's rules.
+ * Shifts already priced keep their pay until recomputed.
+ *
+ * @route PUT /api/system-admin/pay-rules/:id
+ * @body {string} name - Optional
+ * @body {string|null} venue_code - Optional (null = every venue)
+ * @body {boolean} is_active - Optional
+ * @body {Array} rules - Optional, replaces the rules
+ */
+const updatePayRuleSet = async (req, res) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const { name, venue_code, is_active, rules } = req.body;
+    const scope = getSessionScope(req);
+
+    const invalid = validateRuleSet({ name, rules }, true);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [sets] = await connection.execute(
+      'SELECT id FROM pay_rule_sets WHERE id = ? AND business_code = ? FOR UPDATE',
+      [id, scope.business_code]
+    );
+    if (sets.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, error: 'Pay rule set not found' });
+    }
+
+    if (venue_code && !(await venueInBusiness(connection, venue_code, scope.business_code))) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, error: 'Venue not found in your business' });
+    }
+
+    const updates = [];
+    const values = [];
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(String(name).trim());
+    }
+    if (venue_code !== undefined) {
+      updates.push('venue_code = ?');
+      values.push(venue_code || null);
+    }
+    if (is_active !== undefined) {
+      updates.push('is_active = ?');
+      values.push(is_active ? 1 : 0);
+    }
+
+    if (updates.length > 0) {
+      await connection.execute(`UPDATE pay_rule_sets SET ${updates.join(', ')} WHERE id = ?`, [...values, id]);
+    }
+
+    if (rules !== undefined) {
+      await connection.execute('DELETE FROM pay_rules WHERE rule_set_id = ?', [id]);
+      await insertRules(connection, id, rules);
+    }
+
+    await connection.commit();
+
+    console.log(`[PAY RULES] ✅ Updated rule set ${id}`);
+    res.json({ success: true, message: 'Pay rule set updated' });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (sendAccessError(res, error)) return;
+    console.error('Error updating pay rule set:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Delete a pay rule set and its rules
+ * Priced shifts keep the rule names in penalty_breakdown.
+ *
+ * @route DELETE /api/system-admin/pay-rules/:id
+ */
+const deletePayRuleSet = async (req, res) => {
+  try {
+    const scope = getSessionScope(req);
+
+    const [result] = await db.execute(
+      'DELETE FROM pay_rule_sets WHERE id = ? AND business_code = ?',
+      [req.params.id, scope.business_code]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, error: 'Pay rule set not found' });
+    }
+
+    console.log(`[PAY RULES] 🗑️  Deleted rule set ${req.params.id}`);
+    res.json({ success: true, message: 'Pay rule set deleted' });
+  } catch (error) {
+    if (sendAccessError(res, error)) return;
+    console.error('Error deleting pay rule set:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+module.exports = {
+  getPayRuleSets,
+  createPayRuleSet,
+  updatePayRuleSet,
+  deletePayRuleSet
+};
@@ -1,8 +1,12 @@
 const db = require('../config/db');
+const { getSessionScope, sendAccessError } = require('../utils/accessHelper');
+const { priceShift, calculateCompleteShiftPay, validatePayRule, updateShiftPay } = require('../utils/payCalculator');
+const { attachBreaks } = require('../utils/shiftBreaks');
 
 /**
  * Get payroll summary for all staff with approved shifts
- * Groups by staff and shows total hours, pay, and shifts
+ * Groups by staff and shows total hours, pay, and shifts. Shifts flagged
+ * RATE_MISSING are left out until their rates are entered (see getPayrollNeedsAttention).
  *
  * @route GET /api/system-admin/payroll/staff
  * @query {string} from - Start date (YYYY-MM-DD)
@@ -13,37 +17,12 @@ const getPayrollStaffSummary = async (req, res) => {
     console.log('Fetching payroll summary with filters:', req.query);
 
     const { from, to } = req.query;
-    const { userContext } = req;
 
-    // Get business_code from query params (GET request) or authenticated user context
-    const business_code = req.query.business_code || userContext?.business_code;
+    // Business (and venue, for venue-scoped roles) comes from the session only
+    const scope = getSessionScope(req);
 
-    if (!business_code || business_code.trim() === '') {
-      console.warn('[Payroll] Missing business_code in request. userContext:', userContext);
-      return res.status(400).json({
-        success: false,
-        error: 'Missing business_code parameter'
-      });
-    }
-
-    // Validate business_code exists in database
-    const [checkBusiness] = await db.execute(
-      'SELECT business_code FROM businesses WHERE business_code = ? LIMIT 1',
-      [business_code]
-    );
-
-    if (!checkBusiness.length) {
-      console.warn('[Payroll] Invalid business_code value:', business_code);
-      return res.status(400).json({
-        success: false,
-        error: `Invalid business_code: ${business_code}`
-      });
-    }
-
-    console.log('[Payroll] ✅ Business validated:', business_code);
-
-    const params = [business_code];
-    let where = "t.clock_out IS NOT NULL AND t.approval_status = 'APPROVED' AND v.business_code = ?";
+    const params = [...scope.params];
+    let where = `t.clock_out IS NOT NULL AND t.approval_status = 'APPROVED' AND t.pay_status = 'OK' AND ${scope.conditions.join(' AND ')}`;
 
     if (from && from.trim() !== '') {
       where += ' AND DATE(t.clock_in) >= ?';
@@ -60,7 +39,11 @@ const getPayrollStaffSummary = async (req, res) => {
         CONCAT(s.first_name, ' ', s.last_name) AS name,
         COUNT(t.id) AS total_shifts,
         SUM(t.hours_worked) AS total_hours,
+        SUM(IFNULL(t.ordinary_hours, t.hours_worked)) AS ordinary_hours,
+        SUM(t.overtime_hours) AS overtime_hours,
         SUM(t.total_pay) AS total_pay,
+        SUM(t.overtime_pay) AS overtime_pay,
+        SUM(t.penalty_pay) AS penalty_pay,
         SUM(IFNULL(t.break_minutes, 0)) AS total_break_minutes
       FROM shifts t
       JOIN staff s ON s.staff_code = t.staff_code
@@ -77,6 +60,7 @@ const getPayrollStaffSummary = async (req, res) => {
     console.log('Query successful, returning', rows.length, 'rows');
     res.json({ success: true, data: rows });
   } catch (error) {
+    if (sendAccessError(res, error)) return;
     console.error('Error fetching payroll summary:', error.message);
     console.error('Full error:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -97,41 +81,16 @@ const getPayrollBreakdown = async (req, res) => {
     console.log('Fetching payroll breakdown with filters:', req.query);
 
     const { staff_code, from, to } = req.query;
-    const { userContext } = req;
 
     if (!staff_code) {
       return res.status(400).json({ success: false, error: 'staff_code is required' });
     }
 
-    // Get business_code from query params (GET request) or authenticated user context
-    const business_code = req.query.business_code || userContext?.business_code;
-
-    if (!business_code || business_code.trim() === '') {
-      console.warn('[Payroll Breakdown] Missing business_code in request. userContext:', userContext);
-      return res.status(400).json({
-        success: false,
-        error: 'Missing business_code parameter'
-      });
-    }
-
-    // Validate business_code exists in database
-    const [checkBusiness] = await db.execute(
-      'SELECT business_code FROM businesses WHERE business_code = ? LIMIT 1',
-      [business_code]
-    );
-
-    if (!checkBusiness.length) {
-      console.warn('[Payroll Breakdown] Invalid business_code value:', business_code);
-      return res.status(400).json({
-        success: false,
-        error: `Invalid business_code: ${business_code}`
-      });
-    }
-
-    console.log('[Payroll Breakdown] ✅ Business validated:', business_code);
+    // Business (and venue, for venue-scoped roles) comes from the session only
+    const scope = getSessionScope(req);
 
-    const params = [staff_code, business_code];
-    let where = "t.staff_code = ? AND t.clock_out IS NOT NULL AND t.approval_status = 'APPROVED' AND v.business_code = ?";
+    const params = [staff_code, ...scope.params];
+    let where = `t.staff_code = ? AND t.clock_out IS NOT NULL AND t.approval_status = 'APPROVED' AND t.pay_status = 'OK' AND ${scope.conditions.join(' AND ')}`;
 
     if (from && from.trim() !== '') {
       where += ' AND DATE(t.clock_in) >= ?';
@@ -144,12 +103,21 @@ const getPayrollBreakdown = async (req, res) => {
 
     const sql = `
       SELECT
+        t.id,
         DATE(t.clock_in) AS shift_date,
         TIME(t.clock_in) AS start_time,
         TIME(t.clock_out) AS end_time,
         t.break_minutes,
+        t.unpaid_break_minutes,
         t.hours_worked,
+        IFNULL(t.ordinary_hours, t.hours_worked) AS ordinary_hours,
+        t.overtime_hours,
         t.total_pay,
+        t.overtime_pay,
+        t.overtime_breakdown,
+        t.pay_segments,
+        t.penalty_pay,
+        t.penalty_breakdown,
         v.venue_name
       FROM shifts t
       JOIN venues v ON v.venue_code = t.venue_code
@@ -160,17 +128,229 @@ const getPayrollBreakdown = async (req, res) => {
     console.log('Executing SQL:', sql);
     console.log('With params:', params);
 
-    const [rows] = await db.execute(sql, params);
+    const [shifts] = await db.execute(sql, params);
+    const rows = await attachBreaks(db, shifts);
     console.log('Query successful, returning', rows.length, 'rows');
     res.json({ success: true, data: rows });
   } catch (error) {
+    if (sendAccessError(res, error)) return;
     console.error('Error fetching payroll breakdown:', error.message);
     console.error('Full error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 };
 
+/**
+ * Recompute pay for pending shifts in a pay period
+ * Re-prices each completed PENDING shift with the rates in effect on its date,
+ * the day type of each calendar day it covers, the venue's overtime rules and
+ * the business's pay rules. Shifts are processed in
+ * clock-in order so daily and weekly overtime accumulate the same way they do
+ * at clock-out; approved shifts are not changed but still count towards it.
+ *
+ * @route POST /api/system-admin/payroll/recompute
+ * @body {string} from - Start date (YYYY-MM-DD)
+ * @body {string} to - End date (YYYY-MM-DD)
+ * @body {string} staff_code - Optional, limit to one staff member
+ */
+const recomputePayPeriod = async (req, res) => {
+  let connection;
+  try {
+    const { from, to, staff_code } = req.body;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!datePattern.test(from || '') || !datePattern.test(to || '')) {
+      return res.status(400).json({ success: false, error: 'from and to are required (YYYY-MM-DD)' });
+    }
+    if (from > to) {
+      return res.status(400).json({ success: false, error: 'from must not be after to' });
+    }
+
+    // Business (and venue, for venue-scoped roles) comes from the session only
+    const scope = getSessionScope(req);
+
+    const params = [from, to, ...scope.params];
+    let where = `t.clock_out IS NOT NULL AND t.approval_status = 'PENDING'
+      AND DATE(t.clock_in) BETWEEN ? AND ? AND ${scope.conditions.join(' AND ')}`;
+
+    if (staff_code) {
+      where += ' AND t.staff_code = ?';
+      params.push(staff_code);
+    }
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const [shifts] = await connection.execute(`
+      SELECT t.id, t.staff_code, t.venue_code, t.clock_in, t.clock_out, t.unpaid_break_minutes,
+             t.total_pay, v.business_code
+      FROM shifts t
+      JOIN venues v ON v.venue_code = t.venue_code
+      WHERE ${where}
+      ORDER BY t.clock_in ASC
+      FOR UPDATE
+    `, params);
+
+    let changed = 0;
+    let rateMissing = 0;
+    let overtimeHours = 0;
+
+    for (const shift of shifts) {
+      const pay = await priceShift(connection, shift);
+
+      await updateShiftPay(connection, shift.id, pay);
+      if (pay.payStatus === 'RATE_MISSING') rateMissing++;
+
+      if (Number(shift.total_pay) !== pay.totalPay) changed++;
+      overtimeHours += pay.overtimeHours;
+    }
+
+    await connection.commit();
+
+    console.log(`[PAYROLL] 🔄 Recomputed ${shifts.length} shift(s) ${from}..${to}: ${changed} changed, ${rateMissing} missing rates, ${overtimeHours.toFixed(2)}h overtime`);
+    res.json({
+      success: true,
+      data: {
+        recomputed: shifts.length,
+        changed,
+        rate_missing: rateMissing,
+        overtime_hours: Number(overtimeHours.toFixed(2))
+      }
+    });
+  } catch (error) {
+    if (connection) await connection.rollback();
+    if (sendAccessError(res, error)) return;
+    console.error('Error recomputing pay period:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * List shifts held out of payroll because no pay rate covered them
+ * They are re-priced automatically when the staff member's rates are entered.
+ *
+ * @route GET /api/system-admin/payroll/needs-attention
+ */
+const getPayrollNeedsAttention = async (req, res) => {
+  try {
+    // Business (and venue, for venue-scoped roles) comes from the session only
+    const scope = getSessionScope(req);
+
+    const [rows] = await db.execute(`
+      SELECT
+        t.id,
+        t.staff_code,
+        CONCAT(s.first_name, ' ', s.last_name) AS name,
+        DATE(t.clock_in) AS shift_date,
+        t.clock_in,
+        t.clock_out,
+        t.hours_worked,
+        t.payday_type,
+        t.approval_status,
+        t.pay_status,
+        v.venue_name
+      FROM shifts t
+      JOIN staff s ON s.staff_code = t.staff_code
+      JOIN venues v ON v.venue_code = t.venue_code
+      WHERE t.pay_status = 'RATE_MISSING'
+        AND t.clock_out IS NOT NULL
+        AND t.approval_status <> 'DISCARDED'
+        AND ${scope.conditions.join(' AND ')}
+      ORDER BY s.first_name ASC, t.clock_in ASC
+    `, scope.params);
+
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    if (sendAccessError(res, error)) return;
+    console.error('Error fetching shifts needing attention:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Preview pay for a hypothetical shift (nothing is saved)
+ * Prices the shift exactly as clock-out would: per-day rates, overtime and the
+ * venue's pay rules. Send rules to try a draft rule set instead of the saved ones.
+ *
+ * @route POST /api/system-admin/payroll/preview
+ * @body {string} venue_code - Venue the shift is at
+ * @body {string} clock_in - ISO timestamp
+ * @body {string} clock_out - ISO timestamp
+ * @body {number} break_minutes - Optional unpaid break minutes (default 0)
+ * @body {string} staff_code - Optional, use this staff member's rates, employment type and prior hours
+ * @body {string} employment_type - Optional, overrides the staff member's
+ * @body {Object} rates - Optional, { weekday_rate, saturday_rate, ..., default_hours }
+ * @body {Array} rules - Optional, draft rules to evaluate instead of the venue's
+ */
+const previewShiftPay = async (req, res) => {
+  try {
+    const { venue_code, clock_in, clock_out, break_minutes = 0, staff_code, employment_type, rates, rules } = req.body;
+
+    const clockIn = new Date(clock_in);
+    const clockOut = new Date(clock_out);
+
+    if (!venue_code || isNaN(clockIn) || isNaN(clockOut)) {
+      return res.status(400).json({ success: false, error: 'venue_code, clock_in and clock_out are required' });
+    }
+    if (clockOut <= clockIn) {
+      return res.status(400).json({ success: false, error: 'clock_out must be after clock_in' });
+    }
+    if (!staff_code && !rates) {
+      return res.status(400).json({ success: false, error: 'Send a staff_code or rates to price against' });
+    }
+    if (rules !== undefined) {
+      const invalid = !Array.isArray(rules) ? 'rules must be a list' : rules.map(validatePayRule).find(Boolean);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+    }
+
+    // Business (and venue, for venue-scoped roles) comes from the session only
+    const scope = getSessionScope(req);
+
+    const [venues] = await db.execute(
+      `SELECT v.venue_code FROM venues v WHERE v.venue_code = ? AND ${scope.conditions.join(' AND ')} LIMIT 1`,
+      [venue_code, ...scope.params]
+    );
+    if (venues.length === 0) {
+      return res.status(404).json({ success: false, error: 'Venue not found' });
+    }
+
+    if (staff_code) {
+      const [staff] = await db.execute(
+        'SELECT staff_code FROM staff WHERE staff_code = ? AND business_code = ? LIMIT 1',
+        [staff_code, scope.business_code]
+      );
+      if (staff.length === 0) {
+        return res.status(404).json({ success: false, error: 'Staff member not found' });
+      }
+    }
+
+    const pay = await calculateCompleteShiftPay({
+      staffCode: staff_code || null,
+      venueCode: venue_code,
+      clockIn,
+      clockOut,
+      breakMinutes: Number(break_minutes) || 0,
+      rates: rates || undefined,
+      employmentType: employment_type || undefined,
+      rules
+    });
+
+    res.json({ success: true, data: pay });
+  } catch (error) {
+    if (sendAccessError(res, error)) return;
+    console.error('Error previewing shift pay:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
 module.exports = {
   getPayrollStaffSummary,
-  getPayrollBreakdown
+  getPayrollBreakdown,
+  recomputePayPeriod,
+  getPayrollNeedsAttention,
+  previewShiftPay
 };
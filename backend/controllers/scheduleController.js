@@ -4,6 +4,7 @@
  */
 
 const db = require('../config/db');
+const { getSessionScope, sendAccessError } = require('../utils/accessHelper');
 
 /**
  * Get user's schedule/shifts
@@ -21,6 +22,8 @@ exports.getUserSchedule = async (req, res) => {
       });
     }
 
+    const scope = getSessionScope(req);
+
     console.log('Fetching schedule for staff_code:', staff_code);
 
     // Query to get upcoming scheduled shifts (from rosters table)
@@ -39,9 +42,10 @@ exports.getUserSchedule = async (req, res) => {
        INNER JOIN venues v ON r.venue_code = v.venue_code
        WHERE r.staff_code = ?
          AND r.shift_date >= CURDATE()
+         AND ${scope.conditions.join(' AND ')}
        ORDER BY r.shift_date ASC, r.start_time ASC
        LIMIT 50`,
-      [staff_code]
+      [staff_code, ...scope.params]
     );
 
     console.log(`Found ${rows.length} upcoming scheduled shifts for ${staff_code}`);
@@ -53,6 +57,7 @@ exports.getUserSchedule = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendAccessError(res, error)) return;
     console.error('Error fetching schedule:', error);
     res.status(500).json({
       success: false,
@@ -80,6 +85,8 @@ exports.getScheduleByDateRange = async (req, res) => {
       });
     }
 
+    const scope = getSessionScope(req);
+
     console.log('Fetching schedule range:', { staff_code, start_date, end_date });
 
     const [rows] = await db.execute(
@@ -97,8 +104,9 @@ exports.getScheduleByDateRange = async (req, res) => {
        INNER JOIN venues v ON r.venue_code = v.venue_code
        WHERE r.staff_code = ?
          AND r.shift_date BETWEEN ? AND ?
+         AND ${scope.conditions.join(' AND ')}
        ORDER BY r.shift_date ASC, r.start_time ASC`,
-      [staff_code, start_date, end_date]
+      [staff_code, start_date, end_date, ...scope.params]
     );
 
     res.json({
@@ -109,6 +117,7 @@ exports.getScheduleByDateRange = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendAccessError(res, error)) return;
     console.error('Error fetching schedule range:', error);
     res.status(500).json({
       success: false,
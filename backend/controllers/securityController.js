@@ -0,0 +1,100 @@
+/**
+ * Security Controller
+ * Lockout list and unlock for brute-force protection (see utils/loginThrottle.js)
+ */
+
+const db = require('../config/db');
+const throttle = require('../utils/loginThrottle');
+const { getDataScope } = require('../utils/permissions');
+
+/**
+ * Build a predicate limiting lockout records to the caller's scope
+ * System admins see their business; managers see their venue only.
+ * Records with no business or venue (e.g. unknown-email IP lockouts) are not
+ * visible here and expire on their own.
+ *
+ * @param {Object} userContext - From authMiddleware
+ * @returns {Promise<Function>} record => boolean
+ */
+async function buildScopeFilter(userContext) {
+  const { access_level, business_code, venue_code } = userContext;
+
+  if (getDataScope(access_level) !== 'business') {
+    return record => Boolean(venue_code) && record.venue_code === venue_code;
+  }
+
+  const [venues] = await db.execute(
+    'SELECT venue_code FROM venues WHERE business_code = ?',
+    [business_code]
+  );
+  const venueCodes = new Set(venues.map(v => v.venue_code));
+
+  return record =>
+    (record.business_code && record.business_code === business_code) ||
+    (record.venue_code && venueCodes.has(record.venue_code));
+}
+
+/**
+ * List active lockouts visible to the caller
+ * @route GET /api/system-admin/security/lockouts
+ */
+exports.getLockouts = async (req, res) => {
+  try {
+    const inScope = await buildScopeFilter(req.userContext);
+    const lockouts = (await throttle.listLockouts()).filter(inScope);
+
+    res.json({
+      success: true,
+      count: lockouts.length,
+      data: lockouts
+    });
+  } catch (err) {
+    console.error('Error fetching lockouts:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lockouts'
+    });
+  }
+};
+
+/**
+ * Clear a lockout
+ * @route POST /api/system-admin/security/lockouts/unlock
+ * @body {string} key - Lockout key from GET /lockouts
+ */
+exports.unlockLockout = async (req, res) => {
+  try {
+    const { key } = req.body;
+
+    if (!key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing lockout key'
+      });
+    }
+
+    const record = await throttle.getRecord(key);
+    const inScope = await buildScopeFilter(req.userContext);
+
+    if (!record || !inScope(record)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lockout not found'
+      });
+    }
+
+    await throttle.unlock(key);
+    console.log(`[SECURITY] 🔓 ${req.userContext.staff_code || req.userContext.user_id} unlocked ${key}`);
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared'
+    });
+  } catch (err) {
+    console.error('Error clearing lockout:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear lockout'
+    });
+  }
+};
@@ -1,11 +1,31 @@
-const { buildAccessFilter, verifyStaffAccess } = require('../utils/accessHelper');
+const { buildAccessFilter, verifyStaffAccess, sendAccessError } = require('../utils/accessHelper');
 const { success, error } = require('../utils/response');
+const { hashPassword } = require('../utils/password');
+const { generatePin, hashPin } = require('../utils/kioskPin');
+const { canAssignAccessLevel, outranks, getDataScope, hasPermission } = require('../utils/permissions');
+const { RATE_FIELDS, RateChangeError, staffToday, listRates, scheduleRateChange, cancelScheduledRate } = require('../utils/payRates');
+const { repriceRateMissingShifts, repriceRatePeriod } = require('../utils/payCalculator');
 
 /**
  * Staff Controller
  * Contains business logic for staff management operations
  */
 
+/**
+ * buildAccessFilter for handlers that build their query before the try block
+ * Sends the 403 itself when the session has no business (or venue)
+ *
+ * @returns {Object|null} { conditions, params }, or null once the response is sent
+ */
+function accessFilterOrReject(res, userContext, filters) {
+  try {
+    return buildAccessFilter(userContext, filters);
+  } catch (err) {
+    if (sendAccessError(res, err)) return null;
+    throw err;
+  }
+}
+
 /**
  * Get all venues accessible to the user
  * GET /api/system-admin/staff/venues
@@ -36,7 +56,11 @@ exports.getVenues = async (req, res) => {
       venue_name,
       venue_address,
       state,
-      status
+      status,
+      paid_break_types,
+      paid_break_max_minutes,
+      auto_close_mode,
+      auto_close_hours
     FROM venues
     WHERE status = 'active'
   `;
@@ -94,7 +118,9 @@ exports.getStaffList = async (req, res) => {
   const sort = buildSort(req, allowedSortFields, 'created_at', 'desc');
 
   // Build access filter based on user role
-  const { conditions, params } = buildAccessFilter(userContext, { venue_code, status });
+  const access = accessFilterOrReject(res, userContext, { venue_code, status });
+  if (!access) return;
+  const { conditions, params } = access;
 
   console.log(`[GET /staff] 🔐 Access conditions:`, conditions);
   console.log(`[GET /staff] 📄 Pagination: page=${page}, limit=${limit}, offset=${offset}`);
@@ -170,7 +196,9 @@ exports.getStaffDetails = async (req, res) => {
   const { userContext } = req;
 
   // Build access filter to ensure user can only access staff they have permission for
-  const { conditions, params } = buildAccessFilter(userContext);
+  const access = accessFilterOrReject(res, userContext);
+  if (!access) return;
+  const { conditions, params } = access;
 
   const query = `
     SELECT
@@ -179,7 +207,7 @@ exports.getStaffDetails = async (req, res) => {
       b.business_name,
       u.email,
       u.access_level,
-      u.kiosk_pin,
+      (u.kiosk_pin_hash IS NOT NULL OR u.kiosk_pin IS NOT NULL) AS has_kiosk_pin,
       pr.weekday_rate,
       pr.saturday_rate,
       pr.sunday_rate,
@@ -195,6 +223,7 @@ exports.getStaffDetails = async (req, res) => {
     LEFT JOIN businesses b ON s.business_code = b.business_code
     LEFT JOIN users u ON s.staff_code = u.staff_code
     LEFT JOIN pay_rates pr ON s.staff_code = pr.staff_code
+      AND pr.effective_from <= CURDATE() AND (pr.effective_to IS NULL OR pr.effective_to >= CURDATE())
     LEFT JOIN staff_compliance sc ON s.staff_code = sc.staff_code
     WHERE s.staff_code = ? AND ${conditions.join(' AND ')}
   `;
@@ -220,11 +249,10 @@ exports.getStaffDetails = async (req, res) => {
  * POST /api/system-admin/staff
  */
 exports.addStaff = async (req, res) => {
-  const crypto = require('crypto');
   const db = require('../config/db');
   let connection;
 
-  console.log(`[POST /staff] 📥 Request body:`, JSON.stringify(req.body, null, 2));
+  console.log(`[POST /staff] 📥 Request body:`, JSON.stringify({ ...req.body, password: req.body.password ? '[redacted]' : undefined }, null, 2));
 
   try {
     const {
@@ -244,8 +272,30 @@ exports.addStaff = async (req, res) => {
       return error(res, 400, 'Missing required fields');
     }
 
-    // Generate kiosk PIN
-    const generateKioskPin = () => crypto.randomInt(100000, 999999).toString();
+    // Staff can only be created inside the caller's own business (and venue, for venue-scoped roles)
+    const scope = getDataScope(req.userContext.access_level);
+    if (scope !== 'platform' && business_code !== req.userContext.business_code) {
+      console.log(`[POST /staff] ❌ ${req.userContext.business_code} user tried to create staff in ${business_code}`);
+      return error(res, 403, 'Access denied to another business');
+    }
+    if (scope === 'venue' && venue_code !== req.userContext.venue_code) {
+      console.log(`[POST /staff] ❌ ${req.userContext.venue_code} user tried to create staff at ${venue_code}`);
+      return error(res, 403, 'Access denied to another venue');
+    }
+
+    // Callers can only create staff at access levels the permission matrix lets them assign
+    const newAccessLevel = access_level || 'employee';
+    if (!canAssignAccessLevel(req.userContext.access_level, newAccessLevel)) {
+      console.log(`[POST /staff] ❌ ${req.userContext.access_level} cannot assign access level ${newAccessLevel}`);
+      return error(res, 403, `You cannot create staff with access level ${newAccessLevel}`);
+    }
+
+    // Hash the login password before it touches the database
+    const password_hash = await hashPassword(password);
+
+    // Generate kiosk PIN - only the hash is stored, the PIN is returned once below
+    const kiosk_pin = generatePin();
+    const { hash: kiosk_pin_hash, salt: kiosk_pin_salt, syncKey: kiosk_sync_key } = await hashPin(kiosk_pin);
 
     // Verify venue belongs to the specified business
     console.log(`[POST /staff] 🔍 Validating venue ${venue_code} belongs to business ${business_code}`);
@@ -293,12 +343,14 @@ exports.addStaff = async (req, res) => {
     const [staffResult] = await connection.execute(staffQuery, staffValues);
     console.log(`[POST /staff] ✅ Staff record inserted:`, staffResult);
 
-    // 2. Insert into pay_rates table
+    // 2. Insert into pay_rates table (first rate period starts on the start date, or today at the venue)
+    const today = await staffToday(connection, staff_code);
+    const ratesEffectiveFrom = start_date && start_date < today ? start_date : today;
     const payRatesQuery = `
       INSERT INTO pay_rates (
         staff_code, weekday_rate, saturday_rate, sunday_rate,
-        public_holiday_rate, overtime_rate, default_hours
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        public_holiday_rate, overtime_rate, default_hours, effective_from, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const payRatesValues = [
@@ -308,7 +360,9 @@ exports.addStaff = async (req, res) => {
       sunday_rate || 0,
       public_holiday_rate || 0,
       overtime_rate || 0,
-      default_hours || 38
+      default_hours || 38,
+      ratesEffectiveFrom,
+      req.userContext.user_id || null
     ];
 
     console.log(`[POST /staff] 🧾 Executing pay rates insert:`, payRatesValues);
@@ -332,44 +386,19 @@ exports.addStaff = async (req, res) => {
       console.log(`[POST /staff] ⚠️  No banking details provided, skipping`);
     }
 
-    // 4. Insert into users table with unique PIN retry
-    let userInserted = false;
-    let kiosk_pin;
-    let userResult;
-    let attemptCount = 0;
-
-    while (!userInserted && attemptCount < 5) {
-      try {
-        kiosk_pin = generateKioskPin();
-        console.log(`[POST /staff] 🧾 Attempting user insert with PIN: ${kiosk_pin} (attempt ${attemptCount + 1})`);
-
-        const userQuery = `
-          INSERT INTO users (
-            staff_code, email, password_hash, access_level, kiosk_pin, status
-          ) VALUES (?, ?, ?, ?, ?, 'active')
-        `;
-
-        [userResult] = await connection.execute(userQuery, [
-          staff_code, email, password, access_level, kiosk_pin
-        ]);
-
-        console.log(`[POST /staff] ✅ User record inserted:`, userResult);
-        console.log(`[POST /staff] ✅ User account created with PIN: ${kiosk_pin}`);
-        userInserted = true;
-
-      } catch (userErr) {
-        if (userErr.code === 'ER_DUP_ENTRY' && userErr.message.includes('kiosk_pin')) {
-          console.log(`[POST /staff] ⚠️  PIN collision, retrying... (attempt ${attemptCount + 1})`);
-          attemptCount++;
-        } else {
-          throw userErr; // Re-throw other errors
-        }
-      }
-    }
+    // 4. Insert into users table
+    const userQuery = `
+      INSERT INTO users (
+        staff_code, email, password_hash, access_level, kiosk_pin_hash, kiosk_pin_salt, kiosk_sync_key, status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'active')
+    `;
 
-    if (!userInserted) {
-      throw new Error('Failed to generate unique kiosk PIN after 5 attempts');
-    }
+    const [userResult] = await connection.execute(userQuery, [
+      staff_code, email, password_hash, newAccessLevel, kiosk_pin_hash, kiosk_pin_salt, kiosk_sync_key
+    ]);
+
+    console.log(`[POST /staff] ✅ User record inserted:`, userResult);
+    console.log(`[POST /staff] ✅ User account created with hashed kiosk PIN`);
 
     // Commit transaction
     console.log(`[POST /staff] 🔄 Committing transaction...`);
@@ -389,7 +418,7 @@ exports.addStaff = async (req, res) => {
       user: { user_id: userResult.insertId, email, kiosk_pin }
     };
 
-    console.log(`[POST /staff] ✅ Sending response:`, JSON.stringify(response, null, 2));
+    console.log(`[POST /staff] ✅ Sending response for ${staff_code} (kiosk PIN redacted)`);
     return success(res, response);
 
   } catch (err) {
@@ -426,12 +455,649 @@ exports.addStaff = async (req, res) => {
   }
 };
 
-exports.updateStaff = (req, res) => {
-  // TODO: Implement full update staff logic with transactions
-  error(res, 501, "Update staff not yet implemented in controller");
+// Columns PUT /staff/:staff_code may change, grouped by table
+// Fields missing from the body (undefined) are left untouched
+const STAFF_UPDATE_FIELDS = [
+  'first_name', 'middle_name', 'last_name', 'phone_number', 'role_title',
+  'employment_status', 'employment_type', 'start_date', 'venue_code'
+];
+const PAY_RATE_FIELDS = [
+  'weekday_rate', 'saturday_rate', 'sunday_rate', 'public_holiday_rate', 'overtime_rate', 'default_hours'
+];
+const COMPLIANCE_FIELDS = ['account_holder_name', 'bank_name', 'bank_bsb', 'bank_account_number'];
+
+/**
+ * Pick the fields present in the request body
+ * @param {Object} body - req.body
+ * @param {string[]} fields - Allowed field names
+ * @returns {Object} Only the fields that were sent
+ */
+function pickProvided(body, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) {
+      picked[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return picked;
+}
+
+/**
+ * Update staff member (partial update)
+ * PUT /api/system-admin/staff/:staff_code
+ *
+ * Only fields present in the body are changed. staff, pay_rates,
+ * staff_compliance and users are updated in one transaction.
+ * - Changing pay rates requires staff.edit_rates and starts a new rate period
+ *   today (utils/payRates.js); use POST /staff/:staff_code/pay-rates to
+ *   schedule a future change
+ * - access_level must be assignable by the caller (canAssignAccessLevel)
+ * - password, kiosk_pin, email and access_level of another user need a strictly
+ *   higher access level than theirs (outranks); changing password, email or
+ *   access_level signs the user out everywhere
+ * - venue_code must belong to the staff member's business, and the staff
+ *   member must not have an open shift at their current venue
+ * - password and kiosk_pin are hashed; kiosk_pin must be 6 digits
+ */
+exports.updateStaff = async (req, res) => {
+  const db = require('../config/db');
+  const cache = require('../utils/cache');
+  const { revokeAllForUser } = require('../utils/session');
+  const { staff_code } = req.params;
+  const { userContext } = req;
+  const body = req.body || {};
+  let connection;
+
+  console.log(`[PUT /staff/${staff_code}] 📥 Fields:`, Object.keys(body).filter(k => body[k] !== undefined));
+
+  const staffUpdates = pickProvided(body, STAFF_UPDATE_FIELDS);
+  const rateUpdates = pickProvided(body, PAY_RATE_FIELDS);
+  const complianceUpdates = pickProvided(body, COMPLIANCE_FIELDS);
+  const { email, access_level, password, kiosk_pin } = body;
+
+  // Rates sent as null/NaN by the edit form mean "unchanged", not zero
+  Object.keys(rateUpdates).forEach(field => {
+    if (rateUpdates[field] === null) {
+      delete rateUpdates[field];
+      return;
+    }
+    const value = Number(rateUpdates[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      rateUpdates[field] = NaN;
+    } else {
+      rateUpdates[field] = value;
+    }
+  });
+
+  const invalidRate = Object.keys(rateUpdates).find(field => Number.isNaN(rateUpdates[field]));
+  if (invalidRate) {
+    return error(res, 400, `${invalidRate} must be a non-negative number`);
+  }
+
+  // Termination disables logins and PINs, so it only happens through the offboarding flow
+  if (staffUpdates.employment_status === 'terminated') {
+    return error(res, 400, 'Use POST /staff/:staff_code/terminate to offboard staff');
+  }
+
+  for (const field of ['first_name', 'last_name']) {
+    if (field in staffUpdates && !staffUpdates[field]) {
+      return error(res, 400, `${field} cannot be empty`);
+    }
+  }
+
+  if (email !== undefined && (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email))) {
+    return error(res, 400, 'Invalid email address');
+  }
+
+  if (kiosk_pin && !/^\d{6}$/.test(String(kiosk_pin))) {
+    return error(res, 400, 'Kiosk PIN must be 6 digits');
+  }
+
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    // Lock the staff row (and confirm the caller can see it) before reading anything else
+    const { conditions, params } = buildAccessFilter(userContext);
+    const [rows] = await connection.execute(`
+      SELECT s.staff_code, s.business_code, s.venue_code,
+             u.id AS user_id, u.email, u.access_level,
+             pr.id AS pay_rate_id, pr.weekday_rate, pr.saturday_rate, pr.sunday_rate,
+             pr.public_holiday_rate, pr.overtime_rate, pr.default_hours,
+             sc.id AS compliance_id
+      FROM staff s
+      LEFT JOIN users u ON s.staff_code = u.staff_code
+      LEFT JOIN pay_rates pr ON s.staff_code = pr.staff_code
+        AND pr.effective_from <= CURDATE() AND (pr.effective_to IS NULL OR pr.effective_to >= CURDATE())
+      LEFT JOIN staff_compliance sc ON s.staff_code = sc.staff_code
+      WHERE s.staff_code = ? AND ${conditions.join(' AND ')}
+      LIMIT 1
+      FOR UPDATE
+    `, [staff_code, ...params]);
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return error(res, 404, 'Staff not found or access denied');
+    }
+
+    const current = rows[0];
+
+    // Editing someone above your own level would let you take over their account
+    if (current.access_level && !canAssignAccessLevel(userContext.access_level, current.access_level)) {
+      await connection.rollback();
+      console.log(`[PUT /staff/${staff_code}] ❌ ${userContext.access_level} cannot edit ${current.access_level}`);
+      return error(res, 403, `You cannot edit staff with access level ${current.access_level}`);
+    }
+
+    // So would resetting a peer's login or PIN: another user's credentials and
+    // access level need a strictly higher level (your own credentials are fine)
+    const changesCredentials = Boolean(password) || Boolean(kiosk_pin) ||
+      (email !== undefined && email !== current.email) ||
+      (access_level !== undefined && access_level !== current.access_level);
+    if (changesCredentials && current.access_level && staff_code !== userContext.staff_code &&
+        !outranks(userContext.access_level, current.access_level)) {
+      await connection.rollback();
+      console.log(`[PUT /staff/${staff_code}] ❌ ${userContext.access_level} cannot change credentials of ${current.access_level}`);
+      return error(res, 403, `You cannot change the login, PIN or access level of staff with access level ${current.access_level}`);
+    }
+
+    if (access_level !== undefined && access_level !== current.access_level &&
+        !canAssignAccessLevel(userContext.access_level, access_level)) {
+      await connection.rollback();
+      return error(res, 403, `You cannot assign access level ${access_level}`);
+    }
+
+    // The edit form always sends every rate, so only real changes need the rates permission
+    const changedRates = Object.keys(rateUpdates).filter(field =>
+      current.pay_rate_id === null || Number(current[field]) !== rateUpdates[field]
+    );
+    if (changedRates.length > 0 && !hasPermission(userContext.access_level, 'staff.edit_rates')) {
+      await connection.rollback();
+      console.log(`[PUT /staff/${staff_code}] ❌ ${userContext.access_level} cannot change rates:`, changedRates);
+      return error(res, 403, 'You do not have permission to change pay rates');
+    }
+
+    // Venue reassignment
+    if (staffUpdates.venue_code !== undefined && staffUpdates.venue_code !== current.venue_code) {
+      if (!staffUpdates.venue_code) {
+        await connection.rollback();
+        return error(res, 400, 'venue_code cannot be empty');
+      }
+
+      if (getDataScope(userContext.access_level) === 'venue') {
+        await connection.rollback();
+        return error(res, 403, 'Access denied to another venue');
+      }
+
+      const [venueCheck] = await connection.execute(
+        "SELECT 1 FROM venues WHERE venue_code = ? AND business_code = ? AND status = 'active' LIMIT 1",
+        [staffUpdates.venue_code, current.business_code]
+      );
+      if (venueCheck.length === 0) {
+        await connection.rollback();
+        return error(res, 400, 'Venue does not belong to the staff member\'s business');
+      }
+
+      const [openShifts] = await connection.execute(
+        "SELECT id FROM shifts WHERE staff_code = ? AND venue_code = ? AND shift_state IN ('ACTIVE', 'ON_BREAK') LIMIT 1",
+        [staff_code, current.venue_code]
+      );
+      if (openShifts.length > 0) {
+        await connection.rollback();
+        return error(res, 409, 'Staff member has an open shift at their current venue. Clock them out first.');
+      }
+
+      console.log(`[PUT /staff/${staff_code}] 🔀 Moving venue ${current.venue_code} → ${staffUpdates.venue_code}`);
+    } else {
+      delete staffUpdates.venue_code;
+    }
+
+    // Email must stay unique across users
+    if (email !== undefined && email !== current.email) {
+      const [emailCheck] = await connection.execute(
+        'SELECT id FROM users WHERE email = ? AND id <> ? LIMIT 1',
+        [email, current.user_id || 0]
+      );
+      if (emailCheck.length > 0) {
+        await connection.rollback();
+        return error(res, 409, 'Email already exists');
+      }
+    }
+
+    const updated = [];
+
+    // 1. staff
+    if (Object.keys(staffUpdates).length > 0) {
+      const columns = Object.keys(staffUpdates);
+      await connection.execute(
+        `UPDATE staff SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE staff_code = ?`,
+        [...columns.map(c => staffUpdates[c]), staff_code]
+      );
+      updated.push('staff');
+    }
+
+    // 2. pay_rates - a rate change starts a new period today so earlier shifts keep their rate;
+    //    shifts already worked today are re-priced with it (refused if any is approved).
+    //    A staff member's first rates cover every shift already worked (they are RATE_MISSING).
+    let repriced = null;
+    let repricedPeriod = null;
+    if (changedRates.length > 0) {
+      const changes = {};
+      changedRates.forEach(field => { changes[field] = rateUpdates[field]; });
+
+      const [[{ periods }]] = await connection.execute(
+        'SELECT COUNT(*) AS periods FROM pay_rates WHERE staff_code = ?',
+        [staff_code]
+      );
+      const effectiveFrom = Number(periods) === 0 ? '1970-01-01' : await staffToday(connection, staff_code);
+
+      const period = await scheduleRateChange(connection, staff_code, changes, effectiveFrom, userContext.user_id || null);
+      repricedPeriod = await repriceRatePeriod(connection, staff_code, period);
+      repriced = await repriceRateMissingShifts(connection, staff_code);
+      updated.push('pay_rates');
+    }
+
+    // 3. staff_compliance (banking details)
+    if (Object.keys(complianceUpdates).length > 0) {
+      const columns = Object.keys(complianceUpdates);
+      if (current.compliance_id === null) {
+        if (columns.some(c => complianceUpdates[c])) {
+          await connection.execute(
+            `INSERT INTO staff_compliance (staff_code, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+            [staff_code, ...columns.map(c => complianceUpdates[c])]
+          );
+          updated.push('staff_compliance');
+        }
+      } else {
+        await connection.execute(
+          `UPDATE staff_compliance SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE staff_code = ?`,
+          [...columns.map(c => complianceUpdates[c]), staff_code]
+        );
+        updated.push('staff_compliance');
+      }
+    }
+
+    // 4. users (login and kiosk credentials)
+    const userUpdates = {};
+    if (email !== undefined && email !== current.email) userUpdates.email = email;
+    if (access_level !== undefined && access_level !== current.access_level) userUpdates.access_level = access_level;
+    if (password) userUpdates.password_hash = await hashPassword(password);
+    if (kiosk_pin) {
+      const { hash, salt, syncKey } = await hashPin(kiosk_pin);
+      userUpdates.kiosk_pin_hash = hash;
+      userUpdates.kiosk_pin_salt = salt;
+      userUpdates.kiosk_sync_key = syncKey;
+      userUpdates.kiosk_pin = null;
+    }
+
+    if (Object.keys(userUpdates).length > 0) {
+      if (!current.user_id) {
+        await connection.rollback();
+        return error(res, 409, 'Staff member has no user account to update');
+      }
+      const columns = Object.keys(userUpdates);
+      await connection.execute(
+        `UPDATE users SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(c => userUpdates[c]), current.user_id]
+      );
+      updated.push('users');
+    }
+
+    await connection.commit();
+    console.log(`[PUT /staff/${staff_code}] ✅ Updated:`, updated.length ? updated.join(', ') : 'nothing changed');
+
+    // Old sessions and refresh tokens must not outlive a password reset, email change or demotion
+    let sessionsRevoked = 0;
+    if (userUpdates.password_hash || userUpdates.email || userUpdates.access_level) {
+      sessionsRevoked = await revokeAllForUser(current.user_id);
+      console.log(`[PUT /staff/${staff_code}] 🔒 Revoked ${sessionsRevoked} session(s)`);
+    }
+
+    // Kiosks cache the staff list (names, PIN hashes) per venue
+    if (updated.length > 0) {
+      cache.invalidate('staff:');
+      cache.invalidate('kiosk:staff:');
+      console.log(`[PUT /staff/${staff_code}] 💾 Invalidated staff caches`);
+    }
+
+    return success(res, {
+      message: updated.length ? 'Staff member updated successfully' : 'No changes',
+      staff_code,
+      updated,
+      ...(repriced && { repriced_shifts: repriced }),
+      ...(repricedPeriod && { repriced_period_shifts: repricedPeriod }),
+      ...(sessionsRevoked > 0 && { sessions_revoked: sessionsRevoked })
+    });
+
+  } catch (err) {
+    console.error(`[PUT /staff/${staff_code}] ❌ Error:`, err.message);
+
+    if (connection) {
+      await connection.rollback();
+    }
+    if (sendAccessError(res, err)) return;
+    if (err instanceof RateChangeError) {
+      return error(res, err.statusCode, err.message);
+    }
+
+    if (err.code === 'ER_DUP_ENTRY' && err.message.includes('email')) {
+      return error(res, 409, 'Email already exists');
+    }
+
+    return error(res, 500, 'Failed to update staff member');
+
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+/**
+ * Terminate (offboard) a staff member
+ * POST /api/system-admin/staff/:staff_code/terminate
+ * DELETE /api/system-admin/staff/:staff_code (same behaviour - staff are never hard deleted)
+ *
+ * Body: { reason, end_date? (YYYY-MM-DD, defaults to today) }
+ *
+ * Sets employment_status = 'terminated', disables the users row and kiosk PIN
+ * and revokes login sessions. Shifts, pay rates and banking details are kept.
+ * Refused while the staff member has an ACTIVE or ON_BREAK shift. The response
+ * reports completed shifts still awaiting approval so they can be paid out, and
+ * separately the RATE_MISSING shifts whose pay (counted as $0) is still unknown.
+ */
+exports.terminateStaff = async (req, res) => {
+  const db = require('../config/db');
+  const cache = require('../utils/cache');
+  const { revokeAllForUser } = require('../utils/session');
+  const { staff_code } = req.params;
+  const { userContext } = req;
+  const { reason } = req.body || {};
+  const end_date = (req.body && req.body.end_date) || new Date().toISOString().slice(0, 10);
+  let connection;
+
+  if (!reason || !String(reason).trim()) {
+    return error(res, 400, 'A termination reason is required');
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(end_date) || Number.isNaN(Date.parse(end_date))) {
+    return error(res, 400, 'end_date must be YYYY-MM-DD');
+  }
+
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    const { conditions, params } = buildAccessFilter(userContext);
+    const [rows] = await connection.execute(`
+      SELECT s.staff_code, s.employment_status, u.id AS user_id, u.access_level,
+             (s.start_date IS NOT NULL AND s.start_date > ?) AS ends_before_start
+      FROM staff s
+      LEFT JOIN users u ON s.staff_code = u.staff_code
+      WHERE s.staff_code = ? AND ${conditions.join(' AND ')}
+      LIMIT 1
+      FOR UPDATE
+    `, [end_date, staff_code, ...params]);
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return error(res, 404, 'Staff not found or access denied');
+    }
+
+    const staff = rows[0];
+
+    if (staff.access_level && !canAssignAccessLevel(userContext.access_level, staff.access_level)) {
+      await connection.rollback();
+      return error(res, 403, `You cannot terminate staff with access level ${staff.access_level}`);
+    }
+
+    if (staff.employment_status === 'terminated') {
+      await connection.rollback();
+      return error(res, 409, 'Staff member is already terminated');
+    }
+
+    if (staff.ends_before_start) {
+      await connection.rollback();
+      return error(res, 400, 'end_date cannot be before the start date');
+    }
+
+    // A shift in progress must be clocked out (and paid) before offboarding
+    const [openShifts] = await connection.execute(
+      "SELECT id, shift_state FROM shifts WHERE staff_code = ? AND shift_state IN ('ACTIVE', 'ON_BREAK') LIMIT 1 FOR UPDATE",
+      [staff_code]
+    );
+    if (openShifts.length > 0) {
+      await connection.rollback();
+      return error(res, 409, `Staff member has an open shift (${openShifts[0].shift_state}). Clock them out first.`);
+    }
+
+    await connection.execute(`
+      UPDATE staff
+      SET employment_status = 'terminated', end_date = ?, termination_reason = ?,
+          terminated_at = NOW(), terminated_by = ?
+      WHERE staff_code = ?
+    `, [end_date, String(reason).trim().slice(0, 255), userContext.user_id || null, staff_code]);
+
+    if (staff.user_id) {
+      await connection.execute(`
+        UPDATE users
+        SET status = 'inactive', kiosk_pin_hash = NULL, kiosk_pin_salt = NULL, kiosk_sync_key = NULL, kiosk_pin = NULL
+        WHERE id = ?
+      `, [staff.user_id]);
+    }
+
+    // Completed shifts nobody has approved yet still need to be paid. RATE_MISSING
+    // shifts carry total_pay = 0, so they are reported by hours, approved or not
+    const [[outstanding]] = await connection.execute(`
+      SELECT
+        IFNULL(SUM(approval_status = 'PENDING'), 0) AS shifts,
+        IFNULL(SUM(CASE WHEN approval_status = 'PENDING' THEN hours_worked END), 0) AS hours,
+        IFNULL(SUM(CASE WHEN approval_status = 'PENDING' THEN total_pay END), 0) AS pay,
+        IFNULL(SUM(pay_status = 'RATE_MISSING'), 0) AS rate_missing_shifts,
+        IFNULL(SUM(CASE WHEN pay_status = 'RATE_MISSING' THEN hours_worked END), 0) AS rate_missing_hours
+      FROM shifts
+      WHERE staff_code = ? AND clock_out IS NOT NULL AND approval_status <> 'DISCARDED'
+    `, [staff_code]);
+
+    await connection.commit();
+
+    const sessionsRevoked = staff.user_id ? await revokeAllForUser(staff.user_id) : 0;
+    cache.invalidate('staff:');
+    cache.invalidate('kiosk:staff:');
+
+    console.log(`[TERMINATE /staff/${staff_code}] ✅ Terminated by ${userContext.staff_code || userContext.user_id} (end ${end_date}, ${outstanding.shifts} unapproved shifts, ${outstanding.rate_missing_shifts} without pay rates, ${sessionsRevoked} sessions revoked)`);
+
+    return success(res, {
+      message: 'Staff member terminated',
+      staff_code,
+      end_date,
+      outstanding: {
+        unapproved_shifts: Number(outstanding.shifts),
+        unapproved_hours: Number(outstanding.hours),
+        unapproved_pay: Number(outstanding.pay),
+        rate_missing_shifts: Number(outstanding.rate_missing_shifts),
+        rate_missing_hours: Number(outstanding.rate_missing_hours)
+      }
+    });
+
+  } catch (err) {
+    console.error(`[TERMINATE /staff/${staff_code}] ❌ Error:`, err.message);
+    if (connection) {
+      await connection.rollback();
+    }
+    if (sendAccessError(res, err)) return;
+    return error(res, 500, 'Failed to terminate staff member');
+
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+/**
+ * Check the caller can reach a staff member (same rules as GET /staff/:staff_code)
+ * @returns {Promise<boolean>}
+ */
+async function staffInScope(conn, staffCode, userContext) {
+  const { conditions, params } = buildAccessFilter(userContext);
+  const [rows] = await conn.execute(
+    `SELECT 1 FROM staff s WHERE s.staff_code = ? AND ${conditions.join(' AND ')} LIMIT 1`,
+    [staffCode, ...params]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * List a staff member's pay rate periods (past, current and scheduled)
+ * GET /api/system-admin/staff/:staff_code/pay-rates
+ */
+exports.getPayRates = async (req, res) => {
+  const db = require('../config/db');
+  const { staff_code } = req.params;
+
+  try {
+    if (!(await staffInScope(db, staff_code, req.userContext))) {
+      return error(res, 404, 'Staff not found or access denied');
+    }
+
+    const today = await staffToday(db, staff_code);
+    const periods = (await listRates(staff_code)).map(p => ({
+      ...p,
+      status: p.effective_from > today ? 'scheduled' : (p.effective_to && p.effective_to < today ? 'past' : 'current')
+    }));
+
+    return success(res, periods);
+  } catch (err) {
+    console.error(`[GET /staff/${staff_code}/pay-rates] ❌ Error:`, err.message);
+    if (sendAccessError(res, err)) return;
+    return error(res, 500, 'Failed to fetch pay rates');
+  }
 };
 
-exports.deleteStaff = (req, res) => {
-  // TODO: Implement full delete staff logic
-  error(res, 501, "Delete staff not yet implemented in controller");
+/**
+ * Schedule a pay rate change
+ * POST /api/system-admin/staff/:staff_code/pay-rates
+ *
+ * Body: { effective_from (YYYY-MM-DD, today or later at the staff member's venue), weekday_rate?, saturday_rate?,
+ *         sunday_rate?, public_holiday_rate?, overtime_rate?, default_hours? }
+ * Rates left out are carried over from the period being replaced. Shifts
+ * before effective_from keep the rate they were worked under; shifts already
+ * worked on effective_from (today) are re-priced, and the change is refused
+ * with 409 if any of them is approved.
+ */
+exports.schedulePayRate = async (req, res) => {
+  const db = require('../config/db');
+  const cache = require('../utils/cache');
+  const { staff_code } = req.params;
+  const { effective_from } = req.body || {};
+  let connection;
+
+  if (!effective_from || !/^\d{4}-\d{2}-\d{2}$/.test(effective_from) || Number.isNaN(Date.parse(effective_from))) {
+    return error(res, 400, 'effective_from must be YYYY-MM-DD');
+  }
+
+  const rates = {};
+  for (const field of RATE_FIELDS) {
+    const value = req.body[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (!Number.isFinite(Number(value)) || Number(value) < 0) {
+      return error(res, 400, `${field} must be a non-negative number`);
+    }
+    rates[field] = Number(value);
+  }
+
+  if (Object.keys(rates).length === 0) {
+    return error(res, 400, 'No rates provided');
+  }
+
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    if (!(await staffInScope(connection, staff_code, req.userContext))) {
+      await connection.rollback();
+      return error(res, 404, 'Staff not found or access denied');
+    }
+
+    // Back-dating would silently change pay for shifts already worked
+    if (effective_from < await staffToday(connection, staff_code)) {
+      await connection.rollback();
+      return error(res, 400, 'effective_from cannot be in the past');
+    }
+
+    const period = await scheduleRateChange(connection, staff_code, rates, effective_from, req.userContext.user_id || null);
+
+    // Shifts already worked in the new period, and RATE_MISSING shifts it now covers, get paid with it
+    const repricedPeriod = await repriceRatePeriod(connection, staff_code, period);
+    const repriced = await repriceRateMissingShifts(connection, staff_code);
+    await connection.commit();
+
+    cache.invalidate('staff:');
+    console.log(`[POST /staff/${staff_code}/pay-rates] ✅ Rates from ${period.effective_from} scheduled by ${req.userContext.staff_code || req.userContext.user_id}`);
+
+    return success(res, {
+      message: 'Pay rate change scheduled',
+      ...period,
+      rates,
+      repriced_shifts: repriced,
+      repriced_period_shifts: repricedPeriod
+    });
+  } catch (err) {
+    console.error(`[POST /staff/${staff_code}/pay-rates] ❌ Error:`, err.message);
+    if (connection) {
+      await connection.rollback();
+    }
+    if (sendAccessError(res, err)) return;
+    if (err instanceof RateChangeError) {
+      return error(res, err.statusCode, err.message);
+    }
+    return error(res, 500, 'Failed to schedule pay rate change');
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+/**
+ * Cancel a scheduled (not yet started) pay rate change
+ * DELETE /api/system-admin/staff/:staff_code/pay-rates/:rate_id
+ */
+exports.cancelPayRate = async (req, res) => {
+  const db = require('../config/db');
+  const { staff_code, rate_id } = req.params;
+  let connection;
+
+  try {
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    if (!(await staffInScope(connection, staff_code, req.userContext))) {
+      await connection.rollback();
+      return error(res, 404, 'Staff not found or access denied');
+    }
+
+    const cancelled = await cancelScheduledRate(connection, staff_code, rate_id);
+    if (!cancelled) {
+      await connection.rollback();
+      return error(res, 404, 'No scheduled rate change with that id (rates already in effect cannot be removed)');
+    }
+
+    await connection.commit();
+    console.log(`[DELETE /staff/${staff_code}/pay-rates/${rate_id}] ✅ Scheduled rate cancelled`);
+
+    return success(res, { message: 'Scheduled pay rate change cancelled' });
+  } catch (err) {
+    console.error(`[DELETE /staff/${staff_code}/pay-rates/${rate_id}] ❌ Error:`, err.message);
+    if (connection) {
+      await connection.rollback();
+    }
+    if (sendAccessError(res, err)) return;
+    return error(res, 500, 'Failed to cancel pay rate change');
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
 };
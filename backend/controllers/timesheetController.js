@@ -4,6 +4,17 @@
  */
 
 const db = require('../config/db');
+const { getSessionScope, sendAccessError } = require('../utils/accessHelper');
+const { priceShift, updateShiftPay } = require('../utils/payCalculator');
+const { getShiftSnapshot, userActor, recordShiftAudit } = require('../utils/shiftAudit');
+const { attachBreaks, getBreaksForShifts, closeOpenBreak } = require('../utils/shiftBreaks');
+const {
+  checkShiftCompliance,
+  checkNextShiftCompliance,
+  getComplianceFlags,
+  attachComplianceFlags,
+  acknowledgeComplianceFlags
+} = require('../utils/shiftCompliance');
 
 /**
  * Get staff list with timesheet summaries
@@ -15,22 +26,15 @@ const db = require('../config/db');
 exports.getTimesheetStaff = async (req, res) => {
   try {
     const { filter = 'ALL', from, to } = req.query;
-    const { userContext } = req;
 
     console.log('Fetching timesheet staff summary with filters:', { filter, from, to });
 
-    // Get business_code from query params (GET request) or authenticated user context
-    const business_code = req.query.business_code || userContext?.business_code;
+    // Business (and venue, for venue-scoped roles) comes from the session only
+    const scope = getSessionScope(req);
 
-    if (!business_code) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing business context. Please log in again.'
-      });
-    }
-
-    const params = [business_code];
-    let where = 't.clock_out IS NOT NULL AND v.business_code = ?';
+    const params = [...scope.params];
+    // Open shifts are listed once the auto-close monitor has flagged them
+    let where = `(t.clock_out IS NOT NULL OR t.auto_close_flagged_at IS NOT NULL) AND ${scope.conditions.join(' AND ')}`;
 
     // Apply status filter
     if (filter && filter !== 'ALL') {
@@ -57,6 +61,11 @@ exports.getTimesheetStaff = async (req, res) => {
         SUM(t.hours_worked) AS total_hours,
         SUM(t.total_pay) AS total_pay,
         SUM(IFNULL(t.break_minutes, 0)) AS total_break_minutes,
+        SUM(EXISTS (
+          SELECT 1 FROM shift_compliance_flags f
+          WHERE f.shift_id = t.id AND f.acknowledged_at IS NULL
+        )) AS flagged_shifts,
+        SUM(t.shift_state = 'AUTO_CLOSED' OR t.clock_out IS NULL) AS review_shifts,
         MAX(t.approval_status) AS approval_status
       FROM shifts t
       JOIN staff s ON s.staff_code = t.staff_code
@@ -77,6 +86,7 @@ exports.getTimesheetStaff = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendAccessError(res, error)) return;
     console.error('Error fetching timesheet staff:', error);
     res.status(500).json({
       success: false,
@@ -97,7 +107,6 @@ exports.getTimesheetStaff = async (req, res) => {
 exports.getStaffTimesheets = async (req, res) => {
   try {
     const { staff_code, filter = 'ALL', from, to } = req.query;
-    const { userContext } = req;
 
     if (!staff_code) {
       return res.status(400).json({
@@ -106,20 +115,13 @@ exports.getStaffTimesheets = async (req, res) => {
       });
     }
 
-    // Get business_code from query params (GET request) or authenticated user context
-    const business_code = req.query.business_code || userContext?.business_code;
-
-    if (!business_code) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing business context. Please log in again.'
-      });
-    }
+    // Business (and venue, for venue-scoped roles) comes from the session only
+    const scope = getSessionScope(req);
 
     console.log('Fetching timesheets for staff_code:', staff_code, 'with filters:', { filter, from, to });
 
-    const params = [staff_code, business_code];
-    let where = 't.staff_code = ? AND t.clock_out IS NOT NULL AND v.business_code = ?';
+    const params = [staff_code, ...scope.params];
+    let where = `t.staff_code = ? AND (t.clock_out IS NOT NULL OR t.auto_close_flagged_at IS NOT NULL) AND ${scope.conditions.join(' AND ')}`;
 
     // Apply status filter
     if (filter && filter !== 'ALL') {
@@ -145,8 +147,10 @@ exports.getStaffTimesheets = async (req, res) => {
         t.clock_out,
         t.hours_worked,
         t.break_minutes,
+        t.unpaid_break_minutes,
         t.total_pay,
         t.approval_status AS status,
+        t.shift_state,
         t.payday_type,
         v.venue_name,
         st.role_title
@@ -158,7 +162,8 @@ exports.getStaffTimesheets = async (req, res) => {
       LIMIT 100
     `;
 
-    const [rows] = await db.execute(sql, params);
+    const [shifts] = await db.execute(sql, params);
+    const rows = await attachComplianceFlags(db, await attachBreaks(db, shifts));
 
     console.log(`Found ${rows.length} timesheets for ${staff_code}`);
 
@@ -169,6 +174,7 @@ exports.getStaffTimesheets = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendAccessError(res, error)) return;
     console.error('Error fetching timesheets:', error);
     res.status(500).json({
       success: false,
@@ -196,6 +202,8 @@ exports.getTimesheetsByDateRange = async (req, res) => {
       });
     }
 
+    const scope = getSessionScope(req);
+
     console.log('Fetching timesheets for range:', { staff_code, start_date, end_date });
 
     let query = `
@@ -217,9 +225,10 @@ exports.getTimesheetsByDateRange = async (req, res) => {
       INNER JOIN staff st ON s.staff_code = st.staff_code
       WHERE s.clock_out IS NOT NULL
         AND DATE(s.clock_in) BETWEEN ? AND ?
+        AND ${scope.conditions.join(' AND ')}
     `;
 
-    const params = [start_date, end_date];
+    const params = [start_date, end_date, ...scope.params];
 
     if (staff_code) {
       query += ' AND s.staff_code = ?';
@@ -240,6 +249,7 @@ exports.getTimesheetsByDateRange = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendAccessError(res, error)) return;
     console.error('Error fetching timesheets by range:', error);
     res.status(500).json({
       success: false,
@@ -254,10 +264,17 @@ exports.getTimesheetsByDateRange = async (req, res) => {
  * @route PUT /api/system-admin/timesheets/bulk-update
  * @body {array} ids - Array of shift IDs to update
  * @body {string} status - New status (APPROVED or DISCARDED)
+ * @body {string} reason - Optional, recorded in each shift's history
+ * @body {boolean} acknowledge - Approve shifts with compliance flags, acknowledging them
+ *                               (without it, approving a flagged shift is refused with 409)
+ *
+ * Auto-closed shifts cannot be approved, and shifts left open cannot be approved or
+ * discarded, until a manager has reviewed their times (PATCH /timesheets/:id).
  */
 exports.bulkUpdateTimesheets = async (req, res) => {
+  let connection;
   try {
-    const { ids, status } = req.body;
+    const { ids, status, reason, acknowledge } = req.body;
 
     if (!ids || !Array.isArray(ids) || ids.length === 0) {
       return res.status(400).json({
@@ -273,36 +290,106 @@ exports.bulkUpdateTimesheets = async (req, res) => {
       });
     }
 
+    const scope = getSessionScope(req);
+
     console.log(`Bulk updating ${ids.length} timesheets to ${status}`);
 
     // Create placeholders for the IN clause
     const placeholders = ids.map(() => '?').join(',');
 
-    const query = `
-      UPDATE shifts
-      SET approval_status = ?
-      WHERE id IN (${placeholders})
-    `;
+    connection = await db.getConnection();
+    await connection.beginTransaction();
 
-    const params = [status, ...ids];
+    // Shifts outside the caller's business/venue are left untouched
+    const [shifts] = await connection.execute(`
+      SELECT t.id, t.staff_code, t.clock_in, t.clock_out, t.shift_state
+      FROM shifts t
+      JOIN venues v ON v.venue_code = t.venue_code
+      WHERE t.id IN (${placeholders})
+        AND t.approval_status <> ?
+        AND ${scope.conditions.join(' AND ')}
+      FOR UPDATE
+    `, [...ids, status, ...scope.params]);
+
+    const unreviewed = shifts.filter(shift =>
+      !shift.clock_out || (status === 'APPROVED' && shift.shift_state === 'AUTO_CLOSED'));
+
+    if (unreviewed.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        error: `${unreviewed.length} timesheet(s) were auto-closed or left open. Review their times before ${status === 'APPROVED' ? 'approving' : 'discarding'}.`,
+        code: 'REVIEW_REQUIRED',
+        shift_ids: unreviewed.map(shift => shift.id)
+      });
+    }
+
+    // Flagged shifts are only approved once the approver acknowledges the flags
+    const flags = status === 'APPROVED'
+      ? await getComplianceFlags(connection, shifts.map(shift => shift.id), { unacknowledgedOnly: true })
+      : new Map();
+    const flagged = shifts.filter(shift => (flags.get(shift.id) || []).length > 0);
+
+    if (flagged.length > 0 && acknowledge !== true) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        error: `${flagged.length} timesheet(s) have compliance flags. Acknowledge them to approve.`,
+        code: 'COMPLIANCE_FLAGS',
+        flagged: flagged.map(shift => ({
+          id: shift.id,
+          staff_code: shift.staff_code,
+          clock_in: shift.clock_in,
+          flags: flags.get(shift.id)
+        }))
+      });
+    }
+
+    for (const shift of shifts) {
+      const before = await getShiftSnapshot(connection, shift.id);
+      const shiftFlags = flags.get(shift.id) || [];
+      const notes = [];
+
+      if (reason && String(reason).trim()) notes.push(String(reason).trim());
+      if (shiftFlags.length > 0) {
+        await acknowledgeComplianceFlags(connection, shift.id, req.userContext.user_id || null);
+        notes.push(`Acknowledged: ${shiftFlags.map(flag => flag.detail).join('; ')}`);
+      }
+
+      await connection.execute('UPDATE shifts SET approval_status = ? WHERE id = ?', [status, shift.id]);
+
+      await recordShiftAudit(connection, {
+        shiftId: shift.id,
+        action: 'APPROVAL',
+        source: 'admin',
+        actor: userActor(req),
+        before,
+        reason: notes.length ? notes.join(' | ').slice(0, 500) : null
+      });
+    }
 
-    const [result] = await db.execute(query, params);
+    await connection.commit();
 
-    console.log(`Updated ${result.affectedRows} timesheets`);
+    console.log(`Updated ${shifts.length} timesheets${flagged.length ? ` (${flagged.length} with acknowledged compliance flags)` : ''}`);
 
     res.json({
       success: true,
-      message: `Successfully updated ${result.affectedRows} timesheet(s)`,
-      updated: result.affectedRows
+      message: `Successfully updated ${shifts.length} timesheet(s)`,
+      updated: shifts.length,
+      acknowledged: flagged.length
     });
 
   } catch (error) {
+    if (connection) await connection.rollback();
+    if (sendAccessError(res, error)) return;
     console.error('Error bulk updating timesheets:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to update timesheets',
       message: error.message
     });
+  } finally {
+    if (connection) connection.release();
   }
 };
 
@@ -317,7 +404,6 @@ exports.bulkUpdateTimesheets = async (req, res) => {
 exports.exportTimesheetsCSV = async (req, res) => {
   try {
     const { staff_code, filter = 'ALL', from, to } = req.query;
-    const { userContext } = req;
 
     if (!staff_code) {
       return res.status(400).json({
@@ -326,15 +412,8 @@ exports.exportTimesheetsCSV = async (req, res) => {
       });
     }
 
-    // Get business_code from query params (GET request) or authenticated user context
-    const business_code = req.query.business_code || userContext?.business_code;
-
-    if (!business_code) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing business context. Please log in again.'
-      });
-    }
+    // Business (and venue, for venue-scoped roles) comes from the session only
+    const scope = getSessionScope(req);
 
     console.log('Exporting timesheets for staff_code:', staff_code, 'with filters:', { filter, from, to });
 
@@ -358,10 +437,10 @@ exports.exportTimesheetsCSV = async (req, res) => {
       INNER JOIN staff st ON s.staff_code = st.staff_code
       WHERE s.staff_code = ?
         AND s.clock_out IS NOT NULL
-        AND v.business_code = ?
+        AND ${scope.conditions.join(' AND ')}
     `;
 
-    const params = [staff_code, business_code];
+    const params = [staff_code, ...scope.params];
 
     // Apply status filter
     if (filter && filter !== 'ALL') {
@@ -431,6 +510,7 @@ exports.exportTimesheetsCSV = async (req, res) => {
     });
 
   } catch (error) {
+    if (sendAccessError(res, error)) return;
     console.error('Error exporting timesheets:', error);
     res.status(500).json({
       success: false,
@@ -449,6 +529,8 @@ exports.getTimesheetById = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const scope = getSessionScope(req);
+
     console.log('Fetching timesheet by ID:', id);
 
     const sql = `
@@ -460,17 +542,21 @@ exports.getTimesheetById = async (req, res) => {
         t.clock_in,
         t.clock_out,
         t.break_minutes,
+        t.unpaid_break_minutes,
         t.hours_worked,
         t.total_pay,
         t.approval_status,
-        t.payday_type
+        t.shift_state,
+        t.payday_type,
+        t.pay_status
       FROM shifts t
       JOIN staff s ON s.staff_code = t.staff_code
       JOIN venues v ON v.venue_code = t.venue_code
       WHERE t.id = ?
+        AND ${scope.conditions.join(' AND ')}
     `;
 
-    const [rows] = await db.execute(sql, [id]);
+    const [rows] = await db.execute(sql, [id, ...scope.params]);
 
     if (!rows || rows.length === 0) {
       return res.status(404).json({
@@ -479,12 +565,15 @@ exports.getTimesheetById = async (req, res) => {
       });
     }
 
+    const [timesheet] = await attachComplianceFlags(db, await attachBreaks(db, rows));
+
     res.json({
       success: true,
-      data: rows[0]
+      data: timesheet
     });
 
   } catch (error) {
+    if (sendAccessError(res, error)) return;
     console.error('getTimesheetById error:', error);
     res.status(500).json({
       success: false,
@@ -496,43 +585,287 @@ exports.getTimesheetById = async (req, res) => {
 
 /**
  * Update a single timesheet
+ * The shift is re-priced through the same pipeline as kiosk clock-out: breaks
+ * are subtracted, the day type is reclassified and overtime and pay rules are
+ * applied. Pay cannot be set directly.
+ * Later shifts in the same week keep their overtime split until recomputed
+ * (POST /api/system-admin/payroll/recompute). Compliance is re-checked for the
+ * shift and for the next shifts whose rest period the edit changes.
+ *
+ * Editing is also how a manager reviews an auto-closed shift (AUTO_CLOSED becomes
+ * COMPLETED) or closes a shift the auto-close monitor flagged as left open.
+ *
+ * Changing the times of an approved shift sets it back to PENDING, so it is
+ * approved again (acknowledging any new compliance flags) through bulk-update.
+ *
  * @route PATCH /api/system-admin/timesheets/:id
  * @param {number} id - Timesheet (shift) ID
  * @body {string} clock_in - Clock in datetime
  * @body {string} clock_out - Clock out datetime
- * @body {number} total_pay - Total pay amount
+ * @body {string} reason - Why the times were changed (kept in the shift history)
  */
 exports.updateTimesheet = async (req, res) => {
+  let connection;
   try {
     const { id } = req.params;
-    const { clock_in, clock_out, total_pay } = req.body;
-
-    console.log('Updating timesheet:', { id, clock_in, clock_out, total_pay });
-
-    // Update the shift with new values and recalculate hours_worked
-    await db.execute(
-      `UPDATE shifts
-       SET clock_in = ?,
-           clock_out = ?,
-           total_pay = ?,
-           hours_worked = TIMESTAMPDIFF(MINUTE, ?, ?) / 60
-       WHERE id = ?`,
-      [clock_in, clock_out, total_pay, clock_in, clock_out, id]
+    const { clock_in, clock_out } = req.body;
+    const reason = String(req.body.reason || '').trim();
+
+    const clockIn = new Date(clock_in);
+    const clockOut = new Date(clock_out);
+
+    if (!clock_in || !clock_out || isNaN(clockIn) || isNaN(clockOut)) {
+      return res.status(400).json({
+        success: false,
+        error: 'clock_in and clock_out are required'
+      });
+    }
+
+    if (clockOut <= clockIn) {
+      return res.status(400).json({
+        success: false,
+        error: 'clock_out must be after clock_in'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'A reason for the change is required'
+      });
+    }
+
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reason must be 500 characters or fewer'
+      });
+    }
+
+    const scope = getSessionScope(req);
+
+    console.log('Updating timesheet:', { id, clock_in, clock_out, reason });
+
+    connection = await db.getConnection();
+    await connection.beginTransaction();
+
+    // 404 rather than 403 so shift IDs in other businesses are not disclosed
+    const [existing] = await connection.execute(
+      `SELECT t.id, t.staff_code, t.venue_code, t.clock_in, t.clock_out, t.shift_state, t.auto_close_flagged_at,
+              t.approval_status, t.break_minutes, t.unpaid_break_minutes, t.total_pay
+       FROM shifts t
+       JOIN venues v ON v.venue_code = t.venue_code
+       WHERE t.id = ? AND ${scope.conditions.join(' AND ')}
+       FOR UPDATE`,
+      [id, ...scope.params]
     );
 
-    console.log(`Timesheet ${id} updated successfully`);
+    if (existing.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        success: false,
+        error: 'Timesheet not found'
+      });
+    }
+
+    const shift = existing[0];
+
+    if (!shift.clock_out && !shift.auto_close_flagged_at) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        error: 'Shift is still in progress'
+      });
+    }
+
+    if ((shift.break_minutes || 0) >= (clockOut - clockIn) / 60000) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        error: `Shift must be longer than its ${shift.break_minutes} minutes of breaks`
+      });
+    }
+
+    // Recorded breaks must still fall inside the shift
+    const breaks = (await getBreaksForShifts(connection, [shift.id])).get(shift.id);
+    const outside = breaks.find(b => new Date(b.break_start) < clockIn || new Date(b.break_end || b.break_start) > clockOut);
+    if (outside) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        error: `A break from ${new Date(outside.break_start).toLocaleTimeString('en-AU')} falls outside the new shift times`
+      });
+    }
+
+    // Open shifts count as running until now
+    const [overlaps] = await connection.execute(
+      `SELECT id, clock_in, clock_out FROM shifts
+       WHERE staff_code = ?
+         AND id <> ?
+         AND approval_status <> 'DISCARDED'
+         AND clock_in < ?
+         AND IFNULL(clock_out, NOW()) > ?
+       LIMIT 1`,
+      [shift.staff_code, id, clockOut, clockIn]
+    );
+
+    if (overlaps.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        error: `Overlaps shift ${overlaps[0].id} for the same staff member`
+      });
+    }
+
+    const before = await getShiftSnapshot(connection, id);
+
+    // Approval covered the old times and pay; new times need approving again
+    const timesChanged = clockIn.getTime() !== new Date(shift.clock_in).getTime()
+      || !shift.clock_out
+      || clockOut.getTime() !== new Date(shift.clock_out).getTime();
+    const approvalStatus = shift.approval_status === 'APPROVED' && timesChanged
+      ? 'PENDING'
+      : shift.approval_status;
+
+    await connection.execute(
+      "UPDATE shifts SET clock_in = ?, clock_out = ?, shift_state = 'COMPLETED', approval_status = ? WHERE id = ?",
+      [clockIn, clockOut, approvalStatus, id]
+    );
+
+    // A shift left open on break: the break ends at the new clock-out
+    if (shift.shift_state === 'ON_BREAK') {
+      const closedBreak = await closeOpenBreak(connection, id, clockOut);
+      if (closedBreak) {
+        shift.break_minutes = (shift.break_minutes || 0) + closedBreak.minutes;
+        shift.unpaid_break_minutes = (shift.unpaid_break_minutes || 0) + closedBreak.unpaid_minutes;
+      }
+    }
+
+    const pay = await priceShift(connection, {
+      ...shift,
+      clock_in: clockIn,
+      clock_out: clockOut
+    });
+    await updateShiftPay(connection, id, pay);
+
+    await recordShiftAudit(connection, {
+      shiftId: id,
+      action: 'EDIT',
+      source: 'admin',
+      actor: userActor(req),
+      before,
+      reason
+    });
+
+    // The shifts after the old and the new clock-out get a different rest period
+    const complianceFlags = await checkShiftCompliance(connection, id);
+    await checkNextShiftCompliance(connection, shift.staff_code, clockOut);
+    if (shift.clock_out) {
+      await checkNextShiftCompliance(connection, shift.staff_code, shift.clock_out);
+    }
+
+    await connection.commit();
+
+    if (pay.payStatus === 'RATE_MISSING') {
+      console.warn(`⚠️  Timesheet ${id} updated but no pay rates cover it - flagged RATE_MISSING`);
+    } else {
+      console.log(`Timesheet ${id} updated successfully: ${pay.hoursWorked}h ${pay.paydayType}, $${shift.total_pay} → $${pay.totalPay}`);
+    }
+    if (approvalStatus !== shift.approval_status) {
+      console.log(`Timesheet ${id} was approved - set back to ${approvalStatus} for re-approval`);
+    }
 
     res.json({
       success: true,
-      message: 'Timesheet updated successfully'
+      message: 'Timesheet updated successfully',
+      data: {
+        hours_worked: pay.hoursWorked,
+        ordinary_hours: pay.ordinaryHours,
+        overtime_hours: pay.overtimeHours,
+        payday_type: pay.paydayType,
+        applied_rate: pay.appliedRate,
+        total_pay: pay.totalPay,
+        pay_status: pay.payStatus,
+        approval_status: approvalStatus,
+        compliance_flags: complianceFlags
+      }
     });
 
   } catch (error) {
+    if (connection) await connection.rollback();
+    if (sendAccessError(res, error)) return;
     console.error('updateTimesheet error:', error);
     res.status(500).json({
       success: false,
       error: 'Update failed',
       message: error.message
     });
+  } finally {
+    if (connection) connection.release();
+  }
+};
+
+/**
+ * Get the change history of a timesheet (oldest first)
+ * @route GET /api/system-admin/timesheets/:id/history
+ * @param {number} id - Timesheet (shift) ID
+ */
+exports.getTimesheetHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const scope = getSessionScope(req);
+
+    // 404 rather than 403 so shift IDs in other businesses are not disclosed
+    const [existing] = await db.execute(
+      `SELECT t.id FROM shifts t
+       JOIN venues v ON v.venue_code = t.venue_code
+       WHERE t.id = ? AND ${scope.conditions.join(' AND ')}`,
+      [id, ...scope.params]
+    );
+
+    if (existing.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Timesheet not found'
+      });
+    }
+
+    const [rows] = await db.execute(`
+      SELECT
+        a.id,
+        a.action,
+        a.source,
+        a.actor_type,
+        a.actor_staff_code,
+        a.device_id,
+        a.reason,
+        a.before_values,
+        a.after_values,
+        a.created_at,
+        u.email AS actor_email,
+        CONCAT(s.first_name, ' ', s.last_name) AS actor_staff_name,
+        d.device_name
+      FROM shift_audit a
+      LEFT JOIN users u ON u.id = a.actor_user_id
+      LEFT JOIN staff s ON s.staff_code = a.actor_staff_code
+      LEFT JOIN kiosk_devices d ON d.id = a.device_id
+      WHERE a.shift_id = ?
+      ORDER BY a.id ASC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    if (sendAccessError(res, error)) return;
+    console.error('getTimesheetHistory error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Fetch failed',
+      message: error.message
+    });
   }
 };
@@ -1,5 +1,10 @@
 const bcrypt = require('bcryptjs');
 const db = require('../config/db');
+const cache = require('../utils/cache');
+const { listDevices, revokeDevice } = require('../utils/kioskDevice');
+const { getDataScope } = require('../utils/permissions');
+const { validateBreakPolicy } = require('../utils/shiftBreaks');
+const { validateAutoClosePolicy } = require('../utils/autoClose');
 
 /**
  * Add a new venue
@@ -88,6 +93,11 @@ const addVenue = async (req, res) => {
 /**
  * Update an existing venue
  * PUT /api/system-admin/venues/:venue_code
+ *
+ * paid_break_types / paid_break_max_minutes set which break types are paid
+ * (see schema/24_paid_breaks.sql); null restores the default.
+ * auto_close_mode / auto_close_hours set how shifts left open are handled
+ * (see schema/26_auto_close_policy.sql).
  */
 const updateVenue = async (req, res) => {
   try {
@@ -100,9 +110,22 @@ const updateVenue = async (req, res) => {
       venue_address,
       timezone,
       week_start,
-      status
+      status,
+      paid_break_types,
+      paid_break_max_minutes,
+      auto_close_mode,
+      auto_close_hours
     } = req.body;
 
+    const invalidPolicy = validateBreakPolicy({ paid_break_types, paid_break_max_minutes }) ||
+      validateAutoClosePolicy({ auto_close_mode, auto_close_hours });
+    if (invalidPolicy) {
+      return res.status(400).json({
+        success: false,
+        error: invalidPolicy
+      });
+    }
+
     // Build dynamic update query
     const updates = [];
     const values = [];
@@ -140,6 +163,22 @@ const updateVenue = async (req, res) => {
       updates.push('status = ?');
       values.push(status);
     }
+    if (paid_break_types !== undefined) {
+      updates.push('paid_break_types = ?');
+      values.push(paid_break_types === null ? null : JSON.stringify(paid_break_types));
+    }
+    if (paid_break_max_minutes !== undefined) {
+      updates.push('paid_break_max_minutes = ?');
+      values.push(paid_break_max_minutes === null || paid_break_max_minutes === '' ? null : Number(paid_break_max_minutes));
+    }
+    if (auto_close_mode !== undefined) {
+      updates.push('auto_close_mode = ?');
+      values.push(auto_close_mode);
+    }
+    if (auto_close_hours !== undefined) {
+      updates.push('auto_close_hours = ?');
+      values.push(Number(auto_close_hours));
+    }
 
     if (updates.length === 0) {
       return res.status(400).json({
@@ -162,6 +201,9 @@ const updateVenue = async (req, res) => {
       });
     }
 
+    // The venue list (and its break and auto-close rules) is cached per business
+    cache.invalidate('venues:');
+
     console.log(`✅ Venue updated: ${venue_code}`);
 
     res.json({
@@ -264,9 +306,101 @@ const getVenueByCode = async (req, res) => {
   }
 };
 
+/**
+ * Check the caller may manage kiosk devices for a venue
+ * System admins: any venue in their business. Managers: their own venue only.
+ * @returns {Promise<boolean>}
+ */
+const canManageVenueDevices = async (userContext, venue_code) => {
+  if (getDataScope(userContext.access_level) !== 'business' && userContext.venue_code !== venue_code) {
+    return false;
+  }
+
+  const [rows] = await db.execute(
+    'SELECT venue_code FROM venues WHERE venue_code = ? AND business_code = ?',
+    [venue_code, userContext.business_code]
+  );
+
+  return rows.length > 0;
+};
+
+/**
+ * List kiosk devices registered to a venue
+ * GET /api/system-admin/venues/:venue_code/devices
+ */
+const getVenueDevices = async (req, res) => {
+  try {
+    const { venue_code } = req.params;
+
+    if (!(await canManageVenueDevices(req.userContext, venue_code))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found'
+      });
+    }
+
+    const devices = await listDevices(venue_code);
+
+    res.json({
+      success: true,
+      count: devices.length,
+      data: devices
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching kiosk devices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch kiosk devices'
+    });
+  }
+};
+
+/**
+ * Revoke a kiosk device - its token stops working and the kiosk must log in again
+ * POST /api/system-admin/venues/:venue_code/devices/:device_id/revoke
+ */
+const revokeVenueDevice = async (req, res) => {
+  try {
+    const { venue_code, device_id } = req.params;
+
+    if (!(await canManageVenueDevices(req.userContext, venue_code))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found'
+      });
+    }
+
+    const revoked = await revokeDevice(device_id, venue_code, req.userContext.user_id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found or already revoked'
+      });
+    }
+
+    console.log(`✅ Kiosk device revoked: ${device_id} @ ${venue_code} by ${req.userContext.staff_code || req.userContext.user_id}`);
+
+    res.json({
+      success: true,
+      message: 'Device revoked'
+    });
+
+  } catch (error) {
+    console.error('❌ Error revoking kiosk device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke kiosk device'
+    });
+  }
+};
+
 module.exports = {
   addVenue,
   updateVenue,
   deleteVenue,
-  getVenueByCode
+  getVenueByCode,
+  getVenueDevices,
+  revokeVenueDevice
 };
\ No newline at end of file
@@ -1,45 +1,168 @@
 /**
  * Authentication and Authorization Middleware
- * Handles role-based access control for staff management endpoints
+ * Handles session token verification and role-based access control
  */
 
+const token = require('../utils/token');
+const { isSessionActive } = require('../utils/session');
+const { verifyDeviceToken, verifyStaffToken } = require('../utils/kioskDevice');
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw token or null
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, value] = header.split(' ');
+  return scheme === 'Bearer' && value ? value : null;
+}
+
 /**
- * Middleware to verify user has permission to manage staff
- * Allowed roles: system_admin, manager, supervisor
+ * Middleware to verify the session access token
  *
- * Sets req.userContext with user's access level, business code, and venue code
+ * Sets req.userContext from the signed token claims. Client-supplied
+ * access level / business / venue headers are ignored.
  */
-function requireStaffManagementAccess(req, res, next) {
-  // In a real application, you would get this from session/JWT token
-  // For now, we'll expect it to be passed in headers or body
-  const { user_access_level, user_business_code, user_venue_code } = req.headers;
+async function authenticate(req, res, next) {
+  try {
+    const claims = token.verify(getBearerToken(req));
 
-  if (!user_access_level) {
-    return res.status(401).json({
+    if (!(await isSessionActive(claims.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized: Session has been revoked",
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    req.userContext = {
+      user_id: claims.sub,
+      session_id: claims.sid,
+      staff_code: claims.staff_code,
+      access_level: claims.access_level,
+      business_code: claims.business_code,
+      venue_code: claims.venue_code
+    };
+
+    next();
+  } catch (err) {
+    if (err instanceof token.TokenError) {
+      return res.status(401).json({
+        success: false,
+        error: `Unauthorized: ${err.message}`,
+        code: err.code
+      });
+    }
+
+    console.error('Error verifying session:', err);
+    return res.status(500).json({
       success: false,
-      error: "Unauthorized: Access level required"
+      error: "Failed to verify session"
     });
   }
+}
 
-  // Check if user has staff management permissions
-  const allowedRoles = ['system_admin', 'manager', 'supervisor'];
-  if (!allowedRoles.includes(user_access_level)) {
-    return res.status(403).json({
+/**
+ * Middleware factory requiring a permission from the matrix in utils/permissions.js
+ * Authenticates first, so req.userContext is always set for the handler
+ *
+ * @param {string} permission - e.g. 'timesheet.approve'
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.put('/timesheets/bulk-update', requirePermission('timesheet.approve'), bulkUpdateTimesheets);
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    authenticate(req, res, () => {
+      if (!hasPermission(req.userContext.access_level, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: `Forbidden: ${permission} permission required`,
+          code: 'PERMISSION_DENIED'
+        });
+      }
+
+      next();
+    });
+  };
+}
+
+/**
+ * Middleware to verify a registered kiosk device
+ * Guards every /api/kiosk route except /health and /login
+ *
+ * Reads the device token from the X-Kiosk-Token header and sets
+ * req.kioskDevice = { device_id, venue_code, business_code }
+ */
+async function requireKioskDevice(req, res, next) {
+  try {
+    const deviceToken = req.headers['x-kiosk-token'];
+
+    if (!deviceToken) {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized: Kiosk device token required",
+        code: 'DEVICE_TOKEN_MISSING'
+      });
+    }
+
+    const device = await verifyDeviceToken(deviceToken, req.ip);
+
+    if (!device) {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized: Kiosk device is not registered or has been revoked",
+        code: 'DEVICE_TOKEN_INVALID'
+      });
+    }
+
+    req.kioskDevice = device;
+    next();
+  } catch (err) {
+    console.error('Error verifying kiosk device:', err);
+    return res.status(500).json({
       success: false,
-      error: "Forbidden: Insufficient permissions to manage staff"
+      error: "Failed to verify kiosk device"
     });
   }
+}
 
-  // Attach user context to request for use in route handlers
-  req.userContext = {
-    access_level: user_access_level,
-    business_code: user_business_code,
-    venue_code: user_venue_code
-  };
+/**
+ * Middleware to verify the staff member acting at a kiosk
+ * Must run after requireKioskDevice. Guards shift actions (clock in/out, breaks).
+ *
+ * Reads the staff token issued by POST /api/kiosk/validate-pin from the
+ * X-Kiosk-Staff-Token header and sets req.kioskStaff = { staff_code, venue_code }.
+ * Responds 403 (not 401) so the kiosk keeps its device session and simply
+ * asks for the PIN again.
+ */
+function requireKioskStaff(req, res, next) {
+  try {
+    req.kioskStaff = verifyStaffToken(req.headers['x-kiosk-staff-token'], req.kioskDevice);
+    next();
+  } catch (err) {
+    if (err instanceof token.TokenError) {
+      return res.status(403).json({
+        success: false,
+        error: "Please re-enter your PIN",
+        code: err.code === 'TOKEN_MISSING' ? 'STAFF_TOKEN_MISSING' : 'STAFF_TOKEN_INVALID'
+      });
+    }
 
-  next();
+    console.error('Error verifying kiosk staff:', err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to verify staff"
+    });
+  }
 }
 
 module.exports = {
-  requireStaffManagementAccess
+  authenticate,
+  requirePermission,
+  requireKioskDevice,
+  requireKioskStaff
 };
@@ -0,0 +1,63 @@
+/**
+ * Kiosk Credential Migration Script
+ * Hashes legacy plain text kiosk PINs and venue kiosk passwords
+ *
+ * Run once after applying schema/11_hash_kiosk_credentials.sql:
+ *   node migrate-kiosk-credentials.js
+ *
+ * Safe to re-run: rows that already hold hashes are skipped.
+ */
+
+const db = require('./config/db');
+const { hashPin } = require('./utils/kioskPin');
+const { isBcryptHash, hashPassword } = require('./utils/password');
+
+async function migrateKioskCredentials() {
+  console.log('=== Kiosk Credential Migration ===\n');
+
+  try {
+    // 1. Kiosk PINs
+    const [users] = await db.query(`
+      SELECT id, staff_code, kiosk_pin
+      FROM users
+      WHERE kiosk_pin IS NOT NULL AND kiosk_pin_hash IS NULL
+    `);
+
+    for (const user of users) {
+      const { hash, salt, syncKey } = await hashPin(user.kiosk_pin);
+      await db.execute(
+        'UPDATE users SET kiosk_pin_hash = ?, kiosk_pin_salt = ?, kiosk_sync_key = ?, kiosk_pin = NULL WHERE id = ?',
+        [hash, salt, syncKey, user.id]
+      );
+    }
+    console.log(`✅ Hashed ${users.length} kiosk PIN(s)`);
+
+    // Rows that were already hashed but still carry the plain PIN
+    const [cleared] = await db.execute(
+      'UPDATE users SET kiosk_pin = NULL WHERE kiosk_pin IS NOT NULL AND kiosk_pin_hash IS NOT NULL'
+    );
+    if (cleared.affectedRows > 0) {
+      console.log(`✅ Cleared ${cleared.affectedRows} leftover plain text PIN(s)`);
+    }
+
+    // 2. Venue kiosk passwords
+    const [venues] = await db.query('SELECT venue_code, kiosk_password FROM venues');
+    const legacyVenues = venues.filter(v => !isBcryptHash(v.kiosk_password));
+
+    for (const venue of legacyVenues) {
+      await db.execute(
+        'UPDATE venues SET kiosk_password = ? WHERE venue_code = ?',
+        [await hashPassword(venue.kiosk_password), venue.venue_code]
+      );
+    }
+    console.log(`✅ Hashed ${legacyVenues.length} venue kiosk password(s)`);
+
+    console.log('\n=== Migration Complete ===');
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Migration failed:', err.message);
+    process.exit(1);
+  }
+}
+
+migrateKioskCredentials();
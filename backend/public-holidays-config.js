@@ -323,9 +323,10 @@ class HolidayCalculator {
     static getHolidaysForYear(state, year) {
         // Check for manual overrides first
         if (PUBLIC_HOLIDAYS_CONFIG.overrides[year] && PUBLIC_HOLIDAYS_CONFIG.overrides[year][state]) {
+            // Parse as a local calendar date (a bare YYYY-MM-DD would be UTC midnight)
             return PUBLIC_HOLIDAYS_CONFIG.overrides[year][state].map(holiday => ({
                 ...holiday,
-                date: new Date(holiday.date)
+                date: new Date(`${holiday.date}T00:00:00`)
             }));
         }
 
@@ -1,6 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
+const { authenticate } = require("../middleware/authMiddleware");
+const { verifyPassword, hashPassword } = require("../utils/password");
+const { createSession, refreshSession, revokeSession, revokeByRefreshToken, revokeAllForUser } = require("../utils/session");
+const throttle = require("../utils/loginThrottle");
+const { getPermissions } = require("../utils/permissions");
 
 /**
  * Admin/Staff Login Endpoint
@@ -18,6 +23,14 @@ router.post("/login", async (req, res) => {
       });
     }
 
+    // Reject early if this account or client is locked out; otherwise count the attempt
+    const throttleKeys = throttle.buildKeys('login', req, username);
+    const lock = await throttle.reserve(throttleKeys);
+    if (lock) {
+      await throttle.logFailure(throttleKeys, { reason: 'LOCKED_OUT' });
+      return throttle.rejectLocked(res, lock);
+    }
+
     // Query to get user with staff details
     // Note: business_code and venue_code now come from staff table via JOIN
     const sql = `
@@ -27,7 +40,6 @@ router.post("/login", async (req, res) => {
         u.password_hash,
         u.access_level,
         u.staff_code,
-        u.kiosk_pin,
         u.status,
         s.business_code,
         s.venue_code,
@@ -47,6 +59,9 @@ router.post("/login", async (req, res) => {
     const [results] = await db.execute(sql, [username]);
 
     if (!results || results.length === 0) {
+      const locked = await throttle.recordFailure(throttleKeys, { reason: 'UNKNOWN_ACCOUNT' });
+      if (locked) return throttle.rejectLocked(res, locked);
+
       return res.status(401).json({
         success: false,
         error: "Invalid username or password"
@@ -55,21 +70,55 @@ router.post("/login", async (req, res) => {
 
     const user = results[0];
 
-    // TODO: In production, use bcrypt to compare hashed passwords
-    // For now, comparing plain text (NOT SECURE - must implement bcrypt)
-    if (user.password_hash !== password) {
+    const { valid, needsRehash } = await verifyPassword(password, user.password_hash);
+
+    if (!valid) {
+      const locked = await throttle.recordFailure(throttleKeys, {
+        reason: 'INVALID_PASSWORD',
+        business_code: user.business_code,
+        venue_code: user.venue_code,
+        staff_code: user.staff_code
+      });
+      if (locked) return throttle.rejectLocked(res, locked);
+
       return res.status(401).json({
         success: false,
         error: "Invalid username or password"
       });
     }
 
-    // Login successful - return user data (excluding sensitive info)
+    await throttle.recordSuccess(throttleKeys);
+
+    // Transparently upgrade legacy plain text passwords to bcrypt
+    if (needsRehash) {
+      try {
+        await db.execute(
+          'UPDATE users SET password_hash = ? WHERE id = ?',
+          [await hashPassword(password), user.id]
+        );
+        console.log(`[LOGIN] 🔐 Upgraded legacy password hash for user ${user.id}`);
+      } catch (rehashErr) {
+        // Login still succeeds; the upgrade is retried on the next login
+        console.error(`[LOGIN] ⚠️  Failed to upgrade password hash for user ${user.id}:`, rehashErr.message);
+      }
+    }
+
+    // Login successful - issue session tokens
+    const session = await createSession(user, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    // Return user data (excluding sensitive info) with tokens
     res.json({
       success: true,
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      expires_in: session.expires_in,
       id: user.id,
       username: user.username,
       access_level: user.access_level,
+      permissions: getPermissions(user.access_level),
       staff_code: user.staff_code,
       business_code: user.business_code,
       venue_code: user.venue_code,
@@ -91,13 +140,77 @@ router.post("/login", async (req, res) => {
 });
 
 /**
- * Logout Endpoint (placeholder for future session management)
+ * Token Refresh Endpoint
+ * POST /api/token/refresh
+ * Exchanges a refresh token for a new access token (refresh token is rotated)
+ */
+router.post("/token/refresh", async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        error: "refresh_token is required"
+      });
+    }
+
+    const session = await refreshSession(refresh_token);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: "Session expired. Please log in again.",
+        code: 'REFRESH_INVALID'
+      });
+    }
+
+    res.json({
+      success: true,
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      expires_in: session.expires_in
+    });
+  } catch (err) {
+    console.error("Error refreshing session:", err);
+    return res.status(500).json({
+      success: false,
+      error: "Failed to refresh session"
+    });
+  }
+});
+
+/**
+ * Logout Endpoint
  * POST /api/logout
+ * Revokes the current session. Pass { all: true } to revoke every session for the user.
+ * Falls back to revoking by refresh_token when the access token has already expired.
  */
-router.post("/logout", (req, res) => {
-  // For now, just return success
-  // In production, clear session/token here
-  res.json({ success: true, message: "Logged out successfully" });
+router.post("/logout", async (req, res) => {
+  const { refresh_token, all } = req.body || {};
+
+  try {
+    if (!req.headers.authorization) {
+      await revokeByRefreshToken(refresh_token);
+      return res.json({ success: true, message: "Logged out successfully" });
+    }
+
+    authenticate(req, res, async () => {
+      try {
+        const revoked = all
+          ? await revokeAllForUser(req.userContext.user_id)
+          : Number(await revokeSession(req.userContext.session_id));
+
+        res.json({ success: true, message: "Logged out successfully", revoked });
+      } catch (err) {
+        console.error("Error during logout:", err);
+        res.status(500).json({ success: false, error: "Failed to log out" });
+      }
+    });
+  } catch (err) {
+    console.error("Error during logout:", err);
+    return res.status(500).json({ success: false, error: "Failed to log out" });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
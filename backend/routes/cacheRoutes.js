@@ -1,12 +1,45 @@
 const express = require('express');
 const router = express.Router();
+const db = require('../config/db');
 const cache = require('../utils/cache');
+const { requirePermission } = require('../middleware/authMiddleware');
 
 /**
  * Cache Management Routes
  * Provides endpoints for monitoring and managing the in-memory cache
+ *
+ * Master only. Every flush, invalidation, cleanup and stats reset is written
+ * to cache_audit_log (schema/14_cache_audit_log.sql).
  */
 
+router.use(requirePermission('cache.manage'));
+
+/**
+ * Record a cache management action
+ * Never throws - the action has already happened and must still be reported
+ *
+ * @param {Object} req - Express request (userContext from auth middleware)
+ * @param {string} action - 'clear' | 'invalidate' | 'cleanup' | 'reset_stats'
+ * @param {Object} details - { pattern, business_code, keys_removed }
+ */
+async function recordCacheAudit(req, action, details = {}) {
+  try {
+    await db.execute(`
+      INSERT INTO cache_audit_log (user_id, action, pattern, business_code, keys_removed, ip_address)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      req.userContext.user_id,
+      action,
+      details.pattern || null,
+      details.business_code || null,
+      details.keys_removed || 0,
+      req.ip || null
+    ]);
+  } catch (err) {
+    console.error('[CACHE] ⚠️  Failed to write cache audit log:', err.message);
+  }
+}
+
 // Get cache statistics
 router.get('/stats', (req, res) => {
   try {
@@ -31,10 +64,15 @@ router.get('/stats', (req, res) => {
   }
 });
 
-// Get all cache keys
+// Get cache keys (session keys are never listed)
+// Optional ?business_code= limits the list to one business
 router.get('/keys', (req, res) => {
   try {
-    const keys = cache.getKeys();
+    const { business_code } = req.query;
+    const keys = cache.getKeys()
+      .filter(key => !key.startsWith('session:'))
+      .filter(key => !business_code || key.split(':').includes(business_code));
+
     res.json({
       success: true,
       count: keys.length,
@@ -50,10 +88,13 @@ router.get('/keys', (req, res) => {
 });
 
 // Clear all cache
-router.delete('/clear', (req, res) => {
+router.delete('/clear', async (req, res) => {
   try {
+    const removed = cache.getKeys().length;
     cache.clear();
-    console.log('[CACHE] All cache cleared by admin');
+    console.log(`[CACHE] All cache cleared by user ${req.userContext.user_id}`);
+    await recordCacheAudit(req, 'clear', { keys_removed: removed });
+
     res.json({
       success: true,
       message: 'All cache cleared'
@@ -68,15 +109,24 @@ router.delete('/clear', (req, res) => {
 });
 
 // Invalidate cache by pattern
-router.delete('/invalidate/:pattern', (req, res) => {
+// Pass ?business_code= to only touch keys belonging to that business
+router.delete('/invalidate/:pattern', async (req, res) => {
   try {
     const { pattern } = req.params;
-    const count = cache.invalidate(pattern);
-    console.log(`[CACHE] Invalidated ${count} keys matching pattern: ${pattern}`);
+    const { business_code } = req.query;
+
+    const count = business_code
+      ? cache.invalidateForBusiness(business_code, pattern)
+      : cache.invalidate(pattern);
+
+    console.log(`[CACHE] Invalidated ${count} keys matching pattern: ${pattern}${business_code ? ` (business ${business_code})` : ''} by user ${req.userContext.user_id}`);
+    await recordCacheAudit(req, 'invalidate', { pattern, business_code, keys_removed: count });
+
     res.json({
       success: true,
       message: `Invalidated ${count} cache entries`,
       pattern,
+      business_code: business_code || null,
       count
     });
   } catch (err) {
@@ -88,11 +138,37 @@ router.delete('/invalidate/:pattern', (req, res) => {
   }
 });
 
+// Invalidate every cache entry for one business
+router.delete('/business/:business_code', async (req, res) => {
+  try {
+    const { business_code } = req.params;
+    const count = cache.invalidateForBusiness(business_code);
+
+    console.log(`[CACHE] Invalidated ${count} keys for business ${business_code} by user ${req.userContext.user_id}`);
+    await recordCacheAudit(req, 'invalidate', { business_code, keys_removed: count });
+
+    res.json({
+      success: true,
+      message: `Invalidated ${count} cache entries`,
+      business_code,
+      count
+    });
+  } catch (err) {
+    console.error('Error invalidating business cache:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invalidate cache'
+    });
+  }
+});
+
 // Run manual cleanup
-router.post('/cleanup', (req, res) => {
+router.post('/cleanup', async (req, res) => {
   try {
     const removed = cache.cleanup();
     console.log(`[CACHE] Manual cleanup removed ${removed} expired entries`);
+    await recordCacheAudit(req, 'cleanup', { keys_removed: removed });
+
     res.json({
       success: true,
       message: `Removed ${removed} expired entries`,
@@ -108,10 +184,12 @@ router.post('/cleanup', (req, res) => {
 });
 
 // Reset cache statistics
-router.post('/reset-stats', (req, res) => {
+router.post('/reset-stats', async (req, res) => {
   try {
     cache.resetStats();
     console.log('[CACHE] Cache statistics reset');
+    await recordCacheAudit(req, 'reset_stats');
+
     res.json({
       success: true,
       message: 'Cache statistics reset'
@@ -125,4 +203,31 @@ router.post('/reset-stats', (req, res) => {
   }
 });
 
+// Cache audit trail (most recent first)
+router.get('/audit', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const [rows] = await db.execute(`
+      SELECT a.id, a.action, a.pattern, a.business_code, a.keys_removed,
+             a.ip_address, a.created_at, u.email AS user_email
+      FROM cache_audit_log a
+      LEFT JOIN users u ON a.user_id = u.id
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ${limit}
+    `);
+
+    res.json({
+      success: true,
+      data: rows
+    });
+  } catch (err) {
+    console.error('Error fetching cache audit log:', err);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch cache audit log'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
-const { requireStaffManagementAccess } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
+const { getDataScope } = require('../utils/permissions');
 
 // Dashboard metrics for System Admin/Manager/Supervisor
-router.get('/', requireStaffManagementAccess, async (req, res) => {
+router.get('/', requirePermission('dashboard.view'), async (req, res) => {
   try {
     // Get user context from auth middleware
     const { userContext } = req;
@@ -26,8 +27,8 @@ router.get('/', requireStaffManagementAccess, async (req, res) => {
     let shiftsWhere = `s.staff_code IN (SELECT staff_code FROM staff WHERE business_code = ?)`;
     const params = [businessCode];
 
-    // For managers/supervisors, filter by their venue
-    if (accessLevel !== 'system_admin' && venueCode) {
+    // Venue-scoped roles (managers/supervisors) only see their venue
+    if (getDataScope(accessLevel) === 'venue' && venueCode) {
       staffWhere += ` AND venue_code = ?`;
       shiftsWhere += ` AND s.venue_code = ?`;
       params.push(venueCode);
@@ -44,7 +45,7 @@ router.get('/', requireStaffManagementAccess, async (req, res) => {
     );
 
     // Count active shifts
-    const shiftsParams = accessLevel !== 'system_admin' && venueCode
+    const shiftsParams = getDataScope(accessLevel) === 'venue' && venueCode
       ? [businessCode, venueCode]
       : [businessCode];
 
@@ -14,14 +14,16 @@ const staffRoutes = require('./staffRoutes');
 const kioskRoutes = require('./kiosk');
 const dashboardRoutes = require('./dashboardRoutes');
 const cacheRoutes = require('./cacheRoutes');
+const jobRoutes = require('./jobRoutes');
 
 // Mount routes
-router.use('/', authRoutes);                        // POST /api/login, /api/logout (at root level)
+router.use('/', authRoutes);                        // POST /api/login, /api/logout, /api/token/refresh (at root level)
 router.use('/master', masterRoutes);                // Master admin routes
 router.use('/system-admin', systemAdminRoutes);     // System admin routes (legacy)
 router.use('/system-admin/dashboard', dashboardRoutes); // Dashboard metrics
 router.use('/staff', staffRoutes);                  // Shared staff management routes
 router.use('/kiosk', kioskRoutes);                  // Kiosk clock-in/out routes
 router.use('/cache', cacheRoutes);                  // Cache management routes
+router.use('/jobs', jobRoutes);                     // Background job management routes
 
 module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { JobError, runJob, listJobs, setJobPaused, getJobRuns } = require('../utils/jobScheduler');
+const { requirePermission } = require('../middleware/authMiddleware');
+
+/**
+ * Background Job Routes
+ * List, trigger, pause and resume the jobs defined in utils/jobs.js
+ *
+ * Master only. Pausing stops scheduled runs on every instance; a manual
+ * run still works while a job is paused.
+ */
+
+router.use(requirePermission('jobs.manage'));
+
+/**
+ * Send the error response for a failed job request
+ * @param {Object} res - Express response
+ * @param {Error} err
+ * @param {string} message - Message for unexpected errors
+ */
+function sendJobError(res, err, message) {
+  if (err instanceof JobError) {
+    return res.status(err.statusCode).json({
+      success: false,
+      error: err.message,
+      code: err.code
+    });
+  }
+
+  console.error(`${message}:`, err);
+  res.status(500).json({
+    success: false,
+    error: message
+  });
+}
+
+// List jobs with their schedule, state and last run
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+  } catch (err) {
+    sendJobError(res, err, 'Failed to fetch jobs');
+  }
+});
+
+// Run history of a job, newest first (?limit=, default 50, at most 200)
+router.get('/:name/runs', async (req, res) => {
+  try {
+    const runs = await getJobRuns(req.params.name, req.query.limit);
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (err) {
+    sendJobError(res, err, 'Failed to fetch job runs');
+  }
+});
+
+// Run a job now and wait for it to finish
+router.post('/:name/run', async (req, res) => {
+  try {
+    const { name } = req.params;
+    console.log(`[JOBS] Manual run of ${name} by user ${req.userContext.user_id}`);
+
+    const run = await runJob(name, { trigger: 'manual', userId: req.userContext.user_id });
+
+    if (run.status === 'FAILED') {
+      return res.status(500).json({
+        success: false,
+        error: `Job ${name} failed: ${run.error}`,
+        run
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${name} completed`,
+      run
+    });
+  } catch (err) {
+    sendJobError(res, err, 'Failed to run job');
+  }
+});
+
+// Pause a job's scheduled runs
+router.post('/:name/pause', async (req, res) => {
+  try {
+    await setJobPaused(req.params.name, true, req.userContext.user_id);
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} paused`
+    });
+  } catch (err) {
+    sendJobError(res, err, 'Failed to pause job');
+  }
+});
+
+// Resume a paused job
+router.post('/:name/resume', async (req, res) => {
+  try {
+    await setJobPaused(req.params.name, false, req.userContext.user_id);
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} resumed`
+    });
+  } catch (err) {
+    sendJobError(res, err, 'Failed to resume job');
+  }
+});
+
+module.exports = router;
@@ -2,110 +2,82 @@ const express = require("express");
 const router = express.Router();
 const db = require("../config/db");
 const cache = require("../utils/cache");
-const { determinePaydayType, calculateShiftPay } = require("../utils/payCalculator");
+const { priceShift, PAY_COLUMNS, payColumnValues } = require("../utils/payCalculator");
+const { verifyPassword, hashPassword } = require("../utils/password");
+const { PIN_HASH_ALGORITHM, PIN_HASH_ITERATIONS, hashPin, deriveSyncKey, pinCheck, verifyPin, verifyEventSignature } = require("../utils/kioskPin");
+const throttle = require("../utils/loginThrottle");
+const { registerDevice, revokeDevice, issueStaffToken } = require("../utils/kioskDevice");
+const { requireKioskDevice, requireKioskStaff } = require("../middleware/authMiddleware");
+const { getShiftSnapshot, kioskActor, recordShiftAudit } = require("../utils/shiftAudit");
+const { BREAK_TYPES, DEFAULT_BREAK_TYPE, openBreak, closeOpenBreak } = require("../utils/shiftBreaks");
+const { checkShiftCompliance } = require("../utils/shiftCompliance");
 
-// ===== Step 5: DB Connection Keepalive Monitor =====
-// Prevents MySQL idle disconnects with periodic health checks
-setInterval(async () => {
-  try {
-    await db.execute('SELECT 1');
-    console.log('✅ DB keepalive ping successful');
-  } catch (err) {
-    console.error('❌ DB keepalive failed:', err.message);
-  }
-}, 300000); // 5 minutes
-
-// ===== Auto-Close Long Shifts Monitor =====
-// Automatically closes shifts that have been open for more than 10 hours
-// Runs every 15 minutes to catch and close any abandoned shifts
-setInterval(async () => {
-  try {
-    const maxHours = 10;
-
-    // Find all shifts that have been active for more than 10 hours
-    const [longShifts] = await db.execute(`
-      SELECT s.id, s.staff_code, s.clock_in, s.venue_code,
-             TIMESTAMPDIFF(HOUR, s.clock_in, NOW()) as hours_open
-      FROM shifts s
-      WHERE s.shift_state IN ('ACTIVE', 'ON_BREAK')
-        AND TIMESTAMPDIFF(HOUR, s.clock_in, NOW()) >= ?
-    `, [maxHours]);
-
-    if (longShifts.length === 0) {
-      console.log('✅ Auto-close monitor: No long shifts found');
-      return;
-    }
-
-    console.log(`⚠️  Found ${longShifts.length} shift(s) open for ${maxHours}+ hours - auto-closing...`);
-
-    // Auto-close each long shift
-    for (const shift of longShifts) {
-      const autoClockOut = new Date(new Date(shift.clock_in).getTime() + maxHours * 60 * 60 * 1000);
-
-      try {
-        // Get venue details for business_code
-        const [venueRows] = await db.execute(
-          'SELECT business_code FROM venues WHERE venue_code = ? LIMIT 1',
-          [shift.venue_code]
-        );
-
-        if (!venueRows.length) {
-          console.error(`❌ Failed to auto-close shift ${shift.id}: venue not found`);
-          continue;
-        }
-
-        const businessCode = venueRows[0].business_code;
-
-        // Get pay rates for calculation
-        const [rates] = await db.execute(`
-          SELECT weekday_rate, saturday_rate, sunday_rate, public_holiday_rate
-          FROM pay_rates
-          WHERE staff_code = ?
-          LIMIT 1
-        `, [shift.staff_code]);
+/**
+ * Reject a request that targets a venue other than the device's own
+ * @param {Object} res - Express response
+ * @returns {Object} 403 response
+ */
+function rejectVenueMismatch(res) {
+  return res.status(403).json({
+    success: false,
+    error: "This kiosk is not registered to that venue",
+    code: 'DEVICE_VENUE_MISMATCH'
+  });
+}
 
-        // Determine payday_type based on date and holidays
-        const paydayType = await determinePaydayType(new Date(shift.clock_in), businessCode);
+/**
+ * Reject a shift action by someone other than the shift's owner
+ * @param {Object} res - Express response
+ * @returns {Object} 403 response
+ */
+function rejectOwnershipMismatch(res) {
+  return res.status(403).json({
+    success: false,
+    error: "This shift belongs to another staff member",
+    code: 'SHIFT_OWNERSHIP_MISMATCH'
+  });
+}
 
-        // Calculate pay using the utility (will use base rate if no rates found)
-        const rate = rates.length > 0 ? rates[0] : null;
+/**
+ * Check a shift belongs to the acting staff member and the device's venue
+ *
+ * @param {Object} conn - db pool or transaction connection
+ * @param {number|string} shiftId - Shift ID
+ * @param {Object} device - req.kioskDevice
+ * @param {string} staffCode - Staff member acting on the shift
+ * @returns {Promise<string|null>} DEVICE_VENUE_MISMATCH, SHIFT_OWNERSHIP_MISMATCH, or null
+ *   (also null when the shift does not exist - the caller reports that)
+ */
+async function checkShiftOwnership(conn, shiftId, device, staffCode) {
+  const [rows] = await conn.execute('SELECT staff_code, venue_code FROM shifts WHERE id = ? LIMIT 1', [shiftId]);
 
-        if (!rate) {
-          console.warn(`[AUTO-CLOSE] ⚠️  No pay rates found for staff ${shift.staff_code} - using base rate $25/hr`);
-        }
+  if (rows.length === 0) return null;
+  if (rows[0].venue_code !== device.venue_code) return 'DEVICE_VENUE_MISMATCH';
+  if (rows[0].staff_code !== staffCode) return 'SHIFT_OWNERSHIP_MISMATCH';
+  return null;
+}
 
-        const payResult = calculateShiftPay({
-          hoursWorked: maxHours,
-          paydayType,
-          rates: rate
-        });
+/**
+ * Check a queued event was signed with its staff member's sync key
+ * The kiosk derives the key from the PIN entered for the event (see utils/kioskPin.js),
+ * so a valid signature shows that staff member was present; the device token alone does not.
+ *
+ * @param {Object} conn - db pool or transaction connection
+ * @param {Object} event - Queued event ({ offline_id, type, timestamp, data })
+ * @returns {Promise<boolean>}
+ */
+async function hasValidEventSignature(conn, event) {
+  if (!event.data.staff_code) return false;
 
-        const appliedRate = payResult.appliedRate;
-        const totalPay = payResult.totalPay;
-
-        // Close the shift
-        await db.execute(`
-          UPDATE shifts
-          SET clock_out = ?,
-              hours_worked = ?,
-              applied_rate = ?,
-              total_pay = ?,
-              payday_type = ?,
-              shift_state = 'COMPLETED'
-          WHERE id = ?
-        `, [autoClockOut, maxHours, appliedRate, totalPay, paydayType, shift.id]);
-
-        console.log(`✅ Auto-closed shift ${shift.id} for ${shift.staff_code}: ${shift.hours_open}h → ${maxHours}h [${paydayType}]`);
-
-      } catch (err) {
-        console.error(`❌ Failed to auto-close shift ${shift.id}:`, err.message);
-      }
-    }
+  const [rows] = await conn.execute(
+    "SELECT kiosk_sync_key FROM users WHERE staff_code = ? AND status = 'active' LIMIT 1",
+    [event.data.staff_code]
+  );
+  return rows.length > 0 && verifyEventSignature(event, rows[0].kiosk_sync_key);
+}
 
-  } catch (err) {
-    console.error('❌ Auto-close monitor failed:', err.message);
-  }
-}, 900000); // 15 minutes
+// Queued events may be stamped up to this far ahead of the server clock
+const MAX_EVENT_CLOCK_SKEW_MS = 5 * 60 * 1000;
 
 // ===== Health Check Endpoint =====
 // Purpose: Verify backend and database connectivity
@@ -133,29 +105,77 @@ router.get('/health', async (_req, res) => {
 // Kiosk login
 router.post('/login', async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, device_id, device_name } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({ error: 'Missing username or password' });
     }
 
+    // Reject early if this venue login or client is locked out; otherwise count the attempt
+    const throttleKeys = throttle.buildKeys('kiosk_login', req, username);
+    const lock = await throttle.reserve(throttleKeys);
+    if (lock) {
+      await throttle.logFailure(throttleKeys, { reason: 'LOCKED_OUT' });
+      return throttle.rejectLocked(res, lock);
+    }
+
     const sql = `
       SELECT venue_code, business_code, venue_name, contact_email, kiosk_password, timezone
       FROM venues
-      WHERE contact_email = ? AND kiosk_password = ? AND status = 'active'
+      WHERE contact_email = ? AND status = 'active'
     `;
 
-    const [results] = await db.execute(sql, [username, password]);
+    const [results] = await db.execute(sql, [username]);
 
     if (!results || results.length === 0) {
+      const locked = await throttle.recordFailure(throttleKeys, { reason: 'UNKNOWN_ACCOUNT' });
+      if (locked) return throttle.rejectLocked(res, locked);
+
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
     const venue = results[0];
+    const { valid, needsRehash } = await verifyPassword(password, venue.kiosk_password);
+
+    if (!valid) {
+      const locked = await throttle.recordFailure(throttleKeys, {
+        reason: 'INVALID_PASSWORD',
+        business_code: venue.business_code,
+        venue_code: venue.venue_code
+      });
+      if (locked) return throttle.rejectLocked(res, locked);
+
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
 
-    // Success - return venue + business context with timezone
+    await throttle.recordSuccess(throttleKeys);
+
+    // Transparently upgrade legacy plain text kiosk passwords to bcrypt
+    if (needsRehash) {
+      try {
+        await db.execute(
+          'UPDATE venues SET kiosk_password = ? WHERE venue_code = ?',
+          [await hashPassword(password), venue.venue_code]
+        );
+        console.log(`[KIOSK LOGIN] 🔐 Upgraded legacy kiosk password for venue ${venue.venue_code}`);
+      } catch (rehashErr) {
+        console.error(`[KIOSK LOGIN] ⚠️  Failed to upgrade kiosk password for venue ${venue.venue_code}:`, rehashErr.message);
+      }
+    }
+
+    // Register this kiosk (or rotate its token if it was registered before)
+    const device = await registerDevice(venue, {
+      deviceId: device_id,
+      deviceName: device_name,
+      ip: req.ip
+    });
+    console.log(`[KIOSK LOGIN] 📟 Device ${device.device_id} registered for venue ${venue.venue_code}`);
+
+    // Success - return venue + business context with timezone and the device token
     res.json({
       success: true,
+      device_id: device.device_id,
+      device_token: device.device_token,
       venue_code: venue.venue_code,
       business_code: venue.business_code,
       venue_name: venue.venue_name,
@@ -168,6 +188,24 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// ===== Registered Device Routes =====
+// Everything below requires the X-Kiosk-Token issued by POST /login
+router.use(requireKioskDevice);
+
+// Kiosk logout - revokes this device's token
+router.post('/logout', async (req, res) => {
+  try {
+    const { device_id, venue_code } = req.kioskDevice;
+    await revokeDevice(device_id, venue_code);
+
+    console.log(`[KIOSK LOGOUT] 📟 Device ${device_id} signed out of venue ${venue_code}`);
+    res.json({ success: true, message: 'Kiosk signed out' });
+  } catch (err) {
+    console.error('Error during kiosk logout:', err);
+    res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+});
+
 // Validate staff PIN (for kiosk access - all active staff at venue)
 router.post("/validate-pin", async (req, res) => {
   try {
@@ -177,16 +215,28 @@ router.post("/validate-pin", async (req, res) => {
       return res.status(400).json({ success: false, error: "Missing staff_code, PIN, or venue_code" });
     }
 
+    if (venue_code !== req.kioskDevice.venue_code) {
+      return rejectVenueMismatch(res);
+    }
+
     // Validate PIN format (6 digits)
     if (!/^\d{6}$/.test(pin)) {
       return res.status(400).json({ success: false, error: "PIN must be 6 digits" });
     }
 
+    // Reject early if this staff member or kiosk is locked out; otherwise count the attempt
+    const throttleKeys = throttle.buildKeys('pin', req, staff_code, { venue_code });
+    const lock = await throttle.reserve(throttleKeys);
+    if (lock) {
+      await throttle.logFailure(throttleKeys, { reason: 'LOCKED_OUT', venue_code, staff_code });
+      return throttle.rejectLocked(res, lock);
+    }
+
     // Allow staff who are:
     // 1. Assigned to this specific venue (venue_code matches)
     // 2. System admins (venue_code IS NULL) who can work at any venue
     const sql = `
-      SELECT u.id, u.kiosk_pin, u.staff_code, u.access_level,
+      SELECT u.id, u.kiosk_pin, u.kiosk_pin_hash, u.kiosk_pin_salt, u.kiosk_sync_key, u.staff_code, u.access_level,
              s.first_name, s.last_name, s.venue_code, s.business_code
       FROM users u
       JOIN staff s ON u.staff_code = s.staff_code
@@ -198,19 +248,63 @@ router.post("/validate-pin", async (req, res) => {
     const [results] = await db.execute(sql, [staff_code, venue_code]);
 
     if (!results || results.length === 0) {
+      const locked = await throttle.recordFailure(throttleKeys, { reason: 'STAFF_NOT_FOUND', venue_code });
+      if (locked) return throttle.rejectLocked(res, locked);
+
       return res.status(404).json({ success: false, error: "Staff not found or not authorized for this venue" });
     }
 
     const user = results[0];
 
-    // Check if PIN matches
-    if (user.kiosk_pin !== pin) {
+    // Check if PIN matches the stored hash (or legacy plain text PIN)
+    const { valid, needsRehash } = await verifyPin(pin, user);
+
+    if (!valid) {
+      const locked = await throttle.recordFailure(throttleKeys, {
+        reason: 'INVALID_PIN',
+        business_code: user.business_code,
+        venue_code,
+        staff_code: user.staff_code
+      });
+      if (locked) return throttle.rejectLocked(res, locked);
+
       return res.status(401).json({ success: false, error: "Invalid PIN" });
     }
 
-    // PIN is valid - staff can use kiosk at this venue
+    await throttle.recordSuccess(throttleKeys);
+
+    // Upgrade legacy plain text PIN so it can be accepted offline next time
+    if (needsRehash) {
+      try {
+        const { hash, salt, syncKey } = await hashPin(pin);
+        await db.execute(
+          'UPDATE users SET kiosk_pin_hash = ?, kiosk_pin_salt = ?, kiosk_sync_key = ?, kiosk_pin = NULL WHERE id = ?',
+          [hash, salt, syncKey, user.id]
+        );
+        cache.invalidate('kiosk:staff:');
+        console.log(`[VALIDATE-PIN] 🔐 Upgraded legacy kiosk PIN for ${user.staff_code}`);
+      } catch (rehashErr) {
+        console.error(`[VALIDATE-PIN] ⚠️  Failed to upgrade kiosk PIN for ${user.staff_code}:`, rehashErr.message);
+      }
+    } else if (!user.kiosk_sync_key) {
+      // PINs set before sync keys existed get one now, so their offline events can be verified
+      try {
+        await db.execute(
+          'UPDATE users SET kiosk_sync_key = ? WHERE id = ?',
+          [await deriveSyncKey(pin, user.kiosk_pin_salt), user.id]
+        );
+        // The kiosk staff list carries a PIN check made from the key
+        cache.invalidate('kiosk:staff:');
+      } catch (syncKeyErr) {
+        console.error(`[VALIDATE-PIN] ⚠️  Failed to store sync key for ${user.staff_code}:`, syncKeyErr.message);
+      }
+    }
+
+    // PIN is valid - staff can use kiosk at this venue.
+    // The staff token authorizes this person's shift actions on this device.
     res.json({
       success: true,
+      staff_token: issueStaffToken(req.kioskDevice, user.staff_code),
       staff_code: user.staff_code,
       name: `${user.first_name} ${user.last_name}`,
       venue_code: user.venue_code,
@@ -232,6 +326,10 @@ router.get("/staff", async (req, res) => {
       return res.status(400).json({ error: "business_code and venue_code are required" });
     }
 
+    if (venue_code !== req.kioskDevice.venue_code || business_code !== req.kioskDevice.business_code) {
+      return rejectVenueMismatch(res);
+    }
+
     // Build cache key
     const cacheKey = `kiosk:staff:${business_code}:${venue_code}`;
 
@@ -247,11 +345,11 @@ router.get("/staff", async (req, res) => {
     // Include both:
     // 1. Staff assigned to this specific venue
     // 2. System admins (venue_code = NULL) who can work at any venue in the business
-    // Note: Includes kiosk_pin for offline caching (testing phase)
+    // Note: Includes the PIN salt for offline sync keys - never the PIN hash or the sync key
     const sql = `
       SELECT s.staff_code, s.first_name, s.middle_name, s.last_name,
              s.venue_code, s.business_code, s.employment_status, s.role_title,
-             u.kiosk_pin
+             u.kiosk_pin_salt AS pin_salt, u.kiosk_sync_key
       FROM staff s
       LEFT JOIN users u ON s.staff_code = u.staff_code
       WHERE s.business_code = ?
@@ -263,7 +361,16 @@ router.get("/staff", async (req, res) => {
         s.last_name
     `;
 
-    const [results] = await db.execute(sql, [business_code, venue_code]);
+    const [rows] = await db.execute(sql, [business_code, venue_code]);
+
+    // Each record carries its key parameters and a short PIN check (see utils/kioskPin.js)
+    // so the kiosk can accept a PIN offline; staff without a sync key cannot work offline
+    const results = rows.map(({ kiosk_sync_key, ...row }) => ({
+      ...row,
+      pin_check: pinCheck(kiosk_sync_key),
+      pin_algorithm: kiosk_sync_key ? PIN_HASH_ALGORITHM : null,
+      pin_iterations: kiosk_sync_key ? PIN_HASH_ITERATIONS : null
+    }));
 
     // Cache for 30 minutes (1800000 ms) - staff list changes infrequently
     cache.set(cacheKey, results, 1800000);
@@ -301,6 +408,10 @@ router.get("/status/venue/:venue_code", async (req, res) => {
     return res.status(400).json({ success: false, error: "business_code is required" });
   }
 
+  if (venue_code !== req.kioskDevice.venue_code || business_code !== req.kioskDevice.business_code) {
+    return rejectVenueMismatch(res);
+  }
+
   try {
     const query = `
       SELECT
@@ -349,6 +460,10 @@ router.get("/status/:staff_code", async (req, res) => {
       return res.status(400).json({ error: "venue_code is required" });
     }
 
+    if (venue_code !== req.kioskDevice.venue_code) {
+      return rejectVenueMismatch(res);
+    }
+
     // First check for ANY active shift (any venue)
     const anyShiftQuery = `
       SELECT s.*, v.venue_name
@@ -404,7 +519,7 @@ router.get("/status/:staff_code", async (req, res) => {
 
 // Clock In (with shift_state support)
 // Clock In - Start new shift with transaction guard (Step 3)
-router.post("/shift/:staff_code/clockin", async (req, res) => {
+router.post("/shift/:staff_code/clockin", requireKioskStaff, async (req, res) => {
   const { staff_code } = req.params;
   const { venue_code } = req.body;
 
@@ -412,11 +527,29 @@ router.post("/shift/:staff_code/clockin", async (req, res) => {
     return res.status(400).json({ success: false, error: "Missing staff_code or venue_code" });
   }
 
+  if (venue_code !== req.kioskDevice.venue_code) {
+    return rejectVenueMismatch(res);
+  }
+
+  if (staff_code !== req.kioskStaff.staff_code) {
+    return rejectOwnershipMismatch(res);
+  }
+
   const connection = await db.getConnection();
 
   try {
     await connection.beginTransaction();
 
+    // Terminated staff keep a valid staff token for up to STAFF_TOKEN_TTL
+    const [activeStaff] = await connection.execute(
+      "SELECT 1 FROM staff WHERE staff_code = ? AND employment_status = 'active' LIMIT 1",
+      [staff_code]
+    );
+    if (activeStaff.length === 0) {
+      await connection.rollback();
+      return res.status(403).json({ success: false, error: "Staff member is not active", code: 'STAFF_INACTIVE' });
+    }
+
     // Lock any existing open shifts for this staff (FOR UPDATE prevents race conditions)
     const [openShifts] = await connection.execute(`
       SELECT id, shift_state FROM shifts
@@ -444,6 +577,14 @@ router.post("/shift/:staff_code/clockin", async (req, res) => {
       VALUES (?, ?, NOW(), 'ACTIVE', NOW())
     `, [staff_code, venue_code]);
 
+    await recordShiftAudit(connection, {
+      shiftId: result.insertId,
+      action: 'CLOCK_IN',
+      source: 'kiosk',
+      actor: kioskActor(req),
+      before: null
+    });
+
     await connection.commit();
 
     console.log(`✅ Clock-in: Staff ${staff_code} → Shift ID ${result.insertId}`);
@@ -464,10 +605,29 @@ router.post("/shift/:staff_code/clockin", async (req, res) => {
 });
 
 // Break In (start break)
-router.post("/shift/:id/breakin", async (req, res) => {
+// Body: { break_type } - unpaid (default), paid or meal
+router.post("/shift/:id/breakin", requireKioskStaff, async (req, res) => {
+  const breakType = (req.body && req.body.break_type) || DEFAULT_BREAK_TYPE;
+
+  if (!BREAK_TYPES.includes(breakType)) {
+    return res.status(400).json({ success: false, error: `break_type must be one of: ${BREAK_TYPES.join(', ')}` });
+  }
+
+  const connection = await db.getConnection();
+
   try {
     const { id } = req.params;
 
+    await connection.beginTransaction();
+
+    const mismatch = await checkShiftOwnership(connection, id, req.kioskDevice, req.kioskStaff.staff_code);
+    if (mismatch) {
+      await connection.rollback();
+      return mismatch === 'DEVICE_VENUE_MISMATCH' ? rejectVenueMismatch(res) : rejectOwnershipMismatch(res);
+    }
+
+    const before = await getShiftSnapshot(connection, id);
+
     const updateQuery = `
       UPDATE shifts
       SET shift_state = 'ON_BREAK',
@@ -475,52 +635,95 @@ router.post("/shift/:id/breakin", async (req, res) => {
       WHERE id = ? AND shift_state = 'ACTIVE'
     `;
 
-    const [result] = await db.execute(updateQuery, [id]);
+    const [result] = await connection.execute(updateQuery, [id]);
 
     if (result.affectedRows === 0) {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
         error: "Cannot start break - shift not in ACTIVE state"
       });
     }
 
-    console.log(`✅ Break started: Shift ID ${id}`);
+    const breakId = await openBreak(connection, id, { type: breakType });
+
+    await recordShiftAudit(connection, {
+      shiftId: id,
+      action: 'BREAK_START',
+      source: 'kiosk',
+      actor: kioskActor(req),
+      before
+    });
+
+    await connection.commit();
+
+    console.log(`✅ Break started: Shift ID ${id} (${breakType})`);
     res.json({
       success: true,
       message: "Break started",
-      shift_state: "ON_BREAK"
+      shift_state: "ON_BREAK",
+      break_id: breakId,
+      break_type: breakType
     });
   } catch (err) {
+    await connection.rollback();
     console.error("Error starting break:", err);
     res.status(500).json({ success: false, error: "Failed to start break" });
+  } finally {
+    connection.release();
   }
 });
 
 // Break Out (end break)
-router.post("/shift/:id/breakout", async (req, res) => {
+router.post("/shift/:id/breakout", requireKioskStaff, async (req, res) => {
+  const connection = await db.getConnection();
+
   try {
     const { id } = req.params;
 
-    const updateQuery = `
-      UPDATE shifts
-      SET break_minutes = break_minutes + TIMESTAMPDIFF(MINUTE, last_action_time, NOW()),
-          last_action_time = NOW(),
-          shift_state = 'ACTIVE'
-      WHERE id = ? AND shift_state = 'ON_BREAK'
-    `;
+    await connection.beginTransaction();
 
-    const [result] = await db.execute(updateQuery, [id]);
+    const mismatch = await checkShiftOwnership(connection, id, req.kioskDevice, req.kioskStaff.staff_code);
+    if (mismatch) {
+      await connection.rollback();
+      return mismatch === 'DEVICE_VENUE_MISMATCH' ? rejectVenueMismatch(res) : rejectOwnershipMismatch(res);
+    }
 
-    if (result.affectedRows === 0) {
+    const before = await getShiftSnapshot(connection, id);
+
+    if (!before || before.shift_state !== 'ON_BREAK') {
+      await connection.rollback();
       return res.status(400).json({
         success: false,
         error: "Cannot end break - shift not in ON_BREAK state"
       });
     }
 
+    // Closing the break record adds its minutes to break_minutes (and unpaid_break_minutes)
+    const closedBreak = await closeOpenBreak(connection, id);
+
+    const updateQuery = `
+      UPDATE shifts
+      SET last_action_time = NOW(),
+          shift_state = 'ACTIVE'
+      WHERE id = ? AND shift_state = 'ON_BREAK'
+    `;
+
+    await connection.execute(updateQuery, [id]);
+
+    await recordShiftAudit(connection, {
+      shiftId: id,
+      action: 'BREAK_END',
+      source: 'kiosk',
+      actor: kioskActor(req),
+      before
+    });
+
     // Get updated break_minutes
     const selectQuery = `SELECT break_minutes FROM shifts WHERE id = ?`;
-    const [shifts] = await db.execute(selectQuery, [id]);
+    const [shifts] = await connection.execute(selectQuery, [id]);
+
+    await connection.commit();
 
     if (!shifts || shifts.length === 0) {
       return res.json({
@@ -530,39 +733,47 @@ router.post("/shift/:id/breakout", async (req, res) => {
       });
     }
 
-    console.log(`✅ Break ended: Shift ID ${id} → Total break: ${shifts[0].break_minutes} minutes`);
+    console.log(`✅ Break ended: Shift ID ${id} → ${closedBreak ? closedBreak.minutes : 0} min ${closedBreak ? closedBreak.break_type : ''}, total break: ${shifts[0].break_minutes} minutes`);
     res.json({
       success: true,
       message: "Break ended",
       shift_state: "ACTIVE",
+      break_minutes: closedBreak ? closedBreak.minutes : 0,
       total_break_minutes: shifts[0].break_minutes
     });
   } catch (err) {
+    await connection.rollback();
     console.error("Error ending break:", err);
     res.status(500).json({ success: false, error: "Failed to end break" });
+  } finally {
+    connection.release();
   }
 });
 
 // Clock Out (with break-adjusted hours_worked calculation)
-router.post("/shift/:id/clockout", async (req, res) => {
+router.post("/shift/:id/clockout", requireKioskStaff, async (req, res) => {
+  const connection = await db.getConnection();
+
   try {
     const { id } = req.params;
     console.log(`[KIOSK CLOCKOUT] 🔍 Shift ID: ${id}`);
 
+    await connection.beginTransaction();
+
     // Get shift details first including venue business_code
     const selectQuery = `
-      SELECT s.*, v.business_code,
-             pr.weekday_rate, pr.saturday_rate, pr.sunday_rate, pr.public_holiday_rate, pr.overtime_rate
+      SELECT s.*, v.business_code
       FROM shifts s
-      LEFT JOIN pay_rates pr ON s.staff_code = pr.staff_code
       LEFT JOIN venues v ON s.venue_code = v.venue_code
       WHERE s.id = ? AND s.shift_state IN ('ACTIVE', 'ON_BREAK')
       LIMIT 1
+      FOR UPDATE
     `;
 
-    const [shifts] = await db.execute(selectQuery, [id]);
+    const [shifts] = await connection.execute(selectQuery, [id]);
 
     if (!shifts || shifts.length === 0) {
+      await connection.rollback();
       console.error(`[KIOSK CLOCKOUT] ❌ No active shift found with ID ${id}`);
       return res.status(400).json({
         success: false,
@@ -571,15 +782,25 @@ router.post("/shift/:id/clockout", async (req, res) => {
     }
 
     const shift = shifts[0];
-    console.log(`[KIOSK CLOCKOUT] 📋 Shift data: staff=${shift.staff_code}, venue=${shift.venue_code}, business=${shift.business_code}`);
 
-    // Check if pay rates exist (warn but don't fail - will use base rate $25/hr)
-    if (!shift.weekday_rate && shift.weekday_rate !== 0) {
-      console.warn(`[KIOSK CLOCKOUT] ⚠️  No pay rates found for staff ${shift.staff_code} - using base rate $25/hr`);
+    if (shift.venue_code !== req.kioskDevice.venue_code) {
+      await connection.rollback();
+      console.warn(`[KIOSK CLOCKOUT] ⛔ Shift ${id} belongs to venue ${shift.venue_code}, device is registered to ${req.kioskDevice.venue_code}`);
+      return rejectVenueMismatch(res);
     }
 
+    if (shift.staff_code !== req.kioskStaff.staff_code) {
+      await connection.rollback();
+      console.warn(`[KIOSK CLOCKOUT] ⛔ Shift ${id} belongs to ${shift.staff_code}, not ${req.kioskStaff.staff_code}`);
+      return rejectOwnershipMismatch(res);
+    }
+
+    console.log(`[KIOSK CLOCKOUT] 📋 Shift data: staff=${shift.staff_code}, venue=${shift.venue_code}, business=${shift.business_code}`);
+
+
     // Check if business_code exists
     if (!shift.business_code) {
+      await connection.rollback();
       console.error(`[KIOSK CLOCKOUT] ❌ No business_code found for venue ${shift.venue_code}`);
       return res.status(400).json({
         success: false,
@@ -587,53 +808,58 @@ router.post("/shift/:id/clockout", async (req, res) => {
       });
     }
 
-    const clockIn = new Date(shift.clock_in);
     const clockOut = new Date();
+    const before = await getShiftSnapshot(connection, id);
+
+    // Clocking out while on break ends the break
+    if (shift.shift_state === 'ON_BREAK') {
+      const closedBreak = await closeOpenBreak(connection, id, clockOut);
+      if (closedBreak) {
+        shift.break_minutes = (shift.break_minutes || 0) + closedBreak.minutes;
+        shift.unpaid_break_minutes = (shift.unpaid_break_minutes || 0) + closedBreak.unpaid_minutes;
+      }
+    }
 
-    // Calculate total shift duration in hours
-    const totalSeconds = (clockOut - clockIn) / 1000;
-    const totalHours = totalSeconds / 3600;
-
-    // Subtract break time from total hours
-    const breakHours = (shift.break_minutes || 0) / 60;
-    const hoursWorked = Math.round((totalHours - breakHours) * 100) / 100;
-
-    console.log(`[KIOSK CLOCKOUT] ⏱ Calculated hours: ${hoursWorked}h (break: ${shift.break_minutes || 0} min)`);
+    // Hours (minus breaks), per-day rates, overtime and pay rules
+    const pay = await priceShift(connection, { ...shift, clock_out: clockOut });
+    const { hoursWorked, paydayType, appliedRate, totalPay } = pay;
 
-    // Determine payday_type based on date and holidays
-    const paydayType = await determinePaydayType(clockIn, shift.business_code);
+    console.log(`[KIOSK CLOCKOUT] ⏱ Calculated hours: ${hoursWorked}h (unpaid break: ${shift.unpaid_break_minutes || 0} of ${shift.break_minutes || 0} min)`);
     console.log(`[KIOSK CLOCKOUT] 📅 Payday type: ${paydayType}`);
 
-    // Calculate pay using the utility
-    const rates = {
-      weekday_rate: shift.weekday_rate,
-      saturday_rate: shift.saturday_rate,
-      sunday_rate: shift.sunday_rate,
-      public_holiday_rate: shift.public_holiday_rate,
-      overtime_rate: shift.overtime_rate
-    };
-
-    const { appliedRate, totalPay } = calculateShiftPay({
-      hoursWorked,
-      paydayType,
-      rates
-    });
+    // Clock-out still succeeds; the shift is held out of payroll until rates are entered
+    if (pay.payStatus === 'RATE_MISSING') {
+      console.warn(`[KIOSK CLOCKOUT] ⚠️  No pay rates for staff ${shift.staff_code} on ${new Date(shift.clock_in).toDateString()} - shift ${id} flagged RATE_MISSING`);
+    }
 
+    if (pay.overtimeHours > 0) {
+      console.log(`[KIOSK CLOCKOUT] ⏰ Overtime: ${pay.overtimeHours}h = $${pay.overtimePay}`);
+    }
     console.log(`[KIOSK CLOCKOUT] 💰 Applied rate: $${appliedRate}, Total pay: $${totalPay}`);
 
-    // Update shift with clock_out, hours_worked, payday_type, and payment info
+    // Update shift with clock_out, hours, payday_type, and payment info
     const updateQuery = `
       UPDATE shifts
-      SET clock_out = NOW(),
-          hours_worked = ?,
-          payday_type = ?,
-          applied_rate = ?,
-          total_pay = ?,
+      SET clock_out = ?,
+          ${PAY_COLUMNS.map(col => `${col} = ?`).join(', ')},
           shift_state = 'COMPLETED'
       WHERE id = ?
     `;
 
-    await db.execute(updateQuery, [hoursWorked, paydayType, appliedRate, totalPay, id]);
+    await connection.execute(updateQuery, [clockOut, ...payColumnValues(pay), id]);
+
+    await recordShiftAudit(connection, {
+      shiftId: id,
+      action: 'CLOCK_OUT',
+      source: 'kiosk',
+      actor: kioskActor(req),
+      before
+    });
+
+    // Meal break, break length and rest checks; flags are reviewed before approval
+    await checkShiftCompliance(connection, id);
+
+    await connection.commit();
 
     console.log(`[KIOSK CLOCKOUT] ✅ Shift ${id} clocked out successfully`);
     res.json({
@@ -644,17 +870,27 @@ router.post("/shift/:id/clockout", async (req, res) => {
         clock_in: shift.clock_in,
         clock_out: clockOut.toISOString(),
         break_minutes: shift.break_minutes || 0,
+        unpaid_break_minutes: shift.unpaid_break_minutes || 0,
         hours_worked: hoursWorked,
+        ordinary_hours: pay.ordinaryHours,
+        overtime_hours: pay.overtimeHours,
         payday_type: paydayType,
         applied_rate: appliedRate,
         total_pay: totalPay,
+        overtime_pay: pay.overtimePay,
+        pay_segments: pay.segments,
+        penalty_pay: pay.penaltyPay,
+        pay_status: pay.payStatus,
         shift_state: "COMPLETED"
       }
     });
   } catch (err) {
+    await connection.rollback();
     console.error(`[KIOSK CLOCKOUT] ❌ Error:`, err.message);
     console.error(`[KIOSK CLOCKOUT] ❌ Stack:`, err.stack);
     res.status(500).json({ success: false, error: err.message || "Failed to clock out" });
+  } finally {
+    connection.release();
   }
 });
 
@@ -663,7 +899,10 @@ router.post("/shift/:id/clockout", async (req, res) => {
 /**
  * Bulk sync endpoint for offline event queue
  * Handles multiple queued events (clockin/out, breakin/out) in a single transaction
+ * Each event runs under a savepoint, so a failed event leaves none of its writes behind
  * Provides idempotency via sync_log table
+ * Each event must be signed with its staff member's PIN-derived sync key (data.signature);
+ * bad signatures count toward that staff member's PIN lockout
  */
 router.post('/sync', async (req, res) => {
   const events = req.body;
@@ -700,7 +939,53 @@ router.post('/sync', async (req, res) => {
 
       const { shift_id, staff_code, venue_code } = data;
 
+      // One name for every event: a new SAVEPOINT replaces the previous one
+      await connection.query('SAVEPOINT sync_event');
+
       try {
+        // Events may only touch the venue this device is registered to, and
+        // shift events only the shift of the staff member who queued them
+        if (venue_code && venue_code !== req.kioskDevice.venue_code) {
+          throw Object.assign(new Error('Event venue does not match this kiosk device'), { code: 'DEVICE_VENUE_MISMATCH' });
+        }
+
+        // staff_code is only trusted once the signature made from their PIN checks out.
+        // A bad signature counts as a wrong PIN for that staff member, on the same
+        // counters as validate-pin, so PINs cannot be guessed faster through /sync
+        const throttleKeys = throttle.buildKeys('pin', req, staff_code, { venue_code: req.kioskDevice.venue_code });
+        const lock = await throttle.reserve(throttleKeys);
+        if (lock) {
+          await throttle.logFailure(throttleKeys, { reason: 'LOCKED_OUT', venue_code: req.kioskDevice.venue_code, staff_code });
+          throw Object.assign(new Error('Too many failed PIN attempts for this staff member'), { code: 'LOCKED_OUT' });
+        }
+
+        if (!await hasValidEventSignature(connection, event)) {
+          await throttle.recordFailure(throttleKeys, { reason: 'INVALID_PIN', venue_code: req.kioskDevice.venue_code, staff_code });
+          throw Object.assign(new Error('Event is not signed by the staff member it names'), { code: 'EVENT_SIGNATURE_INVALID' });
+        }
+        await throttle.recordSuccess(throttleKeys);
+
+        const eventTime = new Date(timestamp);
+        if (Number.isNaN(eventTime.getTime()) || eventTime.getTime() > Date.now() + MAX_EVENT_CLOCK_SKEW_MS) {
+          throw Object.assign(new Error('Event timestamp is invalid or in the future'), { code: 'INVALID_EVENT_TIME' });
+        }
+
+        if (shift_id) {
+          const mismatch = await checkShiftOwnership(connection, shift_id, req.kioskDevice, staff_code);
+          if (mismatch === 'DEVICE_VENUE_MISMATCH') {
+            throw Object.assign(new Error('Shift belongs to a different venue than this kiosk device'), { code: mismatch });
+          }
+          if (mismatch) {
+            throw Object.assign(new Error('Shift belongs to another staff member'), { code: mismatch });
+          }
+
+          // Clock-outs and breaks cannot be dated before the shift started
+          const [started] = await connection.execute('SELECT clock_in FROM shifts WHERE id = ? LIMIT 1', [shift_id]);
+          if (started.length > 0 && eventTime < new Date(started[0].clock_in)) {
+            throw Object.assign(new Error(`${type} time is before the shift's clock-in`), { code: 'INVALID_EVENT_TIME' });
+          }
+        }
+
         // Check if event already processed (idempotency check)
         const [dupes] = await connection.execute(
           'SELECT id, status FROM sync_log WHERE offline_id = ?',
@@ -721,6 +1006,15 @@ router.post('/sync', async (req, res) => {
               throw new Error('Missing staff_code or venue_code for clockin');
             }
 
+            // Offboarded staff cannot start shifts from queued events either
+            const [activeStaff] = await connection.execute(
+              "SELECT 1 FROM staff WHERE staff_code = ? AND employment_status = 'active' LIMIT 1",
+              [staff_code]
+            );
+            if (activeStaff.length === 0) {
+              throw Object.assign(new Error('Staff member is not active'), { code: 'STAFF_INACTIVE' });
+            }
+
             // Check for existing active shift (Step 3: Conflict Detection)
             const [existingShifts] = await connection.execute(
               'SELECT id, shift_state FROM shifts WHERE staff_code = ? AND shift_state IN ("ACTIVE", "ON_BREAK") LIMIT 1',
@@ -747,11 +1041,19 @@ router.post('/sync', async (req, res) => {
             }
 
             // Create new shift
-            await connection.execute(`
+            const [clockinResult] = await connection.execute(`
               INSERT INTO shifts (staff_code, venue_code, clock_in, shift_state, last_action_time)
               VALUES (?, ?, ?, 'ACTIVE', ?)
             `, [staff_code, venue_code, timestamp, timestamp]);
 
+            await recordShiftAudit(connection, {
+              shiftId: clockinResult.insertId,
+              action: 'CLOCK_IN',
+              source: 'offline_sync',
+              actor: kioskActor(req, staff_code),
+              before: null
+            });
+
             console.log(`✅ Synced clockin: ${staff_code} @ ${venue_code}`);
             break;
 
@@ -763,10 +1065,8 @@ router.post('/sync', async (req, res) => {
 
             // Get shift details for pay calculation including business_code
             const [shifts] = await connection.execute(`
-              SELECT s.*, v.business_code,
-                     pr.weekday_rate, pr.saturday_rate, pr.sunday_rate, pr.public_holiday_rate
+              SELECT s.*, v.business_code
               FROM shifts s
-              LEFT JOIN pay_rates pr ON s.staff_code = pr.staff_code
               LEFT JOIN venues v ON s.venue_code = v.venue_code
               WHERE s.id = ? AND s.shift_state IN ('ACTIVE', 'ON_BREAK')
               LIMIT 1
@@ -777,39 +1077,36 @@ router.post('/sync', async (req, res) => {
             }
 
             const shift = shifts[0];
-            const clockIn = new Date(shift.clock_in);
-            const clockOut = new Date(timestamp);
-
-            // Calculate hours worked (minus breaks)
-            const totalHours = (clockOut - clockIn) / (1000 * 60 * 60);
-            const breakHours = (shift.break_minutes || 0) / 60;
-            const hoursWorked = Math.round((totalHours - breakHours) * 100) / 100;
-
-            // Determine payday_type based on date and holidays
-            const paydayType = await determinePaydayType(clockIn, shift.business_code);
-
-            // Calculate pay using the utility
-            const syncRates = {
-              weekday_rate: shift.weekday_rate,
-              saturday_rate: shift.saturday_rate,
-              sunday_rate: shift.sunday_rate,
-              public_holiday_rate: shift.public_holiday_rate
-            };
-
-            const { appliedRate, totalPay } = calculateShiftPay({
-              hoursWorked,
-              paydayType,
-              rates: syncRates
-            });
+            const clockoutBefore = await getShiftSnapshot(connection, shift_id);
+
+            // Clocking out while on break ends the break
+            if (shift.shift_state === 'ON_BREAK') {
+              const closedBreak = await closeOpenBreak(connection, shift_id, new Date(timestamp));
+              if (closedBreak) shift.unpaid_break_minutes = (shift.unpaid_break_minutes || 0) + closedBreak.unpaid_minutes;
+            }
+
+            // Hours (minus breaks), per-day rates, overtime and pay rules
+            const pay = await priceShift(connection, { ...shift, clock_out: new Date(timestamp) });
+            const { hoursWorked, paydayType, appliedRate, totalPay } = pay;
 
             // Update shift
             await connection.execute(`
               UPDATE shifts
-              SET clock_out = ?, hours_worked = ?, payday_type = ?, applied_rate = ?, total_pay = ?, shift_state = 'COMPLETED'
+              SET clock_out = ?, ${PAY_COLUMNS.map(col => `${col} = ?`).join(', ')}, shift_state = 'COMPLETED'
               WHERE id = ?
-            `, [timestamp, hoursWorked, paydayType, appliedRate, totalPay, shift_id]);
+            `, [timestamp, ...payColumnValues(pay), shift_id]);
+
+            await recordShiftAudit(connection, {
+              shiftId: shift_id,
+              action: 'CLOCK_OUT',
+              source: 'offline_sync',
+              actor: kioskActor(req, shift.staff_code),
+              before: clockoutBefore
+            });
+
+            await checkShiftCompliance(connection, shift_id);
 
-            console.log(`✅ Synced clockout: Shift ${shift_id} → ${hoursWorked}h @ $${appliedRate} = $${totalPay} [${paydayType}]`);
+            console.log(`✅ Synced clockout: Shift ${shift_id} → ${hoursWorked}h @ $${appliedRate} = $${totalPay} [${paydayType}]${pay.payStatus === 'RATE_MISSING' ? ' ⚠️  RATE_MISSING' : ''}`);
             break;
 
           case 'breakin':
@@ -818,6 +1115,13 @@ router.post('/sync', async (req, res) => {
               throw new Error('Missing shift_id for breakin');
             }
 
+            const breakinBefore = await getShiftSnapshot(connection, shift_id);
+
+            const breakType = data.break_type || DEFAULT_BREAK_TYPE;
+            if (!BREAK_TYPES.includes(breakType)) {
+              throw new Error(`Invalid break_type: ${breakType}`);
+            }
+
             const [breakinResult] = await connection.execute(`
               UPDATE shifts
               SET shift_state = 'ON_BREAK', last_action_time = ?
@@ -828,6 +1132,16 @@ router.post('/sync', async (req, res) => {
               throw new Error('Shift not in ACTIVE state or not found');
             }
 
+            await openBreak(connection, shift_id, { type: breakType, at: new Date(timestamp) });
+
+            await recordShiftAudit(connection, {
+              shiftId: shift_id,
+              action: 'BREAK_START',
+              source: 'offline_sync',
+              actor: kioskActor(req, staff_code),
+              before: breakinBefore
+            });
+
             console.log(`✅ Synced breakin: Shift ${shift_id}`);
             break;
 
@@ -837,17 +1151,29 @@ router.post('/sync', async (req, res) => {
               throw new Error('Missing shift_id for breakout');
             }
 
-            const [breakoutResult] = await connection.execute(`
+            const breakoutBefore = await getShiftSnapshot(connection, shift_id);
+
+            if (!breakoutBefore || breakoutBefore.shift_state !== 'ON_BREAK') {
+              throw new Error('Shift not in ON_BREAK state or not found');
+            }
+
+            // Closing the break record adds its minutes to break_minutes (and unpaid_break_minutes)
+            await closeOpenBreak(connection, shift_id, new Date(timestamp));
+
+            await connection.execute(`
               UPDATE shifts
-              SET break_minutes = break_minutes + TIMESTAMPDIFF(MINUTE, last_action_time, ?),
-                  shift_state = 'ACTIVE',
+              SET shift_state = 'ACTIVE',
                   last_action_time = ?
               WHERE id = ? AND shift_state = 'ON_BREAK'
-            `, [timestamp, timestamp, shift_id]);
+            `, [timestamp, shift_id]);
 
-            if (breakoutResult.affectedRows === 0) {
-              throw new Error('Shift not in ON_BREAK state or not found');
-            }
+            await recordShiftAudit(connection, {
+              shiftId: shift_id,
+              action: 'BREAK_END',
+              source: 'offline_sync',
+              actor: kioskActor(req, staff_code),
+              before: breakoutBefore
+            });
 
             console.log(`✅ Synced breakout: Shift ${shift_id}`);
             break;
@@ -867,6 +1193,9 @@ router.post('/sync', async (req, res) => {
       } catch (eventError) {
         console.error(`❌ Event processing failed: ${offline_id}`, eventError.message);
 
+        // Undo the event's partial writes (e.g. a closed break without its shift update)
+        await connection.query('ROLLBACK TO SAVEPOINT sync_event');
+
         // Log failed event to sync_log
         try {
           await connection.execute(`
@@ -880,7 +1209,8 @@ router.post('/sync', async (req, res) => {
         results.push({
           offline_id,
           status: 'failed',
-          error: eventError.message
+          error: eventError.message,
+          code: eventError.code
         });
       }
     }
@@ -1,9 +1,14 @@
 const express = require("express");
-const crypto = require("crypto");
 const db = require("../config/db");
 const cache = require("../utils/cache");
+const { hashPassword } = require("../utils/password");
+const { generatePin, hashPin } = require("../utils/kioskPin");
+const { requirePermission } = require("../middleware/authMiddleware");
 const router = express.Router();
 
+// Every master route requires a master session
+router.use(requirePermission('platform.manage'));
+
 // Import consolidated validation schemas
 const {
   businessSchema,
@@ -280,16 +285,17 @@ router.post("/venue-with-admin", async (req, res) => {
     staff_code, first_name, middle_name, last_name, email, password
   } = value;
 
-  // Hash the passwords (in production, use bcrypt)
-  const kiosk_password_hash = kiosk_password; // Should be hashed
-  const password_hash = password; // Should be hashed
   const username = email; // Use email as username
 
-  // Auto-generate secure 6-digit kiosk PIN using crypto
-  const generateKioskPin = () => crypto.randomInt(100000, 999999).toString();
+  // Auto-generate secure 6-digit kiosk PIN (returned once, only the hash is stored)
+  const kiosk_pin = generatePin();
 
   let connection;
   try {
+    const password_hash = await hashPassword(password);
+    const kiosk_password_hash = await hashPassword(kiosk_password);
+    const { hash: kiosk_pin_hash, salt: kiosk_pin_salt, syncKey: kiosk_sync_key } = await hashPin(kiosk_pin);
+
     // Get connection and start transaction
     connection = await db.getConnection();
     await connection.beginTransaction();
@@ -316,41 +322,16 @@ router.post("/venue-with-admin", async (req, res) => {
       [staff_code, business_code, first_name, middle_name, last_name]
     );
 
-    // 3. Insert user record with unique kiosk PIN (retry up to 5 times on PIN collision)
-    let attemptCount = 0;
-    let userInserted = false;
-    let kiosk_pin;
-    let userResult;
-
-    while (!userInserted && attemptCount <= 5) {
-      try {
-        kiosk_pin = generateKioskPin();
-
-        const userQuery = `
-          INSERT INTO users (email, password_hash, kiosk_pin, access_level, status, staff_code)
-          VALUES (?, ?, ?, 'system_admin', 'active', ?)
-        `;
-
-        [userResult] = await connection.execute(
-          userQuery,
-          [username, password_hash, kiosk_pin, staff_code]
-        );
-
-        userInserted = true;
-      } catch (err) {
-        // If duplicate PIN, retry with new PIN
-        if (err.code === 'ER_DUP_ENTRY' && err.message.includes('kiosk_pin')) {
-          console.log(`Kiosk PIN collision detected, regenerating... (attempt ${attemptCount + 1})`);
-          attemptCount++;
-        } else {
-          throw err; // Re-throw other errors
-        }
-      }
-    }
+    // 3. Insert user record with hashed kiosk PIN
+    const userQuery = `
+      INSERT INTO users (email, password_hash, kiosk_pin_hash, kiosk_pin_salt, kiosk_sync_key, access_level, status, staff_code)
+      VALUES (?, ?, ?, ?, ?, 'system_admin', 'active', ?)
+    `;
 
-    if (!userInserted) {
-      throw new Error("Failed to generate unique kiosk PIN after multiple attempts");
-    }
+    const [userResult] = await connection.execute(
+      userQuery,
+      [username, password_hash, kiosk_pin_hash, kiosk_pin_salt, kiosk_sync_key, staff_code]
+    );
 
     // Commit transaction
     await connection.commit();
@@ -600,32 +581,32 @@ router.delete("/venue/:venue_code", async (req, res) => {
 // KIOSK PINS
 // ============================
 
-// Get all kiosk PINs for system admins (secure endpoint - should require admin auth in production)
-router.get("/users/kiosk-pins", async (req, res) => {
+// Reset a user's kiosk PIN
+// PINs are stored hashed and cannot be read back; a new PIN is generated and returned once
+router.post("/users/:staff_code/reset-pin", async (req, res) => {
+  const { staff_code } = req.params;
+
   try {
-    const query = `
-      SELECT
-        u.email,
-        s.staff_code,
-        s.first_name,
-        s.last_name,
-        u.kiosk_pin,
-        v.venue_name AS venue_name,
-        b.business_name,
-        u.created_at
-      FROM users u
-      JOIN staff s ON u.staff_code = s.staff_code
-      LEFT JOIN venues v ON s.venue_code = v.venue_code
-      LEFT JOIN businesses b ON s.business_code = b.business_code
-      WHERE u.access_level = 'system_admin' AND u.kiosk_pin IS NOT NULL
-      ORDER BY u.created_at DESC
-    `;
+    const kiosk_pin = generatePin();
+    const { hash, salt, syncKey } = await hashPin(kiosk_pin);
 
-    const [results] = await db.execute(query);
-    res.json({ success: true, data: results });
+    const [result] = await db.execute(
+      'UPDATE users SET kiosk_pin_hash = ?, kiosk_pin_salt = ?, kiosk_sync_key = ?, kiosk_pin = NULL WHERE staff_code = ?',
+      [hash, salt, syncKey, staff_code]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    // Kiosks must pick up the new offline PIN hash
+    cache.invalidate('kiosk:staff:');
+    console.log(`[POST /users/${staff_code}/reset-pin] 🔐 Kiosk PIN reset by user ${req.userContext.user_id}`);
+
+    res.json({ success: true, staff_code, kiosk_pin });
   } catch (err) {
-    console.error("Error fetching kiosk pins:", err);
-    res.status(500).json({ success: false, error: err.message });
+    console.error("Error resetting kiosk pin:", err);
+    res.status(500).json({ success: false, error: "Failed to reset kiosk PIN" });
   }
 });
 
@@ -1,29 +1,35 @@
 const express = require("express");
 const router = express.Router();
-const { requireStaffManagementAccess } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authMiddleware');
 const staffController = require('../controllers/staffController');
 
 /**
  * Staff Routes
- * All routes require staff management access (system_admin, manager, supervisor)
+ * Each route requires a permission from utils/permissions.js
  */
 
 // Get all venues accessible to the user
-router.get('/venues', requireStaffManagementAccess, staffController.getVenues);
+router.get('/venues', requirePermission('venue.view'), staffController.getVenues);
 
 // Get all staff with role-based filtering
-router.get('/', requireStaffManagementAccess, staffController.getStaffList);
+router.get('/', requirePermission('staff.view'), staffController.getStaffList);
 
 // Get single staff member details
-router.get('/:staff_code', requireStaffManagementAccess, staffController.getStaffDetails);
+router.get('/:staff_code', requirePermission('staff.view'), staffController.getStaffDetails);
 
-// Add new staff member (TODO: implement in controller)
-router.post('/', requireStaffManagementAccess, staffController.addStaff);
+// Add new staff member
+router.post('/', requirePermission('staff.create'), staffController.addStaff);
 
-// Update staff member (TODO: implement in controller)
-router.put('/:staff_code', requireStaffManagementAccess, staffController.updateStaff);
+// Update staff member (partial update)
+router.put('/:staff_code', requirePermission('staff.edit'), staffController.updateStaff);
 
-// Delete staff member (TODO: implement in controller)
-router.delete('/:staff_code', requireStaffManagementAccess, staffController.deleteStaff);
+// Effective-dated pay rates: history and scheduled changes
+router.get('/:staff_code/pay-rates', requirePermission('staff.view'), staffController.getPayRates);
+router.post('/:staff_code/pay-rates', requirePermission('staff.edit_rates'), staffController.schedulePayRate);
+router.delete('/:staff_code/pay-rates/:rate_id', requirePermission('staff.edit_rates'), staffController.cancelPayRate);
+
+// Offboard staff member - staff are terminated, never hard deleted, so pay history survives
+router.post('/:staff_code/terminate', requirePermission('staff.delete'), staffController.terminateStaff);
+router.delete('/:staff_code', requirePermission('staff.delete'), staffController.terminateStaff);
 
 module.exports = router;
@@ -1,54 +1,26 @@
 const express = require("express");
 const staffRoutes = require("./staffRoutes");
-const { addVenue, updateVenue, deleteVenue, getVenueByCode } = require("../controllers/venueController");
+const { addVenue, updateVenue, deleteVenue, getVenueByCode, getVenueDevices, revokeVenueDevice } = require("../controllers/venueController");
 const { getUserSchedule, getScheduleByDateRange } = require("../controllers/scheduleController");
-const { getTimesheetStaff, getStaffTimesheets, getTimesheetsByDateRange, bulkUpdateTimesheets, exportTimesheetsCSV, getTimesheetById, updateTimesheet } = require("../controllers/timesheetController");
-const { getPayrollStaffSummary, getPayrollBreakdown } = require("../controllers/payrollController");
+const { getTimesheetStaff, getStaffTimesheets, getTimesheetsByDateRange, bulkUpdateTimesheets, exportTimesheetsCSV, getTimesheetById, updateTimesheet, getTimesheetHistory } = require("../controllers/timesheetController");
+const { getPayrollStaffSummary, getPayrollBreakdown, recomputePayPeriod, getPayrollNeedsAttention, previewShiftPay } = require("../controllers/payrollController");
+const { getPayRuleSets, createPayRuleSet, updatePayRuleSet, deletePayRuleSet } = require("../controllers/payRuleController");
+const { getLockouts, unlockLockout } = require("../controllers/securityController");
+const { getNotifications, markNotificationRead } = require("../controllers/notificationController");
+const { requirePermission } = require("../middleware/authMiddleware");
 const router = express.Router();
 
 // ============================
-// MIDDLEWARE - Auto-inject System Admin Context
+// BUSINESS SCOPE
 // ============================
 
 /**
- * Middleware to automatically set system admin context from query params/body
- * This allows legacy /api/system-admin/ routes to work seamlessly with shared staffRoutes
- *
- * The middleware extracts business_code and venue_code from the request and injects them
- * as headers so the shared staffRoutes can process them with system_admin privileges
+ * Every route below is scoped to the business in the caller's session
+ * (req.userContext, set by authenticate). A business_code or venue_code in
+ * the query or body never widens access: controllers resolve their scope with
+ * getSessionScope() from utils/accessHelper and answer 403 when a request
+ * names another business.
  */
-function injectSystemAdminContext(req, res, next) {
-  // Extract business_code and venue_code from query params, body, or headers
-  let business_code = req.query.business_code || req.body.business_code || req.headers['user_business_code'];
-  let venue_code = req.query.venue_code || req.body.venue_code || req.headers['user_venue_code'];
-
-  // Sanitize: treat "null", "undefined" strings as actual null/undefined
-  if (business_code === 'null' || business_code === 'undefined') {
-    business_code = null;
-  }
-  if (venue_code === 'null' || venue_code === 'undefined') {
-    venue_code = null;
-  }
-
-  // Set headers for staffRoutes middleware to consume
-  req.headers['user_access_level'] = req.headers['user_access_level'] || 'system_admin';
-
-  // Fallback: if business_code is not provided, use a default or log a warning
-  if (business_code) {
-    req.headers['user_business_code'] = business_code;
-  } else {
-    console.warn('⚠️  No business_code provided in system admin context. Some operations may fail.');
-  }
-
-  if (venue_code) {
-    req.headers['user_venue_code'] = venue_code;
-  }
-
-  next();
-}
-
-// Apply middleware to all system admin routes
-router.use(injectSystemAdminContext);
 
 // ============================
 // DELEGATE TO SHARED STAFF ROUTES
@@ -86,12 +58,16 @@ router.use("/staff", staffRoutes);
  * - PUT    /api/system-admin/venues/:code        Update an existing venue
  * - DELETE /api/system-admin/venues/:code        Delete a venue
  * - GET    /api/system-admin/staff/venues        List all venues (handled by staffRoutes)
+ * - GET    /api/system-admin/venues/:code/devices                List registered kiosk devices
+ * - POST   /api/system-admin/venues/:code/devices/:id/revoke     Revoke a kiosk device
  */
 
-router.post("/venues", addVenue);
-router.get("/venues/:venue_code", getVenueByCode);
-router.put("/venues/:venue_code", updateVenue);
-router.delete("/venues/:venue_code", deleteVenue);
+router.post("/venues", requirePermission('venue.manage'), addVenue);
+router.get("/venues/:venue_code", requirePermission('venue.view'), getVenueByCode);
+router.put("/venues/:venue_code", requirePermission('venue.manage'), updateVenue);
+router.delete("/venues/:venue_code", requirePermission('venue.manage'), deleteVenue);
+router.get("/venues/:venue_code/devices", requirePermission('venue.devices'), getVenueDevices);
+router.post("/venues/:venue_code/devices/:device_id/revoke", requirePermission('venue.devices'), revokeVenueDevice);
 
 // ============================
 // SCHEDULE MANAGEMENT ROUTES
@@ -103,8 +79,8 @@ router.delete("/venues/:venue_code", deleteVenue);
  * - GET /api/system-admin/schedules/range        Get shifts for a date range
  */
 
-router.get("/schedules", getUserSchedule);
-router.get("/schedules/range", getScheduleByDateRange);
+router.get("/schedules", requirePermission('schedule.view'), getUserSchedule);
+router.get("/schedules/range", requirePermission('schedule.view'), getScheduleByDateRange);
 
 // ============================
 // TIMESHEET MANAGEMENT ROUTES
@@ -116,18 +92,33 @@ router.get("/schedules/range", getScheduleByDateRange);
  * - GET   /api/system-admin/timesheets               Get timesheets for a specific staff member
  * - GET   /api/system-admin/timesheets/range         Get timesheets by date range
  * - GET   /api/system-admin/timesheets/:id           Get single timesheet by ID
+ * - GET   /api/system-admin/timesheets/:id/history   Get a timesheet's change history
  * - PUT   /api/system-admin/timesheets/bulk-update   Bulk update timesheet approval status
  * - PATCH /api/system-admin/timesheets/:id           Update single timesheet
  * - GET   /api/system-admin/timesheets/export        Export timesheets to CSV
  */
 
-router.get("/timesheets/staff", getTimesheetStaff);
-router.get("/timesheets/range", getTimesheetsByDateRange);
-router.get("/timesheets/export", exportTimesheetsCSV);
-router.put("/timesheets/bulk-update", bulkUpdateTimesheets);
-router.get("/timesheets/:id", getTimesheetById);
-router.patch("/timesheets/:id", updateTimesheet);
-router.get("/timesheets", getStaffTimesheets);
+router.get("/timesheets/staff", requirePermission('timesheet.view'), getTimesheetStaff);
+router.get("/timesheets/range", requirePermission('timesheet.view'), getTimesheetsByDateRange);
+router.get("/timesheets/export", requirePermission('timesheet.export'), exportTimesheetsCSV);
+router.put("/timesheets/bulk-update", requirePermission('timesheet.approve'), bulkUpdateTimesheets);
+router.get("/timesheets/:id", requirePermission('timesheet.view'), getTimesheetById);
+router.get("/timesheets/:id/history", requirePermission('timesheet.view'), getTimesheetHistory);
+router.patch("/timesheets/:id", requirePermission('timesheet.edit'), updateTimesheet);
+router.get("/timesheets", requirePermission('timesheet.view'), getStaffTimesheets);
+
+// ============================
+// NOTIFICATION ROUTES
+// ============================
+
+/**
+ * Manager Notification Endpoints (auto-closed and left-open shifts)
+ * - GET  /api/system-admin/notifications            Undismissed notifications (?include_read=true for all)
+ * - POST /api/system-admin/notifications/:id/read   Dismiss a notification
+ */
+
+router.get("/notifications", requirePermission('timesheet.view'), getNotifications);
+router.post("/notifications/:id/read", requirePermission('timesheet.view'), markNotificationRead);
 
 // ============================
 // PAYROLL MANAGEMENT ROUTES
@@ -135,11 +126,41 @@ router.get("/timesheets", getStaffTimesheets);
 
 /**
  * Payroll Management Endpoints
- * - GET /api/system-admin/payroll/staff         Get staff payroll summary (approved shifts)
- * - GET /api/system-admin/payroll/breakdown     Get detailed payroll breakdown for one staff
+ * - GET  /api/system-admin/payroll/staff        Get staff payroll summary (approved shifts)
+ * - GET  /api/system-admin/payroll/breakdown    Get detailed payroll breakdown for one staff
+ * - GET  /api/system-admin/payroll/needs-attention  Shifts held out of payroll (RATE_MISSING)
+ * - POST /api/system-admin/payroll/recompute    Re-price pending shifts in a period (rates, overtime, pay rules)
+ * - POST /api/system-admin/payroll/preview      Price a hypothetical shift without saving it
+ *
+ * Pay Rule Endpoints (loadings, allowances, minimum engagement)
+ * - GET    /api/system-admin/pay-rules          List rule sets with their rules
+ * - POST   /api/system-admin/pay-rules          Create a rule set
+ * - PUT    /api/system-admin/pay-rules/:id      Update a rule set (rules are replaced when sent)
+ * - DELETE /api/system-admin/pay-rules/:id      Delete a rule set
+ */
+
+router.get("/payroll/staff", requirePermission('payroll.view'), getPayrollStaffSummary);
+router.get("/payroll/breakdown", requirePermission('payroll.view'), getPayrollBreakdown);
+router.get("/payroll/needs-attention", requirePermission('payroll.view'), getPayrollNeedsAttention);
+router.post("/payroll/recompute", requirePermission('timesheet.edit'), recomputePayPeriod);
+router.post("/payroll/preview", requirePermission('payroll.view'), previewShiftPay);
+
+router.get("/pay-rules", requirePermission('payroll.view'), getPayRuleSets);
+router.post("/pay-rules", requirePermission('payroll.rules'), createPayRuleSet);
+router.put("/pay-rules/:id", requirePermission('payroll.rules'), updatePayRuleSet);
+router.delete("/pay-rules/:id", requirePermission('payroll.rules'), deletePayRuleSet);
+
+// ============================
+// SECURITY ROUTES
+// ============================
+
+/**
+ * Brute-force Lockout Endpoints (system_admin, manager)
+ * - GET  /api/system-admin/security/lockouts          List active login/kiosk/PIN lockouts
+ * - POST /api/system-admin/security/lockouts/unlock   Clear a lockout by key
  */
 
-router.get("/payroll/staff", getPayrollStaffSummary);
-router.get("/payroll/breakdown", getPayrollBreakdown);
+router.get("/security/lockouts", requirePermission('security.lockouts'), getLockouts);
+router.post("/security/lockouts/unlock", requirePermission('security.lockouts'), unlockLockout);
 
 module.exports = router;
@@ -4,6 +4,8 @@ const cors = require('cors');
 const { PORT } = require('./config/env');
 const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
+const { startScheduler } = require('./utils/jobScheduler');
+require('./utils/jobs'); // Job definitions
 
 const app = express();
 
@@ -28,4 +30,7 @@ app.get('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Background jobs (DB keepalive, auto-close, ...) - see utils/jobs.js
+  startScheduler();
 });
@@ -0,0 +1,184 @@
+/**
+ * Test script for business isolation
+ * A manager of business A must not be able to read business B payroll or timesheets,
+ * whatever business_code they put in the request.
+ *
+ * Runs without a database: config/db is replaced with a recorder before the
+ * controllers load, so every SQL statement and its params can be inspected.
+ */
+
+const path = require('path');
+
+// Record queries instead of hitting MySQL
+const queries = [];
+const fakeDb = {
+  execute: async (sql, params) => {
+    queries.push({ sql, params });
+    return [[]];
+  }
+};
+// Transactions record to the same list
+fakeDb.getConnection = async () => ({
+  execute: fakeDb.execute,
+  beginTransaction: async () => {},
+  commit: async () => {},
+  rollback: async () => {},
+  release: () => {}
+});
+require.cache[path.resolve(__dirname, 'config/db.js')] = {
+  id: 'fake-db',
+  filename: path.resolve(__dirname, 'config/db.js'),
+  loaded: true,
+  exports: fakeDb
+};
+
+const { getSessionScope, buildAccessFilter, AccessError } = require('./utils/accessHelper');
+const { getPayrollStaffSummary, getPayrollBreakdown } = require('./controllers/payrollController');
+const { getTimesheetStaff, bulkUpdateTimesheets } = require('./controllers/timesheetController');
+
+const managerOfA = {
+  user_id: 1,
+  staff_code: 'MGR_A',
+  access_level: 'manager',
+  business_code: 'BIZ_A',
+  venue_code: 'VEN_A1'
+};
+const adminOfA = { ...managerOfA, staff_code: 'ADMIN_A', access_level: 'system_admin', venue_code: null };
+
+const mockRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  return res;
+};
+
+let passed = 0;
+let failed = 0;
+
+const check = (desc, condition) => {
+  if (condition) {
+    console.log(`✅ PASS: ${desc}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${desc}`);
+    failed++;
+  }
+};
+
+const run = async () => {
+  console.log('=== Testing Business Isolation ===\n');
+
+  // --- getSessionScope ---
+  console.log('getSessionScope:');
+
+  const scopeA = getSessionScope({ userContext: managerOfA, query: {}, body: {} });
+  check('manager scope uses session business', scopeA.params[0] === 'BIZ_A');
+  check('manager scope is limited to their venue', scopeA.params.includes('VEN_A1'));
+
+  const adminScope = getSessionScope({ userContext: adminOfA, query: {}, body: {} });
+  check('system_admin scope covers the whole business', adminScope.params.length === 1 && adminScope.params[0] === 'BIZ_A');
+
+  let thrown = null;
+  try {
+    getSessionScope({ userContext: managerOfA, query: { business_code: 'BIZ_B' }, body: {} });
+  } catch (err) {
+    thrown = err;
+  }
+  check('query business_code of another business is refused', thrown instanceof AccessError && thrown.statusCode === 403);
+
+  thrown = null;
+  try {
+    getSessionScope({ userContext: adminOfA, query: {}, body: { business_code: 'BIZ_B' } });
+  } catch (err) {
+    thrown = err;
+  }
+  check('body business_code of another business is refused (system_admin too)', thrown instanceof AccessError && thrown.code === 'CROSS_BUSINESS_DENIED');
+
+  thrown = null;
+  try {
+    getSessionScope({ userContext: managerOfA, query: { venue_code: 'VEN_A2' }, body: {} });
+  } catch (err) {
+    thrown = err;
+  }
+  check('manager cannot widen to another venue', thrown instanceof AccessError && thrown.code === 'CROSS_VENUE_DENIED');
+
+  thrown = null;
+  try {
+    getSessionScope({ userContext: { ...managerOfA, business_code: null }, query: { business_code: 'BIZ_B' }, body: {} });
+  } catch (err) {
+    thrown = err;
+  }
+  check('session without a business is refused, not filled from the query', thrown instanceof AccessError);
+
+  // --- buildAccessFilter (staff management) ---
+  console.log('\nbuildAccessFilter:');
+
+  const staffFilter = buildAccessFilter(managerOfA);
+  check('manager staff filter is bound to their business and venue',
+    staffFilter.params.includes('BIZ_A') && staffFilter.params.includes('VEN_A1'));
+
+  thrown = null;
+  try {
+    buildAccessFilter({ ...adminOfA, business_code: null });
+  } catch (err) {
+    thrown = err;
+  }
+  check('system_admin without a business is refused, not left unfiltered',
+    thrown instanceof AccessError && thrown.code === 'NO_BUSINESS_CONTEXT');
+
+  thrown = null;
+  try {
+    buildAccessFilter({ ...managerOfA, venue_code: null });
+  } catch (err) {
+    thrown = err;
+  }
+  check('manager without a venue is refused', thrown instanceof AccessError && thrown.code === 'NO_VENUE_CONTEXT');
+
+  // --- Payroll ---
+  console.log('\nPayroll:');
+
+  queries.length = 0;
+  let res = mockRes();
+  await getPayrollStaffSummary({ userContext: managerOfA, query: { business_code: 'BIZ_B' }, body: {} }, res);
+  check('manager of A asking for BIZ_B payroll gets 403', res.statusCode === 403 && res.body.code === 'CROSS_BUSINESS_DENIED');
+  check('no query is run for the refused request', queries.length === 0);
+
+  queries.length = 0;
+  res = mockRes();
+  await getPayrollBreakdown({ userContext: managerOfA, query: { staff_code: 'EMP_B', business_code: 'BIZ_B' }, body: {} }, res);
+  check('manager of A asking for a BIZ_B breakdown gets 403', res.statusCode === 403);
+  check('no query is run for the refused breakdown', queries.length === 0);
+
+  queries.length = 0;
+  res = mockRes();
+  await getPayrollStaffSummary({ userContext: managerOfA, query: {}, body: {} }, res);
+  check('payroll without business_code succeeds', res.statusCode === 200 && res.body.success === true);
+  check('payroll query is bound to BIZ_A only', queries.length === 1 &&
+    queries[0].params.includes('BIZ_A') && !queries[0].params.includes('BIZ_B'));
+
+  // --- Timesheets ---
+  console.log('\nTimesheets:');
+
+  queries.length = 0;
+  res = mockRes();
+  await getTimesheetStaff({ userContext: managerOfA, query: { business_code: 'BIZ_B' }, body: {} }, res);
+  check('manager of A asking for BIZ_B timesheets gets 403', res.statusCode === 403 && queries.length === 0);
+
+  queries.length = 0;
+  res = mockRes();
+  await bulkUpdateTimesheets({ userContext: managerOfA, query: {}, body: { ids: [101, 102], status: 'APPROVED' } }, res);
+  const update = queries[0];
+  check('bulk approval is limited to the session business and venue', update &&
+    /v\.business_code = \?/.test(update.sql) && update.params.includes('BIZ_A') && update.params.includes('VEN_A1'));
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed === 0) {
+    console.log('\n✅ Test completed successfully!');
+  }
+  process.exit(failed === 0 ? 0 : 1);
+};
+
+run().catch(err => {
+  console.error('❌ Test crashed:', err);
+  process.exit(1);
+});
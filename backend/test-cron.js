@@ -0,0 +1,151 @@
+/**
+ * Test script for cron schedules
+ * Checks parsing, matching and nextCronTime() against a minute-by-minute
+ * search, including the days daylight saving starts and ends.
+ *
+ * Cron runs in the server's local time, so each case is run with the server
+ * clock in several timezones (process.env.TZ is applied at runtime by Node).
+ */
+
+const { parseCron, cronMatches, nextCronTime } = require('./utils/cron');
+
+// Server timezones to run under: UTC and two zones with daylight saving
+const SERVER_ZONES = ['UTC', 'Australia/Sydney', 'America/Los_Angeles'];
+
+// Schedules checked against the minute-by-minute search (each matches within a few weeks)
+const EXPRESSIONS = [
+  '* * * * *',
+  '*/15 * * * *',
+  '30 3 * * *',
+  '0 2 * * *',
+  '45 1-3 * * *',
+  '0 9-17/4 * * 1-5',
+  '0 0 * * 0',
+  '5 4 13 * 5',
+  '0 12 1,15 * *',
+  '@hourly',
+  '@monthly'
+];
+
+// Start points around month ends and the 2025 daylight saving changes of both zones
+const STARTS = [
+  '2025-01-31T23:59:30Z',
+  '2025-03-08T09:00:00Z', // Los Angeles, the day before clocks go forward
+  '2025-04-05T14:00:00Z', // Sydney, the day before clocks go back
+  '2025-10-04T13:00:00Z', // Sydney, the day before clocks go forward
+  '2025-11-01T08:00:00Z', // Los Angeles, the day before clocks go back
+  '2025-12-31T12:34:00Z'
+];
+
+let passed = 0;
+let failed = 0;
+
+// actual is printed on failure
+const check = (desc, condition, actual) => {
+  if (condition) {
+    console.log(`✅ PASS: ${desc}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${desc}${actual !== undefined ? ` (got ${JSON.stringify(actual)})` : ''}`);
+    failed++;
+  }
+};
+
+const throws = fn => {
+  try {
+    fn();
+    return false;
+  } catch (err) {
+    return true;
+  }
+};
+
+// What nextCronTime() must find: the first matching minute, stepped one minute at a time
+const searchByMinute = (schedule, after) => {
+  const next = new Date(Math.floor(after.getTime() / 60000) * 60000);
+  for (let i = 0; i < 60 * 24 * 62; i++) {
+    next.setTime(next.getTime() + 60000);
+    if (cronMatches(schedule, next)) return next;
+  }
+  return null;
+};
+
+const iso = date => (date ? date.toISOString() : null);
+
+console.log('=== Testing Cron ===\n');
+
+console.log('parseCron:');
+
+check('5 fields are required', throws(() => parseCron('* * * *')));
+check('minutes above 59 are rejected', throws(() => parseCron('60 * * * *')));
+check('a step of 0 is rejected', throws(() => parseCron('*/0 * * * *')));
+check('a reversed range is rejected', throws(() => parseCron('0 17-9 * * *')));
+check('a non-number is rejected', throws(() => parseCron('0 nine * * *')));
+
+let schedule = parseCron('0-30/10 * * * *');
+check('0-30/10 expands to 0,10,20,30', [...schedule.minute].join(',') === '0,10,20,30', [...schedule.minute]);
+
+schedule = parseCron('0 0 * * 7');
+check('day of week 7 is Sunday', schedule.dayOfWeek.has(0));
+
+schedule = parseCron('@daily');
+check('@daily is 0 0 * * *', [...schedule.minute].join() === '0' && [...schedule.hour].join() === '0' && schedule.anyDayOfMonth);
+
+for (const zone of SERVER_ZONES) {
+  process.env.TZ = zone;
+  console.log(`\nServer timezone ${zone}:`);
+
+  // 13th of the month or a Friday, as in standard cron
+  schedule = parseCron('0 9 13 * 5');
+  check('day of month and day of week restricted: either matches',
+    cronMatches(schedule, new Date(2025, 9, 13, 9, 0)) && // Monday 13th
+    cronMatches(schedule, new Date(2025, 9, 17, 9, 0)) && // Friday 17th
+    !cronMatches(schedule, new Date(2025, 9, 14, 9, 0)));
+
+  schedule = parseCron('30 3 * * *');
+  let next = nextCronTime(schedule, new Date(2025, 5, 10, 3, 30, 0));
+  check('the next run is strictly after the start', next && next.getTime() === new Date(2025, 5, 11, 3, 30).getTime(), iso(next));
+
+  next = nextCronTime(parseCron('0 0 1 * *'), new Date(2025, 0, 31, 12, 0));
+  check('the 1st of the month after 31 January is 1 February', next && next.getTime() === new Date(2025, 1, 1, 0, 0).getTime(), iso(next));
+
+  next = nextCronTime(parseCron('0 12 29 2 *'), new Date(2025, 2, 1));
+  check('29 February is found three years ahead', next && next.getTime() === new Date(2028, 1, 29, 12, 0).getTime(), iso(next));
+
+  const started = Date.now();
+  next = nextCronTime(parseCron('0 0 31 2 *'), new Date(2025, 0, 1));
+  const elapsed = Date.now() - started;
+  check(`31 February never matches: null, found quickly (${elapsed}ms)`, next === null && elapsed < 200, iso(next));
+
+  let mismatches = 0;
+  for (const expression of EXPRESSIONS) {
+    const parsed = parseCron(expression);
+    for (const start of STARTS) {
+      const expected = searchByMinute(parsed, new Date(start));
+      const actual = nextCronTime(parsed, new Date(start));
+      if (iso(expected) !== iso(actual)) {
+        mismatches++;
+        console.log(`  ${expression} after ${start}: expected ${iso(expected)}, got ${iso(actual)}`);
+      }
+    }
+  }
+  check(`nextCronTime matches a minute-by-minute search (${EXPRESSIONS.length * STARTS.length} cases)`, mismatches === 0);
+
+  // Every minute through both daylight saving changes: never earlier than the start, never skipping a match
+  let backwards = 0;
+  for (const start of STARTS.slice(1, 5)) {
+    let cursor = new Date(start);
+    for (let i = 0; i < 48 * 60; i++) {
+      const found = nextCronTime(parseCron('* * * * *'), cursor);
+      if (!found || found <= cursor || found - cursor > 60000) backwards++;
+      cursor = found || new Date(cursor.getTime() + 60000);
+    }
+  }
+  check('every minute across daylight saving changes moves forward one minute at a time', backwards === 0, backwards);
+}
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed === 0) {
+  console.log('\n✅ Test completed successfully!');
+}
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,109 @@
+/**
+ * Test script for daily and weekly overtime
+ * Checks the ordinary/overtime split, tiered overtime pricing and the
+ * overtime_rate override with exact hours and amounts.
+ */
+
+const { splitOvertime, priceOvertime, calculateShiftPay } = require('./utils/payCalculator');
+
+let passed = 0;
+let failed = 0;
+
+// actual is printed on failure
+const check = (desc, condition, actual) => {
+  if (condition) {
+    console.log(`✅ PASS: ${desc}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${desc}${actual !== undefined ? ` (got ${JSON.stringify(actual)})` : ''}`);
+    failed++;
+  }
+};
+
+const sameSplit = (result, ordinaryHours, overtimeHours) =>
+  result.ordinaryHours === ordinaryHours && result.overtimeHours === overtimeHours;
+
+console.log('=== Testing Overtime ===\n');
+
+console.log('splitOvertime:');
+
+let split = splitOvertime({ hoursWorked: 10 });
+check(`no limits: 10h all ordinary`, sameSplit(split, 10, 0), split);
+
+split = splitOvertime({ hoursWorked: 10, dailyLimit: 8 });
+check(`10h against an 8h day: 8 ordinary + 2 overtime`, sameSplit(split, 8, 2), split);
+
+split = splitOvertime({ hoursWorked: 6, dailyLimit: 8, priorDayHours: 4 });
+check(`6h after 4h earlier that day: 4 ordinary + 2 overtime`, sameSplit(split, 4, 2), split);
+
+split = splitOvertime({ hoursWorked: 3, dailyLimit: 8, priorDayHours: 9 });
+check(`3h after the daily limit was already passed: all overtime`, sameSplit(split, 0, 3), split);
+
+split = splitOvertime({ hoursWorked: 8, weeklyLimit: 38, priorWeekOrdinaryHours: 34 });
+check(`8h with 34 of 38 weekly hours used: 4 ordinary + 4 overtime`, sameSplit(split, 4, 4), split);
+
+split = splitOvertime({ hoursWorked: 10, dailyLimit: 8, weeklyLimit: 38, priorWeekOrdinaryHours: 34 });
+check(`daily overtime first, then weekly: 10h → 4 ordinary + 6 overtime`, sameSplit(split, 4, 6), split);
+
+split = splitOvertime({ hoursWorked: 7.5, dailyLimit: 0, weeklyLimit: 0, priorWeekOrdinaryHours: 40 });
+check(`a limit of 0 means no overtime`, sameSplit(split, 7.5, 0), split);
+
+console.log('\npriceOvertime:');
+
+let ot = priceOvertime({ overtimeHours: 3, ordinaryRate: 30 });
+check(`3h at $30 with default tiers: 2h x 1.5 + 1h x 2 = $150`,
+  ot.overtimePay === 150 &&
+  ot.breakdown.length === 2 &&
+  ot.breakdown[0].hours === 2 && ot.breakdown[0].rate === 45 && ot.breakdown[0].pay === 90 &&
+  ot.breakdown[1].hours === 1 && ot.breakdown[1].rate === 60 && ot.breakdown[1].pay === 60, ot);
+
+ot = priceOvertime({ overtimeHours: 2, ordinaryRate: 30, priorOvertimeHours: 1 });
+check(`2h after 1h of overtime earlier that day: 1h x 1.5 + 1h x 2 = $105`,
+  ot.overtimePay === 105 && ot.breakdown.length === 2 &&
+  ot.breakdown[0].hours === 1 && ot.breakdown[1].hours === 1, ot);
+
+ot = priceOvertime({ overtimeHours: 1, ordinaryRate: 30, priorOvertimeHours: 5 });
+check(`overtime past the last tier stays at 2x: $60`,
+  ot.overtimePay === 60 && ot.breakdown.length === 1 && ot.breakdown[0].multiplier === 2, ot);
+
+ot = priceOvertime({ overtimeHours: 3, ordinaryRate: 30, overtimeRate: 50 });
+check(`overtime_rate $50 replaces the first tier only: 2h x $50 + 1h x $60 = $160`,
+  ot.overtimePay === 160 && ot.breakdown[0].rate === 50 && ot.breakdown[1].rate === 60, ot);
+
+ot = priceOvertime({
+  overtimeHours: 4,
+  ordinaryRate: 20,
+  tiers: [{ after_hours: 3, multiplier: 1.75 }, { after_hours: 0, multiplier: 1.25 }]
+});
+check(`venue tiers are applied in after_hours order: 3h x $25 + 1h x $35 = $110`,
+  ot.overtimePay === 110 && ot.breakdown[0].rate === 25 && ot.breakdown[1].rate === 35, ot);
+
+ot = priceOvertime({ overtimeHours: 0, ordinaryRate: 30 });
+check(`no overtime hours: $0 and no breakdown`, ot.overtimePay === 0 && ot.breakdown.length === 0, ot);
+
+console.log('\ncalculateShiftPay with overtime:');
+
+const rates = { weekday_rate: 30, saturday_rate: 40, default_hours: 38, overtime_rate: 0 };
+const overtime = { dailyLimit: 8, tiers: null, priorDayHours: 0, priorDayOvertimeHours: 0, priorWeekOrdinaryHours: 0 };
+
+let pay = calculateShiftPay({ hoursWorked: 10, paydayType: 'WEEKDAY', rates, overtime });
+check(`10h weekday at $30: 8h x $30 + 2h x $45 = $330`,
+  pay.totalPay === 330 && pay.ordinaryHours === 8 && pay.overtimeHours === 2 && pay.overtimePay === 90, pay);
+
+pay = calculateShiftPay({ hoursWorked: 6, paydayType: 'SATURDAY', rates, overtime: { ...overtime, priorWeekOrdinaryHours: 36 } });
+check(`6h Saturday with 36 of 38 weekly hours used: 2h x $40 + 2h x $60 + 2h x $80 = $360`,
+  pay.totalPay === 360 && pay.ordinaryHours === 2 && pay.overtimeHours === 4 && pay.overtimePay === 280, pay);
+
+pay = calculateShiftPay({ hoursWorked: 10, paydayType: 'WEEKDAY', rates });
+check(`without overtime context every hour is ordinary: $300`,
+  pay.totalPay === 300 && pay.overtimeHours === 0, pay);
+
+pay = calculateShiftPay({ hoursWorked: 10, paydayType: 'WEEKDAY', rates: { default_hours: 38 }, overtime });
+check(`no weekday rate: RATE_MISSING and $0 even with overtime`,
+  pay.payStatus === 'RATE_MISSING' && pay.totalPay === 0 && pay.overtimePay === 0, pay);
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed === 0) {
+  console.log('\n✅ Test completed successfully!');
+}
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,134 @@
+/**
+ * Test script for pay rules (loadings, allowances, minimum engagement)
+ * Checks the hours hoursInWindow() finds in time windows, including windows
+ * that wrap midnight and days with a daylight saving change, and the exact
+ * penalty amounts applyPayRules() adds.
+ */
+
+const { segmentShift, priceSegments, hoursInWindow, applyPayRules } = require('./utils/payCalculator');
+
+const TIME_ZONE = 'Australia/Sydney';
+const RATES = { weekday_rate: 30, saturday_rate: 40, sunday_rate: 50, public_holiday_rate: 75 };
+
+let passed = 0;
+let failed = 0;
+
+// actual is printed on failure
+const check = (desc, condition, actual) => {
+  if (condition) {
+    console.log(`✅ PASS: ${desc}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${desc}${actual !== undefined ? ` (got ${JSON.stringify(actual)})` : ''}`);
+    failed++;
+  }
+};
+
+// Priced segments of a shift at a Sydney venue
+const pricedShift = (clockIn, clockOut, hoursWorked) => {
+  const segments = segmentShift({ clockIn: new Date(clockIn), clockOut: new Date(clockOut), timeZone: TIME_ZONE, state: 'NSW' });
+  return priceSegments({ segments, hoursWorked, rates: RATES }).segments;
+};
+
+const window = (start_time, end_time) => ({ start_time, end_time });
+
+console.log('=== Testing Pay Rules ===\n');
+
+console.log('hoursInWindow:');
+
+// Mon 13 Oct 2025 15:00-23:00 in Sydney (AEDT, +11)
+const [monday] = pricedShift('2025-10-13T04:00:00Z', '2025-10-13T12:00:00Z', 8);
+
+let hours = hoursInWindow(window('19:00', '23:00'), monday, TIME_ZONE);
+check('19:00-23:00 window over a 15:00-23:00 shift: 4h', hours === 4, hours);
+
+hours = hoursInWindow(window('18:00', '00:00'), monday, TIME_ZONE);
+check('18:00-00:00 runs to midnight: 5h', hours === 5, hours);
+
+hours = hoursInWindow(window(null, null), monday, TIME_ZONE);
+check('no window is the whole segment: 8h', hours === 8, hours);
+
+hours = hoursInWindow(window('06:00', '09:00'), monday, TIME_ZONE);
+check('a window outside the shift: 0h', hours === 0, hours);
+
+// Fri 17 Oct 2025 20:00 - Sat 02:00 in Sydney
+const [friday, saturday] = pricedShift('2025-10-17T09:00:00Z', '2025-10-17T15:00:00Z', 6);
+
+hours = hoursInWindow(window('22:00', '06:00'), friday, TIME_ZONE);
+check('22:00-06:00 wraps midnight: 2h before midnight on Friday', hours === 2, hours);
+
+hours = hoursInWindow(window('22:00', '06:00'), saturday, TIME_ZONE);
+check('22:00-06:00 wraps midnight: 2h after midnight on Saturday', hours === 2, hours);
+
+// All of Sun 5 Oct 2025 (23 hours): clocks go forward at 02:00, so local midnight to 06:00 is 5 hours
+const [dstDay] = pricedShift('2025-10-04T14:00:00Z', '2025-10-05T13:00:00Z', 23);
+
+hours = hoursInWindow(window('00:00', '06:00'), dstDay, TIME_ZONE);
+check('00:00-06:00 on the day clocks go forward: 5h', hours === 5, hours);
+
+hours = hoursInWindow(window('22:00', '06:00'), dstDay, TIME_ZONE);
+check('22:00-06:00 on the day clocks go forward: 5h + 2h = 7h', hours === 7, hours);
+
+console.log('\napplyPayRules:');
+
+const evening = { id: 1, name: 'Evening', kind: 'loading', start_time: '19:00', end_time: '23:59', multiplier: 1.25 };
+let result = applyPayRules({ segments: [monday], hoursWorked: 8, rules: [evening], employmentType: 'casual', timeZone: TIME_ZONE });
+check('evening loading 1.25 on 4h at $30: $30',
+  result.penaltyPay === 30 && result.penalties.length === 1 && result.penalties[0].hours === 4, result);
+
+const casual = { id: 2, name: 'Casual loading', kind: 'loading', employment_types: ['casual'], multiplier: 1.25 };
+result = applyPayRules({ segments: [monday], hoursWorked: 8, rules: [casual], employmentType: 'casual', timeZone: TIME_ZONE });
+check('casual loading 1.25 on 8h at $30: $60', result.penaltyPay === 60, result);
+
+result = applyPayRules({ segments: [monday], hoursWorked: 8, rules: [casual], employmentType: 'part_time', timeZone: TIME_ZONE });
+check('casual loading does not apply to part-time staff', result.penaltyPay === 0 && result.penalties.length === 0, result);
+
+result = applyPayRules({ segments: [monday], hoursWorked: 8, rules: [evening, casual], employmentType: 'casual', timeZone: TIME_ZONE });
+check('matching loadings add up: $30 + $60 = $90', result.penaltyPay === 90 && result.penalties.length === 2, result);
+
+const lateNight = { id: 3, name: 'Late night', kind: 'loading', day_types: ['WEEKDAY'], start_time: '22:00', end_time: '06:00', multiplier: 1.15 };
+result = applyPayRules({ segments: [friday, saturday], hoursWorked: 6, rules: [lateNight], employmentType: 'casual', timeZone: TIME_ZONE });
+check('weekday-only late night loading: 2h Friday x $30 x 0.15 = $9, none on Saturday',
+  result.penaltyPay === 9 && result.penalties.length === 1 && result.penalties[0].local_date === '2025-10-17', result);
+
+// 20:00-02:00 with a 30 minute break: each segment has 2.75h worked of 3h elapsed
+const [fridayBreak, saturdayBreak] = pricedShift('2025-10-17T09:00:00Z', '2025-10-17T15:00:00Z', 5.5);
+const overnight = { ...lateNight, day_types: null };
+result = applyPayRules({ segments: [fridayBreak, saturdayBreak], hoursWorked: 5.5, rules: [overnight], employmentType: 'casual', timeZone: TIME_ZONE });
+check('breaks are spread over window hours: 1.83h x $30 x 0.15 + 1.83h x $40 x 0.15 = $8.23 + $10.98 = $19.21',
+  result.penaltyPay === 19.21 && result.penalties[0].hours === 1.83 && result.penalties[0].amount === 8.23 &&
+  result.penalties[1].hours === 1.83 && result.penalties[1].amount === 10.98, result);
+
+const meal = { id: 4, name: 'Late meal', kind: 'allowance', start_time: '22:00', end_time: '06:00', amount: 15 };
+result = applyPayRules({ segments: [friday, saturday], hoursWorked: 6, rules: [meal], employmentType: 'casual', timeZone: TIME_ZONE });
+check('an allowance is paid once per shift even when both days match: $15',
+  result.penaltyPay === 15 && result.penalties.length === 1 && result.penalties[0].local_date === '2025-10-17', result);
+
+result = applyPayRules({ segments: [monday], hoursWorked: 8, rules: [{ ...meal, start_time: '23:30', end_time: '05:00' }], employmentType: 'casual', timeZone: TIME_ZONE });
+check('no allowance when no worked time falls in its window', result.penaltyPay === 0, result);
+
+// Mon 13 Oct 2025 17:00-19:00 in Sydney: 2 hours
+const [short] = pricedShift('2025-10-13T06:00:00Z', '2025-10-13T08:00:00Z', 2);
+const threeHours = { id: 5, name: 'Casual minimum', kind: 'minimum_engagement', employment_types: ['casual'], min_hours: 3 };
+const fourHours = { id: 6, name: 'Weekday minimum', kind: 'minimum_engagement', day_types: ['WEEKDAY'], min_hours: 4 };
+
+result = applyPayRules({ segments: [short], hoursWorked: 2, rules: [threeHours], employmentType: 'casual', timeZone: TIME_ZONE });
+check('2h shift with a 3h minimum: 1h top-up x $30 = $30',
+  result.penaltyPay === 30 && result.penalties[0].hours === 1, result);
+
+result = applyPayRules({ segments: [short], hoursWorked: 2, rules: [threeHours, fourHours], employmentType: 'casual', timeZone: TIME_ZONE });
+check('two minimums match: only the largest top-up (2h x $30 = $60) is paid',
+  result.penaltyPay === 60 && result.penalties.length === 1 && result.penalties[0].rule_id === 6, result);
+
+result = applyPayRules({ segments: [short], hoursWorked: 2, rules: [fourHours, evening, threeHours], employmentType: 'casual', timeZone: TIME_ZONE });
+check('dropping the smaller minimum keeps the other rules: $60 + $0 evening = $60',
+  result.penaltyPay === 60 && result.penalties.filter(p => p.kind === 'minimum_engagement').length === 1, result);
+
+result = applyPayRules({ segments: [monday], hoursWorked: 8, rules: [threeHours, fourHours], employmentType: 'casual', timeZone: TIME_ZONE });
+check('no top-up when the shift is longer than the minimum', result.penaltyPay === 0 && result.penalties.length === 0, result);
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed === 0) {
+  console.log('\n✅ Test completed successfully!');
+}
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,113 @@
+/**
+ * Test script for venue-timezone payday determination
+ * A shift's day type must come from its own venue's timezone and state,
+ * whatever timezone the server runs in.
+ *
+ * Runs without a database: config/db is replaced with a fake venues table
+ * before payCalculator loads. Every case is run with the server clock in
+ * several timezones (process.env.TZ is applied at runtime by Node).
+ */
+
+const path = require('path');
+
+// One business with venues in four states
+const VENUES = {
+  HOB: { business_code: 'BIZ', state: 'TAS', timezone: 'Australia/Hobart' },
+  MEL: { business_code: 'BIZ', state: 'VIC', timezone: 'Australia/Melbourne' },
+  SYD: { business_code: 'BIZ', state: 'NSW', timezone: 'Australia/Sydney' },
+  ADL: { business_code: 'BIZ', state: 'SA', timezone: 'Australia/Adelaide' },
+  PER: { business_code: 'BIZ', state: 'WA', timezone: 'Australia/Perth' }
+};
+
+const fakeDb = {
+  execute: async (sql, params) => {
+    if (/FROM venues WHERE venue_code = \?/.test(sql)) {
+      const venue = VENUES[params[0]];
+      return [venue ? [venue] : []];
+    }
+    return [[]];
+  }
+};
+fakeDb.query = fakeDb.execute;
+require.cache[path.resolve(__dirname, 'config/db.js')] = {
+  id: 'fake-db',
+  filename: path.resolve(__dirname, 'config/db.js'),
+  loaded: true,
+  exports: fakeDb
+};
+
+const { determinePaydayType, segmentShift } = require('./utils/payCalculator');
+
+// Server timezones to run under: UTC, an Australian zone and one behind UTC
+const SERVER_ZONES = ['UTC', 'Australia/Perth', 'America/Los_Angeles'];
+
+const CASES = [
+  // Saturday starts at midnight local time, not UTC
+  { at: '2025-10-17T13:30:00Z', venue: 'SYD', expected: 'SATURDAY', desc: 'Sat 00:30 in Sydney' },
+  { at: '2025-10-17T13:30:00Z', venue: 'PER', expected: 'WEEKDAY', desc: 'same moment is Fri 21:30 in Perth' },
+  { at: '2025-10-17T13:29:00Z', venue: 'ADL', expected: 'WEEKDAY', desc: 'Fri 23:59 in Adelaide (+10:30)' },
+  { at: '2025-10-17T13:30:00Z', venue: 'ADL', expected: 'SATURDAY', desc: 'Sat 00:00 in Adelaide' },
+  { at: '2025-10-18T13:00:00Z', venue: 'HOB', expected: 'SUNDAY', desc: 'Sun 00:00 in Hobart' },
+  { at: '2025-10-18T12:59:00Z', venue: 'HOB', expected: 'SATURDAY', desc: 'Sat 23:59 in Hobart' },
+
+  // Holidays come from the venue's state, not the first venue of the business
+  { at: '2025-04-21T14:30:00Z', venue: 'HOB', expected: 'PUBLIC_HOLIDAY', desc: 'Tue 00:30 Easter Tuesday in Hobart (TAS only)' },
+  { at: '2025-04-21T14:30:00Z', venue: 'MEL', expected: 'WEEKDAY', desc: 'same moment is an ordinary Tuesday in Melbourne' },
+  { at: '2025-11-03T13:30:00Z', venue: 'MEL', expected: 'PUBLIC_HOLIDAY', desc: 'Tue 00:30 Melbourne Cup Day in Melbourne' },
+  { at: '2025-11-03T12:30:00Z', venue: 'MEL', expected: 'WEEKDAY', desc: 'Mon 23:30 the night before Melbourne Cup' },
+  { at: '2025-11-03T13:30:00Z', venue: 'SYD', expected: 'WEEKDAY', desc: 'Melbourne Cup is not a NSW holiday' },
+  { at: '2025-12-24T13:00:00Z', venue: 'SYD', expected: 'PUBLIC_HOLIDAY', desc: 'Christmas Day starts at midnight in Sydney' },
+  { at: '2025-12-24T12:59:00Z', venue: 'SYD', expected: 'WEEKDAY', desc: 'Christmas Eve 23:59 in Sydney' }
+];
+
+let passed = 0;
+let failed = 0;
+
+const check = (desc, condition) => {
+  if (condition) {
+    console.log(`✅ PASS: ${desc}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${desc}`);
+    failed++;
+  }
+};
+
+const run = async () => {
+  console.log('=== Testing Venue-Timezone Payday Type ===\n');
+
+  for (const zone of SERVER_ZONES) {
+    process.env.TZ = zone;
+    console.log(`Server timezone ${zone}:`);
+
+    for (const test of CASES) {
+      const result = await determinePaydayType(new Date(test.at), test.venue);
+      check(`${test.desc} → ${test.expected}${result !== test.expected ? ` (got ${result})` : ''}`, result === test.expected);
+    }
+
+    // Saturday 6pm-2am in Sydney: 6 hours Saturday, 2 hours Sunday
+    const segments = segmentShift({
+      clockIn: new Date('2025-10-18T07:00:00Z'),
+      clockOut: new Date('2025-10-18T15:00:00Z'),
+      timeZone: 'Australia/Sydney',
+      state: 'NSW'
+    });
+    check('Sat 6pm-2am in Sydney splits into 6h Saturday + 2h Sunday',
+      segments.length === 2 &&
+      segments[0].paydayType === 'SATURDAY' && segments[0].elapsedHours === 6 &&
+      segments[1].paydayType === 'SUNDAY' && segments[1].elapsedHours === 2);
+
+    console.log('');
+  }
+
+  console.log(`${passed} passed, ${failed} failed`);
+  if (failed === 0) {
+    console.log('\n✅ Test completed successfully!');
+  }
+  process.exit(failed === 0 ? 0 : 1);
+};
+
+run().catch(err => {
+  console.error('❌ Test crashed:', err);
+  process.exit(1);
+});
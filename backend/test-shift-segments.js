@@ -0,0 +1,131 @@
+/**
+ * Test script for shifts split across midnight
+ * Checks segmentShift() at midnight and across daylight saving changes, and
+ * the exact amounts priceSegments() pays per segment, with breaks and overtime.
+ *
+ * Segmenting is run with the server clock in several timezones
+ * (process.env.TZ is applied at runtime by Node); the venue's zone decides.
+ */
+
+const { segmentShift, priceSegments } = require('./utils/payCalculator');
+
+// Server timezones to run under: UTC, an Australian zone and one behind UTC
+const SERVER_ZONES = ['UTC', 'Australia/Perth', 'America/Los_Angeles'];
+
+const SYDNEY = { timeZone: 'Australia/Sydney', state: 'NSW' };
+
+const RATES = { weekday_rate: 30, saturday_rate: 40, sunday_rate: 50, public_holiday_rate: 75, default_hours: 38 };
+
+let passed = 0;
+let failed = 0;
+
+// actual is printed on failure
+const check = (desc, condition, actual) => {
+  if (condition) {
+    console.log(`✅ PASS: ${desc}`);
+    passed++;
+  } else {
+    console.log(`❌ FAIL: ${desc}${actual !== undefined ? ` (got ${JSON.stringify(actual)})` : ''}`);
+    failed++;
+  }
+};
+
+// [localDate, paydayType, elapsedHours] per segment
+const segmentSummary = segments => segments.map(seg => [seg.localDate, seg.paydayType, seg.elapsedHours]);
+const sameSegments = (segments, expected) => JSON.stringify(segmentSummary(segments)) === JSON.stringify(expected);
+
+const shift = (clockIn, clockOut, venue = SYDNEY) =>
+  segmentShift({ clockIn: new Date(clockIn), clockOut: new Date(clockOut), ...venue });
+
+console.log('=== Testing Shift Segments ===\n');
+
+for (const zone of SERVER_ZONES) {
+  process.env.TZ = zone;
+  console.log(`segmentShift, server timezone ${zone}:`);
+
+  // Sat 18 Oct 2025 18:00 - Sun 02:00 in Sydney (AEDT, +11)
+  let segments = shift('2025-10-18T07:00:00Z', '2025-10-18T15:00:00Z');
+  let expected = [['2025-10-18', 'SATURDAY', 6], ['2025-10-19', 'SUNDAY', 2]];
+  check('Sat 6pm-2am splits at midnight: 6h Saturday + 2h Sunday', sameSegments(segments, expected), segmentSummary(segments));
+
+  // Mon 13 Oct 2025 09:00-17:00 in Sydney
+  segments = shift('2025-10-12T22:00:00Z', '2025-10-13T06:00:00Z');
+  expected = [['2025-10-13', 'WEEKDAY', 8]];
+  check('a day shift is one segment', sameSegments(segments, expected), segmentSummary(segments));
+
+  // Wed 24 Dec 2025 20:00 - Thu 25 Dec 04:00 in Sydney
+  segments = shift('2025-12-24T09:00:00Z', '2025-12-24T17:00:00Z');
+  expected = [['2025-12-24', 'WEEKDAY', 4], ['2025-12-25', 'PUBLIC_HOLIDAY', 4]];
+  check('the hours after midnight into Christmas Day are a public holiday', sameSegments(segments, expected), segmentSummary(segments));
+
+  // Fri 17 Oct 2025 22:00 - Sun 19 Oct 02:00 in Sydney: three calendar days
+  segments = shift('2025-10-17T11:00:00Z', '2025-10-18T15:00:00Z');
+  expected = [['2025-10-17', 'WEEKDAY', 2], ['2025-10-18', 'SATURDAY', 24], ['2025-10-19', 'SUNDAY', 2]];
+  check('a 28h shift gets one segment per calendar day', sameSegments(segments, expected), segmentSummary(segments));
+
+  // Clocks go forward at 02:00 on Sun 5 Oct 2025: Sat 20:00 AEST (+10) - Sun 06:00 AEDT (+11) is 9 hours
+  segments = shift('2025-10-04T10:00:00Z', '2025-10-04T19:00:00Z');
+  expected = [['2025-10-04', 'SATURDAY', 4], ['2025-10-05', 'SUNDAY', 5]];
+  check('DST start: the Sunday segment is an hour short (4h + 5h)', sameSegments(segments, expected), segmentSummary(segments));
+
+  // Clocks go back at 03:00 on Sun 6 Apr 2025: Sat 20:00 AEDT (+11) - Sun 06:00 AEST (+10) is 11 hours
+  segments = shift('2025-04-05T09:00:00Z', '2025-04-05T20:00:00Z');
+  expected = [['2025-04-05', 'SATURDAY', 4], ['2025-04-06', 'SUNDAY', 7]];
+  check('DST end: the Sunday segment has the repeated hour (4h + 7h)', sameSegments(segments, expected), segmentSummary(segments));
+
+  // The same instants in Perth (+8, no DST) are Saturday 18:00 - Sunday 03:00
+  segments = shift('2025-10-04T10:00:00Z', '2025-10-04T19:00:00Z', { timeZone: 'Australia/Perth', state: 'WA' });
+  expected = [['2025-10-04', 'SATURDAY', 6], ['2025-10-05', 'SUNDAY', 3]];
+  check('the venue timezone decides: the same instants in Perth split 6h + 3h', sameSegments(segments, expected), segmentSummary(segments));
+
+  segments = shift('2025-10-18T07:00:00Z', '2025-10-18T07:00:00Z');
+  expected = [['2025-10-18', 'SATURDAY', 0]];
+  check('a zero-length shift still gets one empty segment', sameSegments(segments, expected), segmentSummary(segments));
+
+  console.log('');
+}
+
+process.env.TZ = 'UTC';
+console.log('priceSegments:');
+
+const saturdayNight = shift('2025-10-18T07:00:00Z', '2025-10-18T15:00:00Z');
+
+let pay = priceSegments({ segments: saturdayNight, hoursWorked: 8, rates: RATES });
+check('Sat 6pm-2am, no break: 6h x $40 + 2h x $50 = $340',
+  pay.totalPay === 340 && pay.payStatus === 'OK' &&
+  pay.segments[0].hours === 6 && pay.segments[0].rate === 40 && pay.segments[0].pay === 240 &&
+  pay.segments[1].hours === 2 && pay.segments[1].rate === 50 && pay.segments[1].pay === 100, pay);
+
+pay = priceSegments({ segments: saturdayNight, hoursWorked: 7.5, rates: RATES });
+check('a 30 minute break is spread by length: 5.63h x $40 + 1.87h x $50 = $318.70',
+  pay.totalPay === 318.7 &&
+  pay.segments[0].hours === 5.63 && pay.segments[0].pay === 225.2 &&
+  pay.segments[1].hours === 1.87 && pay.segments[1].pay === 93.5, pay);
+
+const overtime = { dailyLimit: 7, tiers: null, priorDayHours: 0, priorDayOvertimeHours: 0, priorWeekOrdinaryHours: 0 };
+pay = priceSegments({ segments: saturdayNight, hoursWorked: 8, rates: RATES, overtime });
+check('overtime falls in the last hours: 6h x $40 + 1h x $50 + 1h x $75 (Sunday 1.5x) = $365',
+  pay.totalPay === 365 && pay.ordinaryHours === 7 && pay.overtimeHours === 1 && pay.overtimePay === 75 &&
+  pay.segments[0].overtime_hours === 0 && pay.segments[1].overtime_hours === 1 &&
+  pay.overtimeBreakdown.length === 1 && pay.overtimeBreakdown[0].payday_type === 'SUNDAY', pay);
+
+pay = priceSegments({ segments: saturdayNight, hoursWorked: 8, rates: RATES, overtime: { ...overtime, dailyLimit: 5 } });
+check('overtime spanning midnight keeps its tiers: 5h x $40 + 1h x $60 (Sat 1.5x) + 1h x $75 (Sun 1.5x) + 1h x $100 (Sun 2x) = $435',
+  pay.totalPay === 435 && pay.overtimeHours === 3 && pay.overtimePay === 235 &&
+  pay.segments[0].overtime_hours === 1 && pay.segments[0].pay === 260 &&
+  pay.segments[1].overtime_hours === 2 && pay.segments[1].pay === 175 &&
+  pay.overtimeBreakdown.map(tier => tier.rate).join(',') === '60,75,100', pay);
+
+const christmas = shift('2025-12-24T09:00:00Z', '2025-12-24T17:00:00Z');
+pay = priceSegments({ segments: christmas, hoursWorked: 8, rates: RATES });
+check('Christmas Eve 8pm-4am: 4h x $30 + 4h x $75 = $420', pay.totalPay === 420, pay);
+
+pay = priceSegments({ segments: saturdayNight, hoursWorked: 8, rates: { saturday_rate: 40 } });
+check('a day without any rate holds the whole shift back: RATE_MISSING and $0',
+  pay.payStatus === 'RATE_MISSING' && pay.totalPay === 0 && pay.segments.every(seg => seg.pay === 0), pay);
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed === 0) {
+  console.log('\n✅ Test completed successfully!');
+}
+process.exit(failed === 0 ? 0 : 1);
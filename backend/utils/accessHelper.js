@@ -1,4 +1,18 @@
 const db = require('../config/db');
+const { getDataScope } = require('./permissions');
+
+/**
+ * Error thrown when a request reaches outside the caller's business or venue
+ * Controllers map it to a response using statusCode and code.
+ */
+class AccessError extends Error {
+  constructor(message, statusCode = 403, code = 'CROSS_BUSINESS_DENIED') {
+    super(message);
+    this.name = 'AccessError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
 
 /**
  * Helper function to build WHERE clause based on user role
@@ -6,31 +20,35 @@ const db = require('../config/db');
  * @param {Object} userContext - User's access context (access_level, business_code, venue_code)
  * @param {Object} filters - Additional filters (venue_code, status)
  * @returns {Object} - { conditions: Array, params: Array }
+ * @throws {AccessError} When a business or venue scoped session has no business (or venue),
+ *   as getSessionScope does - never an unfiltered query
  */
 function buildAccessFilter(userContext, filters = {}) {
   const conditions = [];
   const params = [];
 
-  // System admins can see all venue staff in their business
-  // Managers can only see staff in their venue
-  // Supervisors can only see staff in their venue
+  // Row scope per access level comes from DATA_SCOPES in utils/permissions.js:
+  // platform (master) - all businesses; business (system_admin) - all venues in
+  // their business; venue (manager, supervisor) - their venue; self - own record
+  const scope = getDataScope(userContext.access_level);
 
-  if (userContext.access_level === 'system_admin') {
-    // System admin: filter by business, all venues
-    if (userContext.business_code) {
-      conditions.push('s.business_code = ?');
-      params.push(userContext.business_code);
-    }
-  } else if (userContext.access_level === 'manager' || userContext.access_level === 'supervisor') {
-    // Manager/Supervisor: filter by their specific venue
-    if (userContext.venue_code) {
-      conditions.push('s.venue_code = ?');
-      params.push(userContext.venue_code);
+  if (scope === 'business' || scope === 'venue') {
+    if (!userContext.business_code) {
+      throw new AccessError('Your account is not linked to a business', 403, 'NO_BUSINESS_CONTEXT');
     }
-    if (userContext.business_code) {
-      conditions.push('s.business_code = ?');
-      params.push(userContext.business_code);
+    conditions.push('s.business_code = ?');
+    params.push(userContext.business_code);
+  }
+
+  if (scope === 'venue') {
+    if (!userContext.venue_code) {
+      throw new AccessError('Your account is not linked to a venue', 403, 'NO_VENUE_CONTEXT');
     }
+    conditions.push('s.venue_code = ?');
+    params.push(userContext.venue_code);
+  } else if (scope === 'self') {
+    conditions.push('s.staff_code = ?');
+    params.push(userContext.staff_code || null);
   }
 
   // Always exclude system admins from the list (only show venue_staff)
@@ -59,7 +77,13 @@ function buildAccessFilter(userContext, filters = {}) {
  * @param {Function} callback - Callback(err, result)
  */
 function verifyStaffAccess(staff_code, userContext, callback) {
-  const { conditions, params } = buildAccessFilter(userContext);
+  let access;
+  try {
+    access = buildAccessFilter(userContext);
+  } catch (err) {
+    return callback(err, null);
+  }
+  const { conditions, params } = access;
   const checkQuery = `SELECT venue_code FROM staff WHERE staff_code = ? AND ${conditions.join(' AND ')}`;
   params.unshift(staff_code);
 
@@ -74,7 +98,71 @@ function verifyStaffAccess(staff_code, userContext, callback) {
   });
 }
 
+/**
+ * Resolve the business and venue a request may read or change
+ *
+ * The business always comes from the authenticated session. A business_code
+ * (or venue_code) in the query or body is only accepted when it matches the
+ * session - anything else is refused rather than silently ignored, so a
+ * client bug cannot look like an empty result.
+ *
+ * @param {Object} req - Express request (after authenticate)
+ * @param {string} venueAlias - Alias of the venues/shifts table carrying venue_code
+ * @returns {Object} { business_code, venue_code, conditions, params }
+ *   conditions/params restrict `${venueAlias}.business_code` and, for
+ *   venue-scoped roles, `${venueAlias}.venue_code`
+ * @throws {AccessError} When the session has no business or the request asks for another one
+ */
+function getSessionScope(req, venueAlias = 'v') {
+  const userContext = req.userContext || {};
+  const business_code = userContext.business_code;
+
+  if (!business_code) {
+    throw new AccessError('Your account is not linked to a business', 403, 'NO_BUSINESS_CONTEXT');
+  }
+
+  const requested = (req.query && req.query.business_code) || (req.body && req.body.business_code);
+  if (requested && requested !== business_code) {
+    console.warn(`[ACCESS] ⛔ ${userContext.staff_code || userContext.user_id} (${business_code}) requested business ${requested}`);
+    throw new AccessError('Access denied to another business');
+  }
+
+  const conditions = [`${venueAlias}.business_code = ?`];
+  const params = [business_code];
+  let venue_code = null;
+
+  if (getDataScope(userContext.access_level) === 'venue') {
+    venue_code = userContext.venue_code;
+    if (!venue_code) {
+      throw new AccessError('Your account is not linked to a venue', 403, 'NO_VENUE_CONTEXT');
+    }
+
+    const requestedVenue = (req.query && req.query.venue_code) || (req.body && req.body.venue_code);
+    if (requestedVenue && requestedVenue !== 'all' && requestedVenue !== venue_code) {
+      throw new AccessError('Access denied to another venue', 403, 'CROSS_VENUE_DENIED');
+    }
+
+    conditions.push(`${venueAlias}.venue_code = ?`);
+    params.push(venue_code);
+  }
+
+  return { business_code, venue_code, conditions, params };
+}
+
+/**
+ * Send an AccessError as a JSON response
+ * @returns {boolean} True if the error was handled
+ */
+function sendAccessError(res, err) {
+  if (!(err instanceof AccessError)) return false;
+  res.status(err.statusCode).json({ success: false, error: err.message, code: err.code });
+  return true;
+}
+
 module.exports = {
+  AccessError,
+  getSessionScope,
+  sendAccessError,
   buildAccessFilter,
   verifyStaffAccess
 };
@@ -0,0 +1,316 @@
+/**
+ * Auto-Close Utility
+ * Handles shifts left open without a clock-out (see schema/26_auto_close_policy.sql)
+ *
+ * Each venue chooses a policy (venues.auto_close_mode):
+ * - HOURS: clock out at clock-in + auto_close_hours
+ * - ROSTER_END: clock out at the roster end time, an hour after it passes
+ * - FLAG_ONLY: leave the shift open and tell managers
+ *
+ * Closed shifts are priced like a clock-out (unpaid breaks deducted) but get
+ * shift_state = 'AUTO_CLOSED', which blocks approval until a manager reviews
+ * the times. Managers get one notification per venue per run listing the shifts.
+ */
+
+const db = require('../config/db');
+const { priceShift, PAY_COLUMNS, payColumnValues } = require('./payCalculator');
+const { SYSTEM_ACTOR, getShiftSnapshot, recordShiftAudit } = require('./shiftAudit');
+const { closeOpenBreak } = require('./shiftBreaks');
+const { checkShiftCompliance } = require('./shiftCompliance');
+const { notifyManagers } = require('./notifications');
+const { localDateString, localTimeToInstant, addDays } = require('./venueTime');
+
+const AUTO_CLOSE_MODES = ['HOURS', 'ROSTER_END', 'FLAG_ONLY'];
+const DEFAULT_AUTO_CLOSE_MODE = 'HOURS';
+const DEFAULT_AUTO_CLOSE_HOURS = 10;
+
+// ROSTER_END waits this long past the roster end before closing, so staff who
+// stay back a little can still clock out themselves
+const ROSTER_END_GRACE_MINUTES = 60;
+
+/**
+ * Validate auto-close settings from a venue update
+ * @param {Object} body - { auto_close_mode, auto_close_hours }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateAutoClosePolicy({ auto_close_mode, auto_close_hours }) {
+  if (auto_close_mode !== undefined && !AUTO_CLOSE_MODES.includes(auto_close_mode)) {
+    return `auto_close_mode must be one of: ${AUTO_CLOSE_MODES.join(', ')}`;
+  }
+  if (auto_close_hours !== undefined) {
+    const hours = Number(auto_close_hours);
+    if (auto_close_hours === null || auto_close_hours === '' || !Number.isFinite(hours) || hours < 1 || hours > 24) {
+      return 'auto_close_hours must be between 1 and 24';
+    }
+  }
+  return null;
+}
+
+/**
+ * End of the roster entry an open shift was clocked in against
+ * Uses shifts.roster_id when set, otherwise the staff member's roster entry at
+ * the venue (today or overnight from yesterday) starting closest to clock-in.
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {Object} shift - { roster_id, staff_code, venue_code, clock_in }
+ * @param {string} timeZone - venues.timezone
+ * @returns {Promise<Date|null>} - Roster end, or null when no entry covers the shift
+ */
+async function findRosterEnd(conn, shift, timeZone) {
+  const clockIn = new Date(shift.clock_in);
+  const localDate = localDateString(clockIn, timeZone);
+
+  const [rosters] = await conn.execute(`
+    SELECT id, DATE_FORMAT(shift_date, '%Y-%m-%d') AS shift_date, start_time, end_time
+    FROM rosters
+    WHERE staff_code = ?
+      AND venue_code = ?
+      AND (id = ? OR shift_date BETWEEN ? AND ?)
+  `, [shift.staff_code, shift.venue_code, shift.roster_id || 0, addDays(localDate, -1), localDate]);
+
+  const candidates = rosters
+    .map(roster => {
+      const start = localTimeToInstant(roster.shift_date, roster.start_time, timeZone);
+      // 22:00-06:00 ends the next day
+      const endDate = roster.end_time <= roster.start_time ? addDays(roster.shift_date, 1) : roster.shift_date;
+      return { id: roster.id, start, end: localTimeToInstant(endDate, roster.end_time, timeZone) };
+    })
+    .filter(roster => roster.end > clockIn)
+    .sort((a, b) => Math.abs(a.start - clockIn) - Math.abs(b.start - clockIn));
+
+  const match = candidates.find(roster => roster.id === shift.roster_id) || candidates[0];
+  return match ? match.end : null;
+}
+
+/**
+ * When an open shift is due, and where it is clocked out
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {Object} shift - Open shift joined with its venue's auto_close_mode, auto_close_hours, timezone
+ * @returns {Promise<Object>} - { mode, dueAt, closeAt, basis } (closeAt null for FLAG_ONLY)
+ */
+async function autoClosePlan(conn, shift) {
+  const mode = shift.auto_close_mode || DEFAULT_AUTO_CLOSE_MODE;
+  const hours = Number(shift.auto_close_hours) || DEFAULT_AUTO_CLOSE_HOURS;
+  const afterHours = new Date(new Date(shift.clock_in).getTime() + hours * 60 * 60 * 1000);
+
+  if (mode === 'FLAG_ONLY') {
+    return { mode, dueAt: afterHours, closeAt: null, basis: `open ${hours}h` };
+  }
+
+  if (mode === 'ROSTER_END') {
+    const rosterEnd = await findRosterEnd(conn, shift, shift.timezone);
+    if (rosterEnd) {
+      return {
+        mode,
+        dueAt: new Date(rosterEnd.getTime() + ROSTER_END_GRACE_MINUTES * 60 * 1000),
+        closeAt: rosterEnd,
+        basis: 'roster end'
+      };
+    }
+  }
+
+  return { mode, dueAt: afterHours, closeAt: afterHours, basis: `${hours}h limit` };
+}
+
+/**
+ * Close one open shift at its planned time
+ * A shift on break is clocked out when the break started.
+ *
+ * @param {Object} shift - Open shift row
+ * @param {Object} plan - From autoClosePlan()
+ * @returns {Promise<Object|null>} - { clockOut, hoursWorked, payStatus }, or null when the
+ *                                   shift was clocked out since the scan
+ */
+async function closeShift(shift, plan) {
+  const connection = await db.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Skip shifts clocked out since the scan
+    const before = await getShiftSnapshot(connection, shift.id);
+    if (!before || !['ACTIVE', 'ON_BREAK'].includes(before.shift_state)) {
+      await connection.rollback();
+      return null;
+    }
+
+    let clockOut = plan.closeAt;
+
+    // The staff member left on break: the shift ends when the break began
+    if (before.shift_state === 'ON_BREAK') {
+      const [[open]] = await connection.execute(`
+        SELECT COALESCE(
+          (SELECT break_start FROM shift_breaks WHERE shift_id = s.id AND break_end IS NULL ORDER BY break_start DESC LIMIT 1),
+          s.last_action_time
+        ) AS break_start
+        FROM shifts s
+        WHERE s.id = ?
+      `, [shift.id]);
+
+      if (open && open.break_start && new Date(open.break_start) < clockOut) {
+        clockOut = new Date(open.break_start);
+      }
+      await closeOpenBreak(connection, shift.id, clockOut);
+    }
+
+    const [[breaks]] = await connection.execute(
+      'SELECT break_minutes, unpaid_break_minutes FROM shifts WHERE id = ?',
+      [shift.id]
+    );
+
+    // Unpaid breaks are deducted as at a normal clock-out
+    const pay = await priceShift(connection, {
+      ...shift,
+      ...breaks,
+      clock_out: clockOut
+    });
+
+    if (pay.payStatus === 'RATE_MISSING') {
+      console.warn(`[AUTO-CLOSE] ⚠️  No pay rates for staff ${shift.staff_code} - shift ${shift.id} flagged RATE_MISSING`);
+    }
+
+    await connection.execute(`
+      UPDATE shifts
+      SET clock_out = ?,
+          ${PAY_COLUMNS.map(col => `${col} = ?`).join(', ')},
+          shift_state = 'AUTO_CLOSED'
+      WHERE id = ?
+    `, [clockOut, ...payColumnValues(pay), shift.id]);
+
+    await recordShiftAudit(connection, {
+      shiftId: shift.id,
+      action: 'AUTO_CLOSE',
+      source: 'system',
+      actor: SYSTEM_ACTOR,
+      before,
+      reason: `No clock-out; closed at ${plan.basis}${before.shift_state === 'ON_BREAK' ? ' (on break)' : ''}`
+    });
+
+    await checkShiftCompliance(connection, shift.id);
+
+    await connection.commit();
+
+    console.log(`✅ Auto-closed shift ${shift.id} for ${shift.staff_code} at ${plan.basis}: ${pay.hoursWorked}h [${pay.paydayType}]`);
+    return { clockOut, hoursWorked: pay.hoursWorked, payStatus: pay.payStatus };
+
+  } catch (err) {
+    await connection.rollback();
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Format a time for a notification line in the venue's timezone
+ * @param {Date|string} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function notificationTime(date, timeZone) {
+  try {
+    return new Date(date).toLocaleString('en-AU', {
+      timeZone: timeZone || undefined,
+      weekday: 'short', day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit'
+    });
+  } catch (err) {
+    return new Date(date).toISOString();
+  }
+}
+
+/**
+ * Close or flag every open shift that is due under its venue's policy,
+ * then notify each venue's managers of what was done
+ * Run every 15 minutes.
+ *
+ * @returns {Promise<Object>} - { closed, flagged, failed }
+ */
+async function runAutoCloseMonitor() {
+  const [openShifts] = await db.execute(`
+    SELECT s.id, s.roster_id, s.staff_code, s.venue_code, s.clock_in,
+           v.business_code, v.venue_name, v.timezone, v.auto_close_mode, v.auto_close_hours,
+           CONCAT(st.first_name, ' ', st.last_name) AS staff_name
+    FROM shifts s
+    JOIN venues v ON v.venue_code = s.venue_code
+    JOIN staff st ON st.staff_code = s.staff_code
+    WHERE s.shift_state IN ('ACTIVE', 'ON_BREAK')
+      AND s.auto_close_flagged_at IS NULL
+  `);
+
+  const now = new Date();
+  const reports = new Map(); // venue_code → { shift, lines, shiftIds, closed, flagged }
+  const summary = { closed: 0, flagged: 0, failed: 0 };
+
+  for (const shift of openShifts) {
+    try {
+      const plan = await autoClosePlan(db, shift);
+      if (now < plan.dueAt) continue;
+
+      let line;
+      if (plan.mode === 'FLAG_ONLY') {
+        const [result] = await db.execute(`
+          UPDATE shifts SET auto_close_flagged_at = NOW()
+          WHERE id = ? AND shift_state IN ('ACTIVE', 'ON_BREAK') AND auto_close_flagged_at IS NULL
+        `, [shift.id]);
+        if (result.affectedRows === 0) continue;
+
+        summary.flagged++;
+        line = `${shift.staff_name}: clocked in ${notificationTime(shift.clock_in, shift.timezone)}, still open - edit the timesheet to close it`;
+      } else {
+        const closed = await closeShift(shift, plan);
+        if (!closed) continue;
+
+        summary.closed++;
+        line = `${shift.staff_name}: clocked in ${notificationTime(shift.clock_in, shift.timezone)}, ` +
+          `closed ${notificationTime(closed.clockOut, shift.timezone)} (${plan.basis}, ${closed.hoursWorked}h` +
+          `${closed.payStatus === 'RATE_MISSING' ? ', no pay rate' : ''})`;
+      }
+
+      if (!reports.has(shift.venue_code)) {
+        reports.set(shift.venue_code, { shift, lines: [], shiftIds: [], closed: 0, flagged: 0 });
+      }
+      const report = reports.get(shift.venue_code);
+      report.lines.push(line);
+      report.shiftIds.push(shift.id);
+      report[plan.mode === 'FLAG_ONLY' ? 'flagged' : 'closed']++;
+
+    } catch (err) {
+      summary.failed++;
+      console.error(`❌ Failed to auto-close shift ${shift.id}:`, err.message);
+    }
+  }
+
+  for (const [venueCode, report] of reports) {
+    const parts = [];
+    if (report.closed) parts.push(`${report.closed} shift(s) auto-closed`);
+    if (report.flagged) parts.push(`${report.flagged} shift(s) left open`);
+
+    try {
+      await notifyManagers(db, {
+        businessCode: report.shift.business_code,
+        venueCode,
+        kind: 'AUTO_CLOSE',
+        title: `${parts.join(', ')} at ${report.shift.venue_name || venueCode} - review before approval`,
+        lines: report.lines,
+        shiftIds: report.shiftIds
+      });
+    } catch (err) {
+      console.error(`❌ Failed to notify managers of ${venueCode}:`, err.message);
+    }
+  }
+
+  if (summary.closed === 0 && summary.flagged === 0 && summary.failed === 0) {
+    console.log('✅ Auto-close monitor: No long shifts found');
+  }
+  return summary;
+}
+
+module.exports = {
+  AUTO_CLOSE_MODES,
+  DEFAULT_AUTO_CLOSE_HOURS,
+  validateAutoClosePolicy,
+  findRosterEnd,
+  autoClosePlan,
+  runAutoCloseMonitor
+};
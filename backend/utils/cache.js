@@ -101,6 +101,28 @@ function invalidate(pattern) {
   return count;
 }
 
+/**
+ * Invalidate keys belonging to one business
+ * A key belongs to a business when one of its ':'-separated segments equals
+ * the business code (e.g. venues:BUS001, kiosk:staff:BUS001:VEN01).
+ *
+ * @param {string} businessCode - Business code to scope to
+ * @param {string} pattern - Optional pattern the key must also contain (e.g. 'kiosk:staff:')
+ * @returns {number} Number of keys invalidated
+ */
+function invalidateForBusiness(businessCode, pattern = '') {
+  let count = 0;
+  for (const key of store.keys()) {
+    if (key.includes(pattern) && key.split(':').includes(businessCode)) {
+      store.delete(key);
+      count++;
+    }
+  }
+  stats.invalidations += count;
+  stats.deletes += count;
+  return count;
+}
+
 /**
  * Clear all cached data
  */
@@ -197,6 +219,7 @@ module.exports = {
   set,
   del,
   invalidate,
+  invalidateForBusiness,
   clear,
   getStats,
   resetStats,
@@ -0,0 +1,164 @@
+/**
+ * Cron Utility
+ * Parses five-field cron expressions and matches them against dates
+ *
+ * Fields: minute (0-59) hour (0-23) day of month (1-31) month (1-12) day of week (0-6, Sunday = 0, 7 also Sunday)
+ * Each field accepts *, a number, a range (1-5), a step (*\/15, 0-30/10) and lists (1,15,30).
+ * As in standard cron, when both day of month and day of week are restricted a
+ * date matches if either does. Dates are matched in the server's local time.
+ *
+ * @example
+ * const schedule = parseCron('*\/15 * * * *');
+ * cronMatches(schedule, new Date()); // true at :00, :15, :30 and :45
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// nextCronTime() gives up after this; every valid date (even 29 February) recurs sooner
+const MAX_SEARCH_YEARS = 8;
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+/**
+ * Expand one cron field into the set of values it allows
+ * @param {string} text - e.g. '*', '5', '1-5', '*\/15', '0,30'
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<number>}
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${part}" in ${field.name}`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const bounds = range.split('-').map(Number);
+      if (bounds.length > 2 || bounds.some(n => !Number.isInteger(n))) {
+        throw new Error(`Invalid value "${part}" in ${field.name}`);
+      }
+      from = bounds[0];
+      to = bounds.length === 2 ? bounds[1] : (stepText === undefined ? from : field.max);
+    }
+
+    if (from < field.min || to > field.max || from > to) {
+      throw new Error(`${field.name} must be between ${field.min} and ${field.max}, got "${part}"`);
+    }
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields, or @hourly / @daily / @weekly / @monthly
+ * @returns {Object} - { expression, minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const source = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression "${expression}" must have 5 fields`);
+  }
+
+  const schedule = { expression: String(expression).trim() };
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field);
+  });
+
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+  return schedule;
+}
+
+/**
+ * Check whether a date's minute is in a schedule
+ * @param {Object} schedule - From parseCron()
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function cronMatches(schedule, date) {
+  if (!schedule.minute.has(date.getMinutes())) return false;
+  if (!schedule.hour.has(date.getHours())) return false;
+  if (!schedule.month.has(date.getMonth() + 1)) return false;
+  return dayMatches(schedule, date);
+}
+
+/**
+ * Check whether a date's day (day of month / day of week) is in a schedule
+ * @param {Object} schedule - From parseCron()
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function dayMatches(schedule, date) {
+  const domMatch = schedule.dayOfMonth.has(date.getDate());
+  const dowMatch = schedule.dayOfWeek.has(date.getDay());
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return domMatch && dowMatch;
+  }
+  return domMatch || dowMatch;
+}
+
+/**
+ * Next minute after a date that matches a schedule
+ * Skips whole months, days and hours that cannot match, so even a rare
+ * schedule takes at most a few thousand steps.
+ *
+ * @param {Object} schedule - From parseCron()
+ * @param {Date} [after] - Default: now
+ * @returns {Date|null} - null when nothing matches within MAX_SEARCH_YEARS (e.g. 31 February)
+ */
+function nextCronTime(schedule, after = new Date()) {
+  // Minutes are rounded and stepped in elapsed time: setSeconds()/setMinutes() inside a
+  // repeated daylight saving hour can land on its first occurrence, before `after`
+  const next = new Date(Math.floor(new Date(after).getTime() / 60000) * 60000 + 60000);
+
+  const limit = new Date(next);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (next <= limit) {
+    if (!schedule.month.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(next.getHours())) {
+      // Across a daylight saving change the next local hour may be skipped or repeated
+      next.setHours(next.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(next.getMinutes())) {
+      next.setTime(next.getTime() + 60000);
+    } else {
+      return next;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  cronMatches,
+  nextCronTime
+};
@@ -0,0 +1,365 @@
+/**
+ * Job Scheduler
+ * Named background jobs on cron schedules (see schema/27_scheduled_jobs.sql)
+ *
+ * Jobs are defined with defineJob() (utils/jobs.js) and started once from
+ * server.js. Every minute each instance checks which jobs are due. An exclusive
+ * job is only run by the instance that claims it in scheduled_jobs, so several
+ * server instances do not all run it; per-instance jobs run everywhere.
+ * Every run is recorded in scheduled_job_runs with its duration, result or error.
+ */
+
+const os = require('os');
+const db = require('../config/db');
+const { parseCron, cronMatches, nextCronTime } = require('./cron');
+
+// Identifies this process in locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+const running = new Set(); // Jobs running in this process
+let timer = null;
+let registered = false;
+
+/**
+ * Error for a job that cannot be run (unknown, or already running)
+ */
+class JobError extends Error {
+  constructor(message, statusCode = 409, code = 'JOB_UNAVAILABLE') {
+    super(message);
+    this.name = 'JobError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Define a job
+ *
+ * @param {Object} job
+ * @param {string} job.name - Unique name, e.g. 'auto-close'
+ * @param {string} job.schedule - Cron expression (see utils/cron.js)
+ * @param {string} [job.description]
+ * @param {boolean} [job.exclusive] - Run on one instance at a time (default true)
+ * @param {number} [job.lockMinutes] - Lock lease, renewed while the job runs; a crashed
+ *                                     instance's lock expires after this (default 10)
+ * @param {Function} job.handler - async () => result (stored in the run history)
+ */
+function defineJob({ name, schedule, description = null, exclusive = true, lockMinutes = 10, handler }) {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already defined`);
+  }
+  if (!Number.isInteger(lockMinutes) || lockMinutes < 1) {
+    throw new Error(`Job "${name}": lockMinutes must be a whole number of minutes`);
+  }
+  jobs.set(name, { name, schedule, parsed: parseCron(schedule), description, exclusive, lockMinutes, handler });
+}
+
+/**
+ * Claim an exclusive job for this instance
+ * A scheduled run also claims its slot so no other instance runs it this minute.
+ *
+ * @param {Object} job - Defined job
+ * @param {Date|null} slot - Schedule minute (null for a manual run)
+ * @returns {Promise<boolean>} - false when paused, locked, or the slot was taken
+ */
+async function claimJob(job, slot) {
+  const [result] = await db.execute(`
+    UPDATE scheduled_jobs
+    SET locked_by = ?,
+        locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+        last_slot_at = COALESCE(?, last_slot_at)
+    WHERE name = ?
+      AND (locked_until IS NULL OR locked_until < NOW())
+      ${slot ? 'AND paused = 0 AND (last_slot_at IS NULL OR last_slot_at < ?)' : ''}
+  `, slot
+    ? [INSTANCE_ID, job.lockMinutes, slot, job.name, slot]
+    : [INSTANCE_ID, job.lockMinutes, null, job.name]);
+
+  return result.affectedRows === 1;
+}
+
+/**
+ * Keep an exclusive job's lock while it runs
+ * The lease is extended every half lease, so a run longer than lockMinutes
+ * is not claimed by another instance. A crashed instance stops renewing and
+ * its lock expires as before.
+ *
+ * @param {Object} job - Defined job
+ * @returns {Function} - Stops renewing
+ */
+function renewLeaseWhileRunning(job) {
+  const interval = setInterval(async () => {
+    try {
+      const [result] = await db.execute(`
+        UPDATE scheduled_jobs
+        SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+        WHERE name = ? AND locked_by = ?
+      `, [job.lockMinutes, job.name, INSTANCE_ID]);
+
+      if (result.affectedRows !== 1) {
+        console.warn(`[JOBS] ⚠️  ${job.name} lost its lock while running`);
+      }
+    } catch (err) {
+      console.error(`[JOBS] ⚠️  Failed to renew the lock of ${job.name}:`, err.message);
+    }
+  }, job.lockMinutes * 60000 / 2);
+
+  // A long job must not keep the process alive on its own
+  interval.unref();
+  return () => clearInterval(interval);
+}
+
+/**
+ * Run a job now and record the run
+ *
+ * @param {string} name - Job name
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'schedule' | 'manual'
+ * @param {Date} [options.slot] - Schedule minute (scheduled runs)
+ * @param {number} [options.userId] - users.id for manual runs
+ * @returns {Promise<Object|null>} - { id, status, duration_ms, result, error }, or null when a
+ *                                   scheduled run was skipped (paused, or claimed by another instance)
+ * @throws {JobError} When a manual run cannot start
+ */
+async function runJob(name, { trigger = 'manual', slot = null, userId = null } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new JobError(`Unknown job: ${name}`, 404, 'JOB_NOT_FOUND');
+  }
+
+  if (running.has(name)) {
+    if (trigger === 'manual') throw new JobError(`Job ${name} is already running`);
+    return null;
+  }
+
+  if (job.exclusive) {
+    if (!await claimJob(job, slot)) {
+      if (trigger === 'manual') throw new JobError(`Job ${name} is already running on another instance`);
+      return null;
+    }
+  } else if (trigger === 'schedule') {
+    const [rows] = await db.execute('SELECT paused FROM scheduled_jobs WHERE name = ?', [name]);
+    if (rows.length && rows[0].paused) return null;
+  }
+
+  running.add(name);
+  const started = Date.now();
+  let runId = null;
+
+  try {
+    const [insert] = await db.execute(`
+      INSERT INTO scheduled_job_runs (job_name, trigger_type, triggered_by, instance_id)
+      VALUES (?, ?, ?, ?)
+    `, [name, trigger, userId, INSTANCE_ID]);
+    runId = insert.insertId;
+  } catch (err) {
+    // The job still runs (the keepalive must, when the database is struggling)
+    console.error(`[JOBS] ⚠️  Failed to record start of ${name}:`, err.message);
+  }
+
+  let status = 'SUCCESS';
+  let result = null;
+  let error = null;
+
+  const stopRenewing = job.exclusive ? renewLeaseWhileRunning(job) : () => {};
+
+  try {
+    result = await job.handler();
+  } catch (err) {
+    status = 'FAILED';
+    error = err.message;
+    console.error(`[JOBS] ❌ ${name} failed:`, err.message);
+  } finally {
+    stopRenewing();
+  }
+
+  const durationMs = Date.now() - started;
+  running.delete(name);
+
+  try {
+    if (runId) {
+      await db.execute(`
+        UPDATE scheduled_job_runs
+        SET status = ?, finished_at = CURRENT_TIMESTAMP(3), duration_ms = ?, result = ?, error = ?
+        WHERE id = ?
+      `, [status, durationMs, result === undefined || result === null ? null : JSON.stringify(result), error, runId]);
+    }
+
+    await db.execute(
+      'UPDATE scheduled_jobs SET last_run_at = NOW(), last_status = ? WHERE name = ?',
+      [status, name]
+    );
+
+    if (job.exclusive) {
+      await db.execute(
+        'UPDATE scheduled_jobs SET locked_by = NULL, locked_until = NULL WHERE name = ? AND locked_by = ?',
+        [name, INSTANCE_ID]
+      );
+    }
+  } catch (err) {
+    console.error(`[JOBS] ⚠️  Failed to record end of ${name}:`, err.message);
+  }
+
+  return { id: runId, status, duration_ms: durationMs, result, error };
+}
+
+/**
+ * Run the jobs due this minute
+ * @param {Date} now
+ */
+async function tick(now) {
+  const slot = new Date(now);
+  slot.setSeconds(0, 0);
+
+  // Exclusive jobs are claimed through their rows, so create them first
+  if (!registered) await registerJobs();
+
+  for (const job of jobs.values()) {
+    if (!cronMatches(job.parsed, slot)) continue;
+
+    // Jobs run side by side; one slow job does not hold up the others
+    runJob(job.name, { trigger: 'schedule', slot }).catch(err => {
+      console.error(`[JOBS] ❌ ${job.name} could not start:`, err.message);
+    });
+  }
+}
+
+/**
+ * Create the scheduled_jobs row of each defined job and keep its schedule current
+ */
+async function registerJobs() {
+  try {
+    for (const job of jobs.values()) {
+      await db.execute(`
+        INSERT INTO scheduled_jobs (name, schedule, description)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE schedule = VALUES(schedule), description = VALUES(description)
+      `, [job.name, job.schedule, job.description]);
+    }
+    registered = true;
+  } catch (err) {
+    // Retried on the next tick; until then exclusive jobs cannot be claimed
+    console.error('[JOBS] ⚠️  Failed to register jobs:', err.message);
+  }
+}
+
+/**
+ * Start checking schedules at the top of every minute
+ * Safe to call more than once.
+ */
+async function startScheduler() {
+  if (timer) return;
+
+  await registerJobs();
+
+  const scheduleTick = () => {
+    const delay = 60000 - (Date.now() % 60000);
+    timer = setTimeout(() => {
+      tick(new Date()).catch(err => console.error('[JOBS] ❌ Tick failed:', err.message));
+      scheduleTick();
+    }, delay);
+  };
+  scheduleTick();
+
+  console.log(`[JOBS] ⏱ Scheduler started on ${INSTANCE_ID}: ${Array.from(jobs.keys()).join(', ')}`);
+}
+
+/**
+ * Stop the scheduler (running jobs finish)
+ */
+function stopScheduler() {
+  if (timer) clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * List defined jobs with their state
+ * @returns {Promise<Array<Object>>}
+ */
+async function listJobs() {
+  const [rows] = await db.execute(`
+    SELECT j.name, j.paused, j.locked_by, j.locked_until, j.last_run_at, j.last_status, j.updated_by,
+           r.id AS last_run_id, r.duration_ms AS last_duration_ms, r.error AS last_error
+    FROM scheduled_jobs j
+    LEFT JOIN scheduled_job_runs r ON r.id = (
+      SELECT MAX(id) FROM scheduled_job_runs WHERE job_name = j.name
+    )
+  `);
+  const state = new Map(rows.map(row => [row.name, row]));
+
+  return Array.from(jobs.values()).map(job => {
+    const row = state.get(job.name) || {};
+    return {
+      name: job.name,
+      schedule: job.schedule,
+      description: job.description,
+      exclusive: job.exclusive,
+      paused: Boolean(row.paused),
+      running: running.has(job.name) || Boolean(row.locked_until && new Date(row.locked_until) > new Date()),
+      locked_by: row.locked_by || null,
+      next_run_at: nextCronTime(job.parsed),
+      last_run_at: row.last_run_at || null,
+      last_status: row.last_status || null,
+      last_duration_ms: row.last_duration_ms ?? null,
+      last_error: row.last_error || null
+    };
+  });
+}
+
+/**
+ * Pause or resume a job's scheduled runs (manual runs are still allowed)
+ *
+ * @param {string} name - Job name
+ * @param {boolean} paused
+ * @param {number} [userId] - users.id making the change
+ * @throws {JobError} When the job is unknown
+ */
+async function setJobPaused(name, paused, userId = null) {
+  if (!jobs.has(name)) {
+    throw new JobError(`Unknown job: ${name}`, 404, 'JOB_NOT_FOUND');
+  }
+
+  const job = jobs.get(name);
+  await db.execute(`
+    INSERT INTO scheduled_jobs (name, schedule, description, paused, updated_by)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE paused = VALUES(paused), updated_by = VALUES(updated_by)
+  `, [name, job.schedule, job.description, paused ? 1 : 0, userId]);
+
+  console.log(`[JOBS] ${paused ? '⏸ Paused' : '▶️  Resumed'} ${name} (user ${userId})`);
+}
+
+/**
+ * Run history of a job, newest first
+ * @param {string} name - Job name
+ * @param {number} [limit] - Default 50, at most 200
+ * @returns {Promise<Array<Object>>}
+ */
+async function getJobRuns(name, limit = 50) {
+  if (!jobs.has(name)) {
+    throw new JobError(`Unknown job: ${name}`, 404, 'JOB_NOT_FOUND');
+  }
+
+  const rows = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const [runs] = await db.execute(`
+    SELECT id, trigger_type, triggered_by, instance_id, status, started_at, finished_at, duration_ms, result, error
+    FROM scheduled_job_runs
+    WHERE job_name = ?
+    ORDER BY id DESC
+    LIMIT ${rows}
+  `, [name]);
+  return runs;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  JobError,
+  defineJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  listJobs,
+  setJobPaused,
+  getJobRuns
+};
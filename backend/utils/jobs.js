@@ -0,0 +1,47 @@
+/**
+ * Background Jobs
+ * Definitions of the jobs run by the scheduler (see utils/jobScheduler.js)
+ *
+ * Schedules are cron expressions in server time. Add a job here with
+ * defineJob(); its scheduled_jobs row is created on the next server start.
+ */
+
+const db = require('../config/db');
+const { defineJob } = require('./jobScheduler');
+const { runAutoCloseMonitor } = require('./autoClose');
+
+// Run history older than this is removed by job-history-cleanup
+const JOB_HISTORY_DAYS = 30;
+
+// Prevents MySQL idle disconnects with periodic health checks.
+// Every instance keeps its own pool alive, so this is not exclusive.
+defineJob({
+  name: 'db-keepalive',
+  schedule: '*/5 * * * *',
+  description: 'Ping the database so idle pool connections are not dropped',
+  exclusive: false,
+  handler: async () => {
+    await db.execute('SELECT 1');
+    console.log('✅ DB keepalive ping successful');
+  }
+});
+
+// Closes (or flags) shifts left open, following each venue's auto-close policy
+defineJob({
+  name: 'auto-close',
+  schedule: '*/15 * * * *',
+  description: 'Close or flag shifts left open, following each venue\'s auto-close policy',
+  handler: runAutoCloseMonitor
+});
+
+defineJob({
+  name: 'job-history-cleanup',
+  schedule: '30 3 * * *',
+  description: `Remove job run history older than ${JOB_HISTORY_DAYS} days`,
+  handler: async () => {
+    const [result] = await db.execute(
+      `DELETE FROM scheduled_job_runs WHERE started_at < NOW() - INTERVAL ${JOB_HISTORY_DAYS} DAY`
+    );
+    return { deleted: result.affectedRows };
+  }
+});
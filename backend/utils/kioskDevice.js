@@ -0,0 +1,197 @@
+/**
+ * Kiosk Device Utility
+ * Registers kiosk devices per venue and verifies their device tokens
+ *
+ * POST /api/kiosk/login registers (or re-registers) the device and returns an
+ * opaque device token. Every other /api/kiosk route requires it in the
+ * X-Kiosk-Token header (see requireKioskDevice in authMiddleware). Only the
+ * SHA-256 hash of the token is stored in kiosk_devices.
+ *
+ * POST /api/kiosk/validate-pin additionally issues a short-lived signed staff
+ * token bound to the device. Shift actions require it in the
+ * X-Kiosk-Staff-Token header (see requireKioskStaff) so a shift can only be
+ * changed by the staff member who entered their PIN.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/db');
+const cache = require('./cache');
+const token = require('./token');
+
+// How long a verified device lookup is cached (ms); also bounds last_seen_at precision
+const DEVICE_CACHE_TTL = 60000;
+
+// Lifetime of the staff token issued after PIN validation (seconds)
+const STAFF_TOKEN_TTL = 600; // 10 minutes
+
+/**
+ * Register a kiosk device for a venue, or rotate the token of an existing one
+ *
+ * @param {Object} venue - { venue_code, business_code }
+ * @param {Object} meta - { deviceId, deviceName, ip }
+ * @returns {Promise<Object>} { device_id, device_token }
+ */
+async function registerDevice(venue, meta = {}) {
+  const deviceToken = token.generateOpaqueToken();
+  const tokenHash = token.hashToken(deviceToken);
+
+  // Same device logging in again: rotate its token if it is still active at this venue
+  if (meta.deviceId) {
+    const [existing] = await db.execute(`
+      SELECT id, token_hash FROM kiosk_devices
+      WHERE id = ? AND venue_code = ? AND revoked_at IS NULL
+      LIMIT 1
+    `, [meta.deviceId, venue.venue_code]);
+
+    if (existing.length > 0) {
+      await db.execute(`
+        UPDATE kiosk_devices
+        SET token_hash = ?, last_seen_at = NOW(), last_seen_ip = ?
+        WHERE id = ?
+      `, [tokenHash, meta.ip || null, meta.deviceId]);
+
+      cache.del(`kiosk:device:${existing[0].token_hash}`);
+      return { device_id: meta.deviceId, device_token: deviceToken };
+    }
+  }
+
+  const deviceId = crypto.randomUUID();
+  await db.execute(`
+    INSERT INTO kiosk_devices
+      (id, venue_code, business_code, device_name, token_hash, registered_ip, last_seen_at, last_seen_ip)
+    VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)
+  `, [
+    deviceId,
+    venue.venue_code,
+    venue.business_code,
+    (meta.deviceName || '').slice(0, 100) || null,
+    tokenHash,
+    meta.ip || null,
+    meta.ip || null
+  ]);
+
+  return { device_id: deviceId, device_token: deviceToken };
+}
+
+/**
+ * Resolve a device token to its active device
+ * Cached briefly; last_seen_at is refreshed whenever the cache is repopulated
+ *
+ * @param {string} deviceToken - Raw X-Kiosk-Token value
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} { device_id, venue_code, business_code } or null
+ */
+async function verifyDeviceToken(deviceToken, ip) {
+  if (!deviceToken) return null;
+
+  const tokenHash = token.hashToken(deviceToken);
+  const cacheKey = `kiosk:device:${tokenHash}`;
+  const cached = cache.get(cacheKey);
+  if (cached !== null) return cached || null;
+
+  const [rows] = await db.execute(`
+    SELECT d.id AS device_id, d.venue_code, d.business_code
+    FROM kiosk_devices d
+    JOIN venues v ON d.venue_code = v.venue_code
+    WHERE d.token_hash = ? AND d.revoked_at IS NULL AND v.status = 'active'
+    LIMIT 1
+  `, [tokenHash]);
+
+  const device = rows.length > 0 ? rows[0] : false;
+  cache.set(cacheKey, device, DEVICE_CACHE_TTL);
+
+  if (device) {
+    await db.execute(
+      'UPDATE kiosk_devices SET last_seen_at = NOW(), last_seen_ip = ? WHERE id = ?',
+      [ip || null, device.device_id]
+    );
+  }
+
+  return device || null;
+}
+
+/**
+ * List devices registered to a venue (active first, most recently seen first)
+ * @param {string} venueCode - Venue code
+ * @returns {Promise<Object[]>}
+ */
+async function listDevices(venueCode) {
+  const [rows] = await db.execute(`
+    SELECT d.id AS device_id, d.device_name, d.registered_ip, d.last_seen_at, d.last_seen_ip,
+           d.revoked_at, d.created_at, u.email AS revoked_by_email
+    FROM kiosk_devices d
+    LEFT JOIN users u ON d.revoked_by = u.id
+    WHERE d.venue_code = ?
+    ORDER BY d.revoked_at IS NULL DESC, d.last_seen_at DESC
+  `, [venueCode]);
+
+  return rows;
+}
+
+/**
+ * Revoke a device so its token stops working immediately
+ *
+ * @param {string} deviceId - kiosk_devices.id
+ * @param {string} venueCode - Venue the device must belong to
+ * @param {number|null} revokedBy - users.id, or null when the kiosk logs itself out
+ * @returns {Promise<boolean>} True if an active device was revoked
+ */
+async function revokeDevice(deviceId, venueCode, revokedBy = null) {
+  const [rows] = await db.execute(
+    'SELECT token_hash FROM kiosk_devices WHERE id = ? AND venue_code = ? AND revoked_at IS NULL',
+    [deviceId, venueCode]
+  );
+
+  if (rows.length === 0) return false;
+
+  await db.execute(
+    'UPDATE kiosk_devices SET revoked_at = NOW(), revoked_by = ? WHERE id = ?',
+    [revokedBy, deviceId]
+  );
+  cache.del(`kiosk:device:${rows[0].token_hash}`);
+  return true;
+}
+
+/**
+ * Issue a staff token after a successful PIN validation
+ *
+ * @param {Object} device - req.kioskDevice
+ * @param {string} staffCode - Staff member who entered their PIN
+ * @returns {string} Signed token
+ */
+function issueStaffToken(device, staffCode) {
+  return token.sign({
+    typ: 'kiosk_staff',
+    staff_code: staffCode,
+    venue_code: device.venue_code,
+    device_id: device.device_id
+  }, STAFF_TOKEN_TTL);
+}
+
+/**
+ * Verify a staff token against the requesting device
+ *
+ * @param {string} staffToken - Raw X-Kiosk-Staff-Token value
+ * @param {Object} device - req.kioskDevice
+ * @returns {Object} { staff_code, venue_code }
+ * @throws {TokenError} When missing, invalid, expired or issued to another device
+ */
+function verifyStaffToken(staffToken, device) {
+  const claims = token.verify(staffToken);
+
+  if (claims.typ !== 'kiosk_staff' || claims.device_id !== device.device_id || claims.venue_code !== device.venue_code) {
+    throw new token.TokenError('Staff token was not issued to this kiosk');
+  }
+
+  return { staff_code: claims.staff_code, venue_code: claims.venue_code };
+}
+
+module.exports = {
+  STAFF_TOKEN_TTL,
+  registerDevice,
+  verifyDeviceToken,
+  listDevices,
+  revokeDevice,
+  issueStaffToken,
+  verifyStaffToken
+};
@@ -0,0 +1,167 @@
+/**
+ * Kiosk PIN Utility
+ * Generates, hashes and verifies 6-digit kiosk PINs
+ *
+ * PINs are stored as PBKDF2-SHA256 hashes with a random per-user salt
+ * (users.kiosk_pin_hash / users.kiosk_pin_salt). The hash never leaves the
+ * server: a 6-digit PIN is brute-forced offline in minutes from a hash and salt.
+ *
+ * Legacy rows still holding a plain text users.kiosk_pin are accepted by
+ * verifyPin() and reported with needsRehash so the caller can upgrade them.
+ *
+ * Events a kiosk queues while offline are signed with a sync key derived from
+ * the PIN (users.kiosk_sync_key, schema/28_kiosk_sync_key.sql). The kiosk gets
+ * the salt, and a short pinCheck() of the key so validatePinOffline() can catch
+ * typos, but nothing a PIN guess can be fully checked against. Guesses have to
+ * go through /sync or validate-pin, which share one lockout per staff member.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// Must match what the kiosk passes to crypto.subtle.deriveBits (sent with each staff record)
+const PIN_HASH_ALGORITHM = 'PBKDF2-SHA256';
+const PIN_HASH_ITERATIONS = 100000;
+const PIN_HASH_BYTES = 32;
+
+/**
+ * Generate a random 6-digit kiosk PIN
+ * @returns {string} PIN between 100000 and 999999
+ */
+function generatePin() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+// Prefix of the PBKDF2 salt for sync keys, so they differ from the PIN hash
+const SYNC_KEY_SALT_PREFIX = 'sync:';
+
+/**
+ * Hash a PIN with a salt (a new random salt is generated if none is given)
+ * @param {string} pin - 6-digit PIN
+ * @param {string} [salt] - Hex salt
+ * @returns {Promise<Object>} { hash, salt, syncKey } all hex encoded
+ */
+async function hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+  const derived = await pbkdf2(String(pin), salt, PIN_HASH_ITERATIONS, PIN_HASH_BYTES, 'sha256');
+  return { hash: derived.toString('hex'), salt, syncKey: await deriveSyncKey(pin, salt) };
+}
+
+/**
+ * Derive the key a kiosk signs queued events with
+ * Mirrors deriveSyncKey() in frontend/js/kiosk/index.js
+ *
+ * The key is only as strong as the 6-digit PIN it comes from: anyone holding the
+ * salt and something to test guesses against offline (a PIN hash, or a signed
+ * event) can find the PIN in minutes and sign events as that staff member.
+ *
+ * @param {string} pin - 6-digit PIN
+ * @param {string} salt - The user's kiosk_pin_salt
+ * @returns {Promise<string>} Hex key
+ */
+async function deriveSyncKey(pin, salt) {
+  const derived = await pbkdf2(String(pin), SYNC_KEY_SALT_PREFIX + salt, PIN_HASH_ITERATIONS, PIN_HASH_BYTES, 'sha256');
+  return derived.toString('hex');
+}
+
+// Hex characters of the offline PIN check: 1 in 256 wrong PINs pass it
+const PIN_CHECK_LENGTH = 2;
+
+/**
+ * Short check value the kiosk tests an offline PIN entry against
+ * Mirrors pinCheckMatches() in frontend/js/kiosk/index.js. Too short to pin down
+ * a PIN: about 3,500 PINs match any check, and each must then be tried online.
+ *
+ * @param {string|null} syncKey - users.kiosk_sync_key
+ * @returns {string|null} Hex check, or null without a sync key
+ */
+function pinCheck(syncKey) {
+  if (!syncKey) return null;
+
+  return crypto.createHmac('sha256', Buffer.from(syncKey, 'hex'))
+    .update('pin-check')
+    .digest('hex')
+    .slice(0, PIN_CHECK_LENGTH);
+}
+
+/**
+ * The signed text of a queued kiosk event
+ * Mirrors eventSignaturePayload() in frontend/js/kiosk/breaks.js
+ *
+ * @param {Object} event - { offline_id, type, timestamp, data: { staff_code, shift_id, venue_code, break_type } }
+ * @returns {string}
+ */
+function eventSignaturePayload(event) {
+  const data = event.data || {};
+  return [
+    event.offline_id,
+    event.type,
+    event.timestamp,
+    data.staff_code,
+    data.shift_id,
+    data.venue_code,
+    data.break_type
+  ].map(value => (value === undefined || value === null ? '' : String(value))).join('\n');
+}
+
+/**
+ * Check a queued event's signature against the staff member's sync key
+ *
+ * @param {Object} event - Queued event with data.signature (hex HMAC-SHA256)
+ * @param {string|null} syncKey - users.kiosk_sync_key of the event's staff member
+ * @returns {boolean}
+ */
+function verifyEventSignature(event, syncKey) {
+  const signature = event.data && event.data.signature;
+  if (!syncKey || typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', Buffer.from(syncKey, 'hex'))
+    .update(eventSignaturePayload(event))
+    .digest();
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+/**
+ * Verify a PIN against a users row
+ *
+ * @param {string} pin - PIN entered on the kiosk
+ * @param {Object} user - Row with kiosk_pin_hash, kiosk_pin_salt and legacy kiosk_pin
+ * @returns {Promise<Object>} { valid, needsRehash }
+ */
+async function verifyPin(pin, user) {
+  if (!pin || !user) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (user.kiosk_pin_hash && user.kiosk_pin_salt) {
+    const { hash } = await hashPin(pin, user.kiosk_pin_salt);
+    const valid = crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.kiosk_pin_hash, 'hex'));
+    return { valid, needsRehash: false };
+  }
+
+  if (!user.kiosk_pin) {
+    return { valid: false, needsRehash: false };
+  }
+
+  // Legacy plain text PIN - constant-time compare, then flag for upgrade
+  const a = crypto.createHash('sha256').update(String(pin)).digest();
+  const b = crypto.createHash('sha256').update(String(user.kiosk_pin)).digest();
+  const valid = crypto.timingSafeEqual(a, b);
+
+  return { valid, needsRehash: valid };
+}
+
+module.exports = {
+  PIN_HASH_ALGORITHM,
+  PIN_HASH_ITERATIONS,
+  generatePin,
+  hashPin,
+  deriveSyncKey,
+  pinCheck,
+  verifyPin,
+  eventSignaturePayload,
+  verifyEventSignature
+};
@@ -0,0 +1,393 @@
+/**
+ * Login Throttle
+ * Failed-attempt counters with progressive lockout for /api/login,
+ * /api/kiosk/login and /api/kiosk/validate-pin
+ *
+ * Every attempt is checked against two counters: the account being guessed
+ * (email, venue login or staff PIN) and the source (client IP, or kiosk
+ * venue + IP for PINs). Hitting the limit on either locks that key for
+ * BASE_LOCKOUT_MS, doubling with each repeat lockout up to MAX_LOCKOUT_MS.
+ *
+ * An attempt is counted as a failure by reserve(), before the slow password
+ * or PIN verification, so parallel requests cannot all slip past the limit.
+ * A successful attempt then clears the account counter and gives back its
+ * source reservation; source failures only decay, so one valid login cannot
+ * reset a spraying client.
+ *
+ * Records live in a pluggable store. The default MemoryStore is per process;
+ * call setStore() with anything implementing the same async get/set/delete/
+ * values/update interface (e.g. Redis) for multi-instance deployments.
+ * update() must apply its change atomically, or parallel attempts can be lost.
+ *
+ * Every failure is written to auth_failure_log (schema/12_auth_failure_log.sql).
+ *
+ * @example
+ * const throttle = require('./utils/loginThrottle');
+ *
+ * const keys = throttle.buildKeys('login', req, email);
+ * const lock = await throttle.reserve(keys);
+ * if (lock) return throttle.rejectLocked(res, lock);
+ *
+ * // on failure / success
+ * await throttle.recordFailure(keys, { reason: 'INVALID_CREDENTIALS' });
+ * await throttle.recordSuccess(keys);
+ */
+
+const db = require('../config/db');
+
+// Failures are forgotten after this long without a new failure
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;        // 15 minutes
+// Repeat-lockout escalation is forgotten after this long without a failure
+const LOCKOUT_DECAY_MS = 24 * 60 * 60 * 1000;    // 24 hours
+const BASE_LOCKOUT_MS = 60 * 1000;               // 1 minute
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;           // 1 hour
+
+// Failed attempts allowed per key before a lockout, by attempt type
+const POLICIES = {
+  login:       { account: 5, source: 20 },
+  kiosk_login: { account: 5, source: 20 },
+  pin:         { account: 5, source: 15 }
+};
+
+/**
+ * Default single-process store
+ * Interface (all async): get(key), set(key, record), delete(key), values(),
+ * update(key, fn) - replace the record with fn(current record or null), atomically
+ *                  (a null result removes it)
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (record && Date.now() > record.expiresAt) {
+      this.records.delete(key);
+      return null;
+    }
+    return record || null;
+  }
+
+  async set(key, record) {
+    this.records.set(key, record);
+    this.prune();
+  }
+
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  async update(key, fn) {
+    // No await between read and write, so concurrent updates cannot interleave
+    const current = this.records.get(key);
+    const record = fn(current && Date.now() <= current.expiresAt ? current : null);
+    if (record) {
+      this.records.set(key, record);
+    } else {
+      this.records.delete(key);
+    }
+    return record;
+  }
+
+  async values() {
+    this.prune();
+    return Array.from(this.records.values());
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, record] of this.records.entries()) {
+      if (now > record.expiresAt) this.records.delete(key);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+/**
+ * Replace the backing store
+ * @param {Object} customStore - Object implementing async get/set/delete/values
+ */
+function setStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Client IP for a request
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function getClientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Build the account and source keys for an attempt
+ *
+ * @param {string} type - 'login' | 'kiosk_login' | 'pin'
+ * @param {Object} req - Express request
+ * @param {string} identifier - Email, venue login email or staff_code
+ * @param {Object} [meta] - { venue_code } for PIN attempts (identifies the kiosk)
+ * @returns {Object} { type, ip, account: {key, identifier}, source: {key, identifier} }
+ */
+function buildKeys(type, req, identifier, meta = {}) {
+  const ip = getClientIp(req);
+  const accountId = String(identifier || '').trim().toLowerCase();
+  const sourceId = type === 'pin' ? `${meta.venue_code || 'unknown'}@${ip}` : ip;
+
+  return {
+    type,
+    ip,
+    userAgent: (req.headers['user-agent'] || '').slice(0, 255) || null,
+    account: { key: `${type}:account:${accountId}`, identifier: accountId },
+    source: { key: `${type}:${type === 'pin' ? 'kiosk' : 'ip'}:${sourceId}`, identifier: sourceId }
+  };
+}
+
+/**
+ * Check whether an attempt is currently locked out
+ * @param {Object} keys - From buildKeys()
+ * @returns {Promise<Object|null>} Locked record ({ key, lockedUntil, ... }) or null
+ */
+async function check(keys) {
+  const now = Date.now();
+
+  for (const { key } of [keys.account, keys.source]) {
+    const record = await store.get(key);
+    if (record && record.lockedUntil && record.lockedUntil > now) {
+      return record;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check for a lockout and, when there is none, count the attempt as a failure
+ * Call before verifying credentials; recordSuccess() gives the attempt back.
+ *
+ * @param {Object} keys - From buildKeys()
+ * @returns {Promise<Object|null>} Locked record if the attempt must be rejected
+ */
+async function reserve(keys) {
+  const account = await bumpCounter(keys.type, 'account', keys.account);
+  if (account.rejected) return account.record;
+
+  const source = await bumpCounter(keys.type, 'source', keys.source);
+  if (source.rejected) {
+    // A rejected attempt is not counted against the account
+    await releaseCounter(keys.account.key);
+    return source.record;
+  }
+
+  return null;
+}
+
+/**
+ * Count one failure on a single counter, unless the key is already locked
+ * The lock check and the increment happen in one atomic store update.
+ *
+ * @returns {Promise<Object>} { record, rejected } - rejected when the key was locked
+ */
+async function bumpCounter(type, kind, { key, identifier }) {
+  const limit = POLICIES[type][kind];
+  let rejected = false;
+
+  const record = await store.update(key, existing => {
+    const now = Date.now();
+    const record = existing || {
+      key,
+      type,
+      kind,
+      identifier,
+      failures: 0,
+      lockouts: 0,
+      lockedUntil: null
+    };
+
+    if (record.lockedUntil && record.lockedUntil > now) {
+      rejected = true;
+      return record;
+    }
+
+    // Stale failures (outside the window) no longer count toward the limit
+    if (record.lastFailureAt && now - record.lastFailureAt > FAILURE_WINDOW_MS) {
+      record.failures = 0;
+    }
+
+    record.failures++;
+    record.lastFailureAt = now;
+
+    if (record.failures >= limit) {
+      record.lockouts++;
+      const duration = Math.min(BASE_LOCKOUT_MS * 2 ** (record.lockouts - 1), MAX_LOCKOUT_MS);
+      record.lockedUntil = now + duration;
+      record.failures = 0;
+      console.warn(`[THROTTLE] 🔒 Locked ${key} for ${Math.round(duration / 1000)}s (lockout #${record.lockouts})`);
+    }
+
+    record.expiresAt = Math.max(record.lockedUntil || 0, now + LOCKOUT_DECAY_MS);
+    return record;
+  });
+
+  return { record, rejected };
+}
+
+/**
+ * Give back one failure counted by reserve()
+ */
+async function releaseCounter(key) {
+  await store.update(key, record => {
+    if (record && record.failures > 0) record.failures--;
+    return record;
+  });
+}
+
+/**
+ * Attach business/venue/staff details to a counter (shown in listLockouts)
+ */
+async function annotateCounter(key, meta) {
+  const record = await store.get(key);
+  if (!record) return null;
+
+  record.business_code = meta.business_code || record.business_code || null;
+  record.venue_code = meta.venue_code || record.venue_code || null;
+  record.staff_code = meta.staff_code || record.staff_code || null;
+  await store.set(key, record);
+  return record;
+}
+
+/**
+ * Record a failed attempt and write an audit row
+ * The attempt was already counted by reserve(); this keeps it counted.
+ *
+ * @param {Object} keys - From buildKeys()
+ * @param {Object} meta - { reason, business_code, venue_code, staff_code }
+ * @returns {Promise<Object|null>} Locked record if this attempt's key is now locked out
+ */
+async function recordFailure(keys, meta = {}) {
+  const account = await annotateCounter(keys.account.key, meta);
+  const source = await annotateCounter(keys.source.key, {
+    business_code: meta.business_code,
+    venue_code: meta.venue_code
+  });
+
+  await logFailure(keys, meta);
+
+  const now = Date.now();
+  return [account, source].find(r => r && r.lockedUntil && r.lockedUntil > now) || null;
+}
+
+/**
+ * Clear the account counter after a successful attempt and give back the
+ * failure reserve() counted against the source
+ * @param {Object} keys - From buildKeys()
+ */
+async function recordSuccess(keys) {
+  await store.delete(keys.account.key);
+  await releaseCounter(keys.source.key);
+}
+
+/**
+ * Write a failed attempt to auth_failure_log
+ * Never throws - a logging failure must not change the auth response
+ *
+ * @param {Object} keys - From buildKeys()
+ * @param {Object} meta - { reason, business_code, venue_code, staff_code }
+ */
+async function logFailure(keys, meta = {}) {
+  try {
+    await db.execute(`
+      INSERT INTO auth_failure_log
+        (attempt_type, identifier, reason, ip_address, user_agent, business_code, venue_code, staff_code)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      keys.type,
+      keys.account.identifier.slice(0, 150),
+      meta.reason || 'INVALID_CREDENTIALS',
+      keys.ip,
+      keys.userAgent,
+      meta.business_code || null,
+      meta.venue_code || null,
+      meta.staff_code || null
+    ]);
+  } catch (err) {
+    console.error('[THROTTLE] ⚠️  Failed to write auth failure log:', err.message);
+  }
+}
+
+/**
+ * Send the standard 429 response for a locked-out attempt
+ * @param {Object} res - Express response
+ * @param {Object} record - Locked record from check() or recordFailure()
+ */
+function rejectLocked(res, record) {
+  const retryAfter = Math.max(1, Math.ceil((record.lockedUntil - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    code: 'LOCKED_OUT',
+    retry_after: retryAfter
+  });
+}
+
+/**
+ * List keys that are currently locked out
+ * @returns {Promise<Object[]>} Locked records, soonest expiry first
+ */
+async function listLockouts() {
+  const now = Date.now();
+  const records = await store.values();
+
+  return records
+    .filter(r => r.lockedUntil && r.lockedUntil > now)
+    .sort((a, b) => a.lockedUntil - b.lockedUntil)
+    .map(r => ({
+      key: r.key,
+      type: r.type,
+      kind: r.kind,
+      identifier: r.identifier,
+      business_code: r.business_code,
+      venue_code: r.venue_code,
+      staff_code: r.staff_code,
+      lockouts: r.lockouts,
+      locked_until: new Date(r.lockedUntil).toISOString(),
+      last_failure_at: new Date(r.lastFailureAt).toISOString()
+    }));
+}
+
+/**
+ * Get a single record by key (used to scope unlocks)
+ * @param {string} key - Lockout key
+ * @returns {Promise<Object|null>}
+ */
+function getRecord(key) {
+  return store.get(key);
+}
+
+/**
+ * Remove a lockout and its counters
+ * @param {string} key - Lockout key from listLockouts()
+ * @returns {Promise<boolean>} True if a record was removed
+ */
+function unlock(key) {
+  return store.delete(key);
+}
+
+module.exports = {
+  MemoryStore,
+  POLICIES,
+  setStore,
+  buildKeys,
+  check,
+  reserve,
+  recordFailure,
+  recordSuccess,
+  logFailure,
+  rejectLocked,
+  listLockouts,
+  getRecord,
+  unlock
+};
@@ -0,0 +1,37 @@
+/**
+ * Notifications Utility
+ * Messages for a venue's managers (see schema/26_auto_close_policy.sql)
+ *
+ * A notification belongs to a venue; its managers and supervisors, and the
+ * business's system admins, see it in the admin panel until one of them
+ * dismisses it (GET /api/system-admin/notifications).
+ */
+
+const db = require('../config/db');
+
+/**
+ * Notify a venue's managers
+ *
+ * @param {Object} conn - Connection or pool (default: pool)
+ * @param {Object} notification
+ * @param {string} notification.businessCode - venues.business_code
+ * @param {string} notification.venueCode - venues.venue_code
+ * @param {string} notification.kind - AUTO_CLOSE
+ * @param {string} notification.title - One-line summary
+ * @param {Array<string>} notification.lines - Details, one per line
+ * @param {Array<number>} [notification.shiftIds] - Shifts the notification is about
+ * @returns {Promise<number>} - notifications.id
+ */
+async function notifyManagers(conn = db, { businessCode, venueCode, kind, title, lines, shiftIds = [] }) {
+  const [result] = await conn.execute(`
+    INSERT INTO notifications (business_code, venue_code, kind, title, message, shift_ids)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [businessCode, venueCode, kind, title.slice(0, 255), lines.join('\n'), JSON.stringify(shiftIds)]);
+
+  console.log(`[NOTIFY] 📣 ${venueCode}: ${title}`);
+  return result.insertId;
+}
+
+module.exports = {
+  notifyManagers
+};
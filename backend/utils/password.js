@@ -0,0 +1,62 @@
+/**
+ * Password Utility
+ * bcrypt hashing and verification for user passwords
+ *
+ * Legacy rows stored before hashing was introduced hold the plain text
+ * password in users.password_hash. verifyPassword() still accepts those and
+ * reports needsRehash so the caller can upgrade the row on successful login.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = 10;
+
+/**
+ * Check whether a stored value is a bcrypt hash ($2a$, $2b$ or $2y$)
+ * @param {string} value - Stored password_hash value
+ * @returns {boolean}
+ */
+function isBcryptHash(value) {
+  return typeof value === 'string' && /^\$2[aby]\$\d{2}\$.{53}$/.test(value);
+}
+
+/**
+ * Hash a plain text password
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+function hashPassword(password) {
+  return bcrypt.hash(String(password), BCRYPT_ROUNDS);
+}
+
+/**
+ * Verify a password against a stored value
+ *
+ * @param {string} password - Plain text password supplied by the user
+ * @param {string} stored - users.password_hash (bcrypt hash or legacy plain text)
+ * @returns {Promise<Object>} { valid, needsRehash }
+ */
+async function verifyPassword(password, stored) {
+  if (!password || !stored) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isBcryptHash(stored)) {
+    return { valid: await bcrypt.compare(String(password), stored), needsRehash: false };
+  }
+
+  // Legacy plain text row - constant-time compare, then flag for upgrade
+  const a = crypto.createHash('sha256').update(String(password)).digest();
+  const b = crypto.createHash('sha256').update(String(stored)).digest();
+  const valid = crypto.timingSafeEqual(a, b);
+
+  return { valid, needsRehash: valid };
+}
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  isBcryptHash,
+  hashPassword,
+  verifyPassword
+};
@@ -2,55 +2,201 @@
  * Pay Calculator Utility
  *
  * Determines payday_type and calculates applicable pay rate based on:
- * - Day of week (Weekday, Saturday, Sunday)
- * - Public holidays
+ * - Day of week (Weekday, Saturday, Sunday) in the venue's timezone
+ * - Public holidays of the venue's state
  * - Staff pay rates
+ * - Daily and weekly overtime (see schema/18_overtime.sql)
+ * - Shifts split at midnight in the venue timezone (see schema/19_shift_pay_segments.sql)
+ * - Penalty rate rules: loadings, allowances, minimum engagement (see schema/20_pay_rules.sql)
  */
 
 const db = require('../config/db');
 const { HolidayCalculator } = require('../public-holidays-config');
+const { getRatesForDate, findShiftsInPeriod } = require('./payRates');
+const { DEFAULT_TIMEZONE, localDateString, dayOfWeek, localTimeToInstant, startOfLocalDay, addDays } = require('./venueTime');
+
+// Used when a venue has no overtime_tiers: first 2 overtime hours at 1.5x, then 2x
+const DEFAULT_OVERTIME_TIERS = [
+  { after_hours: 0, multiplier: 1.5 },
+  { after_hours: 2, multiplier: 2 }
+];
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const PAYDAY_TYPES = ['WEEKDAY', 'SATURDAY', 'SUNDAY', 'PUBLIC_HOLIDAY'];
+const PAY_RULE_KINDS = ['loading', 'allowance', 'minimum_engagement'];
+const EMPLOYMENT_TYPES = ['full_time', 'part_time', 'casual', 'contract'];
+
+// Columns written whenever a shift is priced, in the order of payColumnValues()
+const PAY_COLUMNS = [
+  'hours_worked', 'ordinary_hours', 'overtime_hours', 'payday_type', 'applied_rate', 'total_pay',
+  'overtime_pay', 'overtime_breakdown', 'pay_segments', 'penalty_pay', 'penalty_breakdown', 'pay_status'
+];
+
+/**
+ * Load the venue fields pay classification depends on
+ * Unknown venues get the default timezone and state.
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {string} venueCode - Venue code
+ * @returns {Promise<Object>} - { found, business_code, state, timezone }
+ */
+async function getVenueCalendar(conn, venueCode) {
+  const [venues] = venueCode
+    ? await conn.execute(
+      'SELECT business_code, state, timezone FROM venues WHERE venue_code = ? LIMIT 1',
+      [venueCode]
+    )
+    : [[]];
+
+  const venue = venues[0] || {};
+  return {
+    found: venues.length > 0,
+    business_code: venue.business_code || null,
+    state: venue.state || 'TAS',
+    timezone: venue.timezone || DEFAULT_TIMEZONE
+  };
+}
 
 /**
- * Determine the payday_type for a given date and venue
+ * Determine the payday_type for a moment at a venue
+ * The calendar day is the one in the venue's timezone and public holidays are
+ * those of the venue's state, so the server's own timezone never matters.
  *
- * @param {Date} date - The date to check
- * @param {string} businessCode - Business code (used to get venue state)
+ * @param {Date} date - The moment to classify (usually clock-in)
+ * @param {string} venueCode - Venue the shift is at
+ * @param {Object} conn - Connection or pool (default: pool)
  * @returns {Promise<string>} - One of: 'WEEKDAY', 'SATURDAY', 'SUNDAY', 'PUBLIC_HOLIDAY'
  */
-async function determinePaydayType(date, businessCode) {
+async function determinePaydayType(date, venueCode, conn = db) {
+  let venue = { state: 'TAS', timezone: DEFAULT_TIMEZONE };
   try {
-    // Get the venue's state from the database
-    const [venues] = await db.query(
-      `SELECT v.state
-       FROM venues v
-       WHERE v.business_code = ?
-       LIMIT 1`,
-      [businessCode]
-    );
-
-    // Use state from venue, or fallback to default
-    const state = (venues.length > 0 && venues[0].state) || 'TAS';
-
-    // Check if it's a public holiday using the HolidayCalculator
-    if (HolidayCalculator.isPublicHoliday(date, state)) {
-      return 'PUBLIC_HOLIDAY';
-    }
+    venue = await getVenueCalendar(conn, venueCode);
+  } catch (err) {
+    // Fall back to the default state and timezone if the venue lookup fails
+    console.error('Error determining payday type:', err.message);
+  }
+
+  return paydayTypeForLocalDate(localDateString(date, venue.timezone), venue.state);
+}
+
+/**
+ * Split a shift's hours into ordinary and overtime
+ * Daily overtime is taken first; the remaining ordinary hours then count
+ * towards the weekly limit.
+ *
+ * @param {Object} params
+ * @param {number} params.hoursWorked - Hours in this shift (after breaks)
+ * @param {number|null} params.dailyLimit - Ordinary hours per day (null = no daily overtime)
+ * @param {number|null} params.weeklyLimit - Ordinary hours per week (null = no weekly overtime)
+ * @param {number} params.priorDayHours - Hours already worked earlier the same day
+ * @param {number} params.priorWeekOrdinaryHours - Ordinary hours already worked earlier the same week
+ * @returns {Object} - { ordinaryHours, overtimeHours }
+ */
+function splitOvertime({ hoursWorked, dailyLimit = null, weeklyLimit = null, priorDayHours = 0, priorWeekOrdinaryHours = 0 }) {
+  const hours = Math.max(0, Number(hoursWorked || 0));
 
-    // Check day of week (0 = Sunday, 6 = Saturday)
-    const day = date.getDay();
+  let dailyOvertime = 0;
+  if (dailyLimit !== null && dailyLimit !== undefined && Number(dailyLimit) > 0) {
+    dailyOvertime = Math.min(hours, Math.max(0, Number(priorDayHours) + hours - Number(dailyLimit)));
+  }
 
-    if (day === 0) return 'SUNDAY';
-    if (day === 6) return 'SATURDAY';
+  const ordinary = hours - dailyOvertime;
 
-    return 'WEEKDAY';
-  } catch (err) {
-    console.error('Error determining payday type:', err.message);
-    // Fallback to day-based calculation if holiday lookup fails
-    const day = date.getDay();
-    if (day === 0) return 'SUNDAY';
-    if (day === 6) return 'SATURDAY';
-    return 'WEEKDAY';
+  let weeklyOvertime = 0;
+  if (weeklyLimit !== null && weeklyLimit !== undefined && Number(weeklyLimit) > 0) {
+    weeklyOvertime = Math.min(ordinary, Math.max(0, Number(priorWeekOrdinaryHours) + ordinary - Number(weeklyLimit)));
   }
+
+  return {
+    ordinaryHours: Number((ordinary - weeklyOvertime).toFixed(2)),
+    overtimeHours: Number((dailyOvertime + weeklyOvertime).toFixed(2))
+  };
+}
+
+/**
+ * Price overtime hours across tiers
+ * Tiers are positioned by overtime already worked that day, so the third
+ * overtime hour of a day lands in the same tier whichever shift it falls in.
+ *
+ * @param {Object} params
+ * @param {number} params.overtimeHours - Overtime hours in this shift
+ * @param {number} params.ordinaryRate - Day rate the multipliers apply to
+ * @param {number} params.overtimeRate - pay_rates.overtime_rate (replaces the first tier when > 0)
+ * @param {Array} params.tiers - [{ after_hours, multiplier }]
+ * @param {number} params.priorOvertimeHours - Overtime already worked earlier the same day
+ * @returns {Object} - { overtimePay, breakdown: [{ hours, multiplier, rate, pay }] }
+ */
+function priceOvertime({ overtimeHours, ordinaryRate, overtimeRate = 0, tiers = DEFAULT_OVERTIME_TIERS, priorOvertimeHours = 0 }) {
+  const sorted = [...(tiers && tiers.length ? tiers : DEFAULT_OVERTIME_TIERS)]
+    .sort((a, b) => Number(a.after_hours) - Number(b.after_hours));
+
+  const start = Number(priorOvertimeHours || 0);
+  const end = start + Number(overtimeHours || 0);
+  const breakdown = [];
+  let overtimePay = 0;
+
+  sorted.forEach((tier, i) => {
+    const tierStart = Number(tier.after_hours);
+    const tierEnd = i + 1 < sorted.length ? Number(sorted[i + 1].after_hours) : Infinity;
+    const hours = Math.min(end, tierEnd) - Math.max(start, tierStart);
+    if (hours <= 0) return;
+
+    const rate = i === 0 && Number(overtimeRate) > 0
+      ? Number(overtimeRate)
+      : Number(ordinaryRate) * Number(tier.multiplier);
+    const pay = Number((hours * rate).toFixed(2));
+
+    breakdown.push({
+      hours: Number(hours.toFixed(2)),
+      multiplier: Number(tier.multiplier),
+      rate: Number(rate.toFixed(2)),
+      pay
+    });
+    overtimePay += pay;
+  });
+
+  return { overtimePay: Number(overtimePay.toFixed(2)), breakdown };
+}
+
+/**
+ * Pick the hourly rate for a payday type
+ * A missing Saturday, Sunday or public holiday rate falls back to the weekday
+ * rate. There is no default rate: without a weekday rate the result is null
+ * and the shift is flagged RATE_MISSING.
+ *
+ * @param {string} paydayType - One of: 'WEEKDAY', 'SATURDAY', 'SUNDAY', 'PUBLIC_HOLIDAY'
+ * @param {Object} rates - Staff pay rates object with rate fields (can be null/undefined)
+ * @returns {number|null}
+ */
+function getDayRate(paydayType, rates) {
+  if (!rates) {
+    return null;
+  }
+
+  // Convert all rates to numbers (MySQL returns DECIMAL as strings)
+  const weekdayRate = Number(rates.weekday_rate || 0);
+  const saturdayRate = Number(rates.saturday_rate || 0);
+  const sundayRate = Number(rates.sunday_rate || 0);
+  const publicHolidayRate = Number(rates.public_holiday_rate || 0);
+
+  let rate;
+  switch (paydayType) {
+    case 'SATURDAY':
+      rate = saturdayRate || weekdayRate;
+      break;
+    case 'SUNDAY':
+      rate = sundayRate || weekdayRate;
+      break;
+    case 'PUBLIC_HOLIDAY':
+      rate = publicHolidayRate || weekdayRate;
+      break;
+    case 'WEEKDAY':
+    default:
+      rate = weekdayRate;
+  }
+
+  return rate > 0 ? rate : null;
 }
 
 /**
@@ -60,109 +206,582 @@ async function determinePaydayType(date, businessCode) {
  * @param {number} params.hoursWorked - Total hours worked in the shift
  * @param {string} params.paydayType - One of: 'WEEKDAY', 'SATURDAY', 'SUNDAY', 'PUBLIC_HOLIDAY'
  * @param {Object} params.rates - Staff pay rates object with rate fields (can be null/undefined)
- * @returns {Object} - { appliedRate, totalPay }
+ * @param {Object} [params.overtime] - From getOvertimeContext(); omit to pay every hour at the day rate
+ * @returns {Object} - { appliedRate, totalPay, payStatus, ordinaryHours, overtimeHours, overtimePay, overtimeBreakdown }
+ *                     payStatus is 'RATE_MISSING' (and pay 0) when no rate applies
  */
-function calculateShiftPay({ hoursWorked, paydayType, rates }) {
-  // Base fallback rate when no pay rates are configured
-  const BASE_RATE = 25.00;
-
+function calculateShiftPay({ hoursWorked, paydayType, rates, overtime = null }) {
   // Convert hours to number to handle string inputs from database
   const hours = Number(hoursWorked || 0);
 
-  let appliedRate = 0;
+  const dayRate = getDayRate(paydayType, rates);
+  const payStatus = dayRate === null ? 'RATE_MISSING' : 'OK';
+  const appliedRate = dayRate || 0;
 
-  // If no rates object, use base rate
-  if (!rates) {
-    appliedRate = BASE_RATE;
+  // Without overtime context every hour is ordinary time
+  let ordinaryHours = hours;
+  let overtimeHours = 0;
+  let overtimePay = 0;
+  let overtimeBreakdown = [];
+
+  if (overtime) {
+    ({ ordinaryHours, overtimeHours } = splitOvertime({
+      hoursWorked: hours,
+      dailyLimit: overtime.dailyLimit,
+      weeklyLimit: rates && rates.default_hours !== undefined ? Number(rates.default_hours) : null,
+      priorDayHours: overtime.priorDayHours,
+      priorWeekOrdinaryHours: overtime.priorWeekOrdinaryHours
+    }));
+
+    if (overtimeHours > 0 && payStatus === 'OK') {
+      ({ overtimePay, breakdown: overtimeBreakdown } = priceOvertime({
+        overtimeHours,
+        ordinaryRate: appliedRate,
+        overtimeRate: rates ? rates.overtime_rate : 0,
+        tiers: overtime.tiers,
+        priorOvertimeHours: overtime.priorDayOvertimeHours
+      }));
+    }
+  }
+
+  const totalPay = Number((ordinaryHours * appliedRate + overtimePay).toFixed(2));
+
+  return {
+    appliedRate: Number(appliedRate.toFixed(2)),
+    totalPay,
+    payStatus,
+    ordinaryHours,
+    overtimeHours,
+    overtimePay,
+    overtimeBreakdown
+  };
+}
+
+/**
+ * Payday type of a calendar date in a state
+ *
+ * @param {string} dateStr - YYYY-MM-DD in the venue's timezone
+ * @param {string} state - Venue state for the public holiday lookup
+ * @returns {string} - One of: 'WEEKDAY', 'SATURDAY', 'SUNDAY', 'PUBLIC_HOLIDAY'
+ */
+function paydayTypeForLocalDate(dateStr, state) {
+  // HolidayCalculator compares server-local calendar dates
+  const [year, month, day] = dateStr.split('-').map(Number);
+  if (HolidayCalculator.isPublicHoliday(new Date(year, month - 1, day), state || 'TAS')) {
+    return 'PUBLIC_HOLIDAY';
+  }
+
+  const weekday = dayOfWeek(dateStr);
+  if (weekday === 0) return 'SUNDAY';
+  if (weekday === 6) return 'SATURDAY';
+  return 'WEEKDAY';
+}
+
+/**
+ * Split a shift at each midnight in the venue's timezone
+ * Public holidays are whole calendar days, so these are also the holiday boundaries.
+ *
+ * @param {Object} params
+ * @param {Date} params.clockIn - Clock in timestamp
+ * @param {Date} params.clockOut - Clock out timestamp
+ * @param {string} params.timeZone - venues.timezone
+ * @param {string} params.state - venues.state
+ * @returns {Array} - [{ start, end, localDate, paydayType, elapsedHours }]
+ */
+function segmentShift({ clockIn, clockOut, timeZone, state }) {
+  const end = new Date(clockOut);
+  const segments = [];
+  let cursor = new Date(clockIn);
+
+  // A zero-length shift still gets one (empty) segment
+  do {
+    const localDate = localDateString(cursor, timeZone);
+    const nextMidnight = startOfLocalDay(addDays(localDate, 1), timeZone);
+    const segmentEnd = nextMidnight < end ? nextMidnight : end;
+
+    segments.push({
+      start: cursor,
+      end: segmentEnd,
+      localDate,
+      paydayType: paydayTypeForLocalDate(localDate, state),
+      elapsedHours: (segmentEnd - cursor) / (1000 * 60 * 60)
+    });
+    cursor = segmentEnd;
+  } while (cursor < end);
+
+  return segments;
+}
+
+/**
+ * Price shift segments, each at its own day rate
+ * Break time is spread over the segments in proportion to their length, and
+ * overtime hours are the last hours of the shift, so they fall in the last segments.
+ *
+ * @param {Object} params
+ * @param {Array} params.segments - From segmentShift()
+ * @param {number} params.hoursWorked - Shift hours after breaks
+ * @param {Object} params.rates - Staff pay rates (can be null)
+ * @param {Object} [params.overtime] - From getOvertimeContext()
+ * @returns {Object} - { totalPay, payStatus, ordinaryHours, overtimeHours, overtimePay, overtimeBreakdown, segments }
+ */
+function priceSegments({ segments, hoursWorked, rates, overtime = null }) {
+  const hours = Math.max(0, Number(hoursWorked || 0));
+  const elapsed = segments.reduce((sum, seg) => sum + seg.elapsedHours, 0);
+
+  // Worked hours per segment; the last one absorbs rounding
+  let allocated = 0;
+  const segmentHours = segments.map((seg, i) => {
+    if (i === segments.length - 1) return Number((hours - allocated).toFixed(2));
+    const share = elapsed > 0 ? Number((hours * seg.elapsedHours / elapsed).toFixed(2)) : 0;
+    allocated += share;
+    return share;
+  });
+
+  let ordinaryHours = hours;
+  let overtimeHours = 0;
+  if (overtime) {
+    ({ ordinaryHours, overtimeHours } = splitOvertime({
+      hoursWorked: hours,
+      dailyLimit: overtime.dailyLimit,
+      weeklyLimit: rates && rates.default_hours !== undefined ? Number(rates.default_hours) : null,
+      priorDayHours: overtime.priorDayHours,
+      priorWeekOrdinaryHours: overtime.priorWeekOrdinaryHours
+    }));
+  }
+
+  // Overtime is taken from the end of the shift
+  let overtimeLeft = overtimeHours;
+  const segmentOvertime = new Array(segments.length).fill(0);
+  for (let i = segments.length - 1; i >= 0 && overtimeLeft > 0; i--) {
+    segmentOvertime[i] = Number(Math.min(segmentHours[i], overtimeLeft).toFixed(2));
+    overtimeLeft -= segmentOvertime[i];
+  }
+
+  let priorOvertime = overtime ? Number(overtime.priorDayOvertimeHours || 0) : 0;
+  let totalPay = 0;
+  let overtimePay = 0;
+  const overtimeBreakdown = [];
+
+  let rateMissing = false;
+
+  const priced = segments.map((seg, i) => {
+    const dayRate = getDayRate(seg.paydayType, rates);
+    if (dayRate === null) rateMissing = true;
+
+    const rate = dayRate || 0;
+    const segOrdinary = Number((segmentHours[i] - segmentOvertime[i]).toFixed(2));
+    const ordinaryPay = Number((segOrdinary * rate).toFixed(2));
+
+    let segOvertimePay = 0;
+    if (segmentOvertime[i] > 0 && dayRate !== null) {
+      const ot = priceOvertime({
+        overtimeHours: segmentOvertime[i],
+        ordinaryRate: rate,
+        overtimeRate: rates ? rates.overtime_rate : 0,
+        tiers: overtime.tiers,
+        priorOvertimeHours: priorOvertime
+      });
+      segOvertimePay = ot.overtimePay;
+      ot.breakdown.forEach(tier => overtimeBreakdown.push({ ...tier, payday_type: seg.paydayType }));
+      priorOvertime += segmentOvertime[i];
+    }
+
+    const pay = Number((ordinaryPay + segOvertimePay).toFixed(2));
+    totalPay += pay;
+    overtimePay += segOvertimePay;
+
+    return {
+      start: seg.start.toISOString(),
+      end: seg.end.toISOString(),
+      local_date: seg.localDate,
+      payday_type: seg.paydayType,
+      hours: segmentHours[i],
+      ordinary_hours: segOrdinary,
+      overtime_hours: segmentOvertime[i],
+      rate: Number(rate.toFixed(2)),
+      overtime_pay: segOvertimePay,
+      pay
+    };
+  });
+
+  // A shift with any day unpriced is held back from payroll as a whole
+  if (rateMissing) {
+    return {
+      totalPay: 0,
+      payStatus: 'RATE_MISSING',
+      ordinaryHours,
+      overtimeHours,
+      overtimePay: 0,
+      overtimeBreakdown: [],
+      segments: priced.map(seg => ({ ...seg, overtime_pay: 0, pay: 0 }))
+    };
+  }
+
+  return {
+    totalPay: Number(totalPay.toFixed(2)),
+    payStatus: 'OK',
+    ordinaryHours,
+    overtimeHours,
+    overtimePay: Number(overtimePay.toFixed(2)),
+    overtimeBreakdown,
+    segments: priced
+  };
+}
+
+/**
+ * Check a rule or rule definition for missing or invalid fields
+ *
+ * @param {Object} rule - pay_rules fields
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validatePayRule(rule) {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+  if (!rule || !rule.name || !String(rule.name).trim()) return 'Each rule needs a name';
+  if (!PAY_RULE_KINDS.includes(rule.kind)) return `Rule "${rule.name}": kind must be one of ${PAY_RULE_KINDS.join(', ')}`;
+
+  if (rule.day_types != null &&
+      (!Array.isArray(rule.day_types) || rule.day_types.some(t => !PAYDAY_TYPES.includes(t)))) {
+    return `Rule "${rule.name}": day_types must be a list of ${PAYDAY_TYPES.join(', ')}`;
+  }
+  if (rule.employment_types != null &&
+      (!Array.isArray(rule.employment_types) || rule.employment_types.some(t => !EMPLOYMENT_TYPES.includes(t)))) {
+    return `Rule "${rule.name}": employment_types must be a list of ${EMPLOYMENT_TYPES.join(', ')}`;
+  }
+  if ((rule.start_time == null) !== (rule.end_time == null)) {
+    return `Rule "${rule.name}": give both start_time and end_time, or neither`;
+  }
+  if (rule.start_time != null && (!timePattern.test(rule.start_time) || !timePattern.test(rule.end_time))) {
+    return `Rule "${rule.name}": times must be HH:MM`;
+  }
+
+  if (rule.kind === 'loading' && !(Number(rule.multiplier) > 0)) {
+    return `Rule "${rule.name}": a loading needs a multiplier greater than 0`;
+  }
+  if (rule.kind === 'allowance' && !(Number(rule.amount) > 0)) {
+    return `Rule "${rule.name}": an allowance needs an amount greater than 0`;
+  }
+  if (rule.kind === 'minimum_engagement' && !(Number(rule.min_hours) > 0)) {
+    return `Rule "${rule.name}": minimum engagement needs min_hours greater than 0`;
+  }
+
+  return null;
+}
+
+/**
+ * Load the active pay rules for a venue
+ * Rules from the business-wide sets and the venue's own sets both apply.
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {string} businessCode - Business code
+ * @param {string} venueCode - Venue code
+ * @returns {Promise<Object[]>} - pay_rules rows with JSON fields parsed
+ */
+async function getPayRules(conn, businessCode, venueCode) {
+  const [rows] = await conn.execute(`
+    SELECT r.id, r.name, r.kind, r.day_types, r.start_time, r.end_time,
+           r.employment_types, r.multiplier, r.amount, r.min_hours
+    FROM pay_rules r
+    JOIN pay_rule_sets rs ON rs.id = r.rule_set_id
+    WHERE rs.business_code = ?
+      AND rs.is_active = 1
+      AND (rs.venue_code IS NULL OR rs.venue_code = ?)
+    ORDER BY r.id ASC
+  `, [businessCode, venueCode]);
+
+  const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+  return rows.map(rule => ({
+    ...rule,
+    day_types: parse(rule.day_types),
+    employment_types: parse(rule.employment_types)
+  }));
+}
+
+/**
+ * Elapsed hours of a segment that fall inside a rule's time window
+ *
+ * @param {Object} rule - Rule with start_time/end_time (both null = whole day)
+ * @param {Object} segment - Priced segment ({ start, end, local_date })
+ * @param {string} timeZone - venues.timezone
+ * @returns {number}
+ */
+function hoursInWindow(rule, segment, timeZone) {
+  const start = new Date(segment.start);
+  const end = new Date(segment.end);
+  const date = segment.local_date;
+
+  let windows;
+  if (rule.start_time == null) {
+    windows = [[start, end]];
   } else {
-    // Convert all rates to numbers (MySQL returns DECIMAL as strings)
-    const weekdayRate = Number(rates.weekday_rate || 0);
-    const saturdayRate = Number(rates.saturday_rate || 0);
-    const sundayRate = Number(rates.sunday_rate || 0);
-    const publicHolidayRate = Number(rates.public_holiday_rate || 0);
-
-    // Use configured rates with fallback to base rate
-    switch (paydayType) {
-      case 'SATURDAY':
-        appliedRate = saturdayRate || weekdayRate || BASE_RATE;
-        break;
-      case 'SUNDAY':
-        appliedRate = sundayRate || weekdayRate || BASE_RATE;
-        break;
-      case 'PUBLIC_HOLIDAY':
-        appliedRate = publicHolidayRate || weekdayRate || BASE_RATE;
-        break;
-      case 'WEEKDAY':
-      default:
-        appliedRate = weekdayRate || BASE_RATE;
+    const from = localTimeToInstant(date, rule.start_time, timeZone);
+    const to = localTimeToInstant(date, rule.end_time, timeZone);
+    const dayStart = startOfLocalDay(date, timeZone);
+    const dayEnd = startOfLocalDay(addDays(date, 1), timeZone);
+
+    // 22:00-06:00 covers the start and the end of the day; 18:00-00:00 runs to midnight
+    windows = to > from ? [[from, to]] : [[dayStart, to], [from, dayEnd]];
+  }
+
+  return windows.reduce((sum, [wStart, wEnd]) => {
+    const overlap = Math.min(end, wEnd) - Math.max(start, wStart);
+    return sum + Math.max(0, overlap) / (1000 * 60 * 60);
+  }, 0);
+}
+
+/**
+ * Evaluate pay rules against a priced shift
+ *
+ * @param {Object} params
+ * @param {Array} params.segments - Priced segments from priceSegments()
+ * @param {number} params.hoursWorked - Shift hours after breaks
+ * @param {Array} params.rules - From getPayRules()
+ * @param {string} params.employmentType - staff.employment_type
+ * @param {string} params.timeZone - venues.timezone
+ * @returns {Object} - { penaltyPay, penalties: [{ rule_id, name, kind, local_date, hours, amount }] }
+ */
+function applyPayRules({ segments, hoursWorked, rules, employmentType, timeZone }) {
+  const penalties = [];
+
+  const appliesTo = (rule, paydayType) =>
+    (!rule.day_types || rule.day_types.length === 0 || rule.day_types.includes(paydayType)) &&
+    (!rule.employment_types || rule.employment_types.length === 0 || rule.employment_types.includes(employmentType));
+
+  (rules || []).forEach(rule => {
+    const ruleId = rule.id || null;
+
+    if (rule.kind === 'loading') {
+      segments.forEach(seg => {
+        if (!appliesTo(rule, seg.payday_type)) return;
+
+        // Window time -> worked ordinary hours, with breaks spread as in priceSegments()
+        const elapsed = (new Date(seg.end) - new Date(seg.start)) / (1000 * 60 * 60);
+        const inWindow = hoursInWindow(rule, seg, timeZone);
+        const hours = elapsed > 0 ? Number((seg.ordinary_hours * inWindow / elapsed).toFixed(2)) : 0;
+        if (hours <= 0) return;
+
+        const amount = Number((hours * seg.rate * (Number(rule.multiplier) - 1)).toFixed(2));
+        if (amount === 0) return;
+        penalties.push({ rule_id: ruleId, name: rule.name, kind: rule.kind, local_date: seg.local_date, hours, amount });
+      });
+    }
+
+    if (rule.kind === 'allowance') {
+      const matched = segments.find(seg => appliesTo(rule, seg.payday_type) && hoursInWindow(rule, seg, timeZone) > 0);
+      if (matched) {
+        penalties.push({
+          rule_id: ruleId, name: rule.name, kind: rule.kind,
+          local_date: matched.local_date, hours: 0, amount: Number(Number(rule.amount).toFixed(2))
+        });
+      }
+    }
+
+    if (rule.kind === 'minimum_engagement') {
+      const first = segments[0];
+      const shortfall = Number((Number(rule.min_hours) - Number(hoursWorked)).toFixed(2));
+      if (first && shortfall > 0 && appliesTo(rule, first.payday_type)) {
+        penalties.push({
+          rule_id: ruleId, name: rule.name, kind: rule.kind,
+          local_date: first.local_date, hours: shortfall, amount: Number((shortfall * first.rate).toFixed(2))
+        });
+      }
+    }
+  });
+
+  // Several minimum engagement rules can match; only the largest top-up is paid
+  const minimums = penalties.filter(p => p.kind === 'minimum_engagement');
+  if (minimums.length > 1) {
+    const largest = minimums.reduce((a, b) => (b.amount > a.amount ? b : a));
+    minimums.filter(p => p !== largest).forEach(p => penalties.splice(penalties.indexOf(p), 1));
+  }
+
+  const penaltyPay = penalties.reduce((sum, p) => sum + p.amount, 0);
+  return { penaltyPay: Number(penaltyPay.toFixed(2)), penalties };
+}
+
+/**
+ * Load what overtime for a shift depends on: the venue's rules and the
+ * staff member's hours earlier the same day and venue week
+ * Only shifts that started before this one count, so recomputing a period in
+ * clock-in order reproduces clock-out results.
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {Object} params
+ * @param {string} params.staffCode - Staff code
+ * @param {string} params.venueCode - Venue the shift was worked at
+ * @param {Date} params.clockIn - Shift clock-in
+ * @param {number} [params.shiftId] - Shift being priced (excluded from prior hours)
+ * @returns {Promise<Object>} - { dailyLimit, tiers, weekStart, priorDayHours, priorDayOvertimeHours, priorWeekOrdinaryHours }
+ */
+async function getOvertimeContext(conn, { staffCode, venueCode, clockIn, shiftId = null }) {
+  const [venues] = await conn.execute(
+    'SELECT timezone, week_start, overtime_daily_hours, overtime_tiers FROM venues WHERE venue_code = ? LIMIT 1',
+    [venueCode]
+  );
+  const venue = venues[0] || {};
+  const timeZone = venue.timezone || DEFAULT_TIMEZONE;
+
+  let tiers = venue.overtime_tiers || null;
+  if (typeof tiers === 'string') {
+    try {
+      tiers = JSON.parse(tiers);
+    } catch (err) {
+      console.error(`[OVERTIME] ⚠️  Invalid overtime_tiers for venue ${venueCode}, using defaults`);
+      tiers = null;
     }
   }
 
-  // Ensure appliedRate is a number before using toFixed
-  appliedRate = Number(appliedRate);
+  // Day and venue week containing the shift, in the venue's timezone
+  const shiftDate = localDateString(clockIn, timeZone);
+  const weekStartDay = WEEKDAY_INDEX[venue.week_start] !== undefined ? WEEKDAY_INDEX[venue.week_start] : 1;
+  const weekStart = addDays(shiftDate, -((dayOfWeek(shiftDate) - weekStartDay + 7) % 7));
 
-  const totalPay = Number((hours * appliedRate).toFixed(2));
+  const [[totals]] = await conn.execute(`
+    SELECT
+      IFNULL(SUM(CASE WHEN clock_in >= ? THEN hours_worked END), 0) AS day_hours,
+      IFNULL(SUM(CASE WHEN clock_in >= ? THEN overtime_hours END), 0) AS day_overtime,
+      IFNULL(SUM(IFNULL(ordinary_hours, hours_worked)), 0) AS week_ordinary
+    FROM shifts
+    WHERE staff_code = ?
+      AND id <> ?
+      AND clock_out IS NOT NULL
+      AND approval_status <> 'DISCARDED'
+      AND clock_in >= ?
+      AND clock_in < ?
+  `, [
+    startOfLocalDay(shiftDate, timeZone), startOfLocalDay(shiftDate, timeZone), staffCode, shiftId || 0,
+    startOfLocalDay(weekStart, timeZone), new Date(clockIn)
+  ]);
 
   return {
-    appliedRate: Number(appliedRate.toFixed(2)),
-    totalPay
+    dailyLimit: venue.overtime_daily_hours !== null && venue.overtime_daily_hours !== undefined
+      ? Number(venue.overtime_daily_hours)
+      : null,
+    tiers,
+    weekStart,
+    priorDayHours: Number(totals.day_hours),
+    priorDayOvertimeHours: Number(totals.day_overtime),
+    priorWeekOrdinaryHours: Number(totals.week_ordinary)
   };
 }
 
 /**
- * Complete pay calculation for a shift including payday_type determination
+ * Price a finished shift row
+ * Used by every clock-out path and by pay period recomputes.
+ *
+ * @param {Object} conn - Connection or pool (the caller's transaction, if any)
+ * @param {Object} shift - { id, staff_code, venue_code, clock_in, clock_out, unpaid_break_minutes }
+ * @returns {Promise<Object>} - See calculateCompleteShiftPay()
+ */
+async function priceShift(conn, shift) {
+  return calculateCompleteShiftPay({
+    conn,
+    shiftId: shift.id,
+    staffCode: shift.staff_code,
+    venueCode: shift.venue_code,
+    clockIn: shift.clock_in,
+    clockOut: shift.clock_out,
+    breakMinutes: shift.unpaid_break_minutes || 0
+  });
+}
+
+/**
+ * Complete pay calculation for a shift
+ * Uses the rates in effect on the clock-in date, splits the shift at midnight
+ * in the venue's timezone so each calendar day is paid at its own day type,
+ * applies the venue's overtime rules and then the business's pay rules.
+ *
+ * payday_type and applied_rate describe the clock-in day; total_pay is the sum
+ * of the segments plus penalty pay.
+ *
+ * rates, employmentType and rules are normally loaded; pass them to price a
+ * hypothetical shift (see POST /api/system-admin/payroll/preview).
  *
  * @param {Object} params
+ * @param {Object} params.conn - Connection or pool (default: pool)
+ * @param {number} params.shiftId - Shift being priced (excluded from prior overtime hours)
  * @param {string} params.staffCode - Staff code
+ * @param {string} params.venueCode - Venue the shift was worked at (timezone, state, overtime and pay rules)
  * @param {Date} params.clockIn - Clock in timestamp
  * @param {Date} params.clockOut - Clock out timestamp
  * @param {number} params.breakMinutes - Break minutes (default 0)
- * @param {string} params.businessCode - Business code for holiday lookup
- * @returns {Promise<Object>} - { paydayType, appliedRate, hoursWorked, totalPay }
+ * @param {Object} [params.rates] - Override the staff member's pay rates
+ * @param {string} [params.employmentType] - Override staff.employment_type
+ * @param {Array} [params.rules] - Override the venue's pay rules
+ * @returns {Promise<Object>} - { paydayType, appliedRate, hoursWorked, totalPay, payStatus,
+ *                                ordinaryHours, overtimeHours, overtimePay, overtimeBreakdown, segments,
+ *                                penaltyPay, penalties }
+ *                                payStatus is 'RATE_MISSING' (and all pay 0) when a day has no rate
  */
 async function calculateCompleteShiftPay({
+  conn = db,
+  shiftId = null,
   staffCode,
+  venueCode = null,
   clockIn,
   clockOut,
   breakMinutes = 0,
-  businessCode
+  rates,
+  employmentType,
+  rules
 }) {
   try {
-    // Fetch staff pay rates
-    const [rateRows] = await db.query(
-      `SELECT weekday_rate, saturday_rate, sunday_rate, public_holiday_rate, overtime_rate
-       FROM pay_rates
-       WHERE staff_code = ?
-       LIMIT 1`,
-      [staffCode]
-    );
-
-    if (!rateRows || rateRows.length === 0) {
-      throw new Error(`No pay rates found for staff_code: ${staffCode}`);
-    }
+    clockIn = new Date(clockIn);
+    clockOut = new Date(clockOut);
 
-    const rates = rateRows[0];
+    const venue = await getVenueCalendar(conn, venueCode);
+    const timeZone = venue.timezone;
+
+    // Fetch the pay rates in effect on the shift date (clock_in, venue time)
+    if (rates === undefined) {
+      rates = await getRatesForDate(staffCode, localDateString(clockIn, timeZone), conn);
+    }
 
     // Calculate hours worked
-    const diffMs = new Date(clockOut) - new Date(clockIn);
-    const diffHours = diffMs / (1000 * 60 * 60);
-    const hoursWorked = parseFloat((diffHours - (breakMinutes / 60)).toFixed(2));
+    const diffHours = (clockOut - clockIn) / (1000 * 60 * 60);
+    const hoursWorked = Math.round((diffHours - (breakMinutes / 60)) * 100) / 100;
 
-    // Determine payday type (use clock_in date as the shift date)
-    const paydayType = await determinePaydayType(new Date(clockIn), businessCode);
+    const segments = segmentShift({ clockIn, clockOut, timeZone, state: venue.state });
 
-    // Calculate pay
-    const { appliedRate, totalPay } = calculateShiftPay({
-      hoursWorked,
-      paydayType,
-      rates
-    });
+    let overtime = null;
+    if (venue.found) {
+      overtime = await getOvertimeContext(conn, { staffCode, venueCode, clockIn, shiftId });
+
+      if (rules === undefined) {
+        rules = await getPayRules(conn, venue.business_code, venueCode);
+      }
+    }
+
+    const pay = priceSegments({ segments, hoursWorked, rates, overtime });
+
+    let penaltyPay = 0;
+    let penalties = [];
+    if (rules && rules.length > 0 && pay.payStatus === 'OK') {
+      if (employmentType === undefined && staffCode) {
+        const [staffRows] = await conn.execute(
+          'SELECT employment_type FROM staff WHERE staff_code = ? LIMIT 1',
+          [staffCode]
+        );
+        employmentType = staffRows.length > 0 ? staffRows[0].employment_type : null;
+      }
+
+      ({ penaltyPay, penalties } = applyPayRules({
+        segments: pay.segments,
+        hoursWorked,
+        rules,
+        employmentType,
+        timeZone
+      }));
+    }
 
     return {
-      paydayType,
-      appliedRate,
+      paydayType: pay.segments[0].payday_type,
+      appliedRate: pay.segments[0].rate,
       hoursWorked,
-      totalPay
+      ...pay,
+      totalPay: Number((pay.totalPay + penaltyPay).toFixed(2)),
+      penaltyPay,
+      penalties
     };
   } catch (err) {
     console.error('Error in calculateCompleteShiftPay:', err.message);
@@ -170,8 +789,115 @@ async function calculateCompleteShiftPay({
   }
 }
 
+/**
+ * Values for PAY_COLUMNS from a calculateCompleteShiftPay() result
+ *
+ * @param {Object} pay - calculateCompleteShiftPay() result
+ * @returns {Array}
+ */
+function payColumnValues(pay) {
+  return [
+    pay.hoursWorked, pay.ordinaryHours, pay.overtimeHours, pay.paydayType, pay.appliedRate, pay.totalPay,
+    pay.overtimePay, JSON.stringify(pay.overtimeBreakdown), JSON.stringify(pay.segments),
+    pay.penaltyPay, JSON.stringify(pay.penalties), pay.payStatus
+  ];
+}
+
+/**
+ * Save a calculateCompleteShiftPay() result on a shift
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {number} shiftId - shifts.id
+ * @param {Object} pay - calculateCompleteShiftPay() result
+ */
+async function updateShiftPay(conn, shiftId, pay) {
+  await conn.execute(
+    `UPDATE shifts SET ${PAY_COLUMNS.map(col => `${col} = ?`).join(', ')} WHERE id = ?`,
+    [...payColumnValues(pay), shiftId]
+  );
+}
+
+/**
+ * Re-price a staff member's RATE_MISSING shifts
+ * Called after pay rates are entered or changed. Shifts whose dates are still
+ * not covered by a rate stay RATE_MISSING.
+ *
+ * @param {Object} conn - Connection (the caller's transaction, if any)
+ * @param {string} staffCode - Staff code
+ * @returns {Promise<Object>} - { repriced, resolved }
+ */
+async function repriceRateMissingShifts(conn, staffCode) {
+  const [shifts] = await conn.execute(`
+    SELECT id, staff_code, venue_code, clock_in, clock_out, unpaid_break_minutes
+    FROM shifts
+    WHERE staff_code = ?
+      AND pay_status = 'RATE_MISSING'
+      AND clock_out IS NOT NULL
+    ORDER BY clock_in ASC
+    FOR UPDATE
+  `, [staffCode]);
+
+  let resolved = 0;
+  for (const shift of shifts) {
+    const pay = await priceShift(conn, shift);
+    await updateShiftPay(conn, shift.id, pay);
+    if (pay.payStatus === 'OK') resolved++;
+  }
+
+  if (shifts.length > 0) {
+    console.log(`[PAY] 🔄 Re-priced ${shifts.length} RATE_MISSING shift(s) for ${staffCode}: ${resolved} resolved`);
+  }
+
+  return { repriced: shifts.length, resolved };
+}
+
+/**
+ * Re-price the shifts already worked in a rate period
+ * Called after scheduleRateChange() so shifts on the period's dates (e.g.
+ * earlier the same day) are paid with the rates now covering them.
+ *
+ * @param {Object} conn - Connection (the caller's transaction, if any)
+ * @param {string} staffCode - Staff code
+ * @param {Object} period - scheduleRateChange() result
+ * @returns {Promise<Object>} - { repriced }
+ */
+async function repriceRatePeriod(conn, staffCode, period) {
+  const shifts = await findShiftsInPeriod(conn, staffCode, period.effective_from, period.effective_to);
+
+  for (const shift of shifts) {
+    const pay = await priceShift(conn, shift);
+    await updateShiftPay(conn, shift.id, pay);
+  }
+
+  if (shifts.length > 0) {
+    console.log(`[PAY] 🔄 Re-priced ${shifts.length} shift(s) for ${staffCode} from the rates starting ${period.effective_from}`);
+  }
+
+  return { repriced: shifts.length };
+}
+
 module.exports = {
+  DEFAULT_OVERTIME_TIERS,
+  PAYDAY_TYPES,
+  PAY_RULE_KINDS,
+  PAY_COLUMNS,
+  getVenueCalendar,
   determinePaydayType,
+  paydayTypeForLocalDate,
+  segmentShift,
+  splitOvertime,
+  priceOvertime,
   calculateShiftPay,
-  calculateCompleteShiftPay
+  getOvertimeContext,
+  priceSegments,
+  validatePayRule,
+  getPayRules,
+  hoursInWindow,
+  applyPayRules,
+  priceShift,
+  calculateCompleteShiftPay,
+  payColumnValues,
+  updateShiftPay,
+  repriceRatePeriod,
+  repriceRateMissingShifts
 };
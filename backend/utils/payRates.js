@@ -0,0 +1,274 @@
+/**
+ * Pay Rates Utility
+ * Effective-dated pay rate lookup and scheduling (see schema/17_effective_dated_pay_rates.sql)
+ *
+ * Each pay_rates row covers effective_from..effective_to (inclusive, NULL = open
+ * ended). A shift is paid with the row covering its shift date, so entering a
+ * new rate never changes what an earlier shift recomputes to.
+ */
+
+const db = require('../config/db');
+const { DEFAULT_TIMEZONE, localDateString, addDays } = require('./venueTime');
+
+/**
+ * Error for a rate change that would change pay already approved
+ * Controllers map it to a response using statusCode and code.
+ */
+class RateChangeError extends Error {
+  constructor(message, statusCode = 409, code = 'APPROVED_SHIFTS_IN_PERIOD') {
+    super(message);
+    this.name = 'RateChangeError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Columns carried by every rate period
+const RATE_FIELDS = [
+  'weekday_rate', 'saturday_rate', 'sunday_rate', 'public_holiday_rate', 'overtime_rate', 'default_hours'
+];
+
+// Period dates are read as YYYY-MM-DD strings, never as Dates in the server's timezone
+const PERIOD_DATES = "DATE_FORMAT(effective_from, '%Y-%m-%d') AS effective_from, " +
+  "DATE_FORMAT(effective_to, '%Y-%m-%d') AS effective_to";
+
+/**
+ * Reject anything but a YYYY-MM-DD date (a Date has no calendar day without a timezone)
+ * @param {string} date
+ * @param {string} name - Parameter name for the error
+ * @returns {string} date
+ */
+function requireDateString(date, name) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new TypeError(`${name} must be a YYYY-MM-DD string`);
+  }
+  return date;
+}
+
+/**
+ * Today's date at a staff member's venue
+ * Staff without a venue (system admins) use the default timezone.
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {string} staffCode - Staff code
+ * @returns {Promise<string>} YYYY-MM-DD
+ */
+async function staffToday(conn, staffCode) {
+  const [rows] = await conn.execute(`
+    SELECT v.timezone
+    FROM staff s
+    LEFT JOIN venues v ON v.venue_code = s.venue_code
+    WHERE s.staff_code = ?
+    LIMIT 1
+  `, [staffCode]);
+
+  return localDateString(new Date(), (rows[0] && rows[0].timezone) || DEFAULT_TIMEZONE);
+}
+
+/**
+ * Get the pay rates that applied to a staff member on a date
+ *
+ * @param {string} staffCode - Staff code
+ * @param {string} date - Shift date (YYYY-MM-DD of the clock-in, venue time)
+ * @param {Object} conn - Connection or pool (pass the transaction connection when inside one)
+ * @returns {Promise<Object|null>} pay_rates row or null if no period covers the date
+ */
+async function getRatesForDate(staffCode, date, conn = db) {
+  const shiftDate = requireDateString(date, 'date');
+
+  const [rows] = await conn.execute(`
+    SELECT id, ${RATE_FIELDS.join(', ')}, ${PERIOD_DATES}
+    FROM pay_rates
+    WHERE staff_code = ?
+      AND effective_from <= ?
+      AND (effective_to IS NULL OR effective_to >= ?)
+    ORDER BY effective_from DESC
+    LIMIT 1
+  `, [staffCode, shiftDate, shiftDate]);
+
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * List every rate period for a staff member, newest first
+ * @param {string} staffCode - Staff code
+ * @param {Object} conn - Connection or pool
+ * @returns {Promise<Object[]>} Rows with effective_from / effective_to as YYYY-MM-DD
+ */
+async function listRates(staffCode, conn = db) {
+  const [rows] = await conn.execute(`
+    SELECT pr.id, ${RATE_FIELDS.map(f => `pr.${f}`).join(', ')},
+           DATE_FORMAT(pr.effective_from, '%Y-%m-%d') AS effective_from,
+           DATE_FORMAT(pr.effective_to, '%Y-%m-%d') AS effective_to,
+           pr.created_at, u.email AS created_by_email
+    FROM pay_rates pr
+    LEFT JOIN users u ON pr.created_by = u.id
+    WHERE pr.staff_code = ?
+    ORDER BY pr.effective_from DESC
+  `, [staffCode]);
+
+  return rows;
+}
+
+/**
+ * Finished shifts whose shift date (clock-in, venue time) falls in a rate period
+ *
+ * @param {Object} conn - Connection (locks the rows inside a transaction)
+ * @param {string} staffCode - Staff code
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string|null} to - Last date (YYYY-MM-DD), null for open ended
+ * @returns {Promise<Object[]>} Shift rows in clock-in order, with approval_status and pay_status
+ */
+async function findShiftsInPeriod(conn, staffCode, from, to = null) {
+  // A day either side of the dates covers every venue timezone; the exact day is checked below
+  const [rows] = await conn.execute(`
+    SELECT s.id, s.staff_code, s.venue_code, s.clock_in, s.clock_out, s.unpaid_break_minutes,
+           s.approval_status, s.pay_status, v.timezone
+    FROM shifts s
+    LEFT JOIN venues v ON v.venue_code = s.venue_code
+    WHERE s.staff_code = ?
+      AND s.clock_out IS NOT NULL
+      AND s.approval_status <> 'DISCARDED'
+      AND s.clock_in >= ?
+      ${to ? 'AND s.clock_in < ?' : ''}
+    ORDER BY s.clock_in ASC
+    FOR UPDATE
+  `, to ? [staffCode, addDays(from, -1), addDays(to, 2)] : [staffCode, addDays(from, -1)]);
+
+  return rows.filter(shift => {
+    const shiftDate = localDateString(shift.clock_in, shift.timezone);
+    return shiftDate >= from && (!to || shiftDate <= to);
+  });
+}
+
+/**
+ * Start a new rate period on effectiveFrom
+ * Fields missing from rates are carried over from the period it replaces. The
+ * replaced period is closed the day before; if a later period is already
+ * scheduled, the new one ends the day before that. A period starting on the
+ * same date is updated in place.
+ *
+ * Shifts already worked on the dates the new rates cover (e.g. earlier today)
+ * must be re-priced by the caller with repriceRatePeriod() (utils/payCalculator.js).
+ * If any of them was approved with a price the change is refused instead, so
+ * approved pay never changes silently.
+ *
+ * Must run inside the caller's transaction.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {string} staffCode - Staff code
+ * @param {Object} rates - Any of RATE_FIELDS
+ * @param {string} effectiveFrom - First shift date the rates apply to (YYYY-MM-DD, venue time)
+ * @param {number|null} createdBy - users.id
+ * @returns {Promise<Object>} { id, effective_from, effective_to }
+ * @throws {RateChangeError} When approved shifts fall on the dates the rates cover
+ */
+async function scheduleRateChange(conn, staffCode, rates, effectiveFrom, createdBy = null) {
+  const from = requireDateString(effectiveFrom, 'effectiveFrom');
+
+  const [periods] = await conn.execute(`
+    SELECT id, ${RATE_FIELDS.join(', ')}, ${PERIOD_DATES}
+    FROM pay_rates
+    WHERE staff_code = ?
+    ORDER BY effective_from ASC
+    FOR UPDATE
+  `, [staffCode]);
+
+  const provided = RATE_FIELDS.filter(field => rates[field] !== undefined && rates[field] !== null);
+
+  const sameDay = periods.find(p => p.effective_from === from);
+  const next = periods.find(p => p.effective_from > from) || null;
+  const effectiveTo = sameDay ? sameDay.effective_to : (next ? addDays(next.effective_from, -1) : null);
+
+  if (provided.length > 0) {
+    const approved = (await findShiftsInPeriod(conn, staffCode, from, effectiveTo))
+      .filter(shift => shift.approval_status === 'APPROVED' && shift.pay_status !== 'RATE_MISSING');
+    if (approved.length > 0) {
+      throw new RateChangeError(
+        `${approved.length} approved shift(s) on or after ${from} were paid at the current rates. ` +
+        'Schedule the change from a later date.'
+      );
+    }
+  }
+
+  if (sameDay) {
+    if (provided.length > 0) {
+      await conn.execute(
+        `UPDATE pay_rates SET ${provided.map(f => `${f} = ?`).join(', ')}, created_by = ? WHERE id = ?`,
+        [...provided.map(f => rates[f]), createdBy, sameDay.id]
+      );
+    }
+    return { id: sameDay.id, effective_from: from, effective_to: effectiveTo };
+  }
+
+  const previous = [...periods].reverse().find(p => p.effective_from < from) || null;
+
+  const values = RATE_FIELDS.map(field => {
+    if (rates[field] !== undefined && rates[field] !== null) return rates[field];
+    if (previous) return previous[field];
+    return field === 'default_hours' ? 38 : 0;
+  });
+
+  const [result] = await conn.execute(`
+    INSERT INTO pay_rates (staff_code, ${RATE_FIELDS.join(', ')}, effective_from, effective_to, created_by)
+    VALUES (?, ${RATE_FIELDS.map(() => '?').join(', ')}, ?, ?, ?)
+  `, [staffCode, ...values, from, effectiveTo, createdBy]);
+
+  if (previous) {
+    await conn.execute(
+      'UPDATE pay_rates SET effective_to = ? WHERE id = ?',
+      [addDays(from, -1), previous.id]
+    );
+  }
+
+  return { id: result.insertId, effective_from: from, effective_to: effectiveTo };
+}
+
+/**
+ * Cancel a rate period that has not started yet
+ * The period before it is extended to cover the gap. Must run inside the
+ * caller's transaction.
+ *
+ * @param {Object} conn - Connection with an open transaction
+ * @param {string} staffCode - Staff code
+ * @param {number} rateId - pay_rates.id
+ * @returns {Promise<boolean>} False if no future period with that id exists
+ */
+async function cancelScheduledRate(conn, staffCode, rateId) {
+  const today = await staffToday(conn, staffCode);
+
+  const [rows] = await conn.execute(`
+    SELECT id, ${PERIOD_DATES}
+    FROM pay_rates
+    WHERE id = ? AND staff_code = ? AND effective_from > ?
+    FOR UPDATE
+  `, [rateId, staffCode, today]);
+
+  if (rows.length === 0) return false;
+
+  const cancelled = rows[0];
+
+  await conn.execute('DELETE FROM pay_rates WHERE id = ?', [cancelled.id]);
+  await conn.execute(`
+    UPDATE pay_rates
+    SET effective_to = ?
+    WHERE staff_code = ? AND effective_to = ?
+  `, [
+    cancelled.effective_to,
+    staffCode,
+    addDays(cancelled.effective_from, -1)
+  ]);
+
+  return true;
+}
+
+module.exports = {
+  RATE_FIELDS,
+  RateChangeError,
+  staffToday,
+  getRatesForDate,
+  listRates,
+  findShiftsInPeriod,
+  scheduleRateChange,
+  cancelScheduledRate
+};
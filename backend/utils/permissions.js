@@ -0,0 +1,151 @@
+/**
+ * Permission Matrix
+ * Declarative map of what each access level may do, and over which data
+ *
+ * Routes declare the permission they need with requirePermission() from
+ * authMiddleware; controllers narrow queries with getDataScope() (see
+ * utils/accessHelper.js). To change who can do what, edit the matrix below -
+ * nothing else hardcodes role lists.
+ *
+ * Pay-affecting actions (approving or editing timesheets, setting pay rates)
+ * are manager and above. Supervisors can view the same data but not change it.
+ *
+ * @example
+ * const { hasPermission } = require('./utils/permissions');
+ * hasPermission('supervisor', 'timesheet.view');    // true
+ * hasPermission('supervisor', 'timesheet.approve'); // false
+ */
+
+// Permission → access levels granted it
+const PERMISSION_MATRIX = {
+  // Dashboard
+  'dashboard.view':     ['master', 'system_admin', 'manager', 'supervisor'],
+
+  // Staff records
+  'staff.view':         ['master', 'system_admin', 'manager', 'supervisor'],
+  'staff.create':       ['master', 'system_admin', 'manager'],
+  'staff.edit':         ['master', 'system_admin', 'manager', 'supervisor'],
+  'staff.edit_rates':   ['master', 'system_admin', 'manager'],
+  'staff.delete':       ['master', 'system_admin', 'manager'],
+
+  // Venues and kiosk devices
+  'venue.view':         ['master', 'system_admin', 'manager', 'supervisor'],
+  'venue.manage':       ['system_admin'],
+  'venue.devices':      ['system_admin', 'manager'],
+
+  // Rosters
+  'schedule.view':      ['system_admin', 'manager', 'supervisor'],
+
+  // Timesheets (edit and approve change pay)
+  'timesheet.view':     ['system_admin', 'manager', 'supervisor'],
+  'timesheet.export':   ['system_admin', 'manager', 'supervisor'],
+  'timesheet.edit':     ['system_admin', 'manager'],
+  'timesheet.approve':  ['system_admin', 'manager'],
+
+  // Payroll
+  'payroll.view':       ['system_admin', 'manager', 'supervisor'],
+  'payroll.rules':      ['system_admin'],
+
+  // Security administration
+  'security.lockouts':  ['system_admin', 'manager'],
+
+  // Platform administration (/api/master, /api/cache, /api/jobs)
+  'platform.manage':    ['master'],
+  'cache.manage':       ['master'],
+  'jobs.manage':        ['master']
+};
+
+// Access levels each role may give to staff it creates or edits (no self-promotion above your own level)
+const ASSIGNABLE_ACCESS_LEVELS = {
+  master: ['employee', 'supervisor', 'manager', 'system_admin'],
+  system_admin: ['employee', 'supervisor', 'manager', 'system_admin'],
+  manager: ['employee', 'supervisor', 'manager'],
+  supervisor: ['employee']
+};
+
+// Seniority of each access level; changing another user's credentials or access
+// level needs a strictly higher one (a manager cannot take over another manager)
+const ACCESS_LEVEL_RANK = {
+  employee: 1,
+  supervisor: 2,
+  manager: 3,
+  system_admin: 4,
+  master: 5
+};
+
+// Which rows each access level can reach once a permission is granted
+const DATA_SCOPES = {
+  master: 'platform',       // every business
+  system_admin: 'business', // every venue in their business
+  manager: 'venue',         // their venue only
+  supervisor: 'venue',
+  employee: 'self'          // their own records
+};
+
+/**
+ * Check whether an access level has a permission
+ * @param {string} accessLevel - users.access_level
+ * @param {string} permission - Key from PERMISSION_MATRIX
+ * @returns {boolean}
+ */
+function hasPermission(accessLevel, permission) {
+  const granted = PERMISSION_MATRIX[permission];
+
+  if (!granted) {
+    // A typo in a route must fail closed, loudly
+    console.error(`[PERMISSIONS] ⚠️  Unknown permission "${permission}"`);
+    return false;
+  }
+
+  return granted.includes(accessLevel);
+}
+
+/**
+ * Check whether an access level may assign another access level to staff
+ * @param {string} accessLevel - Acting user's access level
+ * @param {string} targetLevel - Access level being assigned
+ * @returns {boolean}
+ */
+function canAssignAccessLevel(accessLevel, targetLevel) {
+  return (ASSIGNABLE_ACCESS_LEVELS[accessLevel] || []).includes(targetLevel);
+}
+
+/**
+ * Check whether an access level is strictly above another
+ * @param {string} accessLevel - Acting user's access level
+ * @param {string} targetLevel - Access level of the user being changed
+ * @returns {boolean}
+ */
+function outranks(accessLevel, targetLevel) {
+  return (ACCESS_LEVEL_RANK[accessLevel] || 0) > (ACCESS_LEVEL_RANK[targetLevel] || 0);
+}
+
+/**
+ * List every permission an access level holds (returned at login for the UI)
+ * @param {string} accessLevel - users.access_level
+ * @returns {string[]}
+ */
+function getPermissions(accessLevel) {
+  return Object.keys(PERMISSION_MATRIX).filter(p => PERMISSION_MATRIX[p].includes(accessLevel));
+}
+
+/**
+ * Data scope for an access level
+ * @param {string} accessLevel - users.access_level
+ * @returns {string} 'platform' | 'business' | 'venue' | 'self'
+ */
+function getDataScope(accessLevel) {
+  return DATA_SCOPES[accessLevel] || 'self';
+}
+
+module.exports = {
+  PERMISSION_MATRIX,
+  DATA_SCOPES,
+  ASSIGNABLE_ACCESS_LEVELS,
+  ACCESS_LEVEL_RANK,
+  hasPermission,
+  canAssignAccessLevel,
+  outranks,
+  getPermissions,
+  getDataScope
+};
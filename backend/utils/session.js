@@ -0,0 +1,216 @@
+/**
+ * Session Utility
+ * Issues, refreshes and revokes user sessions backed by the user_sessions table
+ *
+ * A session pairs a short-lived signed access token (sent as a Bearer header)
+ * with a long-lived opaque refresh token. Only the SHA-256 hash of the refresh
+ * token is stored. Revoking the session invalidates both tokens immediately.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/db');
+const cache = require('./cache');
+const token = require('./token');
+const { ACCESS_TOKEN_TTL, REFRESH_TOKEN_TTL } = require('../config/env');
+
+// How long a "session is active" lookup is cached (ms)
+const SESSION_CACHE_TTL = 60000;
+
+/**
+ * Load the current authorization context for a user
+ * Business and venue always come from the staff record, never from the client
+ *
+ * @param {number} userId - users.id
+ * @returns {Promise<Object|null>} User context row or null if inactive/missing
+ */
+async function loadUserContext(userId) {
+  const [rows] = await db.execute(`
+    SELECT u.id, u.email, u.access_level, u.staff_code, u.status,
+           s.business_code, s.venue_code
+    FROM users u
+    LEFT JOIN staff s ON u.staff_code = s.staff_code
+    WHERE u.id = ? AND u.status = 'active'
+  `, [userId]);
+
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Build the signed access token for a session
+ * @param {Object} user - Row from loadUserContext (or login query)
+ * @param {string} sessionId - user_sessions.id
+ * @returns {string} Signed access token
+ */
+function buildAccessToken(user, sessionId) {
+  return token.sign({
+    sub: user.id,
+    sid: sessionId,
+    access_level: user.access_level,
+    staff_code: user.staff_code || null,
+    business_code: user.business_code || null,
+    venue_code: user.venue_code || null
+  }, ACCESS_TOKEN_TTL);
+}
+
+/**
+ * Create a new session for an authenticated user
+ *
+ * @param {Object} user - User row (id, access_level, staff_code, business_code, venue_code)
+ * @param {Object} meta - Request metadata { ip, userAgent }
+ * @returns {Promise<Object>} { access_token, refresh_token, expires_in, session_id }
+ */
+async function createSession(user, meta = {}) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = token.generateOpaqueToken();
+
+  await db.execute(`
+    INSERT INTO user_sessions (id, user_id, refresh_token_hash, ip_address, user_agent, expires_at)
+    VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+  `, [
+    sessionId,
+    user.id,
+    token.hashToken(refreshToken),
+    meta.ip || null,
+    (meta.userAgent || '').slice(0, 255) || null,
+    REFRESH_TOKEN_TTL
+  ]);
+
+  return {
+    access_token: buildAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    expires_in: ACCESS_TOKEN_TTL,
+    session_id: sessionId
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token
+ * The refresh token is rotated on every use; the old one stops working.
+ *
+ * @param {string} refreshToken - Opaque refresh token from login
+ * @returns {Promise<Object|null>} New token pair, or null if the refresh token is invalid
+ */
+async function refreshSession(refreshToken) {
+  if (!refreshToken) return null;
+
+  const [sessions] = await db.execute(`
+    SELECT id, user_id
+    FROM user_sessions
+    WHERE refresh_token_hash = ?
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+    LIMIT 1
+  `, [token.hashToken(refreshToken)]);
+
+  if (sessions.length === 0) return null;
+
+  const session = sessions[0];
+
+  // Reload the user so role or status changes apply on refresh
+  const user = await loadUserContext(session.user_id);
+  if (!user) {
+    await revokeSession(session.id);
+    return null;
+  }
+
+  const rotated = token.generateOpaqueToken();
+  await db.execute(`
+    UPDATE user_sessions
+    SET refresh_token_hash = ?, last_used_at = NOW()
+    WHERE id = ?
+  `, [token.hashToken(rotated), session.id]);
+
+  return {
+    access_token: buildAccessToken(user, session.id),
+    refresh_token: rotated,
+    expires_in: ACCESS_TOKEN_TTL,
+    session_id: session.id
+  };
+}
+
+/**
+ * Check whether a session is still active (not revoked, not expired)
+ * Result is cached briefly to avoid a DB round trip per request
+ *
+ * @param {string} sessionId - user_sessions.id
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+
+  const cacheKey = `session:${sessionId}`;
+  const cached = cache.get(cacheKey);
+  if (cached !== null) return cached;
+
+  const [rows] = await db.execute(`
+    SELECT 1 FROM user_sessions
+    WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()
+    LIMIT 1
+  `, [sessionId]);
+
+  const active = rows.length > 0;
+  cache.set(cacheKey, active, SESSION_CACHE_TTL);
+  return active;
+}
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - user_sessions.id
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+async function revokeSession(sessionId) {
+  const [result] = await db.execute(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+    [sessionId]
+  );
+  cache.del(`session:${sessionId}`);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Revoke a session identified by its refresh token
+ * @param {string} refreshToken - Opaque refresh token
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+async function revokeByRefreshToken(refreshToken) {
+  if (!refreshToken) return false;
+
+  const [rows] = await db.execute(
+    'SELECT id FROM user_sessions WHERE refresh_token_hash = ? LIMIT 1',
+    [token.hashToken(refreshToken)]
+  );
+
+  if (rows.length === 0) return false;
+  return revokeSession(rows[0].id);
+}
+
+/**
+ * Revoke every active session for a user (logout everywhere, account disabled)
+ * @param {number} userId - users.id
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllForUser(userId) {
+  const [rows] = await db.execute(
+    'SELECT id FROM user_sessions WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+
+  if (rows.length === 0) return 0;
+
+  await db.execute(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  rows.forEach(row => cache.del(`session:${row.id}`));
+  return rows.length;
+}
+
+module.exports = {
+  loadUserContext,
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllForUser
+};
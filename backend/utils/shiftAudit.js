@@ -0,0 +1,136 @@
+/**
+ * Shift Audit Utility
+ * Append-only history of shift changes (see schema/22_shift_audit.sql)
+ *
+ * Callers take a snapshot before changing a shift and record the audit entry
+ * after, on the same connection, so the history commits or rolls back with
+ * the change itself.
+ */
+
+// Fields compared between the before and after snapshots
+const AUDITED_FIELDS = [
+  'clock_in', 'clock_out', 'break_minutes', 'shift_state', 'approval_status',
+  'payday_type', 'hours_worked', 'total_pay', 'pay_status'
+];
+
+/**
+ * Normalise a column value for storage and comparison
+ * @param {*} value
+ * @returns {*}
+ */
+function auditValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value === undefined ? null : value;
+}
+
+/**
+ * Read the audited fields of a shift
+ * Locks the row when called inside a transaction.
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {number|string} shiftId - shifts.id
+ * @returns {Promise<Object|null>} - Snapshot, or null when the shift does not exist
+ */
+async function getShiftSnapshot(conn, shiftId) {
+  const [rows] = await conn.execute(
+    `SELECT ${AUDITED_FIELDS.join(', ')} FROM shifts WHERE id = ? LIMIT 1 FOR UPDATE`,
+    [shiftId]
+  );
+  if (rows.length === 0) return null;
+
+  const snapshot = {};
+  AUDITED_FIELDS.forEach(field => {
+    snapshot[field] = auditValue(rows[0][field]);
+  });
+  return snapshot;
+}
+
+/**
+ * Actor of a kiosk request (staff token and device)
+ * @param {Object} req - Express request
+ * @param {string} [staffCode] - Staff member of an offline event (default: req.kioskStaff)
+ * @returns {Object}
+ */
+function kioskActor(req, staffCode) {
+  return {
+    type: 'staff',
+    staff_code: staffCode || (req.kioskStaff && req.kioskStaff.staff_code) || null,
+    device_id: (req.kioskDevice && req.kioskDevice.device_id) || null
+  };
+}
+
+/**
+ * Actor of an admin request (logged-in user)
+ * @param {Object} req - Express request
+ * @returns {Object}
+ */
+function userActor(req) {
+  return {
+    type: 'user',
+    user_id: req.userContext.user_id || null
+  };
+}
+
+const SYSTEM_ACTOR = { type: 'system' };
+
+/**
+ * Record a shift change
+ * Stores only the fields that differ between before and the shift as it is now.
+ * Throws on failure so the caller's transaction rolls back with the change.
+ *
+ * @param {Object} conn - Connection (the caller's transaction)
+ * @param {Object} entry
+ * @param {number|string} entry.shiftId - shifts.id
+ * @param {string} entry.action - CLOCK_IN | BREAK_START | BREAK_END | CLOCK_OUT | AUTO_CLOSE | EDIT | APPROVAL
+ * @param {string} entry.source - kiosk | offline_sync | admin | system
+ * @param {Object} entry.actor - kioskActor(), userActor() or SYSTEM_ACTOR
+ * @param {Object|null} entry.before - getShiftSnapshot() taken before the change (null for a new shift)
+ * @param {string} [entry.reason] - Why the change was made
+ * @returns {Promise<boolean>} - false when nothing changed (no entry written)
+ */
+async function recordShiftAudit(conn, { shiftId, action, source, actor, before, reason = null }) {
+  const after = await getShiftSnapshot(conn, shiftId);
+
+  let beforeValues = null;
+  const afterValues = {};
+  AUDITED_FIELDS.forEach(field => {
+    const oldValue = before ? before[field] : null;
+    const newValue = after ? after[field] : null;
+    if (before && String(oldValue) === String(newValue)) return;
+    if (before) {
+      beforeValues = beforeValues || {};
+      beforeValues[field] = oldValue;
+    }
+    afterValues[field] = newValue;
+  });
+
+  if (before && !beforeValues) return false;
+
+  await conn.execute(`
+    INSERT INTO shift_audit
+      (shift_id, action, source, actor_type, actor_user_id, actor_staff_code, device_id, reason, before_values, after_values)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    shiftId,
+    action,
+    source,
+    actor.type,
+    actor.user_id || null,
+    actor.staff_code || null,
+    actor.device_id || null,
+    reason,
+    beforeValues ? JSON.stringify(beforeValues) : null,
+    JSON.stringify(afterValues)
+  ]);
+
+  return true;
+}
+
+module.exports = {
+  AUDITED_FIELDS,
+  SYSTEM_ACTOR,
+  getShiftSnapshot,
+  kioskActor,
+  userActor,
+  recordShiftAudit
+};
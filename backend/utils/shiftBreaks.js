@@ -0,0 +1,208 @@
+/**
+ * Shift Breaks Utility
+ * Individual break records (see schema/23_shift_breaks.sql)
+ *
+ * Each kiosk break-in opens a shift_breaks row and break-out closes it. As a
+ * break closes its minutes are split into paid and unpaid by the venue's rules
+ * (schema/24_paid_breaks.sql) and added to shifts.break_minutes and
+ * shifts.unpaid_break_minutes; only the unpaid minutes are deducted from pay.
+ */
+
+const BREAK_TYPES = ['unpaid', 'paid', 'meal'];
+const DEFAULT_BREAK_TYPE = 'unpaid';
+
+// Venue without paid break rules: the kiosk's rest break is paid in full
+const DEFAULT_PAID_BREAK_TYPES = ['paid'];
+
+/**
+ * Read a venue's paid break rules from its row
+ * @param {Object} venue - { paid_break_types, paid_break_max_minutes }
+ * @returns {Object} - { paidTypes, maxPaidMinutes }
+ */
+function breakPolicy(venue = {}) {
+  let paidTypes = venue.paid_break_types;
+  if (typeof paidTypes === 'string') {
+    try {
+      paidTypes = JSON.parse(paidTypes);
+    } catch (err) {
+      paidTypes = null;
+    }
+  }
+
+  return {
+    paidTypes: Array.isArray(paidTypes) ? paidTypes : DEFAULT_PAID_BREAK_TYPES,
+    maxPaidMinutes: venue.paid_break_max_minutes !== null && venue.paid_break_max_minutes !== undefined
+      ? Number(venue.paid_break_max_minutes)
+      : null
+  };
+}
+
+/**
+ * Split a break's minutes into paid and unpaid
+ * @param {string} breakType - unpaid | paid | meal
+ * @param {number} minutes - Break length
+ * @param {Object} policy - breakPolicy()
+ * @returns {Object} - { paidMinutes, unpaidMinutes }
+ */
+function splitBreakMinutes(breakType, minutes, policy) {
+  if (!policy.paidTypes.includes(breakType)) {
+    return { paidMinutes: 0, unpaidMinutes: minutes };
+  }
+
+  const paidMinutes = policy.maxPaidMinutes === null ? minutes : Math.min(minutes, policy.maxPaidMinutes);
+  return { paidMinutes, unpaidMinutes: minutes - paidMinutes };
+}
+
+/**
+ * Validate paid break rules from a venue update
+ * @param {Object} body - { paid_break_types, paid_break_max_minutes }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBreakPolicy({ paid_break_types, paid_break_max_minutes }) {
+  if (paid_break_types !== undefined && paid_break_types !== null) {
+    if (!Array.isArray(paid_break_types) || paid_break_types.some(type => !BREAK_TYPES.includes(type))) {
+      return `paid_break_types must be a list of: ${BREAK_TYPES.join(', ')}`;
+    }
+  }
+  if (paid_break_max_minutes !== undefined && paid_break_max_minutes !== null && paid_break_max_minutes !== '') {
+    const max = Number(paid_break_max_minutes);
+    if (!Number.isInteger(max) || max < 0) {
+      return 'paid_break_max_minutes must be a whole number of minutes';
+    }
+  }
+  return null;
+}
+
+/**
+ * Open a break on a shift
+ *
+ * @param {Object} conn - Connection (the caller's transaction)
+ * @param {number|string} shiftId - shifts.id
+ * @param {Object} params
+ * @param {string} [params.type] - unpaid | paid | meal (default unpaid)
+ * @param {Date|string} [params.at] - Break start (default: database NOW())
+ * @returns {Promise<number>} - shift_breaks.id
+ */
+async function openBreak(conn, shiftId, { type = DEFAULT_BREAK_TYPE, at = null } = {}) {
+  const [result] = await conn.execute(
+    'INSERT INTO shift_breaks (shift_id, break_type, break_start) VALUES (?, ?, COALESCE(?, NOW()))',
+    [shiftId, type, at]
+  );
+  return result.insertId;
+}
+
+/**
+ * Close a shift's open break and add its minutes to the shift's break totals
+ * A break is never closed before it started. Shifts put on break before break
+ * records existed have no open row; one is written from last_action_time.
+ *
+ * @param {Object} conn - Connection (the caller's transaction)
+ * @param {number|string} shiftId - shifts.id
+ * @param {Date|string} [at] - Break end (default: database NOW())
+ * @returns {Promise<Object|null>} - { id, break_type, minutes, paid_minutes, unpaid_minutes },
+ *                                   or null when the shift had no open break
+ */
+async function closeOpenBreak(conn, shiftId, at = null) {
+  let [open] = await conn.execute(
+    'SELECT id, break_type, break_start FROM shift_breaks WHERE shift_id = ? AND break_end IS NULL ORDER BY break_start DESC LIMIT 1 FOR UPDATE',
+    [shiftId]
+  );
+
+  if (open.length === 0) {
+    const [legacy] = await conn.execute(
+      "SELECT last_action_time FROM shifts WHERE id = ? AND shift_state = 'ON_BREAK' AND last_action_time IS NOT NULL",
+      [shiftId]
+    );
+    if (legacy.length === 0) return null;
+
+    const id = await openBreak(conn, shiftId, { at: legacy[0].last_action_time });
+    open = [{ id, break_type: DEFAULT_BREAK_TYPE, break_start: legacy[0].last_action_time }];
+  }
+
+  if (at) {
+    const breakEnd = new Date(Math.max(new Date(open[0].break_start).getTime(), new Date(at).getTime()));
+    await conn.execute(
+      'UPDATE shift_breaks SET break_end = ?, minutes = TIMESTAMPDIFF(MINUTE, break_start, ?) WHERE id = ?',
+      [breakEnd, breakEnd, open[0].id]
+    );
+  } else {
+    await conn.execute(
+      'UPDATE shift_breaks SET break_end = NOW(), minutes = GREATEST(TIMESTAMPDIFF(MINUTE, break_start, NOW()), 0) WHERE id = ?',
+      [open[0].id]
+    );
+  }
+
+  const [[closed]] = await conn.execute(`
+    SELECT b.minutes, v.paid_break_types, v.paid_break_max_minutes
+    FROM shift_breaks b
+    JOIN shifts s ON s.id = b.shift_id
+    LEFT JOIN venues v ON v.venue_code = s.venue_code
+    WHERE b.id = ?
+  `, [open[0].id]);
+
+  const { paidMinutes, unpaidMinutes } = splitBreakMinutes(open[0].break_type, closed.minutes, breakPolicy(closed));
+
+  await conn.execute('UPDATE shift_breaks SET paid_minutes = ? WHERE id = ?', [paidMinutes, open[0].id]);
+  await conn.execute(
+    'UPDATE shifts SET break_minutes = IFNULL(break_minutes, 0) + ?, unpaid_break_minutes = unpaid_break_minutes + ? WHERE id = ?',
+    [closed.minutes, unpaidMinutes, shiftId]
+  );
+
+  return {
+    id: open[0].id,
+    break_type: open[0].break_type,
+    minutes: closed.minutes,
+    paid_minutes: paidMinutes,
+    unpaid_minutes: unpaidMinutes
+  };
+}
+
+/**
+ * Load the breaks of several shifts
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {Array<number>} shiftIds - shifts.id values
+ * @returns {Promise<Map>} - shift id → [{ id, break_type, break_start, break_end, minutes, paid_minutes }] in start order
+ */
+async function getBreaksForShifts(conn, shiftIds) {
+  const breaks = new Map(shiftIds.map(id => [id, []]));
+  if (shiftIds.length === 0) return breaks;
+
+  const [rows] = await conn.query(
+    `SELECT id, shift_id, break_type, break_start, break_end, minutes, paid_minutes
+     FROM shift_breaks
+     WHERE shift_id IN (?)
+     ORDER BY break_start ASC, id ASC`,
+    [shiftIds]
+  );
+
+  rows.forEach(({ shift_id, ...row }) => {
+    if (!breaks.has(shift_id)) breaks.set(shift_id, []);
+    breaks.get(shift_id).push(row);
+  });
+  return breaks;
+}
+
+/**
+ * Add a breaks list to each shift row
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {Array<Object>} rows - Rows with an id column
+ * @returns {Promise<Array<Object>>} - The same rows, each with breaks: [...]
+ */
+async function attachBreaks(conn, rows) {
+  const breaks = await getBreaksForShifts(conn, rows.map(row => row.id));
+  return rows.map(row => ({ ...row, breaks: breaks.get(row.id) || [] }));
+}
+
+module.exports = {
+  BREAK_TYPES,
+  DEFAULT_BREAK_TYPE,
+  breakPolicy,
+  splitBreakMinutes,
+  validateBreakPolicy,
+  openBreak,
+  closeOpenBreak,
+  getBreaksForShifts,
+  attachBreaks
+};
@@ -0,0 +1,245 @@
+/**
+ * Shift Compliance Utility
+ * Break and rest rule checks (see schema/25_shift_compliance.sql)
+ *
+ * Shifts are checked when they close (kiosk clock-out, offline sync, auto-close)
+ * and when their times are edited. Violations are stored per shift as flags that
+ * must be acknowledged before the shift can be approved.
+ */
+
+// More than this many hours in a row needs a meal break
+const MEAL_BREAK_AFTER_HOURS = 5;
+
+// Shortest break of each type that counts; unpaid ("other") breaks have no minimum
+const MIN_BREAK_MINUTES = { meal: 30, paid: 10 };
+
+// Breaks that can serve as the meal break (unpaid breaks are usually taken as one)
+const MEAL_BREAK_TYPES = ['meal', 'unpaid'];
+
+// Shortest rest between the end of one shift and the start of the next
+const MIN_REST_HOURS = 10;
+
+const BREAK_NAMES = { meal: 'Meal break', paid: 'Rest break' };
+
+/**
+ * Round hours for flag details, e.g. 6.5
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number}
+ */
+function hoursOf(ms) {
+  return Math.round(ms / 360000) / 10;
+}
+
+/**
+ * Find a closed shift's rule violations
+ *
+ * @param {Object} shift - { clock_in, clock_out, break_minutes }
+ * @param {Array} breaks - The shift's shift_breaks rows
+ * @param {Date|string|null} previousClockOut - Clock-out of the staff member's previous shift
+ * @returns {Array<Object>} - [{ rule, detail }]
+ */
+function findViolations(shift, breaks, previousClockOut) {
+  const violations = [];
+  const clockIn = new Date(shift.clock_in);
+  const clockOut = new Date(shift.clock_out);
+  const closed = breaks.filter(b => b.break_end && b.minutes !== null && b.minutes !== undefined);
+
+  // Longest stretch worked between meal breaks. Shifts from before individual
+  // breaks were recorded only have a total, so a long enough total is accepted.
+  const legacyMealBreak = breaks.length === 0 && (shift.break_minutes || 0) >= MIN_BREAK_MINUTES.meal;
+  if (!legacyMealBreak) {
+    const mealBreaks = closed
+      .filter(b => MEAL_BREAK_TYPES.includes(b.break_type) && b.minutes >= MIN_BREAK_MINUTES.meal)
+      .sort((a, b) => new Date(a.break_start) - new Date(b.break_start));
+
+    let stretchStart = clockIn;
+    let longest = 0;
+    mealBreaks.forEach(b => {
+      longest = Math.max(longest, new Date(b.break_start) - stretchStart);
+      stretchStart = new Date(b.break_end);
+    });
+    longest = Math.max(longest, clockOut - stretchStart);
+
+    if (longest > MEAL_BREAK_AFTER_HOURS * 3600000) {
+      violations.push({
+        rule: 'MEAL_BREAK_MISSING',
+        detail: `Worked ${hoursOf(longest)}h without a meal break`
+      });
+    }
+  }
+
+  const short = closed.filter(b => MIN_BREAK_MINUTES[b.break_type] && b.minutes < MIN_BREAK_MINUTES[b.break_type]);
+  if (short.length > 0) {
+    violations.push({
+      rule: 'BREAK_TOO_SHORT',
+      detail: short
+        .map(b => `${BREAK_NAMES[b.break_type]} of ${b.minutes} min (minimum ${MIN_BREAK_MINUTES[b.break_type]})`)
+        .join('; ')
+    });
+  }
+
+  if (previousClockOut) {
+    const rest = clockIn - new Date(previousClockOut);
+    if (rest < MIN_REST_HOURS * 3600000) {
+      violations.push({
+        rule: 'SHORT_REST',
+        detail: `${hoursOf(rest)}h rest after the previous shift (minimum ${MIN_REST_HOURS}h)`
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check a shift and replace its stored flags
+ * An acknowledgement is kept for a flag whose detail has not changed.
+ *
+ * @param {Object} conn - Connection (the caller's transaction)
+ * @param {number|string} shiftId - shifts.id
+ * @returns {Promise<Array<Object>>} - [{ rule, detail }] (empty for an open or missing shift)
+ */
+async function checkShiftCompliance(conn, shiftId) {
+  const [shifts] = await conn.execute(
+    'SELECT id, staff_code, clock_in, clock_out, break_minutes FROM shifts WHERE id = ? LIMIT 1',
+    [shiftId]
+  );
+  if (shifts.length === 0 || !shifts[0].clock_out) return [];
+  const shift = shifts[0];
+
+  const [breaks] = await conn.execute(
+    'SELECT break_type, break_start, break_end, minutes FROM shift_breaks WHERE shift_id = ?',
+    [shiftId]
+  );
+
+  const [previous] = await conn.execute(
+    `SELECT clock_out FROM shifts
+     WHERE staff_code = ?
+       AND id <> ?
+       AND approval_status <> 'DISCARDED'
+       AND clock_out IS NOT NULL
+       AND clock_out <= ?
+     ORDER BY clock_out DESC
+     LIMIT 1`,
+    [shift.staff_code, shiftId, shift.clock_in]
+  );
+
+  const violations = findViolations(shift, breaks, previous.length ? previous[0].clock_out : null);
+
+  const [existing] = await conn.execute(
+    'SELECT rule, detail, acknowledged_by, acknowledged_at FROM shift_compliance_flags WHERE shift_id = ?',
+    [shiftId]
+  );
+  await conn.execute('DELETE FROM shift_compliance_flags WHERE shift_id = ?', [shiftId]);
+
+  for (const violation of violations) {
+    const kept = existing.find(flag => flag.rule === violation.rule && flag.detail === violation.detail);
+    await conn.execute(
+      `INSERT INTO shift_compliance_flags (shift_id, rule, detail, acknowledged_by, acknowledged_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [shiftId, violation.rule, violation.detail, kept ? kept.acknowledged_by : null, kept ? kept.acknowledged_at : null]
+    );
+  }
+
+  if (violations.length > 0) {
+    console.warn(`[COMPLIANCE] ⚠️  Shift ${shiftId}: ${violations.map(v => v.detail).join('; ')}`);
+  }
+
+  return violations;
+}
+
+/**
+ * Re-check the staff member's next closed shift after a point in time
+ * Its rest period depends on the clock-out of the shift before it.
+ *
+ * @param {Object} conn - Connection (the caller's transaction)
+ * @param {string} staffCode - staff.staff_code
+ * @param {Date|string} after - Clock-out of the earlier shift
+ * @returns {Promise<number|null>} - Id of the shift re-checked, or null when there is none
+ */
+async function checkNextShiftCompliance(conn, staffCode, after) {
+  const [next] = await conn.execute(
+    `SELECT id FROM shifts
+     WHERE staff_code = ?
+       AND approval_status <> 'DISCARDED'
+       AND clock_out IS NOT NULL
+       AND clock_in >= ?
+     ORDER BY clock_in ASC
+     LIMIT 1`,
+    [staffCode, after]
+  );
+  if (next.length === 0) return null;
+
+  await checkShiftCompliance(conn, next[0].id);
+  return next[0].id;
+}
+
+/**
+ * Load the compliance flags of several shifts
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {Array<number>} shiftIds - shifts.id values
+ * @param {Object} [options]
+ * @param {boolean} [options.unacknowledgedOnly] - Leave out acknowledged flags
+ * @returns {Promise<Map>} - shift id → [{ rule, detail, acknowledged_by, acknowledged_at }]
+ */
+async function getComplianceFlags(conn, shiftIds, { unacknowledgedOnly = false } = {}) {
+  const flags = new Map(shiftIds.map(id => [id, []]));
+  if (shiftIds.length === 0) return flags;
+
+  const [rows] = await conn.query(
+    `SELECT shift_id, rule, detail, acknowledged_by, acknowledged_at
+     FROM shift_compliance_flags
+     WHERE shift_id IN (?)${unacknowledgedOnly ? ' AND acknowledged_at IS NULL' : ''}
+     ORDER BY id ASC`,
+    [shiftIds]
+  );
+
+  rows.forEach(({ shift_id, ...row }) => {
+    if (!flags.has(shift_id)) flags.set(shift_id, []);
+    flags.get(shift_id).push(row);
+  });
+  return flags;
+}
+
+/**
+ * Add a compliance_flags list to each shift row
+ *
+ * @param {Object} conn - Connection or pool
+ * @param {Array<Object>} rows - Rows with an id column
+ * @returns {Promise<Array<Object>>} - The same rows, each with compliance_flags: [...]
+ */
+async function attachComplianceFlags(conn, rows) {
+  const flags = await getComplianceFlags(conn, rows.map(row => row.id));
+  return rows.map(row => ({ ...row, compliance_flags: flags.get(row.id) || [] }));
+}
+
+/**
+ * Acknowledge a shift's open flags
+ *
+ * @param {Object} conn - Connection (the caller's transaction)
+ * @param {number|string} shiftId - shifts.id
+ * @param {number|null} userId - users.id of the approver
+ * @returns {Promise<number>} - Flags acknowledged
+ */
+async function acknowledgeComplianceFlags(conn, shiftId, userId) {
+  const [result] = await conn.execute(
+    `UPDATE shift_compliance_flags
+     SET acknowledged_by = ?, acknowledged_at = NOW()
+     WHERE shift_id = ? AND acknowledged_at IS NULL`,
+    [userId, shiftId]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  MEAL_BREAK_AFTER_HOURS,
+  MIN_BREAK_MINUTES,
+  MIN_REST_HOURS,
+  findViolations,
+  checkShiftCompliance,
+  checkNextShiftCompliance,
+  getComplianceFlags,
+  attachComplianceFlags,
+  acknowledgeComplianceFlags
+};
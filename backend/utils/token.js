@@ -0,0 +1,126 @@
+/**
+ * Token Utility
+ * Signs and verifies HMAC-SHA256 access tokens (JWT compatible, HS256)
+ * and generates opaque refresh tokens
+ *
+ * @example
+ * const token = require('./utils/token');
+ *
+ * // Sign a token valid for 15 minutes
+ * const accessToken = token.sign({ sub: 12, sid: 'abc' }, 900);
+ *
+ * // Verify (throws TokenError if invalid or expired)
+ * const claims = token.verify(accessToken);
+ */
+
+const crypto = require('crypto');
+const { SESSION_SECRET } = require('../config/env');
+
+// Tokens signed with a missing or guessable secret could be forged by anyone,
+// so the server refuses to start without a real one
+const MIN_SECRET_LENGTH = 32;
+const PLACEHOLDER_SECRETS = ['replace-with-a-long-random-string', 'change-this-session-secret'];
+
+if (!SESSION_SECRET || SESSION_SECRET.length < MIN_SECRET_LENGTH || PLACEHOLDER_SECRETS.includes(SESSION_SECRET)) {
+  throw new Error(
+    `SESSION_SECRET must be set to a random string of at least ${MIN_SECRET_LENGTH} characters ` +
+    '(see backend/.env.example)'
+  );
+}
+
+/**
+ * Error thrown when a token cannot be verified
+ * code is one of: TOKEN_MISSING, TOKEN_INVALID, TOKEN_EXPIRED
+ */
+class TokenError extends Error {
+  constructor(message, code = 'TOKEN_INVALID') {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+    this.statusCode = 401;
+  }
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Sign a payload into an access token
+ * @param {Object} payload - Claims to embed (sub, sid, access_level, ...)
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+function sign(payload, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds }));
+  return `${header}.${body}.${hmac(`${header}.${body}`)}`;
+}
+
+/**
+ * Verify a token signature and expiry
+ * @param {string} token - Token to verify
+ * @returns {Object} Decoded claims
+ * @throws {TokenError} When token is missing, malformed, tampered with or expired
+ */
+function verify(token) {
+  if (!token) {
+    throw new TokenError('Authentication token required', 'TOKEN_MISSING');
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new TokenError('Malformed token');
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(hmac(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new TokenError('Invalid token signature');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    throw new TokenError('Malformed token payload');
+  }
+
+  if (!claims.exp || Math.floor(Date.now() / 1000) >= claims.exp) {
+    throw new TokenError('Token expired', 'TOKEN_EXPIRED');
+  }
+
+  return claims;
+}
+
+/**
+ * Generate an opaque random token (refresh tokens, device tokens)
+ * @returns {string} 96-character hex string
+ */
+function generateOpaqueToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * Hash an opaque token for storage (tokens are never stored in plain text)
+ * @param {string} token - Opaque token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  TokenError,
+  sign,
+  verify,
+  generateOpaqueToken,
+  hashToken
+};
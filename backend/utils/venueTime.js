@@ -0,0 +1,127 @@
+/**
+ * Venue Time Utility
+ * Wall-clock dates and midnights in a venue's timezone (venues.timezone)
+ *
+ * Shift timestamps are instants; which calendar day they fall on depends on the
+ * venue, not the server. These helpers use Intl, so DST changes are handled
+ * without a timezone library.
+ */
+
+// Same fallback the kiosk login uses when a venue has no timezone
+const DEFAULT_TIMEZONE = 'Australia/Sydney';
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter for a timezone, falling back to the default for unknown zones
+ * @param {string} timeZone - IANA timezone, e.g. 'Australia/Hobart'
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  const zone = timeZone || DEFAULT_TIMEZONE;
+  if (!formatters.has(zone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-AU', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+      });
+    } catch (err) {
+      console.warn(`[VENUE TIME] ⚠️  Unknown timezone "${zone}", using ${DEFAULT_TIMEZONE}`);
+      formatter = getFormatter(DEFAULT_TIMEZONE);
+    }
+    formatters.set(zone, formatter);
+  }
+  return formatters.get(zone);
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date|string} date
+ * @param {string} timeZone
+ * @returns {Object} { year, month, day, hour, minute, second } (month is 1-12)
+ */
+function getLocalParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in a timezone
+ * @param {Date|string} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function localDateString(date, timeZone) {
+  const { year, month, day } = getLocalParts(date, timeZone);
+  const pad = n => String(n).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Day of week (0 = Sunday) of a YYYY-MM-DD calendar date
+ * @param {string} dateStr
+ * @returns {number}
+ */
+function dayOfWeek(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * The instant a wall-clock time on a calendar date occurs in a timezone
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} timeStr - HH:MM or HH:MM:SS
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function localTimeToInstant(dateStr, timeStr, timeZone) {
+  const [hour, minute, second = 0] = timeStr.split(':').map(Number);
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const target = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Offset at a guess, then once more in case the guess was across a DST change
+  let instant = target;
+  for (let i = 0; i < 2; i++) {
+    const p = getLocalParts(instant, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    instant += target - wallClock;
+  }
+  return new Date(instant);
+}
+
+/**
+ * The instant a calendar date starts (local midnight) in a timezone
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function startOfLocalDay(dateStr, timeZone) {
+  return localTimeToInstant(dateStr, '00:00', timeZone);
+}
+
+/**
+ * Shift a YYYY-MM-DD calendar date by a number of days
+ * @param {string} dateStr
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getLocalParts,
+  localDateString,
+  dayOfWeek,
+  localTimeToInstant,
+  startOfLocalDay,
+  addDays
+};
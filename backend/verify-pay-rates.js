@@ -25,9 +25,9 @@ async function verifyPayRates() {
       });
       console.log('\n💡 Fix: Insert pay rates for these staff members:');
       console.log(`
-INSERT INTO pay_rates (staff_code, weekday_rate, saturday_rate, sunday_rate, public_holiday_rate, overtime_rate, default_hours)
+INSERT INTO pay_rates (staff_code, weekday_rate, saturday_rate, sunday_rate, public_holiday_rate, overtime_rate, default_hours, effective_from)
 VALUES
-  ('STAFF_CODE_HERE', 25.00, 37.50, 50.00, 62.50, 40.00, 38.00);
+  ('STAFF_CODE_HERE', 25.00, 37.50, 50.00, 62.50, 40.00, 38.00, CURDATE());
       `);
     } else {
       console.log('✅ All active staff have pay rates configured');
@@ -56,6 +56,7 @@ VALUES
       FROM pay_rates pr
       JOIN staff s ON pr.staff_code = s.staff_code
       WHERE s.employment_status = 'active'
+        AND pr.effective_from <= CURDATE() AND (pr.effective_to IS NULL OR pr.effective_to >= CURDATE())
       ORDER BY s.first_name, s.last_name
     `);
 
@@ -78,6 +79,7 @@ VALUES
       FROM shifts s
       LEFT JOIN venues v ON s.venue_code = v.venue_code
       LEFT JOIN pay_rates pr ON s.staff_code = pr.staff_code
+        AND pr.effective_from <= DATE(s.clock_in) AND (pr.effective_to IS NULL OR pr.effective_to >= DATE(s.clock_in))
       WHERE s.shift_state IN ('ACTIVE', 'ON_BREAK')
     `);
 
@@ -107,6 +107,13 @@ async function loadModule(sectionId) {
                 console.log('[LazyLoad] Payroll module loaded and initialized');
                 break;
 
+            case 'settingsSection':
+                module = await import('./security.js');
+                loadedModules[sectionId] = module;
+                module.initSecurityModule();
+                console.log('[LazyLoad] Security module loaded and initialized');
+                break;
+
             default:
                 console.log('[LazyLoad] No module to load for:', sectionId);
                 return null;
@@ -145,6 +152,9 @@ async function loadSectionData(sectionId) {
             case 'payrollSection':
                 await module.loadPayrollSummary();
                 break;
+            case 'settingsSection':
+                await module.loadLockouts();
+                break;
             case 'dashboardSection':
                 await loadDashboardMetrics();
                 break;
@@ -284,8 +294,18 @@ function setupLogout() {
 /**
  * Handle logout
  */
-function handleLogout() {
+async function handleLogout() {
     if (confirm('Are you sure you want to logout?')) {
+        // Revoke the session server-side; clear locally even if the call fails
+        try {
+            await apiRequest('/logout', {
+                method: 'POST',
+                body: JSON.stringify({ refresh_token: Storage.getRefreshToken() })
+            }, 0);
+        } catch (error) {
+            console.warn('Logout request failed:', error);
+        }
+
         Storage.clearUser();
         showToast('Logged out successfully', 'success');
         setTimeout(() => {
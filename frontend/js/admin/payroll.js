@@ -1,6 +1,7 @@
 import { apiRequest } from '../utils/api.js';
 import { showToast, Loading } from '../utils/ui.js';
 import { Storage } from '../utils/storage.js';
+import { renderBreaks } from '../utils/breaks.js';
 
 let currentFrom = '';
 let currentTo = '';
@@ -77,8 +78,11 @@ export async function loadPayrollSummary() {
       return;
     }
 
+    // Shifts without pay rates are not in the totals below; list them separately
+    loadNeedsAttention();
+
     console.log('[Payroll] Fetching payroll summary with params:', { businessCode, from: currentFrom, to: currentTo });
-    const res = await apiRequest(`/system-admin/payroll/staff?business_code=${businessCode}&from=${currentFrom}&to=${currentTo}`);
+    const res = await apiRequest(`/system-admin/payroll/staff?from=${currentFrom}&to=${currentTo}`);
     const container = document.getElementById('payrollStaffList');
 
     if (!container) {
@@ -108,6 +112,10 @@ export async function loadPayrollSummary() {
                 ${staff.total_shifts} shift${staff.total_shifts !== 1 ? 's' : ''} •
                 ${parseFloat(staff.total_hours).toFixed(2)} hrs
               </small><br>
+              ${parseFloat(staff.overtime_hours) > 0 ? `
+              <small class="text-warning">Overtime: ${parseFloat(staff.overtime_hours).toFixed(2)} hrs ($${parseFloat(staff.overtime_pay).toFixed(2)})</small><br>` : ''}
+              ${parseFloat(staff.penalty_pay) > 0 ? `
+              <small class="text-info">Penalties &amp; allowances: $${parseFloat(staff.penalty_pay).toFixed(2)}</small><br>` : ''}
               <small class="text-muted">Breaks: ${staff.total_break_minutes} min</small>
             </div>
             <div class="text-end fw-bold text-success">
@@ -133,6 +141,52 @@ export async function loadPayrollSummary() {
   }
 }
 
+/**
+ * Load shifts held out of payroll because the staff member has no pay rate
+ * for the shift date. They are re-priced automatically once rates are entered.
+ */
+async function loadNeedsAttention() {
+  const container = document.getElementById('payrollNeedsAttention');
+  if (!container) return;
+
+  try {
+    const res = await apiRequest('/system-admin/payroll/needs-attention');
+
+    if (!res.success || !res.data?.length) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+
+    const rows = res.data.map(shift => `
+      <tr>
+        <td>${shift.name} <small class="text-muted">(${shift.staff_code})</small></td>
+        <td>${new Date(shift.clock_in).toLocaleDateString('en-AU', { day: '2-digit', month: 'short', year: 'numeric' })}</td>
+        <td>${parseFloat(shift.hours_worked || 0).toFixed(2)}</td>
+        <td><small class="text-muted">${shift.venue_name}</small></td>
+      </tr>`).join('');
+
+    container.innerHTML = `
+      <div class="alert alert-warning mb-0">
+        <h6 class="alert-heading mb-2">
+          <i class="fas fa-exclamation-triangle me-2"></i>Needs attention: ${res.data.length} shift${res.data.length !== 1 ? 's' : ''} without a pay rate
+        </h6>
+        <p class="small mb-2">
+          These shifts are not included in payroll. Enter pay rates for the staff member and they will be re-priced automatically.
+        </p>
+        <table class="table table-sm mb-0">
+          <thead>
+            <tr><th>Staff</th><th>Date</th><th>Hours</th><th>Venue</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+    container.style.display = '';
+  } catch (err) {
+    console.error('Error loading shifts needing attention:', err);
+  }
+}
+
 /**
  * Toggle payroll breakdown for a staff member
  * Shows/hides detailed shift information
@@ -170,7 +224,7 @@ async function togglePayrollBreakdown(item) {
 
     console.log('[Payroll Breakdown] Fetching breakdown with params:', { staffCode, businessCode, from: currentFrom, to: currentTo });
     const res = await apiRequest(
-      `/system-admin/payroll/breakdown?staff_code=${staffCode}&business_code=${businessCode}&from=${currentFrom}&to=${currentTo}`
+      `/system-admin/payroll/breakdown?staff_code=${staffCode}&from=${currentFrom}&to=${currentTo}`
     );
 
     if (!res.success || !res.data?.length) {
@@ -221,9 +275,19 @@ async function togglePayrollBreakdown(item) {
           <td>${formattedDate}</td>
           <td>${shift.start_time}</td>
           <td>${shift.end_time}</td>
-          <td>${shift.break_minutes || 0} min</td>
-          <td>${parseFloat(shift.hours_worked).toFixed(2)}</td>
-          <td>$${parseFloat(shift.total_pay).toFixed(2)}</td>
+          <td>
+            ${shift.break_minutes || 0} min
+            ${shift.breaks && shift.breaks.length > 0 ? renderBreaks(shift.breaks) : ''}
+          </td>
+          <td>
+            ${parseFloat(shift.hours_worked).toFixed(2)}
+            ${parseFloat(shift.overtime_hours) > 0 ? `<br><small class="text-warning">${parseFloat(shift.overtime_hours).toFixed(2)} OT</small>` : ''}
+          </td>
+          <td>
+            $${parseFloat(shift.total_pay).toFixed(2)}
+            ${renderPaySegments(shift.pay_segments)}
+            ${renderPenalties(shift.penalty_breakdown)}
+          </td>
           <td><small class="text-muted">${shift.venue_name}</small></td>
         </tr>`;
     });
@@ -251,6 +315,46 @@ async function togglePayrollBreakdown(item) {
   }
 }
 
+/**
+ * Render the per-day pay of a shift that crosses midnight
+ * Single-day shifts (and shifts priced before segments existed) render nothing.
+ *
+ * @param {Array|string|null} segments - shifts.pay_segments
+ * @returns {string} HTML
+ */
+function renderPaySegments(segments) {
+  const list = typeof segments === 'string' ? JSON.parse(segments) : segments;
+  if (!Array.isArray(list) || list.length < 2) return '';
+
+  const labels = {
+    WEEKDAY: 'Weekday',
+    SATURDAY: 'Sat',
+    SUNDAY: 'Sun',
+    PUBLIC_HOLIDAY: 'Public holiday'
+  };
+
+  return list.map(seg => `
+    <br><small class="text-muted">
+      ${labels[seg.payday_type] || seg.payday_type}: ${Number(seg.hours).toFixed(2)}h @ $${Number(seg.rate).toFixed(2)} = $${Number(seg.pay).toFixed(2)}
+    </small>`).join('');
+}
+
+/**
+ * Render the pay rules applied to a shift (loadings, allowances, minimum engagement)
+ *
+ * @param {Array|string|null} penalties - shifts.penalty_breakdown
+ * @returns {string} HTML
+ */
+function renderPenalties(penalties) {
+  const list = typeof penalties === 'string' ? JSON.parse(penalties) : penalties;
+  if (!Array.isArray(list) || list.length === 0) return '';
+
+  return list.map(p => `
+    <br><small class="text-info">
+      + ${p.name}${p.hours > 0 ? ` (${Number(p.hours).toFixed(2)}h)` : ''}: $${Number(p.amount).toFixed(2)}
+    </small>`).join('');
+}
+
 /**
  * Export payroll data (placeholder for future implementation)
  */
@@ -0,0 +1,123 @@
+/**
+ * Security Module
+ * Lists login, kiosk and PIN lockouts and lets managers clear them
+ */
+
+import { apiRequest } from '../utils/api.js';
+import { Storage } from '../utils/storage.js';
+import { showToast } from '../utils/ui.js';
+
+const TYPE_LABELS = {
+  login: 'Admin login',
+  kiosk_login: 'Kiosk login',
+  pin: 'Kiosk PIN'
+};
+
+/**
+ * Load and display active lockouts
+ */
+export async function loadLockouts() {
+  const container = document.querySelector('#lockoutList .table-content');
+  if (!container) return;
+
+  // Supervisors cannot view or clear lockouts
+  if (!Storage.hasPermission('security.lockouts')) {
+    container.innerHTML = `
+      <div class="text-center text-muted py-5">
+        <p>Lockouts are visible to managers and system admins only.</p>
+      </div>`;
+    return;
+  }
+
+  try {
+    const response = await apiRequest('/system-admin/security/lockouts');
+    renderLockouts(response.data || []);
+  } catch (error) {
+    console.error('Error loading lockouts:', error);
+    container.innerHTML = `
+      <div class="alert alert-danger m-4" role="alert">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        <strong>Error loading lockouts:</strong> ${error.message}
+      </div>`;
+  }
+}
+
+/**
+ * Render lockouts in a table
+ * @param {Array} lockouts - Lockout records from the API
+ */
+function renderLockouts(lockouts) {
+  const container = document.querySelector('#lockoutList .table-content');
+
+  if (lockouts.length === 0) {
+    container.innerHTML = `
+      <div class="text-center text-muted py-5">
+        <i class="fas fa-lock-open display-1 mb-3"></i>
+        <h5>No active lockouts</h5>
+      </div>`;
+    return;
+  }
+
+  const rows = lockouts.map(l => `
+    <tr>
+      <td>${TYPE_LABELS[l.type] || l.type}</td>
+      <td>${l.kind === 'account' ? (l.staff_code || l.identifier) : `<small>${l.identifier}</small>`}</td>
+      <td>${l.venue_code || '-'}</td>
+      <td>${l.lockouts}</td>
+      <td><small>${new Date(l.locked_until).toLocaleTimeString()}</small></td>
+      <td>
+        <button class="btn btn-sm btn-outline-primary" data-lockout-key="${encodeURIComponent(l.key)}" title="Unlock">
+          <i class="fas fa-unlock"></i>
+        </button>
+      </td>
+    </tr>`).join('');
+
+  container.innerHTML = `
+    <div class="table-responsive">
+      <table class="table table-hover">
+        <thead>
+          <tr>
+            <th>Type</th>
+            <th>Account / Source</th>
+            <th>Venue</th>
+            <th>Lockouts</th>
+            <th>Locked Until</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+
+  container.querySelectorAll('[data-lockout-key]').forEach(btn => {
+    btn.addEventListener('click', () => unlockLockout(decodeURIComponent(btn.dataset.lockoutKey)));
+  });
+}
+
+/**
+ * Clear a lockout
+ * @param {string} key - Lockout key
+ */
+export async function unlockLockout(key) {
+  try {
+    await apiRequest('/system-admin/security/lockouts/unlock', {
+      method: 'POST',
+      body: JSON.stringify({ key })
+    });
+    showToast('Lockout cleared', 'success');
+    await loadLockouts();
+  } catch (error) {
+    console.error('Error clearing lockout:', error);
+    showToast('Failed to clear lockout: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Initialize security module
+ */
+export function initSecurityModule() {
+  const refreshBtn = document.getElementById('refreshLockoutsBtn');
+  if (refreshBtn) {
+    refreshBtn.addEventListener('click', loadLockouts);
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import { api } from '../../utils/api.js';
+import { Storage } from '../../utils/storage.js';
 import { showToast, Loading } from '../../utils/ui.js';
 
 /**
@@ -67,14 +68,35 @@ export async function editStaff(staffCode) {
  * @param {Object} staff - Staff member data
  */
 function populateEditForm(staff) {
-    // TODO: Implement full edit form population
-    console.log('Populating edit form for:', staff);
-    showToast('Edit form population not yet fully implemented', 'info');
+    const form = document.getElementById('editStaffForm');
+    if (!form) return;
+
+    form.reset();
+    form.elements.staff_id.value = staff.staff_code;
+
+    // Inputs are named after the API fields; dates arrive as ISO timestamps
+    const fields = [
+        'first_name', 'middle_name', 'last_name', 'phone_number', 'role_title',
+        'employment_type', 'start_date', 'access_level', 'employment_status', 'email',
+        'weekday_rate', 'saturday_rate', 'sunday_rate', 'public_holiday_rate', 'overtime_rate',
+        'account_holder_name', 'bank_name', 'bank_bsb', 'bank_account_number'
+    ];
+    fields.forEach(field => {
+        const input = form.elements[field];
+        if (!input || staff[field] === null || staff[field] === undefined) return;
+        input.value = input.type === 'date' ? String(staff[field]).slice(0, 10) : staff[field];
+    });
+
+    // Only managers and above may change pay rates; disabled inputs are not submitted
+    const canEditRates = Storage.hasPermission('staff.edit_rates');
+    ['weekday_rate', 'saturday_rate', 'sunday_rate', 'public_holiday_rate', 'overtime_rate'].forEach(field => {
+        if (form.elements[field]) form.elements[field].disabled = !canEditRates;
+    });
 
     // Open edit modal
     const editModal = document.getElementById('editStaffModal');
     if (editModal) {
-        const modal = new bootstrap.Modal(editModal);
+        const modal = bootstrap.Modal.getOrCreateInstance(editModal);
         modal.show();
     }
 }
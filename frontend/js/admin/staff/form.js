@@ -7,7 +7,7 @@ import { api } from '../../utils/api.js';
 import { Storage } from '../../utils/storage.js';
 import { showToast, Loading, showFieldError, clearFieldErrors, debounce } from '../../utils/ui.js';
 import { Validator } from '../../utils/validator.js';
-import { confirmAction } from '../../utils/dialog.js';
+import { promptAction } from '../../utils/dialog.js';
 import { loadStaffList } from './list.js';
 
 // Module state
@@ -80,7 +80,21 @@ function validateStaffForm(form, isEdit = false) {
         ];
     }
 
-    return Validator.validateForm(fields);
+    if (!isEdit) {
+        return Validator.validateForm(fields);
+    }
+
+    // Edit form inputs carry an edit_ prefix; staff code is fixed and disabled
+    // inputs (pay rates without staff.edit_rates) are not submitted
+    delete fields.staff_code;
+    const editFields = {};
+    for (const [name, rules] of Object.entries(fields)) {
+        const input = document.getElementById(`edit_${name}`);
+        if (input && !input.disabled) {
+            editFields[`edit_${name}`] = rules;
+        }
+    }
+    return Validator.validateForm(editFields);
 }
 
 /**
@@ -215,7 +229,7 @@ export async function handleEditStaff(e) {
     }
 
     const formData = new FormData(form);
-    const staffCode = formData.get('staff_code')?.trim();
+    const staffCode = formData.get('staff_id')?.trim();
 
     if (!staffCode) {
         showToast('Staff code is missing', 'error');
@@ -289,34 +303,57 @@ export async function handleEditStaff(e) {
 }
 
 /**
- * Delete staff member with confirmation
- * @param {string} staffCode - Staff code to delete
+ * Terminate (offboard) a staff member
+ * Staff are never deleted - their shifts and pay history are kept
+ * @param {string} staffCode - Staff code to terminate
  * @param {string} fullName - Staff full name for confirmation
  */
-export async function deleteStaff(staffCode, fullName) {
-    const confirmed = await confirmAction(
-        `Are you sure you want to delete <strong>${fullName}</strong>? This action cannot be undone.`,
-        'Confirm Deletion'
+export async function terminateStaff(staffCode, fullName) {
+    const today = new Date().toISOString().slice(0, 10);
+    const answer = await promptAction(
+        `Terminate <strong>${fullName}</strong>? Their login and kiosk PIN will be disabled. Shift and pay history is kept.`,
+        'Terminate Staff Member',
+        {
+            label: 'Reason',
+            placeholder: 'e.g. Resigned',
+            required: true,
+            confirmText: 'Terminate',
+            extraHtml: `
+                <label class="form-label mt-3">Last day of employment</label>
+                <input type="date" name="end_date" class="form-control" value="${today}" required>`
+        }
     );
 
-    if (!confirmed) {
+    if (!answer) {
         return;
     }
 
     try {
-        Loading.show('Deleting staff member...');
+        Loading.show('Terminating staff member...');
 
-        const result = await api.delete(`/system-admin/staff/${staffCode}`);
+        const result = await api.post(`/system-admin/staff/${encodeURIComponent(staffCode)}/terminate`, {
+            reason: answer.value,
+            end_date: answer.form.elements.end_date.value
+        });
 
         if (result.success) {
-            showToast(`Staff member ${fullName} deleted successfully`, 'success');
+            const { outstanding } = result.data || {};
+            if (outstanding && outstanding.unapproved_shifts > 0) {
+                showToast(
+                    `${fullName} terminated. ${outstanding.unapproved_shifts} shift(s) / ${outstanding.unapproved_hours.toFixed(2)}h still need approval before final pay.`,
+                    'warning',
+                    8000
+                );
+            } else {
+                showToast(`${fullName} terminated`, 'success');
+            }
             await loadStaffList();
         } else {
-            showToast(result.error || 'Failed to delete staff member', 'error');
+            showToast(result.error || 'Failed to terminate staff member', 'error');
         }
     } catch (error) {
-        console.error('Error deleting staff:', error);
-        showToast('Error deleting staff: ' + error.message, 'error');
+        console.error('Error terminating staff:', error);
+        showToast('Error terminating staff: ' + error.message, 'error');
     } finally {
         Loading.hide();
     }
@@ -334,5 +371,5 @@ export function initForms() {
     if (editForm) setupDirtyFormDetection(editForm);
 }
 
-// Export delete function to window for onclick handlers (temporary until full refactor)
-window.deleteStaff = deleteStaff;
+// Export terminate function to window for onclick handlers (temporary until full refactor)
+window.terminateStaff = terminateStaff;
@@ -17,7 +17,7 @@ import {
 import {
     handleAddStaff,
     handleEditStaff,
-    deleteStaff
+    terminateStaff
 } from './form.js';
 
 import {
@@ -111,7 +111,7 @@ export {
     // Form operations
     handleAddStaff,
     handleEditStaff,
-    deleteStaff,
+    terminateStaff,
 
     // Detail operations
     viewStaff,
@@ -221,10 +221,15 @@ function renderStaffList(staff) {
             <tbody>
     `;
 
+    // Supervisors can edit staff but not offboard them
+    const canTerminate = Storage.hasPermission('staff.delete');
+
     staff.forEach(s => {
         const statusBadge = s.employment_status === 'active'
             ? '<span class="badge bg-success">Active</span>'
-            : '<span class="badge bg-secondary">Inactive</span>';
+            : s.employment_status === 'terminated'
+                ? '<span class="badge bg-danger">Terminated</span>'
+                : '<span class="badge bg-secondary">Inactive</span>';
 
         const fullName = `${s.first_name || ''} ${s.middle_name ? s.middle_name + ' ' : ''}${s.last_name || ''}`.trim();
 
@@ -241,9 +246,10 @@ function renderStaffList(staff) {
                     <button class="btn btn-sm btn-primary" onclick="window.editStaff('${s.staff_code}')">
                         <i class="fas fa-edit"></i>
                     </button>
-                    <button class="btn btn-sm btn-danger" onclick="window.deleteStaff('${s.staff_code}', '${(fullName || s.full_name || '').replace(/'/g, "\\'")}')">
-                        <i class="fas fa-trash"></i>
-                    </button>
+                    ${s.employment_status === 'terminated' || !canTerminate ? '' : `
+                    <button class="btn btn-sm btn-danger" title="Terminate" onclick="window.terminateStaff('${s.staff_code}', '${(fullName || s.full_name || '').replace(/'/g, "\\'")}')">
+                        <i class="fas fa-user-slash"></i>
+                    </button>`}
                 </td>
             </tr>
         `;
@@ -6,6 +6,7 @@
 import { apiRequest } from '../utils/api.js';
 import { showToast } from '../utils/ui.js';
 import { Storage } from '../utils/storage.js';
+import { renderBreaks } from '../utils/breaks.js';
 
 // Module-level state for filters
 let currentFilter = 'ALL';
@@ -38,9 +39,11 @@ export async function loadTimesheetStaff() {
       return;
     }
 
+    // Auto-closed and left-open shifts are announced above the list
+    loadTimesheetNotifications();
+
     // Build query parameters
     const query = new URLSearchParams({
-      business_code: businessCode,
       filter: currentFilter,
       from: currentFrom || '',
       to: currentTo || ''
@@ -70,6 +73,8 @@ export async function loadTimesheetStaff() {
             <strong>${staff.name}</strong><br>
             <small>${staff.total_shifts || 0} shifts • ${staff.total_hours || 0}h • $${staff.total_pay || 0}</small>
             ${staff.total_break_minutes ? `<br><small class="text-muted">Break: ${staff.total_break_minutes}min</small>` : ''}
+            ${Number(staff.flagged_shifts) ? `<br><small class="text-danger"><i class="fas fa-flag me-1"></i>${staff.flagged_shifts} flagged shift(s)</small>` : ''}
+            ${Number(staff.review_shifts) ? `<br><small class="text-danger"><i class="fas fa-door-open me-1"></i>${staff.review_shifts} to review</small>` : ''}
           </div>
           <span class="badge bg-${statusClass}">
             ${staff.approval_status || 'PENDING'}
@@ -136,7 +141,6 @@ export async function loadStaffTimesheets(staffCode) {
     // Build query parameters
     const query = new URLSearchParams({
       staff_code: staffCode,
-      business_code: businessCode,
       filter: currentFilter,
       from: currentFrom || '',
       to: currentTo || ''
@@ -151,16 +155,21 @@ export async function loadStaffTimesheets(staffCode) {
       return;
     }
 
+    // Supervisors can view timesheets but not approve or edit them
+    const canApprove = Storage.hasPermission('timesheet.approve');
+    const canEdit = Storage.hasPermission('timesheet.edit');
+
     let html = `
       <div class="d-flex justify-content-between align-items-center mb-3">
         <h5>Timesheets</h5>
         <div class="d-flex gap-2">
+          ${canApprove ? `
           <button class="btn btn-success btn-sm" id="bulkApproveBtn">
             <i class="fas fa-check me-1"></i>Approve Selected
           </button>
           <button class="btn btn-danger btn-sm" id="bulkDiscardBtn">
             <i class="fas fa-times me-1"></i>Discard Selected
-          </button>
+          </button>` : ''}
           <button class="btn btn-outline-secondary btn-sm" id="exportTimesheetBtn">
             <i class="fas fa-file-export me-1"></i>Export CSV
           </button>
@@ -174,25 +183,30 @@ export async function loadStaffTimesheets(staffCode) {
         t.status === 'APPROVED' ? 'success' :
         t.status === 'PENDING' ? 'warning' :
         'secondary';
+      const review = reviewLabel(t);
 
       html += `
         <li class="list-group-item d-flex justify-content-between align-items-center">
           <div class="form-check">
-            <input class="form-check-input timesheet-select" type="checkbox" data-id="${t.id}" data-status="${t.status}">
+            <input class="form-check-input timesheet-select" type="checkbox" data-id="${t.id}" data-status="${t.status}"
+                   data-flags="${escapeHtml(openFlags(t).map(f => f.detail).join('; '))}" data-review="${review ? '1' : ''}">
           </div>
           <div class="flex-grow-1 ms-2">
-            <div><strong>${formatDate(t.clock_in)}</strong> • ${formatTime(t.clock_in)} – ${formatTime(t.clock_out)}</div>
+            <div><strong>${formatDate(t.clock_in)}</strong> • ${formatTime(t.clock_in)} – ${t.clock_out ? formatTime(t.clock_out) : 'still open'}</div>
             <small>${t.venue_name} ${t.role_title ? `(${t.role_title})` : ''}</small>
-            ${t.break_minutes ? `<br><small class="text-muted">Break: ${t.break_minutes}min</small>` : ''}
+            ${renderBreaks(t.breaks, t.break_minutes)}
+            ${renderComplianceFlags(t.compliance_flags)}
           </div>
           <div class="text-end d-flex flex-column align-items-end gap-1">
             <div>
+              ${review ? `<span class="badge bg-danger me-1">${review}</span>` : ''}
               <span class="badge bg-${statusClass}">${t.status}</span>
+              ${canEdit ? `
               <button class="btn btn-outline-secondary btn-sm ms-2 js-edit" data-id="${t.id}">
                 <i class="fas fa-pen"></i>
-              </button>
+              </button>` : ''}
             </div>
-            <small>${t.hours_worked}h • $${t.total_pay}</small>
+            <small>${t.hours_worked ?? '–'}h • $${t.total_pay}</small>
           </div>
         </li>`;
     });
@@ -243,10 +257,31 @@ async function bulkUpdateTimesheets(newStatus) {
 
   // Extract timesheet IDs
   const ids = Array.from(checkboxes).map(cb => cb.dataset.id);
+  const flagged = Array.from(checkboxes).filter(cb => cb.dataset.flags);
+
+  // Auto-closed and left-open shifts are reviewed by editing their times first
+  const unreviewed = Array.from(checkboxes).filter(cb => cb.dataset.review);
+  if (newStatus === 'APPROVED' && unreviewed.length > 0) {
+    showToast(`${unreviewed.length} selected timesheet(s) need their times reviewed before approval`, 'warning');
+    return;
+  }
 
   // Confirm action
+  // Discards ask for an optional reason, kept in each shift's history
+  // Approving flagged shifts acknowledges their flags, so they are listed first
   const action = newStatus === 'APPROVED' ? 'approve' : 'discard';
-  if (!confirm(`Are you sure you want to ${action} ${ids.length} timesheet(s)?`)) {
+  let reason = '';
+  let acknowledge = false;
+  if (newStatus === 'DISCARDED') {
+    reason = prompt(`Discard ${ids.length} timesheet(s)? Optionally enter a reason:`, '');
+    if (reason === null) return;
+  } else if (flagged.length > 0) {
+    const list = flagged.map(cb => `• ${cb.dataset.flags}`).join('\n');
+    if (!confirm(`${flagged.length} of ${ids.length} timesheet(s) have compliance flags:\n${list}\n\nAcknowledge the flags and approve?`)) {
+      return;
+    }
+    acknowledge = true;
+  } else if (!confirm(`Are you sure you want to ${action} ${ids.length} timesheet(s)?`)) {
     return;
   }
 
@@ -255,7 +290,9 @@ async function bulkUpdateTimesheets(newStatus) {
       method: 'PUT',
       body: JSON.stringify({
         ids: ids,
-        status: newStatus
+        status: newStatus,
+        reason: reason.trim() || undefined,
+        acknowledge: acknowledge || undefined
       })
     });
 
@@ -296,7 +333,6 @@ async function exportTimesheetsCSV() {
     // Build query parameters
     const query = new URLSearchParams({
       staff_code: currentStaffCode,
-      business_code: businessCode,
       filter: currentFilter,
       from: currentFrom || '',
       to: currentTo || ''
@@ -415,7 +451,10 @@ export function initTimesheetModule() {
  */
 async function openEditTimesheetModal(id) {
   try {
-    const res = await apiRequest(`/system-admin/timesheets/${id}`);
+    const [res, historyRes] = await Promise.all([
+      apiRequest(`/system-admin/timesheets/${id}`),
+      apiRequest(`/system-admin/timesheets/${id}/history`)
+    ]);
     if (!res.success) {
       showToast('Failed to load timesheet', 'error');
       return;
@@ -423,8 +462,14 @@ async function openEditTimesheetModal(id) {
 
     const t = res.data;
     document.getElementById('editClockIn').value = t.clock_in.slice(0, 16);
-    document.getElementById('editClockOut').value = t.clock_out.slice(0, 16);
-    document.getElementById('editPay').value = t.total_pay;
+    document.getElementById('editClockOut').value = t.clock_out ? t.clock_out.slice(0, 16) : '';
+    document.getElementById('editPay').textContent = t.pay_status === 'RATE_MISSING'
+      ? 'No pay rate'
+      : `$${Number(t.total_pay || 0).toFixed(2)}`;
+    document.getElementById('editReason').value = '';
+    document.getElementById('editTimesheetHistory').innerHTML = historyRes.success
+      ? renderShiftHistory(historyRes.data)
+      : '<span class="text-muted">History unavailable</span>';
 
     const modal = new bootstrap.Modal(document.getElementById('editTimesheetModal'));
     modal.show();
@@ -432,15 +477,30 @@ async function openEditTimesheetModal(id) {
     document.getElementById('saveTimesheetEdit').onclick = async () => {
       const clock_in = document.getElementById('editClockIn').value;
       const clock_out = document.getElementById('editClockOut').value;
-      const total_pay = document.getElementById('editPay').value;
+      const reason = document.getElementById('editReason').value.trim();
+
+      if (!reason) {
+        showToast('Please enter a reason for the change', 'error');
+        return;
+      }
 
       const updateRes = await apiRequest(`/system-admin/timesheets/${id}`, {
         method: 'PATCH',
-        body: JSON.stringify({ clock_in, clock_out, total_pay })
+        body: JSON.stringify({ clock_in, clock_out, reason })
       });
 
       if (updateRes.success) {
-        showToast('Timesheet updated successfully', 'success');
+        const pay = updateRes.data;
+        showToast(pay.pay_status === 'RATE_MISSING'
+          ? 'Timesheet updated - no pay rate covers this shift'
+          : `Timesheet updated: ${pay.hours_worked}h, $${Number(pay.total_pay).toFixed(2)}`,
+          pay.pay_status === 'RATE_MISSING' ? 'warning' : 'success');
+        if (pay.compliance_flags?.length) {
+          showToast(`Compliance: ${pay.compliance_flags.map(f => f.detail).join('; ')}`, 'warning');
+        }
+        if (pay.approval_status === 'PENDING' && t.approval_status === 'APPROVED') {
+          showToast('The shift was approved - it needs approving again with the new times', 'warning');
+        }
         modal.hide();
         // Reload both the staff list and timesheets
         await loadTimesheetStaff();
@@ -457,6 +517,162 @@ async function openEditTimesheetModal(id) {
   }
 }
 
+/**
+ * Review badge for a shift closed by the auto-close monitor or left open
+ * Saving the shift's times in the edit dialog clears it.
+ *
+ * @param {Object} timesheet - Row with shift_state and clock_out
+ * @returns {string|null}
+ */
+function reviewLabel(timesheet) {
+  if (!timesheet.clock_out) return 'Left open';
+  if (timesheet.shift_state === 'AUTO_CLOSED') return 'Auto-closed - review';
+  return null;
+}
+
+/**
+ * Load undismissed manager notifications (shifts auto-closed or left open)
+ */
+async function loadTimesheetNotifications() {
+  const container = document.getElementById('timesheetNotifications');
+  if (!container) return;
+
+  try {
+    const res = await apiRequest('/system-admin/notifications');
+
+    if (!res.success || !res.data?.length) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = res.data.map(n => `
+      <div class="alert alert-warning mb-2">
+        <div class="d-flex justify-content-between align-items-start">
+          <h6 class="alert-heading mb-2">
+            <i class="fas fa-door-closed me-2"></i>${escapeHtml(n.title)}
+            <small class="text-muted ms-2">${formatDate(n.created_at)} ${formatTime(n.created_at)}</small>
+          </h6>
+          <button class="btn btn-sm btn-outline-secondary js-dismiss-notification" data-id="${n.id}">Dismiss</button>
+        </div>
+        <ul class="small mb-0">
+          ${n.message.split('\n').map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+        </ul>
+      </div>`).join('');
+    container.style.display = '';
+
+    container.querySelectorAll('.js-dismiss-notification').forEach(btn =>
+      btn.addEventListener('click', async () => {
+        try {
+          await apiRequest(`/system-admin/notifications/${btn.dataset.id}/read`, { method: 'POST' });
+          await loadTimesheetNotifications();
+        } catch (err) {
+          showToast('Failed to dismiss notification: ' + err.message, 'error');
+        }
+      })
+    );
+  } catch (err) {
+    console.error('Error loading notifications:', err);
+  }
+}
+
+/**
+ * A shift's compliance flags that still need acknowledging
+ * @param {Object} timesheet - Row with compliance_flags
+ * @returns {Array}
+ */
+function openFlags(timesheet) {
+  return (timesheet.compliance_flags || []).filter(f => !f.acknowledged_at);
+}
+
+/**
+ * Render compliance flags (missed meal break, short break, short rest)
+ * Acknowledged flags stay visible, muted.
+ *
+ * @param {Array} flags - [{ rule, detail, acknowledged_at }]
+ * @returns {string} HTML
+ */
+function renderComplianceFlags(flags) {
+  if (!Array.isArray(flags) || flags.length === 0) return '';
+
+  return flags.map(f => `
+    <br><small class="${f.acknowledged_at ? 'text-muted' : 'text-danger'}">
+      <i class="fas fa-flag me-1"></i>${escapeHtml(f.detail)}${f.acknowledged_at ? ' (acknowledged)' : ''}
+    </small>`).join('');
+}
+
+// Labels for shift_audit actions
+const HISTORY_ACTIONS = {
+  CLOCK_IN: 'Clocked in',
+  BREAK_START: 'Break started',
+  BREAK_END: 'Break ended',
+  CLOCK_OUT: 'Clocked out',
+  AUTO_CLOSE: 'Auto-closed',
+  EDIT: 'Edited',
+  APPROVAL: 'Approval changed'
+};
+
+/**
+ * Escape text for insertion into HTML
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+/**
+ * Format an audited field value for display
+ * @param {string} field - Column name
+ * @param {*} value
+ * @returns {string}
+ */
+function formatHistoryValue(field, value) {
+  if (value === null || value === undefined) return '—';
+  if (field === 'clock_in' || field === 'clock_out') return `${formatDate(value)} ${formatTime(value)}`;
+  if (field === 'total_pay') return `$${Number(value).toFixed(2)}`;
+  return escapeHtml(value);
+}
+
+/**
+ * Render a shift's audit history
+ * @param {Array} entries - From GET /timesheets/:id/history
+ * @returns {string} HTML
+ */
+function renderShiftHistory(entries) {
+  if (!entries || entries.length === 0) {
+    return '<span class="text-muted">No recorded changes</span>';
+  }
+
+  return `<ul class="list-unstyled mb-0">${entries.map(entry => {
+    const before = (typeof entry.before_values === 'string' ? JSON.parse(entry.before_values) : entry.before_values) || {};
+    const after = (typeof entry.after_values === 'string' ? JSON.parse(entry.after_values) : entry.after_values) || {};
+
+    const actor = entry.actor_type === 'system'
+      ? 'System'
+      : entry.actor_type === 'user'
+        ? escapeHtml(entry.actor_email || 'Deleted user')
+        : `${escapeHtml(entry.actor_staff_name || entry.actor_staff_code || 'Staff')}${entry.device_name ? ` on ${escapeHtml(entry.device_name)}` : ''}`;
+
+    // Kiosk actions show the new state only; edits and approvals show old → new
+    const changes = entry.action === 'EDIT' || entry.action === 'APPROVAL' || entry.action === 'AUTO_CLOSE'
+      ? Object.keys(after).map(field =>
+          `${field.replace(/_/g, ' ')}: ${formatHistoryValue(field, before[field])} → ${formatHistoryValue(field, after[field])}`
+        ).join('<br>')
+      : '';
+
+    return `
+      <li class="border-bottom py-2">
+        <strong>${HISTORY_ACTIONS[entry.action] || entry.action}</strong>
+        <span class="text-muted">• ${formatDate(entry.created_at)} ${formatTime(entry.created_at)} • ${actor}${entry.source === 'offline_sync' ? ' (offline)' : ''}</span>
+        ${entry.reason ? `<div class="fst-italic">“${escapeHtml(entry.reason)}”</div>` : ''}
+        ${changes ? `<div class="text-muted">${changes}</div>` : ''}
+      </li>`;
+  }).join('')}</ul>`;
+}
+
 // Global event delegation for edit buttons
 document.addEventListener('click', e => {
   if (e.target.closest('.js-edit')) {
@@ -127,6 +127,9 @@ function renderVenues(venues) {
             <button class="btn btn-outline-primary" onclick="window.editVenue('${v.venue_code}')" title="Edit Venue">
               <i class="fas fa-edit"></i>
             </button>
+            <button class="btn btn-outline-secondary" onclick="window.showVenueDevices('${v.venue_code}', '${v.venue_name.replace(/'/g, "\\'")}')" title="Kiosk Devices">
+              <i class="fas fa-tablet-alt"></i>
+            </button>
             <button class="btn btn-outline-danger" onclick="window.deleteVenue('${v.venue_code}', '${v.venue_name.replace(/'/g, "\\'")}')" title="Delete Venue">
               <i class="fas fa-trash"></i>
             </button>
@@ -197,6 +200,9 @@ export async function editVenue(venueCode) {
     document.getElementById('kiosk_password').value = ''; // Don't populate password for security
     document.getElementById('venue_timezone').value = venue.timezone || '';
     document.getElementById('week_start').value = venue.week_start || 'Mon';
+    setBreakRules(venue);
+    document.getElementById('auto_close_mode').value = venue.auto_close_mode || 'HOURS';
+    document.getElementById('auto_close_hours').value = venue.auto_close_hours ?? 10;
 
     // Update form title and button text to indicate edit mode
     document.getElementById('venueFormTitle').innerHTML = '<i class="fas fa-edit me-2"></i>Edit Venue';
@@ -269,6 +275,14 @@ export async function handleAddVenue(e) {
     week_start: form.week_start.value
   };
 
+  // Break and auto-close rules are only edited on existing venues (new venues start with the defaults)
+  if (editMode) {
+    Object.assign(venueData, getBreakRules(), {
+      auto_close_mode: document.getElementById('auto_close_mode').value,
+      auto_close_hours: Number(document.getElementById('auto_close_hours').value)
+    });
+  }
+
   console.log(editMode ? 'Updating venue:' : 'Adding venue:', venueData);
 
   try {
@@ -311,6 +325,139 @@ export async function handleAddVenue(e) {
   }
 }
 
+// Venue whose kiosk devices are currently shown
+let devicesVenueCode = null;
+
+/**
+ * Show the kiosk devices registered to a venue
+ * @param {string} venueCode - Venue code
+ * @param {string} venueName - Venue name for the panel title
+ */
+export async function showVenueDevices(venueCode, venueName) {
+  const panel = document.getElementById('venueDevicesPanel');
+  if (!panel) return;
+
+  devicesVenueCode = venueCode;
+  document.getElementById('venueDevicesTitle').textContent = venueName || venueCode;
+  panel.style.display = 'block';
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+  await loadVenueDevices();
+}
+
+/**
+ * Load and render devices for the selected venue
+ */
+async function loadVenueDevices() {
+  const container = document.querySelector('#venueDevicesPanel .table-content');
+  if (!container || !devicesVenueCode) return;
+
+  // Supervisors cannot view or revoke kiosk devices
+  if (!Storage.hasPermission('venue.devices')) {
+    container.innerHTML = `
+      <div class="text-center text-muted py-5">
+        <p>Kiosk devices are visible to managers and system admins only.</p>
+      </div>`;
+    return;
+  }
+
+  try {
+    const response = await apiRequest(`/system-admin/venues/${devicesVenueCode}/devices`);
+    renderVenueDevices(response.data || []);
+  } catch (error) {
+    console.error('Error loading kiosk devices:', error);
+    container.innerHTML = `
+      <div class="alert alert-danger m-4" role="alert">
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        <strong>Error loading devices:</strong> ${error.message}
+      </div>`;
+  }
+}
+
+/**
+ * Render kiosk devices in a table
+ * @param {Array} devices - Device records from the API
+ */
+function renderVenueDevices(devices) {
+  const container = document.querySelector('#venueDevicesPanel .table-content');
+
+  if (devices.length === 0) {
+    container.innerHTML = `
+      <div class="text-center text-muted py-5">
+        <i class="fas fa-tablet-alt display-1 mb-3"></i>
+        <h5>No kiosk devices registered</h5>
+        <p>Devices register automatically when the kiosk logs in.</p>
+      </div>`;
+    return;
+  }
+
+  const formatTime = value => value ? new Date(value).toLocaleString() : '-';
+
+  const rows = devices.map(d => {
+    const status = d.revoked_at
+      ? `<span class="badge bg-secondary" title="Revoked ${formatTime(d.revoked_at)}">Revoked</span>`
+      : '<span class="badge bg-success">Active</span>';
+
+    const action = d.revoked_at
+      ? `<small class="text-muted">${d.revoked_by_email || 'Kiosk logout'}</small>`
+      : `<button class="btn btn-sm btn-outline-danger" data-device-id="${d.device_id}" title="Revoke">
+           <i class="fas fa-ban"></i> Revoke
+         </button>`;
+
+    return `
+      <tr>
+        <td><small title="${d.device_id}">${d.device_name || 'Unnamed device'}</small></td>
+        <td>${status}</td>
+        <td><small>${formatTime(d.last_seen_at)}</small></td>
+        <td><small>${d.last_seen_ip || '-'}</small></td>
+        <td><small>${formatTime(d.created_at)}</small></td>
+        <td>${action}</td>
+      </tr>`;
+  }).join('');
+
+  container.innerHTML = `
+    <div class="table-responsive">
+      <table class="table table-hover">
+        <thead>
+          <tr>
+            <th>Device</th>
+            <th>Status</th>
+            <th>Last Seen</th>
+            <th>Last IP</th>
+            <th>Registered</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+
+  container.querySelectorAll('[data-device-id]').forEach(btn => {
+    btn.addEventListener('click', () => revokeVenueDevice(btn.dataset.deviceId));
+  });
+}
+
+/**
+ * Revoke a kiosk device - the kiosk is signed out on its next request
+ * @param {string} deviceId - Device ID
+ */
+export async function revokeVenueDevice(deviceId) {
+  if (!confirm('Revoke this kiosk device?\n\nThe kiosk will be signed out and must log in again with the venue password.')) {
+    return;
+  }
+
+  try {
+    await apiRequest(`/system-admin/venues/${devicesVenueCode}/devices/${deviceId}/revoke`, {
+      method: 'POST'
+    });
+    showToast('Device revoked', 'success');
+    await loadVenueDevices();
+  } catch (error) {
+    console.error('Error revoking kiosk device:', error);
+    showToast('Failed to revoke device: ' + error.message, 'error');
+  }
+}
+
 /**
  * Reset venue form to add mode
  */
@@ -319,6 +466,7 @@ function resetVenueForm() {
   const addVenueFormContainer = document.getElementById('addVenueForm');
 
   form.reset();
+  setBreakRules({});
   addVenueFormContainer.style.display = 'none';
 
   // Reset to add mode
@@ -329,6 +477,34 @@ function resetVenueForm() {
 }
 
 
+/**
+ * Fill the break rule fields from a venue (missing rules show the defaults)
+ * @param {Object} venue - { paid_break_types, paid_break_max_minutes }
+ */
+function setBreakRules(venue) {
+  let paidTypes = venue.paid_break_types;
+  if (typeof paidTypes === 'string') paidTypes = JSON.parse(paidTypes);
+  if (!Array.isArray(paidTypes)) paidTypes = ['paid'];
+
+  document.querySelectorAll('.paid-break-type').forEach(input => {
+    input.checked = paidTypes.includes(input.value);
+  });
+  document.getElementById('paid_break_max_minutes').value = venue.paid_break_max_minutes ?? '';
+}
+
+/**
+ * Read the break rule fields for a venue update
+ * @returns {Object} { paid_break_types, paid_break_max_minutes }
+ */
+function getBreakRules() {
+  const maxMinutes = document.getElementById('paid_break_max_minutes').value.trim();
+
+  return {
+    paid_break_types: Array.from(document.querySelectorAll('.paid-break-type:checked')).map(input => input.value),
+    paid_break_max_minutes: maxMinutes === '' ? null : Number(maxMinutes)
+  };
+}
+
 /**
  * Initialize venue module - setup event listeners
  */
@@ -373,6 +549,13 @@ export function initVenueModule() {
     });
   }
 
+  // Kiosk devices panel
+  document.getElementById('refreshVenueDevicesBtn')?.addEventListener('click', loadVenueDevices);
+  document.getElementById('closeVenueDevicesBtn')?.addEventListener('click', () => {
+    document.getElementById('venueDevicesPanel').style.display = 'none';
+    devicesVenueCode = null;
+  });
+
   // Venue search with debounce
   const venueSearchInput = document.getElementById('venueSearchInput');
   if (venueSearchInput) {
@@ -403,4 +586,5 @@ function filterVenues(searchTerm) {
 // Export functions to window for onclick handlers
 window.editVenue = editVenue;
 window.deleteVenue = deleteVenue;
+window.showVenueDevices = showVenueDevices;
 window.loadVenues = loadVenues;
\ No newline at end of file
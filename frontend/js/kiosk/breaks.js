@@ -32,10 +32,25 @@ function saveQueue(queue) {
   localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
 }
 
-// Push a new event
-export function queueEvent(type, shift_id, staff_code, venue_code) {
-  const queue = getQueue();
+/**
+ * The signed text of a queued event
+ * Mirrors eventSignaturePayload() in backend/utils/kioskPin.js
+ */
+function eventSignaturePayload(event) {
+  const { data } = event;
+  return [
+    event.offline_id,
+    event.type,
+    event.timestamp,
+    data.staff_code,
+    data.shift_id,
+    data.venue_code,
+    data.break_type
+  ].map(value => (value === undefined || value === null ? '' : String(value))).join('\n');
+}
 
+// Push a new event, signed with the sync key derived from the staff member's PIN
+export async function queueEvent(type, shift_id, staff_code, venue_code, extra = {}, sync_key = null) {
   // Generate unique ID using crypto API or fallback
   const offline_id = crypto.randomUUID ? crypto.randomUUID() :
     `${Date.now()}-${Math.random().toString(36).substring(2, 11)}`;
@@ -43,12 +58,21 @@ export function queueEvent(type, shift_id, staff_code, venue_code) {
   const event = {
     offline_id,
     type, // 'breakin' | 'breakout' | 'clockin' | 'clockout'
-    data: { shift_id, staff_code, venue_code },
+    data: { shift_id, staff_code, venue_code, ...extra },
     timestamp: new Date().toISOString(),
     retries: 0,
     status: 'pending',
   };
 
+  // /sync rejects unsigned events: the device token alone does not show who was at the kiosk
+  if (sync_key) {
+    const signature = await crypto.subtle.sign('HMAC', sync_key, new TextEncoder().encode(eventSignaturePayload(event)));
+    event.data.signature = Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+  } else {
+    console.warn(`⚠️  No sync key for ${staff_code} - queued ${type} cannot be verified and will be rejected`);
+  }
+
+  const queue = getQueue();
   queue.push(event);
   saveQueue(queue);
   console.log(`📥 Queued event [${type}] for shift ${shift_id} (${offline_id})`);
@@ -154,61 +178,13 @@ export async function syncQueuedEvents() {
         }
       }
     } else {
-      throw new Error('Bulk sync endpoint not available, using fallback');
+      throw new Error('Invalid bulk sync response');
     }
   } catch (err) {
-    console.warn('⚠️  Bulk sync failed, falling back to individual endpoints:', err.message);
-
-    // Fallback: sync each event individually with timeout protection
-    for (const event of queue) {
-      try {
-        let endpoint;
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), 5000); // 5s per event
-
-        try {
-          switch (event.type) {
-            case 'clockin':
-              endpoint = `/kiosk/shift/${event.data.staff_code}/clockin`;
-              await api.post(endpoint, { venue_code: event.data.venue_code }, { signal: controller.signal });
-              break;
-            case 'clockout':
-              endpoint = `/kiosk/shift/${event.data.shift_id}/clockout`;
-              await api.post(endpoint, {}, { signal: controller.signal });
-              break;
-            case 'breakin':
-              endpoint = `/kiosk/shift/${event.data.shift_id}/breakin`;
-              await api.post(endpoint, {}, { signal: controller.signal });
-              break;
-            case 'breakout':
-              endpoint = `/kiosk/shift/${event.data.shift_id}/breakout`;
-              await api.post(endpoint, {}, { signal: controller.signal });
-              break;
-            default:
-              throw new Error(`Unknown event type: ${event.type}`);
-          }
-          clearTimeout(timeout);
-        } catch (fetchErr) {
-          clearTimeout(timeout);
-          throw fetchErr;
-        }
-
-        syncedCount++;
-        console.log(`✅ Synced (fallback): ${event.type} (${event.offline_id})`);
-      } catch (syncErr) {
-        console.error(`❌ Sync failed for event ${event.offline_id}:`, syncErr.message);
-
-        // Retry logic
-        event.retries = (event.retries || 0) + 1;
-        if (event.retries < MAX_RETRIES) {
-          pending.push(event);
-        } else {
-          event.status = 'failed';
-          pending.push(event);
-          failedCount++;
-        }
-      }
-    }
+    // Queued events carry no staff token, so they can only be applied through /sync
+    // (which checks each event's PIN-derived signature). Keep them for the next attempt.
+    console.warn('⚠️  Bulk sync failed, keeping events queued:', err.message);
+    pending.push(...queue);
   } finally {
     // CRITICAL: Always save queue and update UI, even on errors/timeouts
     saveQueue(pending);
@@ -241,25 +217,37 @@ export async function syncQueuedEvents() {
 // SHIFT OPERATIONS (Clock In/Out with Offline Support)
 // ======================================================
 
+/**
+ * Request options carrying the staff token from PIN validation
+ * @param {string} staff_token - Token from /api/kiosk/validate-pin
+ * @returns {Object} api.post options
+ */
+function staffAuth(staff_token) {
+  return { headers: { 'X-Kiosk-Staff-Token': staff_token } };
+}
+
 /**
  * Start a new shift (Clock In)
  * @param {string} staff_code - Staff code
  * @param {string} venue_code - Venue code
+ * @param {string} staff_token - Staff token from PIN validation (null if validated offline)
+ * @param {CryptoKey} sync_key - Signs the event if it has to be queued
  * @returns {Promise<Object>} Shift data with shift_id
  */
-export async function clockIn(staff_code, venue_code) {
+export async function clockIn(staff_code, venue_code, staff_token, sync_key = null) {
   try {
     Loading.show('Clocking in...', 5000);
 
-    // Check backend health (replaces navigator.onLine)
+    // Check backend health (replaces navigator.onLine).
+    // Without a staff token (PIN validated offline) the action can only be queued for /sync.
     const healthy = await isBackendHealthy();
-    if (!healthy) {
+    if (!healthy || !staff_token) {
       throw new Error('Backend unavailable');
     }
 
     const response = await api.post(`/kiosk/shift/${staff_code}/clockin`, {
       venue_code
-    });
+    }, staffAuth(staff_token));
 
     if (response.success) {
       // Store current shift info
@@ -290,7 +278,7 @@ export async function clockIn(staff_code, venue_code) {
     // If backend unavailable, queue the event
     if (error.message === 'Backend unavailable' || error.message.includes('Failed to fetch')) {
       console.warn('📴 Backend unavailable — queueing clock in');
-      queueEvent('clockin', null, staff_code, venue_code);
+      await queueEvent('clockin', null, staff_code, venue_code, {}, sync_key);
 
       // Optimistic UI: store shift locally
       const shiftData = {
@@ -319,19 +307,23 @@ export async function clockIn(staff_code, venue_code) {
  * @param {number} shift_id - Shift ID
  * @param {string} staff_code - Staff code
  * @param {string} venue_code - Venue code
+ * @param {string} staff_token - Staff token from PIN validation (null if validated offline)
+ * @param {string} break_type - 'paid' (rest), 'meal' or 'unpaid' (default)
+ * @param {CryptoKey} sync_key - Signs the event if it has to be queued
  * @returns {Promise<Object>} Break response
  */
-export async function startBreak(shift_id, staff_code, venue_code) {
+export async function startBreak(shift_id, staff_code, venue_code, staff_token, break_type = 'unpaid', sync_key = null) {
   try {
     Loading.show('Starting break...');
 
-    // Check backend health (replaces navigator.onLine)
+    // Check backend health (replaces navigator.onLine).
+    // Without a staff token (PIN validated offline) the action can only be queued for /sync.
     const healthy = await isBackendHealthy();
-    if (!healthy) {
+    if (!healthy || !staff_token) {
       throw new Error('Backend unavailable');
     }
 
-    const response = await api.post(`/kiosk/shift/${shift_id}/breakin`);
+    const response = await api.post(`/kiosk/shift/${shift_id}/breakin`, { break_type }, staffAuth(staff_token));
 
     if (response.success) {
       // Update local shift state
@@ -347,7 +339,7 @@ export async function startBreak(shift_id, staff_code, venue_code) {
     // If backend unavailable, queue the break event
     if (error.message === 'Backend unavailable' || error.message.includes('Failed to fetch')) {
       console.warn('📴 Backend unavailable — queueing break start');
-      queueEvent('breakin', shift_id, staff_code, venue_code);
+      await queueEvent('breakin', shift_id, staff_code, venue_code, { break_type }, sync_key);
       updateLocalShiftState('ON_BREAK');
       showToast('⚠️ Backend unavailable: Break queued', 'warning');
       Loading.hide();
@@ -365,19 +357,22 @@ export async function startBreak(shift_id, staff_code, venue_code) {
  * @param {number} shift_id - Shift ID
  * @param {string} staff_code - Staff code
  * @param {string} venue_code - Venue code
+ * @param {string} staff_token - Staff token from PIN validation (null if validated offline)
+ * @param {CryptoKey} sync_key - Signs the event if it has to be queued
  * @returns {Promise<Object>} Break response with total_break_minutes
  */
-export async function endBreak(shift_id, staff_code, venue_code) {
+export async function endBreak(shift_id, staff_code, venue_code, staff_token, sync_key = null) {
   try {
     Loading.show('Ending break...');
 
-    // Check backend health (replaces navigator.onLine)
+    // Check backend health (replaces navigator.onLine).
+    // Without a staff token (PIN validated offline) the action can only be queued for /sync.
     const healthy = await isBackendHealthy();
-    if (!healthy) {
+    if (!healthy || !staff_token) {
       throw new Error('Backend unavailable');
     }
 
-    const response = await api.post(`/kiosk/shift/${shift_id}/breakout`);
+    const response = await api.post(`/kiosk/shift/${shift_id}/breakout`, {}, staffAuth(staff_token));
 
     if (response.success) {
       // Update local shift state
@@ -394,7 +389,7 @@ export async function endBreak(shift_id, staff_code, venue_code) {
     // If backend unavailable, queue the break event
     if (error.message === 'Backend unavailable' || error.message.includes('Failed to fetch')) {
       console.warn('📴 Backend unavailable — queueing break end');
-      queueEvent('breakout', shift_id, staff_code, venue_code);
+      await queueEvent('breakout', shift_id, staff_code, venue_code, {}, sync_key);
       updateLocalShiftState('ACTIVE');
       showToast('⚠️ Backend unavailable: Break end queued', 'warning');
       Loading.hide();
@@ -412,19 +407,22 @@ export async function endBreak(shift_id, staff_code, venue_code) {
  * @param {number} shift_id - Shift ID
  * @param {string} staff_code - Staff code
  * @param {string} venue_code - Venue code
+ * @param {string} staff_token - Staff token from PIN validation (null if validated offline)
+ * @param {CryptoKey} sync_key - Signs the event if it has to be queued
  * @returns {Promise<Object>} Shift summary with hours_worked, total_pay, etc.
  */
-export async function clockOut(shift_id, staff_code, venue_code) {
+export async function clockOut(shift_id, staff_code, venue_code, staff_token, sync_key = null) {
   try {
     Loading.show('Clocking out...');
 
-    // Check backend health (replaces navigator.onLine)
+    // Check backend health (replaces navigator.onLine).
+    // Without a staff token (PIN validated offline) the action can only be queued for /sync.
     const healthy = await isBackendHealthy();
-    if (!healthy) {
+    if (!healthy || !staff_token) {
       throw new Error('Backend unavailable');
     }
 
-    const response = await api.post(`/kiosk/shift/${shift_id}/clockout`);
+    const response = await api.post(`/kiosk/shift/${shift_id}/clockout`, {}, staffAuth(staff_token));
 
     if (response.success) {
       // Clear current shift from localStorage
@@ -448,7 +446,7 @@ export async function clockOut(shift_id, staff_code, venue_code) {
     // If backend unavailable, queue the event
     if (error.message === 'Backend unavailable' || error.message.includes('Failed to fetch')) {
       console.warn('📴 Backend unavailable — queueing clock out');
-      queueEvent('clockout', shift_id, staff_code, venue_code);
+      await queueEvent('clockout', shift_id, staff_code, venue_code, {}, sync_key);
 
       // Clear local shift optimistically
       localStorage.removeItem(CURRENT_SHIFT_KEY);
@@ -76,6 +76,30 @@ export async function isBackendHealthy() {
   }
 }
 
+// ===== Kiosk Device Requests =====
+/**
+ * fetch() wrapper for /api/kiosk routes that require the registered device token
+ * A 401 means the device was revoked (or never registered) - the kiosk returns to its login screen
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+async function kioskFetch(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'X-Kiosk-Token': kioskContext?.device_token || ''
+    }
+  });
+
+  if (response.status === 401) {
+    window.dispatchEvent(new CustomEvent('kioskDeviceRevoked'));
+  }
+
+  return response;
+}
+
 // ===== Timezone Helper =====
 /**
  * Convert UTC timestamp to venue timezone and format
@@ -228,7 +252,13 @@ async function kioskLogin() {
     const res = await fetch("/api/kiosk/login", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ username, password })
+      body: JSON.stringify({
+        username,
+        password,
+        // Re-use this device's registration if it was registered before
+        device_id: localStorage.getItem('kioskDeviceId') || undefined,
+        device_name: navigator.userAgent
+      })
     });
 
     const data = await res.json();
@@ -246,9 +276,11 @@ async function kioskLogin() {
       business_code: data.business_code,
       venue_name: data.venue_name,
       contact_email: data.contact_email,
-      timezone: data.timezone || 'Australia/Sydney'
+      timezone: data.timezone || 'Australia/Sydney',
+      device_token: data.device_token
     };
     localStorage.setItem("kioskContext", JSON.stringify(kioskContext));
+    localStorage.setItem("kioskDeviceId", data.device_id);
 
     // Clear form
     document.getElementById("kioskUsername").value = "";
@@ -277,14 +309,14 @@ async function loadStaffGrid() {
   document.getElementById("venueName").textContent = `Venue: ${kioskContext.venue_name || kioskContext.venue_code}`;
 
   try {
-    const response = await fetch(`/api/kiosk/staff?business_code=${kioskContext.business_code}&venue_code=${kioskContext.venue_code}`);
+    const response = await kioskFetch(`/api/kiosk/staff?business_code=${kioskContext.business_code}&venue_code=${kioskContext.venue_code}`);
     const result = await response.json();
 
     if (!result.success || !result.data) {
       throw new Error("Failed to load staff");
     }
 
-    // Cache staff data with PINs for offline use (testing phase)
+    // Cache staff data with salted PIN hashes for offline use (raw PINs never leave the server)
     localStorage.setItem('cachedStaff', JSON.stringify(result.data));
     console.log(`📦 Cached ${result.data.length} staff records for offline use`);
 
@@ -324,7 +356,7 @@ async function updateAllStaffStatus(retry = 0) {
   logEvent('pollStart', { venue: kioskContext.venue_code, retry });
 
   try {
-    const response = await fetch(`/api/kiosk/status/venue/${kioskContext.venue_code}?business_code=${kioskContext.business_code}`, {
+    const response = await kioskFetch(`/api/kiosk/status/venue/${kioskContext.venue_code}?business_code=${kioskContext.business_code}`, {
       cache: 'no-store'
     });
 
@@ -410,7 +442,7 @@ function updateStaffCardFromBatch(record) {
 
 async function updateStaffCardStatus(staffCode) {
   try {
-    const response = await fetch(`/api/kiosk/status/${staffCode}?venue_code=${kioskContext.venue_code}`);
+    const response = await kioskFetch(`/api/kiosk/status/${staffCode}?venue_code=${kioskContext.venue_code}`);
     const data = await response.json();
 
     const card = document.querySelector(`[data-staff-code="${staffCode}"]`);
@@ -583,10 +615,73 @@ function hidePinModal() {
   document.getElementById("pinError").classList.add("hidden");
 }
 
+/**
+ * PBKDF2 a PIN with the salt and parameters shipped in the cached staff record
+ * Same derivation as backend/utils/kioskPin.js (PBKDF2-SHA256, hex output)
+ * Requires a secure context (https or localhost) for crypto.subtle
+ */
+async function hashPinForOffline(pin, salt, iterations) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations },
+    key,
+    256
+  );
+
+  return Array.from(new Uint8Array(bits), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Derive the key queued offline events are signed with
+ * Mirrors deriveSyncKey() in backend/utils/kioskPin.js: PBKDF2 of the PIN with the
+ * cached salt under a 'sync:' prefix. Only as strong as the PIN if the cache is dumped.
+ *
+ * @param {Object} staff - Cached staff record
+ * @param {string} pin - PIN that was entered
+ * @returns {Promise<CryptoKey>} HMAC key (not extractable)
+ */
+async function syncKeyForStaff(staff, pin) {
+  const keyHex = await hashPinForOffline(pin, `sync:${staff.pin_salt}`, staff.pin_iterations);
+  const keyBytes = new Uint8Array(keyHex.match(/../g).map(byte => parseInt(byte, 16)));
+  return crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+}
+
+/**
+ * Derive the sync key for a staff member from the offline cache
+ *
+ * @param {string} staffCode - Staff code
+ * @param {string} pin - PIN that was just accepted
+ * @returns {Promise<CryptoKey|null>} HMAC key, or null without a cached salt
+ */
+async function deriveSyncKey(staffCode, pin) {
+  try {
+    const cached = JSON.parse(localStorage.getItem('cachedStaff') || '[]');
+    const staff = cached.find(s => s.staff_code === staffCode);
+    if (!staff || !staff.pin_salt || staff.pin_algorithm !== 'PBKDF2-SHA256') return null;
+
+    return await syncKeyForStaff(staff, pin);
+  } catch (error) {
+    console.error('Error deriving sync key:', error);
+    return null;
+  }
+}
+
+/**
+ * Test a PIN against the short check in the cached staff record
+ * Mirrors pinCheck() in backend/utils/kioskPin.js. The check only catches typos:
+ * 1 in 256 wrong PINs pass it, and their events are then rejected by /sync.
+ */
+async function pinCheckMatches(staff, pin) {
+  const syncKey = await syncKeyForStaff(staff, pin);
+  const mac = await crypto.subtle.sign('HMAC', syncKey, new TextEncoder().encode('pin-check'));
+  const hex = Array.from(new Uint8Array(mac), b => b.toString(16).padStart(2, '0')).join('');
+  return hex.slice(0, staff.pin_check.length) === staff.pin_check;
+}
+
 /**
  * Validate PIN offline using cached staff data
- * Testing phase only - uses plain text PIN comparison
- * TODO: Replace with hashed PIN verification before production
+ * The cache holds no PIN hash, only the check from GET /api/kiosk/staff
  */
 async function validatePinOffline(staffCode, enteredPin) {
   try {
@@ -598,12 +693,12 @@ async function validatePinOffline(staffCode, enteredPin) {
       return false;
     }
 
-    if (!staff.kiosk_pin) {
-      console.warn(`❌ No PIN stored for staff ${staffCode}`);
+    if (!staff.pin_check || !staff.pin_salt || staff.pin_algorithm !== 'PBKDF2-SHA256') {
+      console.warn(`❌ No PIN check cached for staff ${staffCode}`);
       return false;
     }
 
-    return staff.kiosk_pin === enteredPin;
+    return await pinCheckMatches(staff, enteredPin);
   } catch (error) {
     console.error('Error validating PIN offline:', error);
     return false;
@@ -639,13 +734,13 @@ async function validatePinAndProceed() {
 
     console.log('✅ Offline PIN validated successfully');
     hidePinModal();
-    proceedToClockSection(staffCode, staffName);
+    proceedToClockSection(staffCode, staffName, null, await deriveSyncKey(staffCode, pin));
     return;
   }
 
   // Online mode - validate with server
   try {
-    const response = await fetch("/api/kiosk/validate-pin", {
+    const response = await kioskFetch("/api/kiosk/validate-pin", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
@@ -666,7 +761,7 @@ async function validatePinAndProceed() {
     }
 
     hidePinModal();
-    proceedToClockSection(staffCode, staffName);
+    proceedToClockSection(staffCode, staffName, data.staff_token, await deriveSyncKey(staffCode, pin));
 
   } catch (err) {
     console.error("Error validating PIN:", err);
@@ -685,12 +780,19 @@ async function validatePinAndProceed() {
 
     console.log('✅ Offline PIN validated successfully (fallback)');
     hidePinModal();
-    proceedToClockSection(staffCode, staffName);
+    proceedToClockSection(staffCode, staffName, null, await deriveSyncKey(staffCode, pin));
   }
 }
 
-async function proceedToClockSection(staffCode, staffName) {
-  currentStaff = { staff_code: staffCode, name: staffName };
+/**
+ * Show the clock section for a staff member whose PIN was accepted
+ * @param {string} staffCode - Staff code
+ * @param {string} staffName - Display name
+ * @param {string|null} staffToken - Server staff token; null when the PIN was validated offline
+ * @param {CryptoKey|null} syncKey - Key for signing actions that have to be queued (from the PIN)
+ */
+async function proceedToClockSection(staffCode, staffName, staffToken = null, syncKey = null) {
+  currentStaff = { staff_code: staffCode, name: staffName, staff_token: staffToken, sync_key: syncKey };
 
   document.getElementById("staffGrid").classList.add("hidden");
   document.getElementById("clockSection").classList.remove("hidden");
@@ -719,7 +821,7 @@ async function refreshStatus(staffCode) {
 
   // Otherwise, fetch from server
   try {
-    const res = await fetch(`/api/kiosk/status/${staffCode}?venue_code=${kioskContext.venue_code}`);
+    const res = await kioskFetch(`/api/kiosk/status/${staffCode}?venue_code=${kioskContext.venue_code}`);
     const data = await res.json();
 
     if (data.active) {
@@ -746,12 +848,14 @@ function updateUIForShiftState(state, clockInTime, otherVenueData) {
   const clockOutBtn = document.getElementById("clockOutBtn");
   const breakInBtn = document.getElementById("breakInBtn");
   const breakOutBtn = document.getElementById("breakOutBtn");
+  const breakTypeGroup = document.getElementById("breakTypeGroup");
 
   // Reset all buttons
   clockInBtn.disabled = false;
   clockOutBtn.disabled = true;
   breakInBtn.disabled = true;
   breakInBtn.classList.add("d-none");
+  breakTypeGroup?.classList.add("d-none");
   breakOutBtn.disabled = true;
   breakOutBtn.classList.add("d-none");
 
@@ -765,6 +869,7 @@ function updateUIForShiftState(state, clockInTime, otherVenueData) {
       clockOutBtn.disabled = false;
       breakInBtn.disabled = false;
       breakInBtn.classList.remove("d-none");
+      breakTypeGroup?.classList.remove("d-none");
       break;
 
     case 'ON_BREAK':
@@ -799,7 +904,7 @@ async function clockIn() {
   if (!currentStaff) return;
 
   try {
-    const shiftData = await breakClockIn(currentStaff.staff_code, kioskContext.venue_code);
+    const shiftData = await breakClockIn(currentStaff.staff_code, kioskContext.venue_code, currentStaff.staff_token, currentStaff.sync_key);
     currentShiftId = shiftData.shift_id;
     await refreshStatus(currentStaff.staff_code);
     // Update staff grid tile
@@ -813,7 +918,8 @@ async function handleBreakIn() {
   if (!currentShiftId || !currentStaff) return;
 
   try {
-    await startBreak(currentShiftId, currentStaff.staff_code, kioskContext?.venue_code);
+    const breakType = document.getElementById("breakTypeSelect")?.value || 'unpaid';
+    await startBreak(currentShiftId, currentStaff.staff_code, kioskContext?.venue_code, currentStaff.staff_token, breakType, currentStaff.sync_key);
     await refreshStatus(currentStaff.staff_code);
     // Update staff grid tile
     await updateStaffCardStatus(currentStaff.staff_code);
@@ -826,7 +932,7 @@ async function handleBreakOut() {
   if (!currentShiftId || !currentStaff) return;
 
   try {
-    await endBreak(currentShiftId, currentStaff.staff_code, kioskContext?.venue_code);
+    await endBreak(currentShiftId, currentStaff.staff_code, kioskContext?.venue_code, currentStaff.staff_token, currentStaff.sync_key);
     await refreshStatus(currentStaff.staff_code);
     // Update staff grid tile
     await updateStaffCardStatus(currentStaff.staff_code);
@@ -839,7 +945,7 @@ async function clockOut() {
   if (!currentShiftId || !currentStaff) return;
 
   try {
-    const result = await breakClockOut(currentShiftId, currentStaff.staff_code, kioskContext?.venue_code);
+    const result = await breakClockOut(currentShiftId, currentStaff.staff_code, kioskContext?.venue_code, currentStaff.staff_token, currentStaff.sync_key);
 
     // Show shift summary if available
     if (result.shift) {
@@ -975,7 +1081,7 @@ function handleBeforeUnload(e) {
 /**
  * Unified cleanup function for logout and beforeunload
  * Stops all intervals, removes event listeners, clears caches
- * @param {string} reason - 'logout' or 'beforeunload'
+ * @param {string} reason - 'logout', 'device_revoked' or 'beforeunload'
  */
 function cleanupKiosk(reason = 'logout') {
   console.log(`🧹 Cleaning up kiosk (${reason})`);
@@ -1016,6 +1122,12 @@ function cleanupKiosk(reason = 'logout') {
     localStorage.removeItem('pendingBreakEvents');
     sessionStorage.clear();
     console.log('✅ Local storage cleared');
+  } else if (reason === 'device_revoked') {
+    // Keep queued clock events so they sync once the kiosk logs in again
+    localStorage.removeItem('kioskContext');
+    localStorage.removeItem('cachedStaff');
+    sessionStorage.clear();
+    console.log('✅ Kiosk context cleared (queued events kept)');
   }
 
   // 4. Reset UI state
@@ -1035,11 +1147,22 @@ function cleanupKiosk(reason = 'logout') {
 }
 
 // ===== Kiosk Logout =====
-function kioskLogout() {
+/**
+ * Log the kiosk out and return to the login screen
+ * @param {Object} options - { deviceRevoked: true } when the server already rejected the device token
+ */
+function kioskLogout({ deviceRevoked = false } = {}) {
   console.log('🚪 Logging out — running full cleanup');
 
+  // Revoke this device's token server-side (best effort - the kiosk may be offline)
+  if (!deviceRevoked && kioskContext?.device_token) {
+    kioskFetch('/api/kiosk/logout', { method: 'POST' }).catch(err => {
+      console.warn('Kiosk logout request failed:', err.message);
+    });
+  }
+
   // Run unified cleanup
-  cleanupKiosk('logout');
+  cleanupKiosk(deviceRevoked ? 'device_revoked' : 'logout');
 
   // Reset state variables
   kioskContext = null;
@@ -1067,7 +1190,10 @@ function setupEventListeners() {
   document.getElementById("kioskLoginButton")?.addEventListener("click", kioskLogin);
 
   // Logout
-  document.getElementById("logoutBtn")?.addEventListener("click", kioskLogout);
+  document.getElementById("logoutBtn")?.addEventListener("click", () => kioskLogout());
+
+  // Device token rejected by the server (revoked from Venue Management)
+  window.addEventListener('kioskDeviceRevoked', handleDeviceRevoked);
 
   // Back to staff list
   document.getElementById("backToStaffListBtn")?.addEventListener("click", backToStaffList);
@@ -1123,6 +1249,18 @@ function setupEventListeners() {
   console.log('✅ Lifecycle listeners registered (visibility, beforeunload, health)');
 }
 
+/**
+ * Return to the login screen when this device's registration is revoked
+ */
+function handleDeviceRevoked() {
+  if (!kioskContext?.venue_code) return;
+
+  console.warn('⛔ Kiosk device token rejected - returning to login');
+  logEvent('deviceRevoked', { venue: kioskContext.venue_code });
+  showToast('This kiosk has been signed out. Please log in again.', 'warning');
+  kioskLogout({ deviceRevoked: true });
+}
+
 /**
  * Start backend health monitoring (Step 6)
  */
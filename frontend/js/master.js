@@ -8,6 +8,10 @@
 // - Add venues + system admins via /api/master/venue-with-admin
 // - Show live dashboard stats via /api/master/stats
 // - List businesses & venues with proper tables
+// - Every /api/master call requires a master session (authFetch in utils.js)
+
+// Only master users may use this panel (also enforced server-side)
+requireAccessLevel('master');
 
 // Sidebar Toggle Functions
 const sidebar = document.getElementById('sidebar');
@@ -158,7 +162,7 @@ async function createBusiness(event) {
   };
 
   try {
-    const res = await fetch("/api/master/business", {
+    const res = await authFetch("/api/master/business", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(payload),
@@ -232,7 +236,7 @@ async function createVenueAndSysAdmin(event) {
   };
 
   try {
-    const res = await fetch("/api/master/venue-with-admin", {
+    const res = await authFetch("/api/master/venue-with-admin", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(payload),
@@ -260,7 +264,7 @@ async function createVenueAndSysAdmin(event) {
 // ============================
 async function loadBusinesses() {
   try {
-    const res = await fetch("/api/master/businesses");
+    const res = await authFetch("/api/master/businesses");
     const data = await res.json();
     const tableContent = document.querySelector('#businessList .table-content');
     const dropdown = document.querySelector('#venueSysAdminForm select[name="business_code"]');
@@ -320,7 +324,7 @@ async function loadBusinesses() {
 // ============================
 async function loadVenues() {
   try {
-    const res = await fetch("/api/master/venues");
+    const res = await authFetch("/api/master/venues");
     const data = await res.json();
     const tableContent = document.querySelector('#venueList .table-content');
 
@@ -416,7 +420,7 @@ function updateStatCard(elementId, mainValue, subText, growth) {
 
 async function loadDashboardStats() {
   try {
-    const res = await fetch("/api/master/stats");
+    const res = await authFetch("/api/master/stats");
     const data = await res.json();
     if (!res.ok || !data.success) throw new Error("Failed to load stats");
 
@@ -569,7 +573,7 @@ async function saveBusinessEdit() {
   }
 
   try {
-    const res = await fetch(`/api/master/business/${code}`, {
+    const res = await authFetch(`/api/master/business/${code}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ name })
@@ -619,7 +623,7 @@ async function confirmDeleteBusiness() {
   if (!businessToDelete) return;
 
   try {
-    const res = await fetch(`/api/master/business/${businessToDelete}`, {
+    const res = await authFetch(`/api/master/business/${businessToDelete}`, {
       method: 'DELETE'
     });
 
@@ -654,7 +658,7 @@ async function confirmDeleteBusiness() {
 async function editVenue(venue_code) {
   try {
     // Fetch full venue details including admin info
-    const res = await fetch(`/api/master/venue/${venue_code}`);
+    const res = await authFetch(`/api/master/venue/${venue_code}`);
     const data = await res.json();
 
     if (!res.ok || !data.success) {
@@ -705,7 +709,7 @@ async function saveVenueEdit() {
   };
 
   try {
-    const res = await fetch(`/api/master/venue-with-admin/${venue_code}`, {
+    const res = await authFetch(`/api/master/venue-with-admin/${venue_code}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload)
@@ -755,7 +759,7 @@ async function confirmDeleteVenue() {
   if (!venueToDelete) return;
 
   try {
-    const res = await fetch(`/api/master/venue/${venueToDelete}`, {
+    const res = await authFetch(`/api/master/venue/${venueToDelete}`, {
       method: 'DELETE'
     });
 
@@ -791,7 +795,7 @@ async function confirmDeleteVenue() {
 // Load venues for filter dropdown
 async function loadVenuesForFilter() {
   try {
-    const res = await fetch("/api/master/venues");
+    const res = await authFetch("/api/master/venues");
     const data = await res.json();
     const filterDropdown = document.getElementById('filterVenue');
 
@@ -826,11 +830,7 @@ async function loadStaff() {
   }
 
   try {
-    const res = await fetch(`/api/system-admin/staff?${params.toString()}`, {
-      headers: {
-        "user_access_level": "system_admin"
-      }
-    });
+    const res = await authFetch(`/api/system-admin/staff?${params.toString()}`);
     const data = await res.json();
     const tableContent = document.querySelector('#staffList .table-content');
 
@@ -843,6 +843,7 @@ async function loadStaff() {
               <th>Venue</th>
               <th>Role</th>
               <th>Employment Status</th>
+              <th>Kiosk PIN</th>
             </tr>
           </thead>
           <tbody>
@@ -852,6 +853,7 @@ async function loadStaff() {
                 <td>${s.venue_name || 'N/A'}</td>
                 <td>${s.role_title || 'N/A'}</td>
                 <td><span class="badge ${s.employment_status === 'active' ? 'bg-success' : 'bg-secondary'}">${s.employment_status}</span></td>
+                <td><button class="btn btn-sm btn-outline-secondary" onclick="resetKioskPin('${s.staff_code}', '${s.full_name.replace(/'/g, "\\'")}')">Reset PIN</button></td>
               </tr>
             `).join('')}
           </tbody>
@@ -894,7 +896,7 @@ function hideAddStaffForm() {
 // Load businesses for staff form
 async function loadBusinessesForStaffForm() {
   try {
-    const res = await fetch("/api/master/businesses");
+    const res = await authFetch("/api/master/businesses");
     const data = await res.json();
     const dropdown = document.querySelector('#staffForm select[name="business_code"]');
 
@@ -925,7 +927,7 @@ async function loadVenuesForStaffForm() {
   }
 
   try {
-    const res = await fetch("/api/master/venues");
+    const res = await authFetch("/api/master/venues");
     const data = await res.json();
 
     if (res.ok && data.success && data.data.length > 0) {
@@ -992,14 +994,9 @@ async function createStaff(event) {
   };
 
   try {
-    const res = await fetch("/api/system-admin/staff", {
+    const res = await authFetch("/api/system-admin/staff", {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "user_access_level": "system_admin",
-        "user_business_code": payload.business_code,
-        "user_venue_code": payload.venue_code
-      },
+      headers: { "Content-Type": "application/json" },
       body: JSON.stringify(payload),
     });
     const data = await res.json();
@@ -1020,4 +1017,49 @@ async function createStaff(event) {
     console.error("Staff creation error:", err);
     showToast("Failed to create staff member: " + err.message, 'error');
   }
-}
\ No newline at end of file
+}
+
+// ============================
+// RESET KIOSK PIN
+// POST /api/master/users/:staff_code/reset-pin
+// ============================
+// PINs are stored hashed, so they cannot be looked up - only replaced
+async function resetKioskPin(staff_code, full_name) {
+  if (!confirm(`Generate a new kiosk PIN for ${full_name}? Their current PIN will stop working.`)) {
+    return;
+  }
+
+  try {
+    const res = await authFetch(`/api/master/users/${staff_code}/reset-pin`, {
+      method: 'POST'
+    });
+    const data = await res.json();
+
+    if (!res.ok || !data.success) throw new Error(data.error || "Failed to reset kiosk PIN");
+
+    showToast(`New kiosk PIN for ${full_name}: ${data.kiosk_pin}`, 'success');
+  } catch (err) {
+    console.error("Kiosk PIN reset error:", err);
+    showToast("Failed to reset kiosk PIN: " + err.message, 'error');
+  }
+}
+
+// ============================
+// LOGOUT
+// POST /api/logout
+// ============================
+async function logout() {
+  try {
+    const user = JSON.parse(localStorage.getItem('currentUser') || '{}');
+    await fetch('/api/logout', {
+      method: 'POST',
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refresh_token: user.refresh_token })
+    });
+  } catch (err) {
+    console.warn('Logout request failed:', err);
+  }
+
+  localStorage.removeItem('currentUser');
+  window.location.href = '/index.html';
+}
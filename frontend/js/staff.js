@@ -9,9 +9,7 @@ function getAuthHeaders() {
     const currentUser = JSON.parse(localStorage.getItem('currentUser') || '{}');
     return {
         'Content-Type': 'application/json',
-        'user_access_level': currentUser.access_level || 'system_admin',
-        'user_business_code': currentUser.business_code || '',
-        'user_venue_code': currentUser.venue_code || ''
+        ...(currentUser.access_token ? { 'Authorization': `Bearer ${currentUser.access_token}` } : {})
     };
 }
 
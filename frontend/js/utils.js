@@ -374,3 +374,101 @@ function setupFieldValidation(field, validatorFn, errorMessage) {
     }
   });
 }
+
+/**
+ * Build request headers carrying the logged-in user's session token
+ *
+ * @param {Object} extra - Additional headers to merge in
+ * @returns {Object} - Headers object for fetch()
+ */
+function getAuthHeaders(extra = {}) {
+  let accessToken = null;
+  try {
+    accessToken = JSON.parse(localStorage.getItem('currentUser') || '{}').access_token || null;
+  } catch (err) {
+    console.warn('Failed to read session from localStorage:', err);
+  }
+
+  return {
+    ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {}),
+    ...extra
+  };
+}
+
+/**
+ * fetch() wrapper for pages without the module-based api.js (master.html)
+ * Adds the session token, refreshes it once on 401 and sends the user back
+ * to the login page if the session is gone or lacks permission.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch() options
+ * @returns {Promise<Response>}
+ */
+async function authFetch(url, options = {}, _refreshed = false) {
+  const res = await fetch(url, {
+    ...options,
+    headers: getAuthHeaders(options.headers || {})
+  });
+
+  if (res.status === 401 && !_refreshed && await refreshStoredSession()) {
+    return authFetch(url, options, true);
+  }
+
+  if (res.status === 401 || res.status === 403) {
+    localStorage.removeItem('currentUser');
+    window.location.href = '/index.html';
+  }
+
+  return res;
+}
+
+/**
+ * Exchange the stored refresh token for a new access token
+ * @returns {Promise<boolean>} True if the session was refreshed
+ */
+async function refreshStoredSession() {
+  try {
+    const user = JSON.parse(localStorage.getItem('currentUser') || '{}');
+    if (!user.refresh_token) return false;
+
+    const res = await fetch('/api/token/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: user.refresh_token })
+    });
+    const data = await res.json();
+    if (!res.ok || !data.success) return false;
+
+    localStorage.setItem('currentUser', JSON.stringify({
+      ...user,
+      access_token: data.access_token,
+      refresh_token: data.refresh_token
+    }));
+    return true;
+  } catch (err) {
+    console.warn('Failed to refresh session:', err);
+    return false;
+  }
+}
+
+/**
+ * Redirect to the login page unless the stored user has the given access level
+ * The server enforces this too; this only avoids rendering a page that will 403.
+ *
+ * @param {string} accessLevel - Required access level (e.g. 'master')
+ * @returns {boolean} True if the user may stay on the page
+ */
+function requireAccessLevel(accessLevel) {
+  let user = {};
+  try {
+    user = JSON.parse(localStorage.getItem('currentUser') || '{}');
+  } catch (err) {
+    console.warn('Failed to read session from localStorage:', err);
+  }
+
+  if (!user.access_token || user.access_level !== accessLevel) {
+    window.location.href = '/index.html';
+    return false;
+  }
+  return true;
+}
@@ -34,24 +34,57 @@ function isRetryableError(error, response = null) {
 
 /**
  * Get authentication headers from current user session
+ * Sends the signed access token; the server derives role, business and venue from it.
+ * On a kiosk, also sends the device token issued at kiosk login.
  * @returns {Object} Headers object with auth credentials
  */
 function getAuthHeaders() {
-  try {
-    const user = JSON.parse(localStorage.getItem('currentUser') || '{}');
-    return {
-      'user_access_level': user.access_level || 'system_admin',
-      'user_business_code': user.business_code || '',
-      'user_venue_code': user.venue_code || ''
-    };
-  } catch (err) {
-    console.warn('Failed to parse user from localStorage:', err);
-    return {
-      'user_access_level': 'system_admin',
-      'user_business_code': '',
-      'user_venue_code': ''
-    };
+  const headers = {};
+  const accessToken = Storage.getAccessToken();
+  const deviceToken = Storage.getKioskDeviceToken();
+
+  if (accessToken) headers['Authorization'] = `Bearer ${accessToken}`;
+  if (deviceToken) headers['X-Kiosk-Token'] = deviceToken;
+  return headers;
+}
+
+// In-flight refresh promise so concurrent 401s share a single refresh call
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new access token
+ * @returns {Promise<boolean>} True if the session was refreshed
+ */
+async function refreshSession() {
+  const refreshToken = Storage.getRefreshToken();
+  if (!refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        const response = await fetch('/api/token/refresh', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: refreshToken })
+        });
+
+        if (!response.ok) return false;
+
+        const data = await response.json();
+        if (!data.success) return false;
+
+        Storage.setTokens(data.access_token, data.refresh_token);
+        return true;
+      } catch (err) {
+        console.warn('Failed to refresh session:', err);
+        return false;
+      } finally {
+        refreshPromise = null;
+      }
+    })();
   }
+
+  return refreshPromise;
 }
 
 /**
@@ -78,8 +111,9 @@ export async function apiRequest(path, options = {}, retries = 3) {
     ...options.headers
   };
 
+  const { _refreshed, ...requestOptions } = options;
   const fetchOptions = {
-    ...options,
+    ...requestOptions,
     headers
   };
 
@@ -89,7 +123,20 @@ export async function apiRequest(path, options = {}, retries = 3) {
 
     // Handle non-OK responses
     if (!response.ok) {
-      // Handle 401 Unauthorized - auto logout with user notification
+      // Handle 401 Unauthorized - try a token refresh once, then auto logout
+      if (response.status === 401 && !options._refreshed && await refreshSession()) {
+        return apiRequest(path, { ...options, _refreshed: true }, retries);
+      }
+
+      // Kiosk device token rejected (revoked or expired) - let the kiosk return to its login screen
+      if (response.status === 401 && !Storage.getAccessToken() && Storage.getKioskDeviceToken()) {
+        window.dispatchEvent(new CustomEvent('kioskDeviceRevoked'));
+        const error = new Error('Kiosk device is no longer authorized');
+        error.status = 401;
+        error.response = response;
+        throw error;
+      }
+
       if (response.status === 401) {
         Storage.clearUser();
         showToast('Session expired. Redirecting to login...', 'warning');
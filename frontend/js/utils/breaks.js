@@ -0,0 +1,40 @@
+/**
+ * Break Display Utility
+ * Formats the individual break records returned with timesheets and payroll
+ * breakdowns (shift_breaks)
+ */
+
+export const BREAK_TYPE_LABELS = {
+  unpaid: 'Unpaid',
+  paid: 'Paid',
+  meal: 'Meal'
+};
+
+/**
+ * Format a timestamp as a short local time
+ * @param {string} timestamp
+ * @returns {string}
+ */
+function breakTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Render a shift's breaks as small lines, e.g. "12:00 – 12:30 Meal (30 min)"
+ * Shifts from before individual breaks were recorded only have a total.
+ *
+ * @param {Array} breaks - [{ break_type, break_start, break_end, minutes, paid_minutes }]
+ * @param {number} breakMinutes - shifts.break_minutes, shown when there are no records
+ * @returns {string} HTML
+ */
+export function renderBreaks(breaks, breakMinutes = 0) {
+  if (!Array.isArray(breaks) || breaks.length === 0) {
+    return breakMinutes ? `<br><small class="text-muted">Break: ${breakMinutes}min</small>` : '';
+  }
+
+  return breaks.map(b => `
+    <br><small class="text-muted">
+      Break ${breakTime(b.break_start)} – ${b.break_end ? breakTime(b.break_end) : 'now'}
+      ${BREAK_TYPE_LABELS[b.break_type] || b.break_type}${b.minutes !== null && b.minutes !== undefined ? ` (${b.minutes} min${b.paid_minutes ? `, ${b.paid_minutes} paid` : ''})` : ''}
+    </small>`).join('');
+}
@@ -83,6 +83,77 @@ export async function confirmAction(message, title = 'Confirm') {
   });
 }
 
+/**
+ * Show a dialog asking for text input
+ * @param {string} message - Prompt message
+ * @param {string} title - Dialog title (default: 'Confirm')
+ * @param {Object} options - { label, placeholder, required, confirmText, extraHtml }
+ * @returns {Promise<Object|null>} { value, form } if confirmed, null if cancelled
+ *
+ * @example
+ * const answer = await promptAction('Why is this staff member leaving?', 'Terminate', { required: true });
+ * if (answer) {
+ *   // answer.value holds the text
+ * }
+ */
+export async function promptAction(message, title = 'Confirm', options = {}) {
+  const { label = '', placeholder = '', required = false, confirmText = 'OK', extraHtml = '' } = options;
+
+  return new Promise(resolve => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = `
+      <div class="modal fade" tabindex="-1">
+        <div class="modal-dialog modal-dialog-centered">
+          <div class="modal-content">
+            <form>
+              <div class="modal-header">
+                <h5 class="modal-title">${title}</h5>
+                <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+              </div>
+              <div class="modal-body">
+                <p>${message}</p>
+                ${label ? `<label class="form-label">${label}</label>` : ''}
+                <input type="text" name="value" class="form-control" placeholder="${placeholder}" ${required ? 'required' : ''}>
+                ${extraHtml}
+              </div>
+              <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                <button type="submit" class="btn btn-danger">${confirmText}</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const modalEl = wrapper.firstElementChild;
+    const form = modalEl.querySelector('form');
+    document.body.appendChild(wrapper);
+
+    const bsModal = new bootstrap.Modal(modalEl);
+    bsModal.show();
+
+    let result = null;
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      result = { value: form.elements.value.value.trim(), form };
+      bsModal.hide();
+    });
+
+    // Resolve once the modal is gone, whichever way it was closed
+    modalEl.addEventListener('hidden.bs.modal', () => {
+      try {
+        bsModal.dispose();
+      } catch (e) {
+        console.warn('Error disposing modal:', e);
+      }
+      wrapper.remove();
+      resolve(result);
+    }, { once: true });
+  });
+}
+
 /**
  * Show alert dialog (informational, single OK button)
  * @param {string} message - Alert message
@@ -156,5 +227,6 @@ export async function alertDialog(message, title = 'Alert', type = 'info') {
 
 export default {
   confirmAction,
+  promptAction,
   alertDialog
 };
@@ -101,13 +101,40 @@ export const Storage = {
     }
   },
 
+  /**
+   * Get the session access token
+   * @returns {string|null} Access token or null if not logged in
+   */
+  getAccessToken() {
+    return this.getUser()?.access_token || null;
+  },
+
+  /**
+   * Get the session refresh token
+   * @returns {string|null} Refresh token or null if not logged in
+   */
+  getRefreshToken() {
+    return this.getUser()?.refresh_token || null;
+  },
+
+  /**
+   * Replace the stored session tokens (after a token refresh)
+   * @param {string} accessToken - New access token
+   * @param {string} refreshToken - New (rotated) refresh token
+   */
+  setTokens(accessToken, refreshToken) {
+    const user = this.getUser();
+    if (!user) return;
+    this.setUser({ ...user, access_token: accessToken, refresh_token: refreshToken });
+  },
+
   /**
    * Check if user is logged in
    * @returns {boolean} True if user is logged in
    */
   isLoggedIn() {
     const user = this.getUser();
-    return user !== null && user.id !== undefined;
+    return user !== null && user.id !== undefined && Boolean(user.access_token);
   },
 
   /**
@@ -177,6 +204,19 @@ export const Storage = {
     return user?.staff_code || null;
   },
 
+  /**
+   * Get the kiosk device token issued at kiosk login
+   * @returns {string|null} Device token or null when not running as a kiosk
+   */
+  getKioskDeviceToken() {
+    try {
+      const context = JSON.parse(localStorage.getItem('kioskContext') || '{}');
+      return context.device_token || null;
+    } catch (err) {
+      return null;
+    }
+  },
+
   /**
    * Check if user has specific access level
    * @param {string} requiredLevel - Required access level
@@ -193,6 +233,17 @@ export const Storage = {
     return userIndex >= requiredIndex;
   },
 
+  /**
+   * Check if user holds a permission from the server's permission matrix
+   * (list returned at login; the server enforces it regardless - this only hides controls)
+   * @param {string} permission - e.g. 'timesheet.approve'
+   * @returns {boolean} True if the permission was granted at login
+   */
+  hasPermission(permission) {
+    const permissions = this.getUser()?.permissions;
+    return Array.isArray(permissions) && permissions.includes(permission);
+  },
+
   /**
    * Get user's full name
    * @returns {string} User's full name or 'User'
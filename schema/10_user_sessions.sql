@@ -0,0 +1,25 @@
+-- ============================================
+-- User Sessions Table
+-- ============================================
+-- Purpose: Server-side record of issued login sessions so tokens can be revoked
+-- Used by: POST /api/login, /api/token/refresh, /api/logout and authMiddleware
+--
+-- Access tokens are short-lived signed tokens carrying the session id (sid).
+-- Refresh tokens are opaque; only their SHA-256 hash is stored here.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id CHAR(36) NOT NULL PRIMARY KEY COMMENT 'Session id (UUID) embedded in access tokens as sid',
+  user_id INT NOT NULL COMMENT 'users.id the session belongs to',
+  refresh_token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the current refresh token (rotated on use)',
+  ip_address VARCHAR(45) NULL COMMENT 'Client IP at login',
+  user_agent VARCHAR(255) NULL COMMENT 'Client user agent at login',
+  expires_at TIMESTAMP NOT NULL COMMENT 'Refresh token expiry',
+  last_used_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Last successful refresh',
+  revoked_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Set on logout or forced revocation',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_refresh_token_hash (refresh_token_hash),
+  INDEX idx_sessions_user (user_id, revoked_at),
+  INDEX idx_sessions_expires (expires_at),
+  CONSTRAINT user_sessions_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Login sessions backing signed access tokens and rotating refresh tokens';
@@ -0,0 +1,21 @@
+-- ============================================
+-- Hashed Kiosk Credentials
+-- ============================================
+-- Purpose: Store kiosk PINs as salted hashes instead of plain text
+-- Used by: POST /api/kiosk/validate-pin, GET /api/kiosk/staff (offline PIN hashes),
+--          POST /api/kiosk/login (bcrypt venues.kiosk_password)
+--
+-- After applying, run `node migrate-kiosk-credentials.js` from backend/ to hash
+-- existing plain text PINs and kiosk passwords. The script clears
+-- users.kiosk_pin once each row has a hash. Rows that are not migrated yet are
+-- upgraded on their next successful PIN entry or kiosk login.
+
+ALTER TABLE users
+  ADD COLUMN kiosk_pin_hash CHAR(64) NULL DEFAULT NULL
+    COMMENT 'PBKDF2-SHA256 of the kiosk PIN (hex), also shipped to kiosks for offline checks'
+    AFTER kiosk_pin,
+  ADD COLUMN kiosk_pin_salt CHAR(32) NULL DEFAULT NULL
+    COMMENT 'Random per-user salt for kiosk_pin_hash (hex)'
+    AFTER kiosk_pin_hash,
+  MODIFY COLUMN kiosk_pin CHAR(6) NULL DEFAULT NULL
+    COMMENT 'DEPRECATED: legacy plain text PIN, cleared once kiosk_pin_hash is set';
@@ -0,0 +1,25 @@
+-- ============================================
+-- Authentication Failure Log
+-- ============================================
+-- Purpose: Audit trail of every failed login, kiosk login and PIN attempt
+-- Used by: utils/loginThrottle.js (POST /api/login, /api/kiosk/login, /api/kiosk/validate-pin)
+--
+-- Lockout counters themselves live in the throttle store (in memory by default);
+-- this table is append-only history for investigation.
+
+CREATE TABLE IF NOT EXISTS auth_failure_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  attempt_type ENUM('login', 'kiosk_login', 'pin') NOT NULL COMMENT 'Which endpoint was attempted',
+  identifier VARCHAR(150) NOT NULL COMMENT 'Email, venue login email or staff_code that was tried',
+  reason VARCHAR(30) NOT NULL COMMENT 'UNKNOWN_ACCOUNT, INVALID_PASSWORD, INVALID_PIN, STAFF_NOT_FOUND, LOCKED_OUT',
+  ip_address VARCHAR(45) NULL COMMENT 'Client IP',
+  user_agent VARCHAR(255) NULL COMMENT 'Client user agent',
+  business_code VARCHAR(100) NULL COMMENT 'Business of the matched account, if any',
+  venue_code VARCHAR(100) NULL COMMENT 'Kiosk venue (PIN attempts) or account venue',
+  staff_code VARCHAR(25) NULL COMMENT 'Matched staff member, if any',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_auth_failure_identifier (attempt_type, identifier, created_at),
+  INDEX idx_auth_failure_ip (ip_address, created_at),
+  INDEX idx_auth_failure_business (business_code, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Append-only audit of failed authentication attempts';
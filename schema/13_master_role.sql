@@ -0,0 +1,14 @@
+-- ============================================
+-- Master Access Level
+-- ============================================
+-- Purpose: Platform owner role that manages businesses, venues and their system admins
+-- Used by: requirePermission('platform.manage') (granted to master only in
+--          utils/permissions.js) on every /api/master route in routes/masterRoutes.js,
+--          login.js redirect to master.html
+--
+-- Master users are not staff of any business: create them with staff_code NULL.
+--   INSERT INTO users (email, password_hash, access_level, status)
+--   VALUES ('master@example.com', '<bcrypt hash>', 'master', 'active');
+
+ALTER TABLE users
+  MODIFY COLUMN access_level ENUM('master', 'system_admin', 'manager', 'supervisor', 'employee') NOT NULL;
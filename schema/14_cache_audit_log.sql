@@ -0,0 +1,19 @@
+-- ============================================
+-- Cache Audit Log
+-- ============================================
+-- Purpose: Record who flushed, invalidated or reset the in-memory cache
+-- Used by: routes/cacheRoutes.js (/api/cache/*, master only)
+
+CREATE TABLE IF NOT EXISTS cache_audit_log (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NULL COMMENT 'users.id of the master who ran the action',
+  action ENUM('clear', 'invalidate', 'cleanup', 'reset_stats') NOT NULL,
+  pattern VARCHAR(150) NULL COMMENT 'Key pattern for invalidate',
+  business_code VARCHAR(100) NULL COMMENT 'Business the invalidation was scoped to (NULL = all)',
+  keys_removed INT NOT NULL DEFAULT 0,
+  ip_address VARCHAR(45) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_cache_audit_created (created_at),
+  CONSTRAINT cache_audit_log_ibfk_1 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Audit trail of cache management actions';
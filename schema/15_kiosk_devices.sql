@@ -0,0 +1,28 @@
+-- ============================================
+-- Kiosk Devices Table
+-- ============================================
+-- Purpose: Registered kiosk devices per venue and their device tokens
+-- Used by: POST /api/kiosk/login (registration), requireKioskDevice (every other
+--          /api/kiosk route), admin Venue Management device list / revoke
+--
+-- A device token is issued at kiosk login and sent as the X-Kiosk-Token header.
+-- Only its SHA-256 hash is stored. Revoking a device invalidates its token at once.
+
+CREATE TABLE IF NOT EXISTS kiosk_devices (
+  id CHAR(36) NOT NULL PRIMARY KEY COMMENT 'Device id (UUID), kept by the kiosk across logins',
+  venue_code VARCHAR(100) NOT NULL COMMENT 'Venue the device is registered to',
+  business_code VARCHAR(100) NOT NULL COMMENT 'Business of the venue',
+  device_name VARCHAR(100) NULL COMMENT 'Label shown in Venue Management (defaults to user agent)',
+  token_hash CHAR(64) NOT NULL COMMENT 'SHA-256 of the current device token',
+  registered_ip VARCHAR(45) NULL,
+  last_seen_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Last authenticated request (updated at most once a minute)',
+  last_seen_ip VARCHAR(45) NULL,
+  revoked_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Set on revoke or kiosk logout',
+  revoked_by INT NULL COMMENT 'users.id who revoked (NULL = kiosk logout)',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_kiosk_device_token (token_hash),
+  INDEX idx_kiosk_devices_venue (venue_code, revoked_at),
+  CONSTRAINT kiosk_devices_ibfk_1 FOREIGN KEY (venue_code) REFERENCES venues (venue_code) ON DELETE CASCADE,
+  CONSTRAINT kiosk_devices_ibfk_2 FOREIGN KEY (revoked_by) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Registered kiosk devices and hashed device tokens';
@@ -0,0 +1,25 @@
+-- ============================================
+-- Staff Offboarding
+-- ============================================
+-- Purpose: Terminate staff instead of deleting them so shifts, pay rates and
+--          banking details (all ON DELETE CASCADE from staff) are kept
+-- Used by: POST /api/system-admin/staff/:staff_code/terminate
+--          (DELETE /api/system-admin/staff/:staff_code does the same)
+--
+-- Termination sets employment_status = 'terminated', disables the users row,
+-- clears the kiosk PIN and revokes login sessions. Nothing is deleted.
+
+ALTER TABLE staff
+  ADD COLUMN end_date DATE NULL DEFAULT NULL
+    COMMENT 'Last day of employment (set on termination)'
+    AFTER start_date,
+  ADD COLUMN termination_reason VARCHAR(255) NULL DEFAULT NULL
+    COMMENT 'Why the staff member was offboarded'
+    AFTER end_date,
+  ADD COLUMN terminated_at TIMESTAMP NULL DEFAULT NULL
+    COMMENT 'When the termination was recorded'
+    AFTER termination_reason,
+  ADD COLUMN terminated_by INT NULL DEFAULT NULL
+    COMMENT 'users.id of the manager who recorded it'
+    AFTER terminated_at,
+  ADD CONSTRAINT staff_ibfk_terminated_by FOREIGN KEY (terminated_by) REFERENCES users (id) ON DELETE SET NULL;
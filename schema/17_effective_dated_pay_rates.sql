@@ -0,0 +1,33 @@
+-- ============================================
+-- Effective-Dated Pay Rates
+-- ============================================
+-- Purpose: Keep every pay rate a staff member has had, with the dates it applied,
+--          so a pay rise never changes what a past shift recomputes to
+-- Used by: utils/payRates.js (getRatesForDate, scheduleRateChange),
+--          kiosk clock-out, /api/kiosk/sync, the auto-close monitor,
+--          GET/POST /api/system-admin/staff/:staff_code/pay-rates
+--
+-- A staff member now has one pay_rates row per rate period. The row covering a
+-- shift is the one with effective_from <= shift date and effective_to NULL
+-- (open ended) or >= shift date. Periods never overlap.
+--
+-- Existing rows become the first period and apply to all past shifts.
+
+ALTER TABLE pay_rates
+  ADD COLUMN effective_from DATE NULL DEFAULT NULL
+    COMMENT 'First shift date this rate applies to'
+    AFTER overtime_rate,
+  ADD COLUMN effective_to DATE NULL DEFAULT NULL
+    COMMENT 'Last shift date this rate applies to (NULL = until replaced)'
+    AFTER effective_from,
+  ADD COLUMN created_by INT NULL DEFAULT NULL
+    COMMENT 'users.id of who entered or scheduled the rate'
+    AFTER effective_to;
+
+UPDATE pay_rates SET effective_from = '1970-01-01' WHERE effective_from IS NULL;
+
+ALTER TABLE pay_rates
+  MODIFY COLUMN effective_from DATE NOT NULL
+    COMMENT 'First shift date this rate applies to',
+  ADD UNIQUE KEY uniq_pay_rate_period (staff_code, effective_from),
+  ADD CONSTRAINT pay_rates_ibfk_created_by FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL;
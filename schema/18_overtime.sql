@@ -0,0 +1,38 @@
+-- ============================================
+-- Daily and Weekly Overtime
+-- ============================================
+-- Purpose: Configure overtime per venue and store each shift's ordinary/overtime split
+-- Used by: utils/payCalculator.js (priceShift), kiosk clock-out, /api/kiosk/sync,
+--          the auto-close monitor, POST /api/system-admin/payroll/recompute
+--
+-- Hours become overtime when they go past:
+--   - venues.overtime_daily_hours worked in one day (NULL = no daily overtime), or
+--   - pay_rates.default_hours worked in the venue week, which starts on venues.week_start
+-- Overtime hours are paid in tiers counted from the first overtime hour of the day.
+-- Each tier pays multiplier x the day rate; a staff member's pay_rates.overtime_rate,
+-- when set, replaces the first tier's rate.
+
+ALTER TABLE venues
+  ADD COLUMN overtime_daily_hours DECIMAL(4,2) NULL DEFAULT NULL
+    COMMENT 'Hours per day before overtime starts (NULL = weekly overtime only)'
+    AFTER week_start,
+  ADD COLUMN overtime_tiers JSON NULL DEFAULT NULL
+    COMMENT 'Overtime tiers, e.g. [{"after_hours":0,"multiplier":1.5},{"after_hours":2,"multiplier":2}] (NULL = that default)'
+    AFTER overtime_daily_hours;
+
+ALTER TABLE shifts
+  ADD COLUMN ordinary_hours DECIMAL(6,2) NULL DEFAULT NULL
+    COMMENT 'Hours paid at the day rate'
+    AFTER hours_worked,
+  ADD COLUMN overtime_hours DECIMAL(6,2) NOT NULL DEFAULT '0.00'
+    COMMENT 'Hours paid as overtime (daily or weekly)'
+    AFTER ordinary_hours,
+  ADD COLUMN overtime_pay DECIMAL(12,2) NOT NULL DEFAULT '0.00'
+    COMMENT 'Portion of total_pay earned as overtime'
+    AFTER total_pay,
+  ADD COLUMN overtime_breakdown JSON NULL DEFAULT NULL
+    COMMENT 'Overtime hours per tier: [{"hours","multiplier","rate","pay"}]'
+    AFTER overtime_pay;
+
+-- Shifts priced before overtime existed were all ordinary time
+UPDATE shifts SET ordinary_hours = hours_worked WHERE ordinary_hours IS NULL AND hours_worked IS NOT NULL;
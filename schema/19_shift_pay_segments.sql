@@ -0,0 +1,19 @@
+-- ============================================
+-- Shift Pay Segments
+-- ============================================
+-- Purpose: Pay each calendar day of a shift at its own day type
+-- Used by: utils/payCalculator.js (calculateCompleteShiftPay), kiosk clock-out,
+--          /api/kiosk/sync, the auto-close monitor, POST /api/system-admin/payroll/recompute,
+--          GET /api/system-admin/payroll/breakdown
+--
+-- A shift is split at each midnight in the venue's timezone (venues.timezone),
+-- which is also where public holidays start and end. A Saturday 6pm-2am shift
+-- is paid 6 hours at the Saturday rate and 2 at the Sunday rate.
+--
+-- payday_type and applied_rate keep describing the clock-in day; total_pay is
+-- the sum of the segments. Shifts priced before this change have no segments.
+
+ALTER TABLE shifts
+  ADD COLUMN pay_segments JSON NULL DEFAULT NULL
+    COMMENT 'Per-day pay: [{"start","end","local_date","payday_type","hours","ordinary_hours","overtime_hours","rate","overtime_pay","pay"}]'
+    AFTER overtime_breakdown;
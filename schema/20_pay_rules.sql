@@ -0,0 +1,64 @@
+-- ============================================
+-- Penalty Rate Rules
+-- ============================================
+-- Purpose: Business-defined loadings, allowances and minimum engagement on top
+--          of the four day rates
+-- Used by: utils/payCalculator.js (getPayRules, applyPayRules), every clock-out path,
+--          POST /api/system-admin/payroll/recompute, POST /api/system-admin/payroll/preview,
+--          /api/system-admin/pay-rules
+--
+-- A business has rule sets; a set with venue_code NULL applies to all its venues.
+-- Every active set that applies to the shift's venue is evaluated per shift segment
+-- (one per calendar day in the venue timezone, see 19_shift_pay_segments.sql).
+--
+-- Rule kinds:
+--   loading            Ordinary hours inside the time window are paid at multiplier x the
+--                      day rate (1.25 = +25%). Matching loadings add up: a casual 1.25
+--                      and an evening 1.10 give 1.35. Overtime hours are not loaded.
+--   allowance          Flat amount, once per shift, when any worked time matches.
+--   minimum_engagement Shifts shorter than min_hours are topped up to min_hours at the
+--                      clock-in day rate.
+-- day_types / employment_types NULL = any. A window with end_time <= start_time wraps
+-- past midnight (22:00-06:00 covers both ends of each day).
+
+CREATE TABLE IF NOT EXISTS pay_rule_sets (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  business_code VARCHAR(100) NOT NULL COMMENT 'Business that owns the rule set',
+  venue_code VARCHAR(100) NULL DEFAULT NULL COMMENT 'Venue it applies to (NULL = every venue of the business)',
+  name VARCHAR(100) NOT NULL COMMENT 'e.g. Hospitality award 2025',
+  is_active TINYINT(1) NOT NULL DEFAULT 1 COMMENT 'Inactive sets are kept but not applied',
+  created_by INT NULL DEFAULT NULL COMMENT 'users.id of who created it',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_pay_rule_sets_business (business_code, is_active),
+  CONSTRAINT pay_rule_sets_ibfk_1 FOREIGN KEY (business_code) REFERENCES businesses (business_code) ON DELETE CASCADE,
+  CONSTRAINT pay_rule_sets_ibfk_2 FOREIGN KEY (venue_code) REFERENCES venues (venue_code) ON DELETE CASCADE,
+  CONSTRAINT pay_rule_sets_ibfk_3 FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Penalty rate rule sets per business or venue';
+
+CREATE TABLE IF NOT EXISTS pay_rules (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  rule_set_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL COMMENT 'Shown in the pay breakdown, e.g. Late night loading',
+  kind ENUM('loading','allowance','minimum_engagement') NOT NULL,
+  day_types JSON NULL COMMENT 'e.g. ["WEEKDAY","SATURDAY"] (NULL = any day)',
+  start_time TIME NULL DEFAULT NULL COMMENT 'Window start in venue local time (NULL = all day)',
+  end_time TIME NULL DEFAULT NULL COMMENT 'Window end; <= start_time wraps past midnight',
+  employment_types JSON NULL COMMENT 'e.g. ["casual"] (NULL = any employment type)',
+  multiplier DECIMAL(5,3) NULL DEFAULT NULL COMMENT 'loading: rate multiplier, e.g. 1.250',
+  amount DECIMAL(10,2) NULL DEFAULT NULL COMMENT 'allowance: flat amount per shift',
+  min_hours DECIMAL(4,2) NULL DEFAULT NULL COMMENT 'minimum_engagement: hours paid at least',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_pay_rules_set (rule_set_id),
+  CONSTRAINT pay_rules_ibfk_1 FOREIGN KEY (rule_set_id) REFERENCES pay_rule_sets (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Loadings, allowances and minimum engagement rules';
+
+ALTER TABLE shifts
+  ADD COLUMN penalty_pay DECIMAL(12,2) NOT NULL DEFAULT '0.00'
+    COMMENT 'Portion of total_pay from pay_rules (loadings, allowances, minimum engagement)'
+    AFTER pay_segments,
+  ADD COLUMN penalty_breakdown JSON NULL DEFAULT NULL
+    COMMENT 'Applied rules: [{"rule_id","name","kind","local_date","hours","amount"}]'
+    AFTER penalty_pay;
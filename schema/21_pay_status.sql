@@ -0,0 +1,30 @@
+-- ============================================
+-- Shift Pay Status
+-- ============================================
+-- Purpose: Flag shifts that could not be priced instead of paying a default rate
+-- Used by: utils/payCalculator.js (calculateCompleteShiftPay, repriceRateMissingShifts),
+--          every clock-out path, GET /api/system-admin/payroll/needs-attention,
+--          payroll summary and breakdown (RATE_MISSING shifts are excluded)
+--
+-- There is no $25 base rate any more. A shift on a date no pay_rates period covers
+-- (or a day with no rate and no weekday rate) is saved with pay_status = 'RATE_MISSING'
+-- and total_pay 0. Entering or scheduling rates for the staff member re-prices those
+-- shifts automatically.
+
+ALTER TABLE shifts
+  ADD COLUMN pay_status ENUM('OK','RATE_MISSING') NOT NULL DEFAULT 'OK'
+    COMMENT 'RATE_MISSING = no pay rate covered the shift; held out of payroll'
+    AFTER penalty_breakdown,
+  ADD INDEX idx_shifts_pay_status (pay_status);
+
+-- Pending shifts priced at the old $25 fallback: no rate period covers their date
+UPDATE shifts s
+SET s.pay_status = 'RATE_MISSING', s.applied_rate = 0, s.total_pay = 0
+WHERE s.clock_out IS NOT NULL
+  AND s.approval_status = 'PENDING'
+  AND NOT EXISTS (
+    SELECT 1 FROM pay_rates pr
+    WHERE pr.staff_code = s.staff_code
+      AND pr.effective_from <= DATE(s.clock_in)
+      AND (pr.effective_to IS NULL OR pr.effective_to >= DATE(s.clock_in))
+  );
@@ -0,0 +1,43 @@
+-- ============================================
+-- Shift Audit Trail
+-- ============================================
+-- Purpose: Append-only history of every change to a shift: who made it, why,
+--          and the values before and after
+-- Used by: utils/shiftAudit.js (recordShiftAudit), kiosk clock-in/break/clock-out,
+--          POST /api/kiosk/sync, the auto-close monitor, PATCH /api/system-admin/timesheets/:id,
+--          PUT /api/system-admin/timesheets/bulk-update,
+--          GET /api/system-admin/timesheets/:id/history
+--
+-- Rows are only ever inserted, in the same transaction as the change they describe.
+-- before_values / after_values hold only the fields that changed; before_values is
+-- NULL for CLOCK_IN. Shifts with history cannot be deleted (ON DELETE RESTRICT).
+-- actor_user_id has no foreign key so a deleted user's id stays in the history.
+--
+-- Actors:
+--   staff   Kiosk action (actor_staff_code, device_id)
+--   user    Admin or manager (actor_user_id)
+--   system  Automatic change, e.g. auto-close (actor_user_id and actor_staff_code NULL)
+
+CREATE TABLE IF NOT EXISTS shift_audit (
+  id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  shift_id INT NOT NULL,
+  action ENUM('CLOCK_IN','BREAK_START','BREAK_END','CLOCK_OUT','AUTO_CLOSE','EDIT','APPROVAL') NOT NULL,
+  source ENUM('kiosk','offline_sync','admin','system') NOT NULL,
+  actor_type ENUM('staff','user','system') NOT NULL,
+  actor_user_id INT NULL DEFAULT NULL COMMENT 'users.id of the admin or manager (no foreign key)',
+  actor_staff_code VARCHAR(25) NULL DEFAULT NULL COMMENT 'Staff member who used the kiosk',
+  device_id CHAR(36) NULL DEFAULT NULL COMMENT 'kiosk_devices.id the action came from',
+  reason VARCHAR(500) NULL DEFAULT NULL COMMENT 'Required for manual edits',
+  before_values JSON NULL COMMENT 'Changed fields before, e.g. {"clock_out":"...","total_pay":"180.00"}',
+  after_values JSON NULL COMMENT 'Changed fields after',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_shift_audit_shift (shift_id, id),
+  INDEX idx_shift_audit_created (created_at),
+  CONSTRAINT shift_audit_ibfk_1 FOREIGN KEY (shift_id) REFERENCES shifts (id) ON DELETE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Immutable history of shift changes';
+
+-- ===== Immutability =====
+-- The application never updates or deletes audit rows. The triggers in
+-- 29_shift_audit_immutable.sql reject updates and deletes from any database user;
+-- until that migration is run, nothing in the database enforces it.
@@ -0,0 +1,37 @@
+-- ============================================
+-- Individual Break Records
+-- ============================================
+-- Purpose: One row per break instead of only the shifts.break_minutes total,
+--          so each break's time and type can be shown and checked
+-- Used by: utils/shiftBreaks.js, kiosk break-in/break-out/clock-out, POST /api/kiosk/sync,
+--          the auto-close monitor, timesheet and payroll breakdown views
+--
+-- A break is open (break_end NULL) while the shift is ON_BREAK. Closing it sets
+-- minutes and adds them to shifts.break_minutes, which pay is still calculated from.
+-- Clocking out (or auto-close) while on break closes the open break first.
+--
+-- Break types:
+--   unpaid  Default for kiosk breaks
+--   paid    e.g. 10 minute rest break
+--   meal    e.g. 30 minute meal break
+
+CREATE TABLE IF NOT EXISTS shift_breaks (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  shift_id INT NOT NULL,
+  break_type ENUM('unpaid','paid','meal') NOT NULL DEFAULT 'unpaid',
+  break_start TIMESTAMP NOT NULL,
+  break_end TIMESTAMP NULL DEFAULT NULL COMMENT 'NULL while the break is in progress',
+  minutes INT NULL DEFAULT NULL COMMENT 'Whole minutes, set when the break closes',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_shift_breaks_shift (shift_id, break_start),
+  CONSTRAINT shift_breaks_ibfk_1 FOREIGN KEY (shift_id) REFERENCES shifts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Individual breaks taken during shifts';
+
+-- Shifts on break when this migration runs: open their break from last_action_time
+-- (earlier completed shifts keep only their break_minutes total)
+INSERT INTO shift_breaks (shift_id, break_type, break_start)
+SELECT id, 'unpaid', last_action_time
+FROM shifts
+WHERE shift_state = 'ON_BREAK'
+  AND last_action_time IS NOT NULL;
@@ -0,0 +1,34 @@
+-- ============================================
+-- Paid and Unpaid Breaks
+-- ============================================
+-- Purpose: Per-venue rules for which break types are paid, so only unpaid break
+--          time is deducted from hours_worked
+-- Used by: utils/shiftBreaks.js (closeOpenBreak), utils/payCalculator.js (priceShift),
+--          PUT /api/system-admin/venues/:venue_code, kiosk break type selection
+--
+-- When a break closes, its minutes are split using the venue's rules at that time:
+--   paid_break_types        Break types that are paid (NULL = ["paid"], the kiosk's rest break)
+--   paid_break_max_minutes  Longest paid portion of one break; the rest is unpaid
+--                           (NULL = no limit). e.g. 10 pays a 15 minute rest break 10 + 5 unpaid
+-- The split is stored on the break (paid_minutes) and summed on the shift
+-- (unpaid_break_minutes). Changing the rules does not change breaks already taken.
+
+ALTER TABLE venues
+  ADD COLUMN paid_break_types JSON NULL DEFAULT NULL
+    COMMENT 'e.g. ["paid"] or ["paid","meal"] (NULL = ["paid"])',
+  ADD COLUMN paid_break_max_minutes INT NULL DEFAULT NULL
+    COMMENT 'Paid minutes per break at most; longer breaks are unpaid beyond it (NULL = no limit)';
+
+ALTER TABLE shift_breaks
+  ADD COLUMN paid_minutes INT NULL DEFAULT NULL
+    COMMENT 'Paid part of minutes, set when the break closes'
+    AFTER minutes;
+
+ALTER TABLE shifts
+  ADD COLUMN unpaid_break_minutes INT NOT NULL DEFAULT 0
+    COMMENT 'Break minutes deducted from hours_worked (break_minutes is every break)'
+    AFTER break_minutes;
+
+-- Every break was deducted before this migration
+UPDATE shifts SET unpaid_break_minutes = IFNULL(break_minutes, 0);
+UPDATE shift_breaks SET paid_minutes = 0 WHERE break_end IS NOT NULL;
@@ -0,0 +1,31 @@
+-- ============================================
+-- Shift Compliance Flags
+-- ============================================
+-- Purpose: Record break and rest rule violations per shift so they are reviewed
+--          before the shift is approved
+-- Used by: utils/shiftCompliance.js, kiosk clock-out, POST /api/kiosk/sync, the
+--          auto-close monitor, PATCH /api/system-admin/timesheets/:id (edits),
+--          PUT /api/system-admin/timesheets/bulk-update (approval), timesheet views
+--
+-- Rules (checked whenever a shift is closed or its times are edited):
+--   MEAL_BREAK_MISSING  More than 5 hours worked without a meal break of 30+ minutes
+--   BREAK_TOO_SHORT     A meal break under 30 minutes or a rest break under 10 minutes
+--   SHORT_REST          Under 10 hours between the previous shift's clock-out and clock-in
+--
+-- One row per shift and rule; re-checking a shift replaces its rows. Bulk approval
+-- refuses shifts with unacknowledged flags unless the approver acknowledges them,
+-- which sets acknowledged_by/acknowledged_at. An acknowledgement is kept while the
+-- violation is unchanged and cleared if a later edit changes it.
+
+CREATE TABLE IF NOT EXISTS shift_compliance_flags (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  shift_id INT NOT NULL,
+  rule ENUM('MEAL_BREAK_MISSING','BREAK_TOO_SHORT','SHORT_REST') NOT NULL,
+  detail VARCHAR(255) NOT NULL COMMENT 'e.g. "Worked 6.5h without a meal break"',
+  acknowledged_by INT NULL DEFAULT NULL COMMENT 'users.id of the approver who acknowledged it',
+  acknowledged_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_shift_compliance_rule (shift_id, rule),
+  CONSTRAINT shift_compliance_flags_ibfk_1 FOREIGN KEY (shift_id) REFERENCES shifts (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Break and rest rule violations found on shifts';
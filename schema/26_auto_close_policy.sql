@@ -0,0 +1,58 @@
+-- ============================================
+-- Auto-Close Policy
+-- ============================================
+-- Purpose: Per-venue handling of shifts left open (no clock-out), a distinct
+--          AUTO_CLOSED state that must be reviewed before approval, and
+--          notifications telling managers what was closed
+-- Used by: utils/autoClose.js (auto-close monitor), PUT /api/system-admin/venues/:venue_code,
+--          PATCH /api/system-admin/timesheets/:id (review), PUT /api/system-admin/timesheets/bulk-update,
+--          GET /api/system-admin/notifications
+--
+-- Policies (venues.auto_close_mode):
+--   HOURS       Clock out at clock-in + auto_close_hours (default, 10 hours as before)
+--   ROSTER_END  Clock out at the end of the staff member's roster entry, once the shift
+--               is still open an hour later; shifts without a roster entry use HOURS
+--   FLAG_ONLY   Leave the shift open and notify managers after auto_close_hours;
+--               a manager closes it by editing its times
+--
+-- A shift on break is clocked out when its break started, so the abandoned break is
+-- neither paid nor counted. Closed shifts get shift_state = 'AUTO_CLOSED' until a
+-- manager reviews them by editing (or confirming) their times, which sets COMPLETED.
+
+ALTER TABLE venues
+  ADD COLUMN auto_close_mode ENUM('HOURS','ROSTER_END','FLAG_ONLY') NOT NULL DEFAULT 'HOURS'
+    COMMENT 'How shifts left open are handled (see utils/autoClose.js)'
+    AFTER paid_break_max_minutes,
+  ADD COLUMN auto_close_hours DECIMAL(4,1) NOT NULL DEFAULT 10.0
+    COMMENT 'Hours after clock-in for HOURS and FLAG_ONLY (and ROSTER_END without a roster entry)'
+    AFTER auto_close_mode;
+
+ALTER TABLE shifts
+  MODIFY COLUMN shift_state ENUM('NONE','ACTIVE','ON_BREAK','COMPLETED','AUTO_CLOSED') DEFAULT 'NONE',
+  ADD COLUMN auto_close_flagged_at TIMESTAMP NULL DEFAULT NULL
+    COMMENT 'Set when a FLAG_ONLY venue reported the shift as left open'
+    AFTER last_action_time;
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  business_code VARCHAR(100) NOT NULL,
+  venue_code VARCHAR(100) NOT NULL,
+  kind ENUM('AUTO_CLOSE') NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  message TEXT NOT NULL COMMENT 'One line per shift',
+  shift_ids JSON NULL,
+  read_by INT NULL DEFAULT NULL COMMENT 'users.id of the manager who dismissed it',
+  read_at TIMESTAMP NULL DEFAULT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_notifications_venue (business_code, venue_code, read_at),
+  CONSTRAINT notifications_ibfk_1 FOREIGN KEY (venue_code) REFERENCES venues (venue_code) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Manager notifications (venue managers and business admins)';
+
+-- Pending shifts already closed by the old 10 hour monitor still need review
+UPDATE shifts s
+SET s.shift_state = 'AUTO_CLOSED'
+WHERE s.shift_state = 'COMPLETED'
+  AND s.approval_status = 'PENDING'
+  AND EXISTS (SELECT 1 FROM shift_audit a WHERE a.shift_id = s.id AND a.action = 'AUTO_CLOSE')
+  AND NOT EXISTS (SELECT 1 FROM shift_audit a WHERE a.shift_id = s.id AND a.action = 'EDIT');
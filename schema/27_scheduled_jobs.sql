@@ -0,0 +1,49 @@
+-- ============================================
+-- Scheduled Jobs
+-- ============================================
+-- Purpose: Named background jobs with cron schedules, a lock so only one server
+--          instance runs each job, pause switches and a run history
+-- Used by: utils/jobScheduler.js, utils/jobs.js (job definitions), started from server.js;
+--          /api/jobs (master only: list, trigger, pause, resume, run history)
+--
+-- Jobs are defined in code; a row is created for each on server start. An
+-- instance runs a scheduled job only after claiming it with a conditional UPDATE:
+-- the lock must be free (or its lease expired) and the job not yet run for this
+-- schedule slot, so instances that tick in the same minute do not both run it.
+-- Per-instance jobs (e.g. the DB keepalive) skip the lock and run on every instance.
+--
+-- Run history is kept for 30 days (job-history-cleanup).
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  name VARCHAR(100) NOT NULL PRIMARY KEY,
+  schedule VARCHAR(100) NOT NULL COMMENT 'Cron expression (minute hour day month weekday), server time',
+  description VARCHAR(255) NULL DEFAULT NULL,
+  paused TINYINT(1) NOT NULL DEFAULT 0,
+  locked_by VARCHAR(150) NULL DEFAULT NULL COMMENT 'host:pid of the instance running the job',
+  locked_until TIMESTAMP NULL DEFAULT NULL COMMENT 'Lock lease; an expired lock can be taken over',
+  last_slot_at TIMESTAMP NULL DEFAULT NULL COMMENT 'Schedule slot last claimed',
+  last_run_at TIMESTAMP NULL DEFAULT NULL,
+  last_status ENUM('SUCCESS','FAILED') NULL DEFAULT NULL,
+  updated_by INT NULL DEFAULT NULL COMMENT 'users.id of the last pause/resume',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='Background jobs and their locks';
+
+CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+  id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  job_name VARCHAR(100) NOT NULL,
+  trigger_type ENUM('schedule','manual') NOT NULL,
+  triggered_by INT NULL DEFAULT NULL COMMENT 'users.id for manual runs',
+  instance_id VARCHAR(150) NOT NULL,
+  status ENUM('RUNNING','SUCCESS','FAILED') NOT NULL DEFAULT 'RUNNING',
+  started_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  finished_at TIMESTAMP(3) NULL DEFAULT NULL,
+  duration_ms INT NULL DEFAULT NULL,
+  result JSON NULL COMMENT 'What the job returned, e.g. { closed, flagged, failed }',
+  error TEXT NULL,
+  INDEX idx_job_runs_job (job_name, id),
+  INDEX idx_job_runs_started (started_at),
+  CONSTRAINT scheduled_job_runs_ibfk_1 FOREIGN KEY (job_name) REFERENCES scheduled_jobs (name) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci
+COMMENT='History of background job runs';
@@ -0,0 +1,23 @@
+-- ============================================
+-- Kiosk Sync Keys
+-- ============================================
+-- Purpose: Let POST /api/kiosk/sync check that a queued offline event was made
+--          by the staff member whose PIN was entered
+-- Used by: POST /api/kiosk/sync (signature check), utils/kioskPin.js (derivation),
+--          every place a kiosk PIN is set or reset
+--
+-- The kiosk derives the same key from the PIN when it is entered and signs each
+-- queued event with it (HMAC-SHA256). The key itself is never sent to kiosks, but
+-- it is only as strong as the 6-digit PIN: the offline staff cache holds the salt,
+-- so anyone who dumps it along with a queued signed event can brute-force the PIN
+-- offline and sign events as that staff member. GET /api/kiosk/staff therefore
+-- sends no kiosk_pin_hash, only a 2-character check of this key, and bad
+-- signatures at /sync count toward the staff member's PIN lockout.
+--
+-- Existing users get their key on their next online PIN entry (or when their PIN
+-- is reset). Until then they cannot use a kiosk offline.
+
+ALTER TABLE users
+  ADD COLUMN kiosk_sync_key CHAR(64) NULL DEFAULT NULL
+    COMMENT 'PBKDF2-SHA256 of the kiosk PIN with a sync salt (hex); signs offline kiosk events'
+    AFTER kiosk_pin_salt;
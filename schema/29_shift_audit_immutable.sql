@@ -0,0 +1,29 @@
+-- ============================================
+-- Shift Audit Immutability
+-- ============================================
+-- Purpose: Enforce in the database that shift_audit (22_shift_audit.sql) is
+--          append-only, for every database user and not only the application
+-- Used by: shift_audit; the application only ever inserts into it
+--
+-- Any UPDATE or DELETE of an audit row fails with SQLSTATE 45000. Inserts are
+-- unaffected. TRUNCATE and DROP bypass triggers, so the application account
+-- should not hold the DROP privilege on this table.
+--
+-- Creating triggers needs the TRIGGER privilege, and with binary logging on
+-- either SUPER or (as mysql root):
+--   SET GLOBAL log_bin_trust_function_creators = 1;
+--
+-- Check with: SHOW TRIGGERS LIKE 'shift_audit';
+
+DROP TRIGGER IF EXISTS trg_shift_audit_no_update;
+DROP TRIGGER IF EXISTS trg_shift_audit_no_delete;
+
+CREATE TRIGGER trg_shift_audit_no_update
+BEFORE UPDATE ON shift_audit
+FOR EACH ROW
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'shift_audit is append-only';
+
+CREATE TRIGGER trg_shift_audit_no_delete
+BEFORE DELETE ON shift_audit
+FOR EACH ROW
+  SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'shift_audit is append-only';